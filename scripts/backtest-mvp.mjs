@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Backtest MVP calculators against recorded scoring logs
+ *
+ * Usage:
+ *   node scripts/backtest-mvp.mjs [options]
+ *
+ * Options:
+ *   --calculators v1,improved,v3   Calculators to compare (default: all)
+ *   --logs <dir>                   Scoring-logs directory (default: src/data/scoring-logs)
+ *   --runners <file>               runners.json with 2x timestamps (default: runners/runners.json)
+ *   --view <mode>                  Only replay snapshots logged in this view mode
+ *   --horizon <minutes>            Forward window for returns and time-to-peak (default: 30)
+ *   --target <multiplier>          Multiplier from spotted MC that counts as a hit (default: 2)
+ *   --json <file>                  Also write the full report, including every pick
+ */
+
+import fs from 'fs';
+import {
+  CALCULATORS,
+  DEFAULT_OPTIONS,
+  RUNNERS_FILE,
+  SCORING_LOGS_DIR,
+  compareCalculators,
+  loadRunners,
+  loadSnapshots
+} from '../src/backend/backtester.mjs';
+
+function parseArgs(argv) {
+  const args = {
+    calculators: Object.keys(CALCULATORS),
+    logs: SCORING_LOGS_DIR,
+    runners: RUNNERS_FILE,
+    view: DEFAULT_OPTIONS.viewMode,
+    horizon: DEFAULT_OPTIONS.horizonMs / 60000,
+    target: DEFAULT_OPTIONS.target,
+    json: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    i++;
+
+    switch (flag) {
+      case '--calculators': args.calculators = value.split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--logs': args.logs = value; break;
+      case '--runners': args.runners = value; break;
+      case '--view': args.view = value; break;
+      case '--horizon': args.horizon = parseFloat(value); break;
+      case '--target': args.target = parseFloat(value); break;
+      case '--json': args.json = value; break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!(args.horizon > 0)) throw new Error('--horizon must be a positive number of minutes');
+  if (!(args.target > 1)) throw new Error('--target must be a multiplier above 1');
+  return args;
+}
+
+const pct = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+const signedPct = (value) => value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+const minutes = (ms) => ms === null ? 'n/a' : `${(ms / 60000).toFixed(1)}m`;
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+console.log('MVP Calculator Backtest\n');
+
+const snapshots = loadSnapshots(args.logs, { viewMode: args.view });
+const runners = loadRunners(args.runners);
+
+if (snapshots.length === 0) {
+  console.error(`❌ No top10 snapshots found in ${args.logs}${args.view ? ` for view mode "${args.view}"` : ''}`);
+  process.exit(1);
+}
+
+const first = new Date(snapshots[0].time).toISOString();
+const last = new Date(snapshots[snapshots.length - 1].time).toISOString();
+console.log(`Snapshots: ${snapshots.length} (${first} → ${last})`);
+console.log(`Runners:   ${runners.size} with 2x timestamps`);
+console.log(`Target:    ${args.target}x from spotted MC, horizon ${args.horizon}m${args.view ? `, view ${args.view}` : ''}\n`);
+
+let results;
+try {
+  results = compareCalculators(args.calculators, snapshots, runners, {
+    horizonMs: args.horizon * 60000,
+    target: args.target
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+console.log('Calculator | Picks | Tokens | Precision | Recall | Fwd Return | Peak Return | Time to Peak');
+console.log('-----------|-------|--------|-----------|--------|------------|-------------|-------------');
+for (const r of results) {
+  console.log(
+    `${r.name.padEnd(10)} | ${String(r.pickEvents).padStart(5)} | ${String(r.pickedTokens).padStart(6)} | ` +
+    `${pct(r.precision).padStart(9)} | ${pct(r.recall).padStart(6)} | ` +
+    `${signedPct(r.avgForwardReturn).padStart(10)} | ${signedPct(r.avgPeakReturn).padStart(11)} | ` +
+    `${minutes(r.avgTimeToPeakMs).padStart(12)}`
+  );
+}
+
+const positives = results[0]?.positives ?? 0;
+console.log(`\n${positives} tokens reached ${args.target}x after first appearing in the logs (recall denominator)`);
+
+if (args.json) {
+  fs.writeFileSync(args.json, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    options: { ...args, logs: undefined, json: undefined },
+    snapshots: snapshots.length,
+    results
+  }, null, 2));
+  console.log(`Full report written to ${args.json}`);
+}
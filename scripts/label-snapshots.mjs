@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Label recorded scoring snapshots with forward outcomes
+ *
+ * Writes one dataset file per session: every logged top10 row with its score,
+ * components and market data, plus the MC, return, max gain and max drawdown
+ * at +1m, +5m, +15m and +60m.
+ *
+ * Usage:
+ *   node scripts/label-snapshots.mjs [options]
+ *
+ * Options:
+ *   --logs <dir>          Scoring-logs directory (default: src/data/scoring-logs)
+ *   --out <dir>           Output directory (default: src/data/datasets)
+ *   --format csv|jsonl    Dataset format (default: csv)
+ *   --view <mode>         Only label rows logged in this view mode
+ *   --sample <seconds>    Keep at most one snapshot per view mode every N seconds (default: every snapshot)
+ *   --gap <minutes>       Silence that splits older, untagged logs into sessions (default: 10)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCORING_LOGS_DIR } from '../src/backend/backtester.mjs';
+import {
+  SESSION_GAP_MS,
+  datasetColumns,
+  labelScoringLogs,
+  toCsv,
+  toJsonl
+} from '../src/backend/snapshotLabeller.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+  const args = {
+    logs: SCORING_LOGS_DIR,
+    out: path.join(__dirname, '../src/data/datasets'),
+    format: 'csv',
+    view: null,
+    sample: 0,
+    gap: SESSION_GAP_MS / 60000
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    i++;
+
+    switch (flag) {
+      case '--logs': args.logs = value; break;
+      case '--out': args.out = value; break;
+      case '--format': args.format = value; break;
+      case '--view': args.view = value; break;
+      case '--sample': args.sample = parseFloat(value); break;
+      case '--gap': args.gap = parseFloat(value); break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (args.format !== 'csv' && args.format !== 'jsonl') throw new Error('--format must be csv or jsonl');
+  if (!(args.sample >= 0)) throw new Error('--sample must be zero or a positive number of seconds');
+  if (!(args.gap > 0)) throw new Error('--gap must be a positive number of minutes');
+  return args;
+}
+
+const pct = (part, total) => total > 0 ? `${(part / total * 100).toFixed(0)}%` : 'n/a';
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+console.log('Scoring Snapshot Labeller\n');
+
+let sessions;
+try {
+  sessions = labelScoringLogs(args.logs, {
+    viewMode: args.view,
+    sampleMs: args.sample * 1000,
+    gapMs: args.gap * 60000
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+sessions = sessions.filter(session => session.rows.length > 0);
+if (sessions.length === 0) {
+  console.error(`❌ No top10 snapshots found in ${args.logs}${args.view ? ` for view mode "${args.view}"` : ''}`);
+  process.exit(1);
+}
+
+fs.mkdirSync(args.out, { recursive: true });
+const columns = datasetColumns();
+
+console.log('Session                  | Duration | Rows    | Labelled 5m | Labelled 60m | File');
+console.log('-------------------------|----------|---------|-------------|--------------|-----');
+for (const session of sessions) {
+  const stamp = session.id.replace(/\.\d+Z$/, '').replace(/[:T]/g, '-');
+  const file = path.join(args.out, `dataset-${stamp}.${args.format}`);
+  fs.writeFileSync(file, args.format === 'csv' ? toCsv(session.rows, columns) : toJsonl(session.rows));
+
+  const rows = session.rows.length;
+  const labelled = (label) => session.rows.filter(row => row[`mc${label}`] !== null).length;
+  console.log(
+    `${session.id.padEnd(24)} | ${`${((session.end - session.start) / 60000).toFixed(1)}m`.padStart(8)} | ` +
+    `${String(rows).padStart(7)} | ${pct(labelled('5m'), rows).padStart(11)} | ` +
+    `${pct(labelled('60m'), rows).padStart(12)} | ${path.basename(file)}`
+  );
+}
+
+console.log(`\n${sessions.length} dataset(s) written to ${args.out}`);
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * Train the learned MVP model: P(2x from spotted MC within N minutes)
+ *
+ * Fits a logistic regression on the recorded scoring logs, labelled from the
+ * logs and runners.json. The oldest 80% of rows train a model that is scored
+ * on the newest 20%; the exported model is then refit on every row.
+ *
+ * Writes src/data/models/mvp-learned-<timestamp>.json and copies it to
+ * mvp-learned.json, which MVP_CALCULATOR=learned loads by default.
+ *
+ * Usage:
+ *   node scripts/train-mvp-model.mjs [options]
+ *
+ * Options:
+ *   --logs <dir>            Scoring-logs directory (default: src/data/scoring-logs)
+ *   --runners <file>        runners.json with 2x timestamps (default: runners/runners.json)
+ *   --horizon <minutes>     Window the token must hit the target in (default: 30)
+ *   --target <multiplier>   Multiplier from spotted MC that counts as a hit (default: 2)
+ *   --sample <seconds>      At most one row per token every N seconds (default: 10)
+ *   --l2 <lambda>           L2 regularisation (default: 0.01)
+ *   --iterations <n>        Gradient descent iterations (default: 500)
+ *   --out <dir>             Model directory (default: src/data/models)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { RUNNERS_FILE, SCORING_LOGS_DIR, loadRunners, readTop10Records } from '../src/backend/backtester.mjs';
+import {
+  DEFAULT_MODEL_FILE,
+  DEFAULT_TRAINING,
+  MODELS_DIR,
+  MODEL_FORMAT_VERSION,
+  buildTrainingSet,
+  evaluateModel,
+  trainLogistic
+} from '../src/backend/learnedModel.mjs';
+
+const HOLDOUT_FRACTION = 0.2;
+
+function parseArgs(argv) {
+  const args = {
+    logs: SCORING_LOGS_DIR,
+    runners: RUNNERS_FILE,
+    horizon: DEFAULT_TRAINING.horizonMs / 60000,
+    target: DEFAULT_TRAINING.target,
+    sample: DEFAULT_TRAINING.sampleMs / 1000,
+    l2: DEFAULT_TRAINING.l2,
+    iterations: DEFAULT_TRAINING.iterations,
+    out: MODELS_DIR
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+    i++;
+
+    switch (flag) {
+      case '--logs': args.logs = value; break;
+      case '--runners': args.runners = value; break;
+      case '--horizon': args.horizon = parseFloat(value); break;
+      case '--target': args.target = parseFloat(value); break;
+      case '--sample': args.sample = parseFloat(value); break;
+      case '--l2': args.l2 = parseFloat(value); break;
+      case '--iterations': args.iterations = parseInt(value, 10); break;
+      case '--out': args.out = value; break;
+      default: throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!(args.horizon > 0)) throw new Error('--horizon must be a positive number of minutes');
+  if (!(args.target > 1)) throw new Error('--target must be a multiplier above 1');
+  if (!(args.sample >= 0)) throw new Error('--sample must be zero or a positive number of seconds');
+  if (!(args.l2 >= 0)) throw new Error('--l2 must be zero or positive');
+  if (!(args.iterations > 0)) throw new Error('--iterations must be a positive integer');
+  return args;
+}
+
+const fixed = (value, digits = 3) => value === null ? 'n/a' : value.toFixed(digits);
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+console.log('Learned MVP Model Training\n');
+
+const options = {
+  horizonMs: args.horizon * 60000,
+  target: args.target,
+  sampleMs: args.sample * 1000,
+  l2: args.l2,
+  iterations: args.iterations
+};
+
+const samples = buildTrainingSet(readTop10Records(args.logs), loadRunners(args.runners), options);
+const positives = samples.filter(s => s.y === 1).length;
+
+console.log(`Rows:      ${samples.length} (${positives} hit ${args.target}x within ${args.horizon}m)`);
+console.log(`Tokens:    ${new Set(samples.map(s => s.address)).size}`);
+if (positives === 0 || positives === samples.length) {
+  console.error(`❌ Need both hits and misses to train - record more sessions or widen --horizon`);
+  process.exit(1);
+}
+
+// Split by time, not at random: neighbouring rows of one token are near-duplicates
+const splitAt = Math.floor(samples.length * (1 - HOLDOUT_FRACTION));
+const train = samples.slice(0, splitAt);
+const holdout = samples.slice(splitAt);
+
+const trial = trainLogistic(train, options);
+const trainMetrics = evaluateModel(trial, train);
+const holdoutMetrics = evaluateModel(trial, holdout);
+
+console.log(`\nSplit     | Rows    | Hits  | Base rate | Log loss | AUC`);
+console.log(`----------|---------|-------|-----------|----------|------`);
+for (const [name, m] of [['train', trainMetrics], ['holdout', holdoutMetrics]]) {
+  console.log(
+    `${name.padEnd(9)} | ${String(m.rows).padStart(7)} | ${String(m.positives).padStart(5)} | ` +
+    `${fixed(m.baseRate).padStart(9)} | ${fixed(m.logLoss).padStart(8)} | ${fixed(m.auc)}`
+  );
+}
+
+const fit = trainLogistic(samples, options);
+const trainedAt = new Date();
+const version = trainedAt.toISOString().replace(/\.\d+Z$/, '').replace(/[:T]/g, '-');
+
+const model = {
+  formatVersion: MODEL_FORMAT_VERSION,
+  version,
+  trainedAt: trainedAt.toISOString(),
+  target: { multiplier: args.target, horizonMinutes: args.horizon },
+  ...fit,
+  training: {
+    rows: samples.length,
+    positives,
+    from: new Date(samples[0].time).toISOString(),
+    to: new Date(samples[samples.length - 1].time).toISOString(),
+    sampleSeconds: args.sample,
+    l2: args.l2,
+    iterations: args.iterations
+  },
+  evaluation: { holdoutFraction: HOLDOUT_FRACTION, train: trainMetrics, holdout: holdoutMetrics }
+};
+
+console.log('\nFeature         | Weight');
+console.log('----------------|--------');
+for (const { name, weight } of [...fit.features].sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))) {
+  console.log(`${name.padEnd(15)} | ${weight >= 0 ? '+' : ''}${weight.toFixed(3)}`);
+}
+
+fs.mkdirSync(args.out, { recursive: true });
+const file = path.join(args.out, `mvp-learned-${version}.json`);
+const latest = args.out === MODELS_DIR ? DEFAULT_MODEL_FILE : path.join(args.out, path.basename(DEFAULT_MODEL_FILE));
+fs.writeFileSync(file, JSON.stringify(model, null, 2));
+fs.copyFileSync(file, latest);
+
+console.log(`\nModel ${version} written to ${file}`);
+console.log(`Copied to ${latest} (used by MVP_CALCULATOR=learned)`);
@@ -0,0 +1,33 @@
+/**
+ * Admin authentication for routes that change credentials
+ *
+ * Requests must carry DEXTER_ADMIN_TOKEN as "Authorization: Bearer <token>"
+ * or "X-Admin-Token: <token>". Without a configured token the protected
+ * routes are closed - the server may be reachable through a tunnel, so
+ * local requests aren't trusted either.
+ */
+
+import crypto from 'crypto';
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+export function requestToken(req) {
+  const header = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  return bearer ? bearer[1].trim() : (req.get('x-admin-token') || null);
+}
+
+export function createAdminAuth({ logger, token = process.env.DEXTER_ADMIN_TOKEN } = {}) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ error: 'Set DEXTER_ADMIN_TOKEN to use this endpoint' });
+    }
+
+    const given = requestToken(req);
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(token))) {
+      logger?.warn(`Rejected unauthenticated ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+  };
+}
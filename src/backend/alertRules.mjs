@@ -0,0 +1,331 @@
+/**
+ * Alert rules - user-defined conditions that fire alerts to channels
+ *
+ * A rule is { name, enabled, conditions, cooldownMs, dedupeMs, channels }:
+ *   conditions  every condition listed must hold (see CONDITIONS)
+ *   cooldownMs  minimum time between two firings of the rule, for any token
+ *   dedupeMs    minimum time before the rule fires again for the same token;
+ *               null fires once per token
+ *   channels    where a firing is delivered (see CHANNELS)
+ *
+ * TokenManager runs evaluate() over its tracked tokens on a timer and
+ * registers the channel handlers. Rules live in the alertRules table and
+ * every firing is written to alertHistory with what each channel did with
+ * it. The Telegram tier 3 call and the BNB 2x post TokenManager used to
+ * hardcode are seeded as the default rules the first time the engine loads.
+ */
+
+import { clock } from './clock.mjs';
+import { PHASES } from './phaseTracker.mjs';
+import { storeFor } from './database/lazyStore.mjs';
+
+// Numeric conditions take { min?, max? }. Checked cheapest first: score and
+// buy pressure need a full MVP score, so they only run once the rest passed.
+const RANGES = {
+  multiplier: (token) => token.peakMultiplier,
+  marketCap: (token) => token.currentMc,
+  ageMinutes: (token, ctx) => token.spottedAt ? (ctx.now - token.spottedAt) / 60000 : null,
+  liquidity: (token) => token.liquidity,
+  buyPressure: (token, ctx) => ctx.score(token)?.components?.buyPressure?.raw,
+  score: (token, ctx) => ctx.score(token)?.total
+};
+
+export const SOURCES = ['degen', 'holder', 'ex-holder', 'telegram-call'];
+export const CHAINS = ['solana', 'bnb'];
+export const CHANNELS = ['live', 'telegram', 'bnb'];
+export const TIER_NAMES = ['tier1', 'tier2', 'tier3'];
+
+export const CONDITIONS = [
+  'sources', 'chains', 'liquidityGate', 'multiplier', 'marketCap', 'ageMinutes', 'liquidity', 'phases',
+  'buyPressure', 'score'
+];
+
+export const DEFAULT_RULES = [
+  {
+    name: 'Tier 3 call',
+    conditions: { sources: ['degen'], liquidityGate: true, multiplier: { min: 'tier3' } },
+    cooldownMs: 0,
+    dedupeMs: null,
+    channels: ['telegram']
+  },
+  {
+    name: 'BNB 2x',
+    conditions: { chains: ['bnb'], multiplier: { min: 2 } },
+    cooldownMs: 0,
+    dedupeMs: null,
+    channels: ['bnb']
+  }
+];
+
+const NAME_MAX = 60;
+const MAX_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const DEDUPE_SEED_MS = 24 * 60 * 60 * 1000; // History read back on load to keep dedupe across restarts
+
+const chainOf = (address) => /^0x[a-fA-F0-9]{40}$/.test(address) ? 'bnb' : 'solana';
+
+function validateList(name, value, allowed) {
+  if (!Array.isArray(value) || value.length === 0 || !value.every(v => allowed.includes(v))) {
+    throw new Error(`${name} must be a non-empty list of: ${allowed.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+// Multiplier bounds may name an alert tier so the rule follows tier changes
+function validateBound(condition, key, value) {
+  if (value === undefined || value === null) return undefined;
+  if (condition === 'multiplier' && TIER_NAMES.includes(value)) return value;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    const tiers = condition === 'multiplier' ? ` or one of ${TIER_NAMES.join(', ')}` : '';
+    throw new Error(`${condition}.${key} must be a number${tiers}`);
+  }
+  return number;
+}
+
+function validateWindow(name, value, fallback) {
+  if (value === undefined) return fallback;
+  if (value === null && name === 'dedupeMs') return null;
+  const ms = Number(value);
+  if (!Number.isFinite(ms) || ms < 0 || ms > MAX_WINDOW_MS) {
+    throw new Error(`${name} must be between 0 and ${MAX_WINDOW_MS}${name === 'dedupeMs' ? ' (or null for once per token)' : ''}`);
+  }
+  return ms;
+}
+
+/**
+ * Check and normalise a rule from the API; bad values throw
+ */
+export function validateRule(input) {
+  if (!input || typeof input !== 'object') throw new Error('Rule must be an object');
+
+  const name = String(input.name || '').trim();
+  if (!name || name.length > NAME_MAX) throw new Error(`Rule name must be 1-${NAME_MAX} characters`);
+
+  const given = input.conditions;
+  if (!given || typeof given !== 'object') throw new Error('Rule needs a conditions object');
+  const unknown = Object.keys(given).filter(key => !CONDITIONS.includes(key));
+  if (unknown.length > 0) throw new Error(`Unknown condition: ${unknown.join(', ')}`);
+
+  const conditions = {};
+  for (const key of Object.keys(RANGES)) {
+    if (given[key] === undefined) continue;
+    if (!given[key] || typeof given[key] !== 'object') throw new Error(`${key} must be { min, max }`);
+    const min = validateBound(key, 'min', given[key].min);
+    const max = validateBound(key, 'max', given[key].max);
+    if (min === undefined && max === undefined) throw new Error(`${key} needs a min or a max`);
+    if (typeof min === 'number' && typeof max === 'number' && min > max) throw new Error(`${key}.min must not exceed ${key}.max`);
+    conditions[key] = { ...(min !== undefined && { min }), ...(max !== undefined && { max }) };
+  }
+  if (given.sources !== undefined) conditions.sources = validateList('sources', given.sources, SOURCES);
+  if (given.chains !== undefined) conditions.chains = validateList('chains', given.chains, CHAINS);
+  if (given.phases !== undefined) conditions.phases = validateList('phases', given.phases, PHASES);
+  if (given.liquidityGate !== undefined) conditions.liquidityGate = !!given.liquidityGate;
+  if (Object.keys(conditions).length === 0) throw new Error('Rule needs at least one condition');
+
+  return {
+    name,
+    enabled: input.enabled === undefined ? true : !!input.enabled,
+    conditions,
+    cooldownMs: validateWindow('cooldownMs', input.cooldownMs, 0),
+    dedupeMs: validateWindow('dedupeMs', input.dedupeMs, null),
+    channels: validateList('channels', input.channels ?? ['live'], CHANNELS)
+  };
+}
+
+/**
+ * Values the rule saw if `token` meets every condition, else null
+ */
+export function matchRule(rule, token, ctx) {
+  const { conditions } = rule;
+  if (conditions.sources && !conditions.sources.includes(token.source || 'degen')) return null;
+  if (conditions.chains && !conditions.chains.includes(chainOf(token.contractAddress))) return null;
+  if (conditions.liquidityGate && !ctx.passesLiquidityGate(token)) return null;
+
+  const values = {};
+  for (const key of ['multiplier', 'marketCap', 'ageMinutes', 'liquidity', 'phases', 'buyPressure', 'score']) {
+    if (!conditions[key]) continue;
+
+    if (key === 'phases') {
+      const phase = ctx.getPhase(token.contractAddress);
+      if (!conditions.phases.includes(phase)) return null;
+      values.phase = phase;
+      continue;
+    }
+
+    const value = RANGES[key](token, ctx);
+    if (!Number.isFinite(value)) return null;
+    const bound = (b) => typeof b === 'string' ? ctx.tiers[b] : b;
+    const { min, max } = conditions[key];
+    if (min !== undefined && !(value >= bound(min))) return null;
+    if (max !== undefined && !(value <= bound(max))) return null;
+    values[key] = value;
+  }
+  return values;
+}
+
+export class AlertEngine {
+  constructor({ store = null } = {}) {
+    this.store = store; // db-adapter, or a stand-in with the same alert functions
+    this.rules = [];
+    this.handlers = new Map(); // channel -> async (alert, token) => status string
+    this.lastFired = new Map(); // `${ruleId}:${address}` -> time
+    this.lastRuleFired = new Map(); // ruleId -> time
+  }
+
+  getStore() {
+    return storeFor(this);
+  }
+
+  setChannel(channel, handler) {
+    this.handlers.set(channel, handler);
+  }
+
+  // Load rules (seeding the defaults on first run) and recent firings for dedupe
+  async load(now = clock.now()) {
+    const store = await this.getStore();
+    this.rules = await store.getAlertRules();
+
+    if (this.rules.length === 0 && !(await store.getSetting('alertRulesSeeded', false))) {
+      for (const rule of DEFAULT_RULES) {
+        this.rules.push(await store.saveAlertRule(validateRule(rule)));
+      }
+      await store.setSetting('alertRulesSeeded', true);
+    }
+
+    this.lastFired.clear();
+    this.lastRuleFired.clear();
+    const history = await store.getAlertHistory({ since: now - DEDUPE_SEED_MS, limit: 10000 });
+    for (const entry of [...history].reverse()) {
+      if (entry.ruleId == null) continue;
+      this.lastFired.set(`${entry.ruleId}:${entry.contractAddress}`, entry.triggeredAt);
+      this.lastRuleFired.set(entry.ruleId, entry.triggeredAt);
+    }
+    return this.rules;
+  }
+
+  list() {
+    return this.rules;
+  }
+
+  get(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  // Create a rule, or replace rule `id`; resolves to null if `id` doesn't exist
+  async save(input, id = null) {
+    const rule = validateRule(input);
+    if (id !== null && !this.get(id)) return null;
+
+    const store = await this.getStore();
+    const saved = await store.saveAlertRule({ ...rule, id });
+    if (!saved) return null;
+    this.rules = id === null ? [...this.rules, saved] : this.rules.map(r => (r.id === id ? saved : r));
+    return saved;
+  }
+
+  async remove(id) {
+    const store = await this.getStore();
+    const deleted = await store.deleteAlertRule(id);
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    return deleted;
+  }
+
+  async history(options) {
+    const store = await this.getStore();
+    return store.getAlertHistory(options);
+  }
+
+  /**
+   * Fire every enabled rule whose conditions `tokens` meet, outside its
+   * cooldown and dedupe windows. Context: { tiers, getScore(token),
+   * getPhase(address), passesLiquidityGate(token), isChannelOpen(channel)? }.
+   * A rule none of whose channels is open doesn't match, so it isn't deduped
+   * for tokens it never delivered. Returns the alerts fired; delivery and
+   * logging carry on in the background.
+   */
+  evaluate(tokens, context, now = clock.now()) {
+    const scores = new Map(); // Scored at most once per token per pass
+    const ctx = {
+      ...context,
+      now,
+      score: (token) => {
+        if (!scores.has(token.contractAddress)) scores.set(token.contractAddress, context.getScore(token));
+        return scores.get(token.contractAddress);
+      }
+    };
+
+    const fired = [];
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      if (context.isChannelOpen && !rule.channels.some(channel => context.isChannelOpen(channel))) continue;
+
+      for (const token of tokens) {
+        if (now - (this.lastRuleFired.get(rule.id) ?? -Infinity) < rule.cooldownMs) break;
+
+        const key = `${rule.id}:${token.contractAddress}`;
+        const last = this.lastFired.get(key);
+        if (last !== undefined && (rule.dedupeMs === null || now - last < rule.dedupeMs)) continue;
+
+        let values;
+        try {
+          values = matchRule(rule, token, ctx);
+        } catch {
+          continue; // A token that can't be scored just doesn't match
+        }
+        if (!values) continue;
+
+        this.lastFired.set(key, now);
+        this.lastRuleFired.set(rule.id, now);
+
+        const alert = {
+          type: 'rule',
+          ruleId: rule.id,
+          rule: rule.name,
+          address: token.contractAddress,
+          name: token.name,
+          symbol: token.symbol,
+          source: token.source,
+          multiplier: token.peakMultiplier,
+          currentMc: token.currentMc,
+          values,
+          at: now
+        };
+        fired.push(alert);
+        this.deliver(rule, alert, token);
+      }
+    }
+    return fired;
+  }
+
+  // Hand the alert to each channel, then log the firing with their results
+  async deliver(rule, alert, token) {
+    const results = await Promise.allSettled(rule.channels.map(async (channel) => {
+      const handler = this.handlers.get(channel);
+      return handler ? handler(alert, token) : 'no handler';
+    }));
+    const channels = Object.fromEntries(rule.channels.map((channel, i) => [
+      channel,
+      results[i].status === 'fulfilled' ? results[i].value || 'sent' : `failed: ${results[i].reason?.message}`
+    ]));
+
+    try {
+      const store = await this.getStore();
+      await store.addAlertHistory({
+        tokenId: token.id || token.contractAddress,
+        contractAddress: token.contractAddress,
+        symbol: token.symbol || token.name,
+        multiplier: token.peakMultiplier,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        channels,
+        details: alert.values,
+        triggeredAt: alert.at
+      });
+    } catch {
+      // The store logs its own failures; the alert has already gone out
+    }
+    return channels;
+  }
+}
+
+export const alertEngine = new AlertEngine();
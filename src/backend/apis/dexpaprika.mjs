@@ -6,83 +6,151 @@ const REST_BASE_URL = 'https://api.dexpaprika.com';
 const SSE_BASE_URL = 'https://streaming.dexpaprika.com';
 
 // ============ SSE CONNECTION MANAGER ============
-// Manages up to 10 real-time SSE connections for top tokens
+// Manages a pool of real-time SSE streams for the tokens the subscription
+// planner picks (see subscriptionPlanner.mjs).
+//
+// A stream carries one token (GET /stream?address=) or, when multiplexing is
+// on, up to addressesPerStream tokens (POST /stream with a JSON list of assets);
+// multiplexed events are routed by their `a` field. Streams are keyed by their
+// comma-joined address list, so a single-token stream is keyed by its address.
+//
+// Connection health (per stream):
+//   connecting   request sent, no response yet
+//   live         200 received, data flowing
+//   stale        no bytes for staleAfterMs - torn down and reconnected
+//   reconnecting dropped (error / end / stale), waiting out the backoff
+//   fallback     maxFailures reached - priced by REST polling until retryFallbackMs passes
+
+const HEALTH_CHECK_MS = 10000;
+const STALE_AFTER_MS = 60000; // Quiet tokens still get periodic events well inside this
+const MAX_FAILURES = 5; // Consecutive failures before falling back to REST
+const REST_FALLBACK_MS = 5000;
+const RETRY_FALLBACK_MS = 5 * 60 * 1000; // Give SSE another chance after this long on REST
+
+// Responses to a multi-asset POST that mean the endpoint doesn't take one
+const MULTIPLEX_REJECTED = new Set([400, 404, 405, 415]);
 
 class SSEManager {
-    constructor(maxConnections = 10) {
-        this.maxConnections = maxConnections;
-        this.connections = new Map(); // address -> { request, lastPrice, lastUpdate, priceTimestamp }
+    constructor({ maxStreams = 10, addressesPerStream = 1 } = {}) {
+        this.maxConnections = maxStreams; // HTTP streams, not tokens
+        this.addressesPerStream = Math.max(1, addressesPerStream);
+        this.streams = new Map(); // key -> { key, addresses, request, state, lastActivity, connectedAt }
+        this.streamFor = new Map(); // address -> stream key
+        this.prices = new Map(); // address -> { lastPrice, lastUpdate, priceTimestamp }
         this.priceCallbacks = new Map(); // address -> Set of callbacks
         this.globalCallback = null; // Called on any price update
-        this.connectionQueue = []; // Queue for staggered connections
+        this.connectionQueue = []; // Address groups waiting for a staggered connect
         this.isProcessingQueue = false;
-        this.failedConnections = new Map(); // address -> { failures, lastAttempt, backoffUntil }
+        this.failedConnections = new Map(); // stream key -> { failures, lastAttempt, backoffUntil, lastError }
         this.connectionDelay = 500; // Delay between connections in ms
+
+        this.wanted = new Set(); // Currently planned tokens - only these are reconnected
+        this.wantedOrder = []; // Same, highest priority first
+        this.reconnectTimers = new Map(); // stream key -> timeout
+        this.fallbackSince = new Map(); // stream key -> when REST polling took over
+        this.healthTimer = null;
+        this.fallbackTimer = null;
+        this.reconnects = 0;
+    }
+
+    // Most tokens that can be streamed at once
+    getCapacity() {
+        return this.maxConnections * this.addressesPerStream;
+    }
+
+    _label(key) {
+        const conn = this.streams.get(key);
+        const addresses = conn?.addresses || key.split(',');
+        return addresses.length > 1
+            ? `${addresses.length}-token stream (${addresses[0].slice(0, 8)}...)`
+            : `${addresses[0].slice(0, 8)}...`;
     }
 
-    // Check if address is in backoff period (rate limited)
-    _isInBackoff(address) {
-        const failed = this.failedConnections.get(address);
+    // Check if a stream is in backoff period (rate limited)
+    _isInBackoff(key) {
+        const failed = this.failedConnections.get(key);
         if (!failed) return false;
         return Date.now() < failed.backoffUntil;
     }
 
     // Handle connection failure with exponential backoff
-    _handleConnectionFailure(address, statusCode) {
-        const failed = this.failedConnections.get(address) || { failures: 0 };
+    _handleConnectionFailure(key, statusCode, reason = null) {
+        const failed = this.failedConnections.get(key) || { failures: 0 };
         failed.failures = failed.failures + 1;
         failed.lastAttempt = Date.now();
+        failed.lastError = reason || (statusCode ? `HTTP ${statusCode}` : 'connection error');
 
         // Exponential backoff: 2^failures * 1000ms, max 60 seconds
         const backoffMs = Math.min(Math.pow(2, failed.failures) * 1000, 60000);
         failed.backoffUntil = Date.now() + backoffMs;
 
-        this.failedConnections.set(address, failed);
+        this.failedConnections.set(key, failed);
 
         if (statusCode === 429) {
-            logger.warn(`SSE: Rate limited for ${address.slice(0, 8)}... - backing off ${Math.round(backoffMs/1000)}s`);
+            logger.warn(`SSE: Rate limited for ${this._label(key)} - backing off ${Math.round(backoffMs/1000)}s`);
         }
     }
 
     // Reset failure state on successful connection
-    _handleConnectionSuccess(address) {
-        this.failedConnections.delete(address);
+    _handleConnectionSuccess(key) {
+        this.failedConnections.delete(key);
     }
 
-    // Subscribe to real-time price updates for a token
-    connect(address) {
-        if (this.connections.has(address)) {
+    // Open a stream for one address or a group of addresses
+    connect(addresses) {
+        addresses = [].concat(addresses);
+        const key = addresses.join(',');
+
+        if (this.streams.has(key) && !this._isDown(key)) {
             return true; // Already connected
         }
 
         // Check if in backoff period
-        if (this._isInBackoff(address)) {
-            const failed = this.failedConnections.get(address);
+        if (this._isInBackoff(key)) {
+            const failed = this.failedConnections.get(key);
             const waitTime = Math.round((failed.backoffUntil - Date.now()) / 1000);
-            logger.debug(`SSE: Skipping ${address.slice(0, 8)}... (in backoff, ${waitTime}s remaining)`);
+            logger.debug(`SSE: Skipping ${this._label(key)} (in backoff, ${waitTime}s remaining)`);
             return false;
         }
 
-        if (this.connections.size >= this.maxConnections) {
-            logger.warn(`SSE: Max connections (${this.maxConnections}) reached, cannot connect ${address.slice(0, 8)}...`);
+        if (!this.streams.has(key) && this.streams.size >= this.maxConnections) {
+            logger.warn(`SSE: Max connections (${this.maxConnections}) reached, cannot connect ${this._label(key)}`);
             return false;
         }
 
-        const url = `${SSE_BASE_URL}/stream?method=t_p&chain=solana&address=${address}`;
+        const multiplexed = addresses.length > 1;
+        const members = new Set(addresses);
         let buffer = '';
 
-        const request = https.get(url, (res) => {
+        const conn = {
+            key,
+            addresses,
+            request: null,
+            state: 'connecting',
+            lastActivity: Date.now(),
+            connectedAt: null
+        };
+
+        const onResponse = (res) => {
             if (res.statusCode !== 200) {
-                this._handleConnectionFailure(address, res.statusCode);
-                logger.error(`SSE: Failed to connect to ${address.slice(0, 8)}... (status ${res.statusCode})`);
-                this.connections.delete(address);
+                res.resume();
+                if (multiplexed && MULTIPLEX_REJECTED.has(res.statusCode)) {
+                    this._disableMultiplexing(res.statusCode);
+                    return;
+                }
+                this._handleDrop(key, conn, res.statusCode);
                 return;
             }
 
-            this._handleConnectionSuccess(address);
-            logger.debug(`SSE: Connected to ${address.slice(0, 8)}...`);
+            this._handleConnectionSuccess(key);
+            this.fallbackSince.delete(key);
+            conn.state = 'live';
+            conn.connectedAt = Date.now();
+            conn.lastActivity = Date.now();
+            logger.debug(`SSE: Connected to ${this._label(key)}`);
 
             res.on('data', (chunk) => {
+                conn.lastActivity = Date.now();
                 buffer += chunk.toString();
                 const lines = buffer.split('\n');
                 buffer = lines.pop();
@@ -94,21 +162,9 @@ class SSEManager {
                             try {
                                 const data = JSON.parse(jsonStr);
                                 // SSE format: a=address, c=chain, p=price, t=timestamp, t_p=price_timestamp
-                                const price = parseFloat(data.p);
-                                const priceTimestamp = data.t_p;
-
-                                const conn = this.connections.get(address);
-                                if (conn) {
-                                    const oldPrice = conn.lastPrice;
-                                    conn.lastPrice = price;
-                                    conn.lastUpdate = Date.now();
-                                    conn.priceTimestamp = priceTimestamp;
-
-                                    // Notify callbacks if price changed
-                                    if (oldPrice !== price) {
-                                        this._notifyCallbacks(address, price, priceTimestamp);
-                                    }
-                                }
+                                const address = multiplexed ? data.a : addresses[0];
+                                if (!members.has(address)) continue;
+                                this._recordPrice(address, parseFloat(data.p), data.t_p);
                             } catch (e) {
                                 // Skip non-JSON lines
                             }
@@ -118,37 +174,179 @@ class SSEManager {
             });
 
             res.on('error', (err) => {
-                logger.debug(`SSE: Stream error for ${address.slice(0, 8)}...: ${err.message}`);
+                this._handleDrop(key, conn, 0, `stream error: ${err.message}`);
             });
-        });
+
+            // Server or network closed the stream - previously left a dead entry behind
+            res.on('close', () => {
+                this._handleDrop(key, conn, 0, 'stream closed');
+            });
+        };
+
+        let request;
+        if (multiplexed) {
+            request = https.request(`${SSE_BASE_URL}/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' }
+            }, onResponse);
+            request.end(JSON.stringify(addresses.map(address => ({ chain: 'solana', address, method: 't_p' }))));
+        } else {
+            request = https.get(`${SSE_BASE_URL}/stream?method=t_p&chain=solana&address=${key}`, onResponse);
+        }
 
         request.on('error', (err) => {
-            this._handleConnectionFailure(address, 0);
-            logger.debug(`SSE: Connection error for ${address.slice(0, 8)}...: ${err.message}`);
-            this.connections.delete(address);
+            this._handleDrop(key, conn, 0, err.message);
         });
 
-        this.connections.set(address, {
-            request,
-            lastPrice: null,
-            lastUpdate: null,
-            priceTimestamp: null
-        });
+        conn.request = request;
+        this.streams.set(key, conn);
+        for (const address of addresses) this.streamFor.set(address, key);
+        this._startTimers();
 
         return true;
     }
 
-    // Disconnect from a token's SSE stream
-    disconnect(address) {
-        const conn = this.connections.get(address);
-        if (conn) {
-            conn.request.destroy();
-            this.connections.delete(address);
-            this.priceCallbacks.delete(address);
-            logger.info(`SSE: Disconnected from ${address.slice(0, 8)}...`);
-            return true;
+    // Store a streamed price and notify callbacks if it changed
+    _recordPrice(address, price, priceTimestamp) {
+        const entry = this.prices.get(address) || { lastPrice: null, lastUpdate: null, priceTimestamp: null };
+        const oldPrice = entry.lastPrice;
+        entry.lastPrice = price;
+        entry.lastUpdate = Date.now();
+        entry.priceTimestamp = priceTimestamp;
+        this.prices.set(address, entry);
+
+        if (oldPrice !== price) {
+            this._notifyCallbacks(address, price, priceTimestamp);
+        }
+    }
+
+    // The provider turned down a multi-asset request: go back to one token per
+    // stream. Capacity shrinks, and the planner picks that up on its next pass.
+    _disableMultiplexing(statusCode) {
+        if (this.addressesPerStream === 1) return;
+        logger.warn(`SSE: Multi-address streams rejected (HTTP ${statusCode}) - falling back to one token per stream`);
+        this.addressesPerStream = 1;
+        this.updateSubscriptions(this.wantedOrder);
+    }
+
+    _isDown(key) {
+        const state = this.streams.get(key)?.state;
+        return state === 'reconnecting' || state === 'fallback' || state === 'stale';
+    }
+
+    // A stream died. Reconnect with backoff while its tokens are still planned,
+    // or hand them to REST polling after too many consecutive failures.
+    _handleDrop(key, conn, statusCode, reason = null) {
+        // Ignore late events from a request we already replaced or closed
+        if (this.streams.get(key) !== conn || conn.closing) return;
+        conn.closing = true;
+        conn.request?.destroy();
+
+        if (!conn.addresses.some(address => this.wanted.has(address))) {
+            this.disconnect(key);
+            return;
+        }
+
+        this._handleConnectionFailure(key, statusCode, reason);
+        const failed = this.failedConnections.get(key);
+
+        if (failed.failures >= MAX_FAILURES) {
+            clearTimeout(this.reconnectTimers.get(key));
+            this.reconnectTimers.delete(key);
+            conn.state = 'fallback';
+            this.fallbackSince.set(key, Date.now());
+            logger.warn(`SSE: ${this._label(key)} failed ${failed.failures}x (${failed.lastError}) - falling back to REST polling`);
+            return;
+        }
+
+        conn.state = 'reconnecting';
+        const delay = Math.max(0, failed.backoffUntil - Date.now());
+        logger.warn(`SSE: Lost ${this._label(key)} (${failed.lastError}) - reconnecting in ${Math.round(delay / 1000)}s`);
+        this._scheduleReconnect(key, delay);
+    }
+
+    _scheduleReconnect(key, delay) {
+        clearTimeout(this.reconnectTimers.get(key));
+        this.reconnectTimers.set(key, setTimeout(() => {
+            this.reconnectTimers.delete(key);
+            const conn = this.streams.get(key);
+            if (!conn) return;
+            this.reconnects++;
+            this.connect(conn.addresses);
+        }, delay));
+    }
+
+    // Tear down streams that have gone quiet, and give fallback streams another SSE attempt
+    _checkHealth() {
+        const now = Date.now();
+
+        for (const [key, conn] of this.streams) {
+            if (conn.state === 'live' && now - conn.lastActivity > STALE_AFTER_MS) {
+                conn.state = 'stale';
+                this._handleDrop(key, conn, 0, `no data for ${Math.round((now - conn.lastActivity) / 1000)}s`);
+            } else if (conn.state === 'fallback' && now - this.fallbackSince.get(key) > RETRY_FALLBACK_MS) {
+                logger.info(`SSE: Retrying stream for ${this._label(key)} after REST fallback`);
+                this.failedConnections.delete(key);
+                this.connect(conn.addresses);
+            }
+        }
+    }
+
+    _fallbackAddresses() {
+        return Array.from(this.streams.values())
+            .filter(conn => conn.state === 'fallback')
+            .flatMap(conn => conn.addresses);
+    }
+
+    // Price fallback tokens over REST and feed them through the same callbacks
+    async _pollFallbackTokens() {
+        const addresses = this._fallbackAddresses();
+        if (addresses.length === 0) return;
+
+        const prices = await getBatchPrices(addresses, Math.min(addresses.length, 10));
+        for (const address of addresses) {
+            const conn = this.streams.get(this.streamFor.get(address));
+            const price = prices[address]?.priceUsd;
+            if (!conn || conn.state !== 'fallback' || !price) continue;
+            this._recordPrice(address, price, Date.now());
         }
-        return false;
+    }
+
+    _startTimers() {
+        if (this.healthTimer) return;
+        this.healthTimer = setInterval(() => this._checkHealth(), HEALTH_CHECK_MS);
+        this.fallbackTimer = setInterval(() => {
+            this._pollFallbackTokens().catch(err => {
+                logger.error(`SSE REST fallback error: ${err.message}`);
+            });
+        }, REST_FALLBACK_MS);
+    }
+
+    _stopTimers() {
+        clearInterval(this.healthTimer);
+        clearInterval(this.fallbackTimer);
+        this.healthTimer = null;
+        this.fallbackTimer = null;
+    }
+
+    // Close a stream by key (a single-token stream's key is its address)
+    disconnect(key) {
+        clearTimeout(this.reconnectTimers.get(key));
+        this.reconnectTimers.delete(key);
+        this.fallbackSince.delete(key);
+        this.failedConnections.delete(key);
+
+        const conn = this.streams.get(key);
+        if (!conn) return false;
+
+        conn.closing = true;
+        conn.request?.destroy();
+        this.streams.delete(key);
+        for (const address of conn.addresses) {
+            if (this.streamFor.get(address) === key) this.streamFor.delete(address);
+        }
+        logger.debug(`SSE: Disconnected from ${conn.addresses.length > 1 ? `${conn.addresses.length}-token stream` : `${key.slice(0, 8)}...`}`);
+        return true;
     }
 
     // Process connection queue with staggered delay
@@ -157,16 +355,17 @@ class SSEManager {
         this.isProcessingQueue = true;
 
         while (this.connectionQueue.length > 0) {
-            const address = this.connectionQueue.shift();
+            const group = this.connectionQueue.shift();
+            const key = group.join(',');
 
             // Skip if already connected or in backoff
-            if (this.connections.has(address) || this._isInBackoff(address)) {
+            if (this.streams.has(key) || this._isInBackoff(key)) {
                 continue;
             }
 
-            this.connect(address);
+            this.connect(group);
 
-            // Wait before connecting next token (stagger connections)
+            // Wait before connecting next stream (stagger connections)
             if (this.connectionQueue.length > 0) {
                 await new Promise(resolve => setTimeout(resolve, this.connectionDelay));
             }
@@ -175,28 +374,69 @@ class SSEManager {
         this.isProcessingQueue = false;
     }
 
-    // Update which tokens are in the top 10 - connects new ones, disconnects old ones
-    updateTop10(addresses) {
-        const newSet = new Set(addresses.slice(0, this.maxConnections));
-        const currentSet = new Set(this.connections.keys());
+    // Split the planned tokens into streams. Streams whose tokens are all still
+    // planned are kept as they are, so a reshuffle only reconnects what changed.
+    _layoutStreams(addresses) {
+        const size = this.addressesPerStream;
+        if (size === 1) return addresses.map(address => [address]);
+
+        const remaining = new Set(addresses);
+        const groups = [];
+        for (const conn of this.streams.values()) {
+            if (conn.addresses.length <= size && conn.addresses.every(address => remaining.has(address))) {
+                groups.push(conn.addresses);
+                for (const address of conn.addresses) remaining.delete(address);
+            }
+        }
+
+        const rest = addresses.filter(address => remaining.has(address));
+        for (let i = 0; i < rest.length; i += size) {
+            groups.push(rest.slice(i, i + size));
+        }
+        if (groups.length <= this.maxConnections) return groups;
+
+        // Too fragmented to fit - repack everything in priority order
+        const packed = [];
+        for (let i = 0; i < addresses.length; i += size) {
+            packed.push(addresses.slice(i, i + size));
+        }
+        return packed;
+    }
+
+    // Stream exactly these tokens (highest priority first, trimmed to capacity)
+    updateSubscriptions(addresses) {
+        const planned = addresses.slice(0, this.getCapacity());
+        this.wanted = new Set(planned);
+        this.wantedOrder = planned;
+
+        const groups = this._layoutStreams(planned);
+        const keys = new Set(groups.map(group => group.join(',')));
 
-        // Disconnect tokens no longer in top 10
-        for (const addr of currentSet) {
-            if (!newSet.has(addr)) {
-                this.disconnect(addr);
+        // Close streams that are no longer part of the layout
+        for (const key of Array.from(this.streams.keys())) {
+            if (!keys.has(key)) this.disconnect(key);
+        }
+        this.connectionQueue = this.connectionQueue.filter(group => keys.has(group.join(',')));
+
+        // Forget prices for tokens we stopped streaming
+        for (const address of Array.from(this.prices.keys())) {
+            if (!this.wanted.has(address)) {
+                this.prices.delete(address);
+                this.priceCallbacks.delete(address);
             }
         }
 
-        // Queue new top 10 tokens for staggered connection
+        // Queue new streams for staggered connection
         let newlyQueued = 0;
-        for (const addr of newSet) {
-            if (!currentSet.has(addr) && !this.connectionQueue.includes(addr)) {
-                this.connectionQueue.push(addr);
+        for (const group of groups) {
+            const key = group.join(',');
+            if (!this.streams.has(key) && !this.connectionQueue.some(queued => queued.join(',') === key)) {
+                this.connectionQueue.push(group);
                 newlyQueued++;
             }
         }
 
-        // Start processing queue if there are new tokens
+        // Start processing queue if there are new streams
         if (newlyQueued > 0) {
             this._processConnectionQueue().catch(err => {
                 logger.error(`SSE queue processing error: ${err.message}`);
@@ -204,20 +444,21 @@ class SSEManager {
         }
 
         return {
-            connected: this.connections.size,
-            queued: this.connectionQueue.length,
-            addresses: Array.from(this.connections.keys())
+            connected: this.streamFor.size,
+            queued: this.connectionQueue.reduce((sum, group) => sum + group.length, 0),
+            streams: this.streams.size,
+            addresses: Array.from(this.streamFor.keys())
         };
     }
 
-    // Get current price for a connected token
+    // Get current price for a streamed token
     getPrice(address) {
-        const conn = this.connections.get(address);
-        if (conn && conn.lastPrice !== null) {
+        const entry = this.prices.get(address);
+        if (entry && entry.lastPrice !== null) {
             return {
-                price: conn.lastPrice,
-                timestamp: conn.priceTimestamp,
-                age: Date.now() - conn.lastUpdate
+                price: entry.lastPrice,
+                timestamp: entry.priceTimestamp,
+                age: Date.now() - entry.lastUpdate
             };
         }
         return null;
@@ -226,14 +467,8 @@ class SSEManager {
     // Get all current prices
     getAllPrices() {
         const prices = {};
-        for (const [addr, conn] of this.connections) {
-            if (conn.lastPrice !== null) {
-                prices[addr] = {
-                    price: conn.lastPrice,
-                    timestamp: conn.priceTimestamp,
-                    age: Date.now() - conn.lastUpdate
-                };
-            }
+        for (const address of this.prices.keys()) {
+            prices[address] = this.getPrice(address);
         }
         return prices;
     }
@@ -268,29 +503,63 @@ class SSEManager {
 
     // Get connection stats
     getStats() {
+        const now = Date.now();
+        const byState = {};
+        for (const conn of this.streams.values()) {
+            byState[conn.state] = (byState[conn.state] || 0) + 1;
+        }
+
+        const tokens = this.wantedOrder.map(address => {
+            const key = this.streamFor.get(address);
+            const conn = key ? this.streams.get(key) : null;
+            const entry = this.prices.get(address);
+            const failed = key ? this.failedConnections.get(key) : null;
+            return {
+                address,
+                state: conn?.state || 'queued',
+                streamSize: conn?.addresses.length || 0,
+                hasPrice: entry?.lastPrice != null,
+                age: entry?.lastUpdate ? now - entry.lastUpdate : null,
+                lastActivityAge: conn ? now - conn.lastActivity : null,
+                failures: failed?.failures || 0,
+                lastError: failed?.lastError || null
+            };
+        });
+
         return {
-            activeConnections: this.connections.size,
+            activeConnections: byState.live || 0,
             maxConnections: this.maxConnections,
-            tokens: Array.from(this.connections.keys()).map(addr => ({
-                address: addr,
-                hasPrice: this.connections.get(addr).lastPrice !== null,
-                age: this.connections.get(addr).lastUpdate
-                    ? Date.now() - this.connections.get(addr).lastUpdate
-                    : null
-            }))
+            addressesPerStream: this.addressesPerStream,
+            capacity: this.getCapacity(),
+            liveTokens: tokens.filter(t => t.state === 'live').length,
+            byState,
+            reconnects: this.reconnects,
+            restFallback: this._fallbackAddresses(),
+            tokens
         };
     }
 
     // Disconnect all
     disconnectAll() {
-        for (const addr of this.connections.keys()) {
-            this.disconnect(addr);
+        this.wanted = new Set();
+        this.wantedOrder = [];
+        this.connectionQueue = [];
+        for (const key of Array.from(this.streams.keys())) {
+            this.disconnect(key);
         }
+        this.prices.clear();
+        this._stopTimers();
     }
 }
 
 // Singleton SSE manager instance
-export const sseManager = new SSEManager(10);
+// DEXPAPRIKA_SSE_STREAMS caps open connections; DEXPAPRIKA_SSE_BATCH sets how many
+// tokens share one multiplexed stream (1 = one stream per token). Small batches
+// keep a rotation or rank change from reconnecting more than a stream or two.
+export const sseManager = new SSEManager({
+    maxStreams: parseInt(process.env.DEXPAPRIKA_SSE_STREAMS, 10) || 10,
+    addressesPerStream: parseInt(process.env.DEXPAPRIKA_SSE_BATCH, 10) || 5
+});
 
 // ============ REST API FUNCTIONS ============
 
@@ -376,6 +645,7 @@ export async function getBatchPrices(addresses, concurrency = 10) {
                         marketCap: summary.fdv || 0,
                         volume24h: summary['24h']?.volume_usd || 0,
                         liquidity: summary.liquidity_usd || 0,
+                        pools: summary.pools || 0,
                         totalSupply: response.data.total_supply || 0,
                         transactionMetrics: extractTransactionMetrics(summary)
                     }
@@ -401,9 +671,14 @@ export function calculateMarketCap(price, totalSupply = 1_000_000_000) {
 
 // ============ CONVENIENCE FUNCTIONS ============
 
-// Subscribe top 10 tokens to SSE and return current prices
-export function subscribeTop10(addresses) {
-    return sseManager.updateTop10(addresses);
+// Stream the planned tokens (highest priority first)
+export function subscribeTokens(addresses) {
+    return sseManager.updateSubscriptions(addresses);
+}
+
+// Most tokens the SSE pool can stream at once
+export function getStreamCapacity() {
+    return sseManager.getCapacity();
 }
 
 // Get real-time price from SSE (falls back to null if not connected)
@@ -431,7 +706,8 @@ export default {
     getTokenData,
     getBatchPrices,
     calculateMarketCap,
-    subscribeTop10,
+    subscribeTokens,
+    getStreamCapacity,
     getRealtimePrice,
     onPriceUpdate,
     getSSEStats,
@@ -0,0 +1,373 @@
+import logger from '../logger.mjs';
+import * as dexpaprika from './dexpaprika.mjs';
+import { clock } from '../clock.mjs';
+import { curveProgress, migratedVenue } from '../bondingCurve.mjs';
+import { capturedCall, captureFrame, onReplayFrames, isReplaying } from '../replay/capture.mjs';
+
+const WS_URL = 'wss://pumpportal.fun/api/data';
+const WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+
+const PUMP_TOTAL_SUPPLY = 1_000_000_000;
+const METRIC_TIMEFRAMES = { '5m': 5 * 60000, '15m': 15 * 60000, '30m': 30 * 60000, '1h': 60 * 60000 };
+const TRADE_WINDOW_MS = 60 * 60000; // Longest timeframe we report
+const MAX_TRADES_PER_MINT = 5000;
+const SOL_PRICE_TTL_MS = 60000;
+const MAX_MIGRATIONS = 2000; // Recent graduations kept for any mint, watched or not
+
+// ============ WEBSOCKET CLIENT ============
+// One socket carries both the new-token feed and per-mint trade subscriptions.
+// Every launch is watched from its first trade; only mints that cross
+// minMarketCapUsd within watchWindowMs are handed to discovery, so we track
+// the 10-100k coins we care about rather than every launch.
+
+class PumpPortalClient {
+  constructor({ minMarketCapUsd = 10000, watchWindowMs = 10 * 60000, maxWatched = 500 } = {}) {
+    this.minMarketCapUsd = minMarketCapUsd;
+    this.watchWindowMs = watchWindowMs;
+    this.maxWatched = maxWatched;
+
+    this.ws = null;
+    this.connected = false;
+    this.shouldReconnect = false;
+    this.reconnectDelay = 1000;
+    this.reconnectTimer = null;
+
+    this.watched = new Map(); // mint -> { name, symbol, createdAt, lastQueried, marketCapSol, vSol, vTokens, trades: [{ t, isBuy, sol, marketCapSol }] }
+    this.migrations = new Map(); // mint -> { venue, at }
+    this.pendingDiscoveries = new Map(); // mint -> candidate, drained by takeNewTokens()
+    this.promoted = new Set(); // mints already handed to discovery
+
+    this.solPriceUsd = null;
+    this.solPriceAt = 0;
+    this.solPriceRequest = null;
+
+    this.stats = { messages: 0, launches: 0, trades: 0, reconnects: 0, lastMessageAt: null };
+  }
+
+  // Open the socket (no-op if already open). Reconnects with backoff until shutdown().
+  // A replay feeds recorded frames to handleMessage() instead
+  connect() {
+    if (this.ws || typeof WebSocket === 'undefined' || isReplaying()) return;
+    this.shouldReconnect = true;
+
+    const ws = new WebSocket(WS_URL);
+    this.ws = ws;
+
+    ws.addEventListener('open', () => {
+      this.connected = true;
+      this.reconnectDelay = 1000;
+      logger.info('PumpPortal: Connected');
+
+      this.send({ method: 'subscribeNewToken' });
+      this.send({ method: 'subscribeMigration' });
+      const keys = Array.from(this.watched.keys());
+      if (keys.length > 0) this.send({ method: 'subscribeTokenTrade', keys });
+    });
+
+    ws.addEventListener('message', (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        captureFrame('pumpportal', message);
+        this.handleMessage(message);
+      } catch (e) {
+        // Skip non-JSON frames
+      }
+    });
+
+    ws.addEventListener('error', (event) => {
+      logger.debug(`PumpPortal: Socket error: ${event.message || 'unknown'}`);
+    });
+
+    ws.addEventListener('close', () => {
+      this.connected = false;
+      this.ws = null;
+      if (!this.shouldReconnect) return;
+
+      logger.warn(`PumpPortal: Disconnected, reconnecting in ${Math.round(this.reconnectDelay / 1000)}s`);
+      this.stats.reconnects++;
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect();
+      }, this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, 60000);
+    });
+  }
+
+  send(payload) {
+    if (this.ws && this.connected) this.ws.send(JSON.stringify(payload));
+  }
+
+  handleMessage(message) {
+    this.stats.messages++;
+    this.stats.lastMessageAt = clock.now();
+    if (!message?.mint) return; // Subscription acks
+
+    if (message.txType === 'create') {
+      this.handleLaunch(message);
+    } else if (message.txType === 'buy' || message.txType === 'sell') {
+      this.handleTrade(message);
+    } else if (message.txType === 'migrate') {
+      this.recordMigration(message.mint, migratedVenue(message.pool) || 'pumpswap');
+    }
+  }
+
+  recordMigration(mint, venue) {
+    if (this.migrations.has(mint)) return;
+    this.migrations.set(mint, { venue, at: clock.now() });
+    if (this.migrations.size > MAX_MIGRATIONS) {
+      this.migrations.delete(this.migrations.keys().next().value);
+    }
+  }
+
+  handleLaunch(message) {
+    const now = clock.now();
+    this.stats.launches++;
+    this.pruneWatched(now);
+
+    this.watched.set(message.mint, {
+      name: message.name,
+      symbol: message.symbol,
+      createdAt: now,
+      lastQueried: null,
+      marketCapSol: message.marketCapSol || null,
+      vSol: message.vSolInBondingCurve || null,
+      vTokens: message.vTokensInBondingCurve || null,
+      creator: message.traderPublicKey || null,
+      bondingCurveKey: message.bondingCurveKey || null,
+      trades: []
+    });
+    this.send({ method: 'subscribeTokenTrade', keys: [message.mint] });
+
+    // The creator's initial buy counts as the first trade
+    if (message.solAmount > 0) {
+      this.recordTrade(message.mint, { t: now, isBuy: true, sol: message.solAmount, marketCapSol: message.marketCapSol });
+    }
+  }
+
+  handleTrade(message) {
+    const entry = this.watched.get(message.mint);
+    if (!entry) return;
+    this.stats.trades++;
+
+    // Trades routed to an AMM pool mean we missed the migrate event
+    const venue = migratedVenue(message.pool);
+    if (venue) {
+      this.recordMigration(message.mint, venue);
+    } else if (message.vTokensInBondingCurve) {
+      entry.vSol = message.vSolInBondingCurve;
+      entry.vTokens = message.vTokensInBondingCurve;
+    }
+
+    this.recordTrade(message.mint, {
+      t: clock.now(),
+      isBuy: message.txType === 'buy',
+      sol: message.solAmount || 0,
+      marketCapSol: message.marketCapSol
+    });
+  }
+
+  recordTrade(mint, trade) {
+    const entry = this.watched.get(mint);
+    entry.trades.push(trade);
+    if (trade.marketCapSol) entry.marketCapSol = trade.marketCapSol;
+
+    const cutoff = trade.t - TRADE_WINDOW_MS;
+    while (entry.trades.length > 0 && (entry.trades[0].t < cutoff || entry.trades.length > MAX_TRADES_PER_MINT)) {
+      entry.trades.shift();
+    }
+
+    // Promote to discovery the first time it crosses the MC floor
+    if (!this.promoted.has(mint) && this.solPriceUsd && entry.marketCapSol * this.solPriceUsd >= this.minMarketCapUsd) {
+      this.promoted.add(mint);
+      this.pendingDiscoveries.set(mint, {
+        contractAddress: mint,
+        name: entry.name,
+        symbol: entry.symbol,
+        logoUrl: null,
+        creator: entry.creator,
+        bondingCurveKey: entry.bondingCurveKey
+      });
+    }
+  }
+
+  // Stop watching launches that never took off, and promoted mints nobody asks about anymore
+  pruneWatched(now) {
+    const unsubscribe = [];
+
+    for (const [mint, entry] of this.watched) {
+      const stale = this.promoted.has(mint)
+        ? now - (entry.lastQueried || entry.createdAt) > this.watchWindowMs
+        : now - entry.createdAt > this.watchWindowMs;
+      if (stale) unsubscribe.push(mint);
+    }
+
+    // Over the cap: drop the oldest unpromoted launches first
+    if (this.watched.size - unsubscribe.length >= this.maxWatched) {
+      const candidates = Array.from(this.watched.keys())
+        .filter(mint => !this.promoted.has(mint) && !unsubscribe.includes(mint));
+      unsubscribe.push(...candidates.slice(0, this.watched.size - unsubscribe.length - this.maxWatched + 1));
+    }
+
+    if (unsubscribe.length === 0) return;
+    for (const mint of unsubscribe) {
+      this.watched.delete(mint);
+      this.promoted.delete(mint);
+      this.pendingDiscoveries.delete(mint);
+    }
+    this.send({ method: 'unsubscribeTokenTrade', keys: unsubscribe });
+  }
+
+  // SOL/USD for converting PumpPortal's SOL-denominated values (cached, refreshed in the background)
+  refreshSolPrice() {
+    if (this.solPriceRequest || clock.now() - this.solPriceAt < SOL_PRICE_TTL_MS) return this.solPriceRequest;
+
+    this.solPriceAt = clock.now(); // Failed lookups also wait out the TTL
+    this.solPriceRequest = capturedCall('dexpaprika', 'getTokenData', [WSOL_ADDRESS], dexpaprika.getTokenData)
+      .then(data => {
+        if (data?.priceUsd > 0) this.solPriceUsd = data.priceUsd;
+      })
+      .catch(() => {})
+      .finally(() => {
+        this.solPriceRequest = null;
+      });
+    return this.solPriceRequest;
+  }
+
+  takeNewTokens() {
+    const tokens = Array.from(this.pendingDiscoveries.values());
+    this.pendingDiscoveries.clear();
+    return tokens;
+  }
+
+  // Buy/sell counts and USD flow per timeframe, in DexPaprika's transactionMetrics shape
+  getTransactionMetrics(mint) {
+    const entry = this.watched.get(mint);
+    if (!entry || !this.solPriceUsd) return null;
+
+    const now = clock.now();
+    entry.lastQueried = now;
+
+    const metrics = {};
+    for (const [tf, windowMs] of Object.entries(METRIC_TIMEFRAMES)) {
+      const cutoff = now - windowMs;
+      const m = { buys: 0, sells: 0, txns: 0, buy_usd: 0, sell_usd: 0, price_change: 0 };
+      let firstMc = null;
+
+      for (const trade of entry.trades) {
+        if (trade.t < cutoff) continue;
+        const usd = trade.sol * this.solPriceUsd;
+        if (trade.isBuy) {
+          m.buys++;
+          m.buy_usd += usd;
+        } else {
+          m.sells++;
+          m.sell_usd += usd;
+        }
+        if (firstMc === null && trade.marketCapSol) firstMc = trade.marketCapSol;
+      }
+
+      m.txns = m.buys + m.sells;
+      if (firstMc && entry.marketCapSol) {
+        m.price_change = ((entry.marketCapSol - firstMc) / firstMc) * 100;
+      }
+      metrics[tf] = m;
+    }
+
+    return metrics;
+  }
+
+  // Quote from the bonding curve; volume only covers what we have watched
+  getQuote(mint) {
+    const entry = this.watched.get(mint);
+    if (!entry || !entry.marketCapSol || !this.solPriceUsd) return null;
+
+    const marketCap = entry.marketCapSol * this.solPriceUsd;
+    const volume24h = entry.trades.reduce((sum, trade) => sum + trade.sol, 0) * this.solPriceUsd;
+    // The curve prices like a constant-product pool over its virtual reserves,
+    // so count both sides the way an AMM pair's liquidity is quoted
+    const liquidity = entry.vSol ? entry.vSol * 2 * this.solPriceUsd : 0;
+
+    return {
+      priceUsd: marketCap / PUMP_TOTAL_SUPPLY,
+      marketCap,
+      volume24h,
+      liquidity,
+      totalSupply: PUMP_TOTAL_SUPPLY,
+      name: entry.name,
+      symbol: entry.symbol,
+      transactionMetrics: this.getTransactionMetrics(mint)
+    };
+  }
+
+  // Curve reserves for watched mints, plus graduation for any mint seen migrating
+  getBondingCurve(mint) {
+    const entry = this.watched.get(mint);
+    const migration = this.migrations.get(mint);
+    if (!entry && !migration) return null;
+
+    return {
+      progress: migration ? 100 : curveProgress(entry.vTokens),
+      virtualSolReserves: entry?.vSol ?? null,
+      virtualTokenReserves: entry?.vTokens ?? null,
+      migrated: !!migration,
+      migratedTo: migration?.venue || null,
+      migratedAt: migration?.at || null
+    };
+  }
+
+  getStats() {
+    return {
+      connected: this.connected,
+      watched: this.watched.size,
+      promoted: this.promoted.size,
+      migrations: this.migrations.size,
+      solPriceUsd: this.solPriceUsd,
+      ...this.stats
+    };
+  }
+
+  shutdown() {
+    this.shouldReconnect = false;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.ws) this.ws.close();
+    this.ws = null;
+    this.connected = false;
+  }
+}
+
+// Singleton client instance
+export const pumpPortal = new PumpPortalClient({
+  minMarketCapUsd: parseFloat(process.env.PUMPPORTAL_MIN_MC) || 10000
+});
+
+onReplayFrames('pumpportal', (frame) => pumpPortal.handleMessage(frame));
+
+// ============ CONVENIENCE FUNCTIONS ============
+
+// Connect on first use and return mints that crossed the MC floor since the last call
+export function takeNewTokens() {
+  pumpPortal.connect();
+  pumpPortal.refreshSolPrice();
+  return pumpPortal.takeNewTokens();
+}
+
+export function getQuote(mint) {
+  return pumpPortal.getQuote(mint);
+}
+
+export function getTransactionMetrics(mint) {
+  return pumpPortal.getTransactionMetrics(mint);
+}
+
+export function getBondingCurve(mint) {
+  return pumpPortal.getBondingCurve(mint);
+}
+
+export function getStats() {
+  return pumpPortal.getStats();
+}
+
+export function shutdown() {
+  pumpPortal.shutdown();
+}
@@ -0,0 +1,89 @@
+import axios from 'axios';
+
+// Any Solana JSON-RPC endpoint works (public, Helius, a local validator or mock).
+// Read per call so tests can point it at a local server.
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+let requestId = 0;
+
+export function getRpcUrl() {
+  return process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL;
+}
+
+// Raw JSON-RPC call - throws on transport errors and RPC error objects
+export async function rpcCall(method, params = []) {
+  const response = await axios.post(getRpcUrl(), {
+    jsonrpc: '2.0',
+    id: ++requestId,
+    method,
+    params
+  }, {
+    timeout: 10000,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (response.data?.error) {
+    throw new Error(`RPC ${method} failed: ${response.data.error.message}`);
+  }
+  return response.data?.result;
+}
+
+// jsonParsed account data (mint, token account, ...) or null if the account doesn't exist
+export async function getParsedAccount(address) {
+  const result = await rpcCall('getAccountInfo', [address, { encoding: 'jsonParsed' }]);
+  return result?.value?.data?.parsed || null;
+}
+
+// Same for several accounts in one request; missing accounts come back as null
+export async function getParsedAccounts(addresses) {
+  if (addresses.length === 0) return [];
+  const result = await rpcCall('getMultipleAccounts', [addresses, { encoding: 'jsonParsed' }]);
+  return (result?.value || []).map(account => account?.data?.parsed || null);
+}
+
+// Raw account bytes, for program accounts RPC can't parse (AMM pools)
+export async function getAccountData(address) {
+  const result = await rpcCall('getAccountInfo', [address, { encoding: 'base64' }]);
+  const data = result?.value?.data;
+  return Array.isArray(data) ? Buffer.from(data[0], 'base64') : null;
+}
+
+// { amount, decimals, uiAmount }
+export async function getTokenSupply(mint) {
+  const result = await rpcCall('getTokenSupply', [mint]);
+  return result?.value || null;
+}
+
+// Up to 20 largest token accounts: [{ address, amount, decimals, uiAmount }]
+export async function getTokenLargestAccounts(mint) {
+  const result = await rpcCall('getTokenLargestAccounts', [mint]);
+  return result?.value || [];
+}
+
+// Total balance of `mint` across every token account `owner` holds
+export async function getTokenBalanceByOwner(owner, mint) {
+  const result = await rpcCall('getTokenAccountsByOwner', [owner, { mint }, { encoding: 'jsonParsed' }]);
+  return (result?.value || []).reduce((sum, account) => {
+    return sum + (account.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0);
+  }, 0);
+}
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Base58 public key at `offset` in raw account data
+export function readPublicKey(data, offset) {
+  const bytes = data.subarray(offset, offset + 32);
+  if (bytes.length < 32) return null;
+
+  let value = BigInt('0x' + bytes.toString('hex'));
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
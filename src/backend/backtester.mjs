@@ -0,0 +1,326 @@
+/**
+ * MVP Backtester - replays recorded scoring snapshots through MVP calculators
+ *
+ * Input is what the app already writes to disk:
+ * - src/data/scoring-logs/*.json: top10 snapshots every 1-3s (see README.txt)
+ * - runners/runners.json: tokens that hit 2x from spotted MC, with twoxTimestamp
+ *
+ * Each snapshot's tokens are rebuilt into the shape TokenManager hands the
+ * calculators (5m transactionMetrics are reconstructed from the logged raw
+ * component values), the shared clock is pinned to the snapshot time, and
+ * getMVP() is asked for a pick exactly as the /top route would.
+ *
+ * Metrics per calculator:
+ * - precision: distinct picked tokens that reached the target after they were picked
+ * - recall: tokens that reached the target which were picked before they did
+ * - forward return: MC change from the pick to the last observation within the horizon
+ * - time-to-peak: time from the pick to the highest MC observed within the horizon
+ *
+ * Forward MC only exists while a token sits in the logged top 10, so returns
+ * are measured on what the app could see, not the full chart.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { clock } from './clock.mjs';
+import { MVPCalculator } from './mvpCalculator.mjs';
+import { MVPCalculatorImproved } from './mvpCalculator_improved.mjs';
+import { MVPCalculatorV3 } from './mvpCalculator_v3.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCORING_LOGS_DIR = path.join(__dirname, '../data/scoring-logs');
+export const RUNNERS_FILE = path.join(__dirname, '../../runners/runners.json');
+
+export const CALCULATORS = {
+  v1: MVPCalculator,
+  improved: MVPCalculatorImproved,
+  v3: MVPCalculatorV3
+};
+
+export const DEFAULT_OPTIONS = {
+  viewMode: null, // null = every snapshot, scored with the view mode it was logged in
+  horizonMs: 30 * 60 * 1000,
+  target: 2
+};
+
+/**
+ * Parse a logged multiplier ("4.80x" or 4.8) into a number
+ */
+export function parseMultiplier(value) {
+  if (typeof value === 'number') return value;
+  const parsed = parseFloat(String(value ?? '').replace(/x$/i, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Rebuild a calculator input token from one logged top10 entry
+ */
+export function toCalculatorToken(entry, snapshotTime) {
+  const raw = (name) => entry.components?.[name]?.raw || 0;
+  const peakMultiplier = parseMultiplier(entry.multiplier) || 1;
+
+  // The log keeps buy pressure as a ratio plus the txn count; split it back
+  // into buys/sells so getTransactionMetrics() derives the same ratio
+  const txns = raw('txnsVelocity');
+  const buys = Math.round(raw('buyPressure') * txns);
+  const netBuyVolume = raw('netBuyVolume');
+
+  return {
+    contractAddress: entry.address,
+    symbol: entry.symbol,
+    name: entry.name,
+    currentMc: entry.currentMc,
+    spottedMc: entry.spottedMc,
+    spottedAt: entry.spottedAt,
+    peakMultiplier,
+    peakMc: entry.spottedMc * peakMultiplier,
+    volume24h: entry.volume24h || 0,
+    // Older logs only have the liquidity component's ratio
+    liquidity: entry.liquidity || raw('liquidity') * (entry.currentMc || 0),
+    transactionMetrics: {
+      '5m': {
+        buys,
+        sells: txns - buys,
+        txns,
+        buy_usd: Math.max(netBuyVolume, 0),
+        sell_usd: Math.max(-netBuyVolume, 0),
+        price_change: raw('priceMomentum')
+      }
+    },
+    lastMetricsUpdate: entry.metricsFresh ? snapshotTime : null
+  };
+}
+
+/**
+ * Read the raw top10 records from a scoring-logs directory, oldest first
+ * Returns [{ time, viewMode, session, entries }] with entries exactly as logged
+ */
+export function readTop10Records(dir = SCORING_LOGS_DIR, { viewMode = null } = {}) {
+  const files = fs.readdirSync(dir)
+    .filter(name => name.startsWith('scoring-snapshot-') && name.endsWith('.json'))
+    .sort();
+
+  const records = [];
+  for (const file of files) {
+    let logged;
+    try {
+      logged = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read scoring log ${file}: ${error.message}`);
+    }
+
+    for (const record of logged) {
+      if (record.type !== 'top10') continue;
+      if (viewMode && record.viewMode !== viewMode) continue;
+
+      const time = Date.parse(record.timestamp);
+      if (!Number.isFinite(time)) continue;
+
+      records.push({
+        time,
+        viewMode: record.viewMode,
+        session: record.session || null,
+        entries: (record.data?.tokens || []).filter(entry => entry.address && entry.currentMc)
+      });
+    }
+  }
+
+  records.sort((a, b) => a.time - b.time);
+  return records;
+}
+
+/**
+ * Load top10 snapshots from a scoring-logs directory, oldest first
+ * Returns [{ time, viewMode, tokens }] with tokens already in calculator shape
+ */
+export function loadSnapshots(dir = SCORING_LOGS_DIR, { viewMode = null } = {}) {
+  return readTop10Records(dir, { viewMode }).map(({ time, viewMode, entries }) => ({
+    time,
+    viewMode,
+    tokens: entries.map(entry => toCalculatorToken(entry, time))
+  }));
+}
+
+/**
+ * Load runners.json into address -> time the token first hit 2x
+ */
+export function loadRunners(file = RUNNERS_FILE) {
+  const runners = new Map();
+  if (!fs.existsSync(file)) return runners;
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const runner of [...(data.degen || []), ...(data.holder || [])]) {
+    if (!runner.contractAddress || !runner.twoxTimestamp) continue;
+    const existing = runners.get(runner.contractAddress);
+    if (!existing || runner.twoxTimestamp < existing) {
+      runners.set(runner.contractAddress, runner.twoxTimestamp);
+    }
+  }
+  return runners;
+}
+
+/**
+ * Observed MC per token and the first time each token reached `target` x its
+ * spotted MC (from the snapshots, and from runners.json when target is 2x)
+ */
+export function buildOutcomes(snapshots, runners = new Map(), target = DEFAULT_OPTIONS.target) {
+  const timelines = new Map(); // address -> [{ t, mc }]
+  const firstSeen = new Map(); // address -> t
+  const hitAt = new Map(); // address -> t
+
+  for (const snapshot of snapshots) {
+    for (const token of snapshot.tokens) {
+      const address = token.contractAddress;
+      if (!timelines.has(address)) {
+        timelines.set(address, []);
+        firstSeen.set(address, snapshot.time);
+      }
+      timelines.get(address).push({ t: snapshot.time, mc: token.currentMc });
+
+      if (!hitAt.has(address) && token.spottedMc > 0 && token.peakMultiplier >= target) {
+        hitAt.set(address, snapshot.time);
+      }
+    }
+  }
+
+  // runners.json records the exact 2x moment, which usually falls between snapshots
+  if (target === 2) {
+    for (const [address, twoxTimestamp] of runners) {
+      if (!timelines.has(address)) continue;
+      const logged = hitAt.get(address);
+      if (logged === undefined || twoxTimestamp < logged) hitAt.set(address, twoxTimestamp);
+    }
+  }
+
+  return { timelines, firstSeen, hitAt };
+}
+
+/**
+ * Forward return and time-to-peak for a pick, from the observed MC timeline
+ */
+function measurePick(timeline, pickTime, pickMc, horizonMs) {
+  let lastMc = null;
+  let peakMc = pickMc;
+  let peakTime = pickTime;
+
+  for (const point of timeline) {
+    if (point.t <= pickTime) continue;
+    if (point.t > pickTime + horizonMs) break;
+    lastMc = point.mc;
+    if (point.mc > peakMc) {
+      peakMc = point.mc;
+      peakTime = point.t;
+    }
+  }
+
+  if (lastMc === null) return null;
+  return {
+    forwardReturn: lastMc / pickMc - 1,
+    peakReturn: peakMc / pickMc - 1,
+    timeToPeakMs: peakTime - pickTime
+  };
+}
+
+const average = (values) => values.length > 0
+  ? values.reduce((sum, v) => sum + v, 0) / values.length
+  : null;
+
+/**
+ * Replay snapshots through one calculator class
+ */
+export function runBacktest(CalculatorClass, snapshots, outcomes, options = {}) {
+  const { horizonMs } = { ...DEFAULT_OPTIONS, ...options };
+  const { timelines, firstSeen, hitAt } = outcomes;
+
+  const calculator = new CalculatorClass();
+  const currentPick = new Map(); // viewMode -> address
+  const picks = [];
+
+  try {
+    for (const snapshot of snapshots) {
+      clock.setManualTime(snapshot.time);
+
+      for (const token of snapshot.tokens) {
+        calculator.recordSnapshot(token.contractAddress, token.currentMc, token.volume24h);
+      }
+
+      const mvp = calculator.getMVP(snapshot.tokens, snapshot.viewMode);
+      if (!mvp || currentPick.get(snapshot.viewMode) === mvp.address) continue;
+      currentPick.set(snapshot.viewMode, mvp.address);
+
+      picks.push({
+        address: mvp.address,
+        symbol: mvp.token.symbol,
+        viewMode: snapshot.viewMode,
+        time: snapshot.time,
+        mc: mvp.token.currentMc,
+        score: mvp.score,
+        ...measurePick(timelines.get(mvp.address) || [], snapshot.time, mvp.token.currentMc, horizonMs)
+      });
+    }
+  } finally {
+    clock.setManualTime(null);
+  }
+
+  // Precision/recall count tokens, not pick events: re-picking the same token
+  // after a brief switch should not inflate either number
+  const firstPick = new Map();
+  for (const pick of picks) {
+    if (!firstPick.has(pick.address)) firstPick.set(pick.address, pick.time);
+  }
+
+  let truePositives = 0;
+  for (const [address, pickTime] of firstPick) {
+    const hit = hitAt.get(address);
+    if (hit !== undefined && hit > pickTime) truePositives++;
+  }
+
+  // A runner only counts toward recall if it was visible before it hit the target
+  let positives = 0;
+  let caught = 0;
+  for (const [address, hit] of hitAt) {
+    if (firstSeen.get(address) >= hit) continue;
+    positives++;
+    const pickTime = firstPick.get(address);
+    if (pickTime !== undefined && pickTime < hit) caught++;
+  }
+
+  const measured = picks.filter(p => p.forwardReturn !== undefined);
+
+  return {
+    calculator: CalculatorClass.name,
+    snapshots: snapshots.length,
+    pickEvents: picks.length,
+    pickedTokens: firstPick.size,
+    truePositives,
+    positives,
+    precision: firstPick.size > 0 ? truePositives / firstPick.size : null,
+    recall: positives > 0 ? caught / positives : null,
+    measuredPicks: measured.length,
+    avgForwardReturn: average(measured.map(p => p.forwardReturn)),
+    avgPeakReturn: average(measured.map(p => p.peakReturn)),
+    avgTimeToPeakMs: average(measured.map(p => p.timeToPeakMs)),
+    picks
+  };
+}
+
+/**
+ * Run several calculators over the same snapshots
+ * `names` are keys of CALCULATORS
+ */
+export function compareCalculators(names, snapshots, runners, options = {}) {
+  const { target } = { ...DEFAULT_OPTIONS, ...options };
+  const unknown = names.filter(name => !CALCULATORS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown calculator(s): ${unknown.join(', ')}. Use: ${Object.keys(CALCULATORS).join(', ')}`);
+  }
+
+  const outcomes = buildOutcomes(snapshots, runners, target);
+  return names.map(name => ({
+    name,
+    ...runBacktest(CALCULATORS[name], snapshots, outcomes, options)
+  }));
+}
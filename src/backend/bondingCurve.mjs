@@ -0,0 +1,47 @@
+/**
+ * pump.fun bonding curve helpers
+ *
+ * A pump.fun token trades against a constant-product curve until its real
+ * token reserves are sold out, then migrates ("graduates") to an AMM pool on
+ * PumpSwap (Raydium before March 2025). Progress is the share of the 793.1M
+ * sellable tokens already bought, derived from the virtual token reserves
+ * PumpPortal reports on every trade.
+ */
+
+export const INITIAL_VIRTUAL_TOKEN_RESERVES = 1_073_000_000;
+export const INITIAL_REAL_TOKEN_RESERVES = 793_100_000;
+
+// Virtual reserves never fall below this: the curve's fixed virtual offset
+const VIRTUAL_TOKEN_OFFSET = INITIAL_VIRTUAL_TOKEN_RESERVES - INITIAL_REAL_TOKEN_RESERVES;
+
+// DexScreener dexId / PumpPortal pool names that mean the curve has completed
+export const MIGRATED_VENUES = {
+  pumpswap: 'pumpswap',
+  'pump-amm': 'pumpswap',
+  raydium: 'raydium'
+};
+
+/**
+ * Curve progress (0-100) from virtual token reserves, or null if unknown
+ */
+export function curveProgress(virtualTokenReserves) {
+  const reserves = Number(virtualTokenReserves);
+  if (!(reserves > 0) || !Number.isFinite(reserves)) return null;
+  const realRemaining = reserves - VIRTUAL_TOKEN_OFFSET;
+  const progress = (1 - realRemaining / INITIAL_REAL_TOKEN_RESERVES) * 100;
+  return Math.min(100, Math.max(0, progress));
+}
+
+/**
+ * pump.fun mints are vanity addresses ending in "pump"
+ */
+export function isPumpFunAddress(address) {
+  return typeof address === 'string' && address.endsWith('pump');
+}
+
+/**
+ * Normalised venue name if a dexId/pool means the token has left the curve
+ */
+export function migratedVenue(dexIdOrPool) {
+  return Object.hasOwn(MIGRATED_VENUES, dexIdOrPool) ? MIGRATED_VENUES[dexIdOrPool] : null;
+}
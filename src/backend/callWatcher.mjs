@@ -0,0 +1,291 @@
+/**
+ * Call watcher - contract addresses called in Telegram channels and groups
+ *
+ * Watched chats are kept in the 'callChannels' setting. TelegramService
+ * hands every new message on its client to handleMessage(); messages from a
+ * watched chat are scanned for CAs (text and links) and each CA is fed to
+ * TokenManager as a 'telegram-call' token. A channel's first call of a CA is
+ * stored in telegramCalls with the MC at the time of the call.
+ *
+ * While a called token is tracked its MC is sampled every few seconds to
+ * follow the call's peak. The leaderboard ranks channels by hit rate: the
+ * share of their calls whose peak reached HIT_MULTIPLIER times the call MC.
+ */
+
+import { clock } from './clock.mjs';
+import logger from './logger.mjs';
+import { extractCAsFromMessage } from './contractAddresses.mjs';
+import { storeFor } from './database/lazyStore.mjs';
+
+export const HIT_MULTIPLIER = 2;
+
+const HISTORY_MS = 30 * 24 * 60 * 60 * 1000; // Calls kept in memory for the leaderboard
+const PEAK_INTERVAL_MS = 5000;
+
+const callKey = (channelId, address) => `${channelId}:${address}`;
+
+/**
+ * Channel id from a chat reference: a marked chat id (-100...), a
+ * web.telegram.org or t.me/c/ link, or a public @username / t.me/username
+ * link (stored as '@username')
+ */
+export function parseChannelRef(input) {
+  const ref = String(input ?? '').trim();
+  if (/^-?\d+$/.test(ref)) return ref;
+
+  const webMatch = ref.match(/web\.telegram\.org\/.*#(-?\d+)/);
+  if (webMatch) return webMatch[1];
+
+  const privateMatch = ref.match(/t\.me\/c\/(\d+)/);
+  if (privateMatch) return `-100${privateMatch[1]}`;
+
+  const usernameMatch = ref.match(/^(?:@|(?:https?:\/\/)?t\.me\/)([A-Za-z]\w{3,31})\/?$/);
+  if (usernameMatch) return `@${usernameMatch[1].toLowerCase()}`;
+
+  throw new Error(`Not a Telegram chat id, link or @username: "${ref}"`);
+}
+
+/**
+ * Per-channel call stats, best hit rate first (ties: more calls first).
+ * Calls without a call MC are left out.
+ */
+export function buildLeaderboard(calls, { hitMultiplier = HIT_MULTIPLIER } = {}) {
+  const channels = new Map();
+  for (const call of calls) {
+    if (!(call.callMc > 0)) continue;
+
+    let stats = channels.get(call.channelId);
+    if (!stats) {
+      stats = { channelId: call.channelId, channelName: call.channelName, calls: 0, hits: 0, totalPeak: 0, bestCall: null };
+      channels.set(call.channelId, stats);
+    }
+
+    const peakMultiplier = Math.max(call.peakMc || 0, call.callMc) / call.callMc;
+    stats.calls++;
+    stats.totalPeak += peakMultiplier;
+    if (peakMultiplier >= hitMultiplier) stats.hits++;
+    if (!stats.bestCall || peakMultiplier > stats.bestCall.peakMultiplier) {
+      stats.bestCall = { contractAddress: call.contractAddress, symbol: call.symbol, calledAt: call.calledAt, peakMultiplier };
+    }
+  }
+
+  return [...channels.values()]
+    .map(({ totalPeak, ...stats }) => ({
+      ...stats,
+      hitRate: stats.hits / stats.calls,
+      avgPeakMultiplier: totalPeak / stats.calls
+    }))
+    .sort((a, b) => b.hitRate - a.hitRate || b.calls - a.calls);
+}
+
+export class CallWatcher {
+  constructor({ store = null } = {}) {
+    this.store = store; // db-adapter, or a stand-in with the settings and telegramCalls functions
+    this.tokenManager = null;
+    this.channels = null; // [{ id, name, enabled, addedAt }]
+    this.calls = new Map(); // `${channelId}:${address}` -> call
+    this.pending = new Set(); // Calls being recorded, so a repost doesn't double up
+    this.peakInterval = null;
+  }
+
+  setTokenManager(tokenManager) {
+    this.tokenManager = tokenManager;
+  }
+
+  getStore() {
+    return storeFor(this);
+  }
+
+  async load(now = clock.now()) {
+    const store = await this.getStore();
+    this.channels = await store.getSetting('callChannels', []);
+    this.calls.clear();
+    for (const call of await store.getTelegramCalls({ since: now - HISTORY_MS, limit: 100000 })) {
+      this.calls.set(callKey(call.channelId, call.contractAddress), call);
+    }
+    return this.channels;
+  }
+
+  async ensureLoaded() {
+    if (!this.channels) await this.load();
+  }
+
+  // ==========================================================================
+  // WATCHED CHANNELS
+  // ==========================================================================
+
+  async listChannels() {
+    await this.ensureLoaded();
+    return this.channels.map(channel => ({
+      ...channel,
+      calls: [...this.calls.values()].filter(call => call.channelId === channel.id).length
+    }));
+  }
+
+  async addChannel({ channel, name }) {
+    const id = parseChannelRef(channel);
+    await this.ensureLoaded();
+    if (this.channels.some(existing => existing.id === id)) {
+      throw new Error(`Already watching ${id}`);
+    }
+
+    const entry = { id, name: (typeof name === 'string' && name.trim()) || id, enabled: true, addedAt: clock.now() };
+    this.channels.push(entry);
+    await this.persist();
+    return entry;
+  }
+
+  // Resolves to the updated channel, or null if it isn't watched
+  async updateChannel(id, { name, enabled }) {
+    await this.ensureLoaded();
+    const channel = this.channels.find(existing => existing.id === id);
+    if (!channel) return null;
+
+    if (typeof name === 'string' && name.trim()) channel.name = name.trim();
+    if (typeof enabled === 'boolean') channel.enabled = enabled;
+    await this.persist();
+    return channel;
+  }
+
+  async removeChannel(id) {
+    await this.ensureLoaded();
+    const count = this.channels.length;
+    this.channels = this.channels.filter(channel => channel.id !== id);
+    if (this.channels.length === count) return false;
+
+    await this.persist();
+    return true;
+  }
+
+  async persist() {
+    const store = await this.getStore();
+    await store.setSetting('callChannels', this.channels);
+  }
+
+  // Enabled watched channel a message came from, by chat id or public username
+  matchChannel(chatId, username) {
+    const keys = [chatId != null ? String(chatId) : null, username ? `@${username.toLowerCase()}` : null];
+    return (this.channels || []).find(channel => channel.enabled && keys.includes(channel.id)) || null;
+  }
+
+  // ==========================================================================
+  // CALLS
+  // ==========================================================================
+
+  /**
+   * Scan a message ({ chatId, username, text, entities, messageId }) from a
+   * watched chat. Resolves to the calls it recorded.
+   */
+  async handleMessage(message, now = clock.now()) {
+    await this.ensureLoaded();
+    const channel = this.matchChannel(message.chatId, message.username);
+    if (!channel || !this.tokenManager) return [];
+
+    const recorded = [];
+    for (const address of extractCAsFromMessage(message.text, message.entities)) {
+      const call = await this.recordCall(channel, address, message.messageId ?? null, now);
+      if (call) recorded.push(call);
+    }
+    return recorded;
+  }
+
+  async recordCall(channel, address, messageId, now) {
+    const key = callKey(channel.id, address);
+    if (this.calls.has(key) || this.pending.has(key)) return null;
+
+    this.pending.add(key);
+    try {
+      const token = await this.tokenManager.addCalledToken(address, {
+        channelId: channel.id,
+        channelName: channel.name,
+        calledAt: now
+      });
+      if (!token || !(token.currentMc > 0)) return null;
+
+      const call = {
+        channelId: channel.id,
+        channelName: channel.name,
+        contractAddress: address,
+        symbol: token.symbol || token.name,
+        messageId,
+        calledAt: now,
+        callMc: token.currentMc,
+        peakMc: token.currentMc
+      };
+      this.calls.set(key, call);
+
+      const store = await this.getStore();
+      await store.addTelegramCall(call);
+      logger.info(`📣 ${channel.name} called ${logger.highlight(call.symbol)} at $${Math.round(call.callMc).toLocaleString()}`);
+      return call;
+    } catch (error) {
+      logger.error(`Failed to record call of ${address} from ${channel.name}`, error);
+      return null;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Raise call peaks from the tracked tokens' current MC and store the ones
+   * that moved. Also notes the call on tokens reloaded without it after a restart.
+   */
+  async updatePeaks(trackedTokens, now = clock.now()) {
+    const raised = [];
+    for (const [key, call] of this.calls) {
+      if (call.calledAt < now - HISTORY_MS) {
+        this.calls.delete(key);
+        continue;
+      }
+
+      const token = trackedTokens.get(call.contractAddress);
+      if (!token) continue;
+
+      if (!token.firstCallAt || call.calledAt < token.firstCallAt) {
+        token.callChannelId = call.channelId;
+        token.callChannel = call.channelName || call.channelId;
+        token.firstCallAt = call.calledAt;
+        token.callMc = call.callMc;
+      }
+      if (token.currentMc > (call.peakMc || 0)) {
+        call.peakMc = token.currentMc;
+        raised.push({ channelId: call.channelId, contractAddress: call.contractAddress, peakMc: call.peakMc });
+      }
+    }
+
+    if (raised.length > 0) {
+      const store = await this.getStore();
+      await store.updateTelegramCallPeaks(raised);
+    }
+    return raised;
+  }
+
+  start(intervalMs = PEAK_INTERVAL_MS) {
+    if (this.peakInterval) return;
+    this.peakInterval = clock.setInterval(() => {
+      if (!this.tokenManager) return;
+      this.updatePeaks(this.tokenManager.trackedTokens).catch(error => {
+        logger.error('Call peak update failed', error);
+      });
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.peakInterval) clock.clearInterval(this.peakInterval);
+    this.peakInterval = null;
+  }
+
+  recentCalls(limit = 100) {
+    return [...this.calls.values()]
+      .sort((a, b) => b.calledAt - a.calledAt)
+      .slice(0, limit)
+      .map(call => ({ ...call, peakMultiplier: call.callMc > 0 ? (call.peakMc || call.callMc) / call.callMc : null }));
+  }
+
+  leaderboard({ since = null, hitMultiplier = HIT_MULTIPLIER } = {}) {
+    const calls = [...this.calls.values()].filter(call => since === null || call.calledAt >= since);
+    return buildLeaderboard(calls, { hitMultiplier });
+  }
+}
+
+export const callWatcher = new CallWatcher();
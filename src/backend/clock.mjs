@@ -0,0 +1,122 @@
+/**
+ * Shared clock for the tracking pipeline
+ *
+ * Live mode is a thin wrapper over Date.now() and the timer functions.
+ * Virtual mode (session replay) starts at a recorded timestamp and only moves
+ * when advanceTo() is called. Timers set through the clock are then queued
+ * here instead of on the event loop, and fire one at a time in time order,
+ * each at its own virtual time, with the next one held back until the
+ * previous callback (and the work it kicked off) has finished. Two replays of
+ * the same recording therefore see the same cycles in the same order, however
+ * busy the machine is. Manual mode pins the time to an explicit value for
+ * offline tools (backtests) that step through history.
+ *
+ * Timers from the clock must be cleared through the clock as well, and a
+ * virtual timer's callback must not itself wait on clock.sleep() - nothing
+ * would advance the clock to wake it.
+ */
+
+import logger from './logger.mjs';
+
+class Clock {
+  constructor() {
+    this.virtual = false;
+    this.virtualNow = 0;
+    this.manualTime = null;
+
+    this.timers = new Map(); // Virtual mode: id -> { id, fn, at, every }
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    if (this.manualTime !== null) return this.manualTime;
+    return this.virtual ? this.virtualNow : Date.now();
+  }
+
+  startVirtual(startTime) {
+    this.virtual = true;
+    this.virtualNow = startTime;
+  }
+
+  // Pass null to hand control back to live/virtual time
+  setManualTime(time) {
+    this.manualTime = time;
+  }
+
+  isVirtual() {
+    return this.virtual || this.manualTime !== null;
+  }
+
+  setInterval(fn, ms) {
+    return this.virtual ? this.addTimer(fn, ms, Math.max(1, ms)) : setInterval(fn, ms);
+  }
+
+  setTimeout(fn, ms) {
+    return this.virtual ? this.addTimer(fn, ms, null) : setTimeout(fn, ms);
+  }
+
+  clearInterval(timer) {
+    if (!this.clearTimer(timer)) clearInterval(timer);
+  }
+
+  clearTimeout(timer) {
+    if (!this.clearTimer(timer)) clearTimeout(timer);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  // Let promise chains and callbacks queued by a timer run to completion
+  settle() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  addTimer(fn, ms, every) {
+    const timer = { id: this.nextTimerId++, fn, at: this.virtualNow + Math.max(0, ms || 0), every };
+    this.timers.set(timer.id, timer);
+    return { virtualTimer: timer.id };
+  }
+
+  clearTimer(timer) {
+    if (!timer?.virtualTimer) return false;
+    this.timers.delete(timer.virtualTimer);
+    return true;
+  }
+
+  // Earliest due timer; ties fire in the order they were set
+  nextTimer(target) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.at > target) continue;
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+    }
+    return next;
+  }
+
+  // Virtual mode: step time forward to `target`, firing every timer that
+  // comes due on the way at its own time
+  async advanceTo(target) {
+    if (!this.virtual) throw new Error('advanceTo() needs a virtual clock');
+
+    for (let timer = this.nextTimer(target); timer; timer = this.nextTimer(target)) {
+      this.virtualNow = Math.max(this.virtualNow, timer.at);
+      if (timer.every) {
+        timer.at += timer.every;
+      } else {
+        this.timers.delete(timer.id);
+      }
+
+      try {
+        await timer.fn();
+      } catch (error) {
+        logger.error('Timer callback failed', error);
+      }
+      await this.settle();
+    }
+
+    this.virtualNow = Math.max(this.virtualNow, target);
+  }
+}
+
+export const clock = new Clock();
@@ -0,0 +1,87 @@
+/**
+ * Contract address extraction from Telegram messages
+ *
+ * Calls arrive as bare CAs in the text or hidden behind links (bot deep
+ * links, DexScreener, pump.fun, Birdeye, bags.fm). Used for the holder
+ * channel message and for watched call channels.
+ */
+
+export function extractCAFromUrl(url) {
+  try {
+    const telegramBotMatch = url.match(/t\.me\/\w+\?start=(?:pf_|price_)([A-Za-z0-9]+)/i);
+    if (telegramBotMatch) return telegramBotMatch[1];
+
+    const bagsMatch = url.match(/bags\.fm\/([A-Za-z0-9]+)/i);
+    if (bagsMatch) return bagsMatch[1];
+
+    const dexMatch = url.match(/dexscreener\.com\/\w+\/([A-Za-z0-9]+)/i);
+    if (dexMatch) return dexMatch[1];
+
+    const pumpMatch = url.match(/pump\.fun\/(?:coin\/)?([A-Za-z0-9]+)/i);
+    if (pumpMatch) return pumpMatch[1];
+
+    const birdeyeMatch = url.match(/birdeye\.so\/token\/([A-Za-z0-9]+)/i);
+    if (birdeyeMatch) return birdeyeMatch[1];
+
+    if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(url)) {
+      return url;
+    }
+
+    if (/^0x[a-fA-F0-9]{40}$/.test(url)) {
+      return url;
+    }
+
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+export function extractCAsFromText(text) {
+  const cas = [];
+
+  // Whole words only, so the tail of an 0x address isn't read as a Solana CA
+  const solanaMatches = text.match(/(?<![0-9A-Za-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![0-9A-Za-z])/g) || [];
+  for (const match of solanaMatches) {
+    if (!cas.includes(match)) {
+      cas.push(match);
+    }
+  }
+
+  const evmMatches = text.match(/0x[a-fA-F0-9]{40}/g) || [];
+  for (const match of evmMatches) {
+    if (!cas.includes(match)) {
+      cas.push(match);
+    }
+  }
+
+  return cas;
+}
+
+/**
+ * CAs in a gramjs message: link entities first (in order), then the text
+ */
+export function extractCAsFromMessage(messageText, entities = []) {
+  const contractAddresses = [];
+
+  for (const entity of entities) {
+    const isTextUrl = entity.className === 'MessageEntityTextUrl' ||
+                      entity.constructor?.name === 'MessageEntityTextUrl' ||
+                      entity.url !== undefined;
+
+    if (isTextUrl && entity.url) {
+      const ca = extractCAFromUrl(entity.url);
+      if (ca && !contractAddresses.includes(ca)) {
+        contractAddresses.push(ca);
+      }
+    }
+  }
+
+  for (const ca of extractCAsFromText(messageText || '')) {
+    if (!contractAddresses.includes(ca)) {
+      contractAddresses.push(ca);
+    }
+  }
+
+  return contractAddresses;
+}
@@ -24,6 +24,7 @@ class DataCollector {
         this.maxLogFiles = 50; // Keep only last 50 log files
         this.cleanupInterval = 3600000; // Run cleanup every hour
         this.cleanupTimer = null;
+        this.sessionId = new Date().toISOString(); // Groups top10 records per app run for the labeller
 
         this.init();
     }
@@ -90,6 +91,7 @@ class DataCollector {
             timestamp: new Date().toISOString(),
             type: 'top10',
             viewMode: viewMode,
+            session: this.sessionId,
             data: {
                 tokens: tokens.map((token, index) => ({
                     rank: index + 1,
@@ -97,12 +99,14 @@ class DataCollector {
                     symbol: token.symbol,
                     name: token.name,
                     score: token.score,
+                    confidence: token.confidence,
                     components: token.components,
                     currentMc: token.currentMc,
                     spottedMc: token.spottedMc,
                     multiplier: token.multiplier,
                     currentMultiplier: token.currentMultiplier,
                     volume24h: token.volume24h,
+                    liquidity: token.liquidity || 0,
                     netPercent: token.netPercent,
                     metricsFresh: token.metricsFresh,
                     spottedAt: token.spottedAt
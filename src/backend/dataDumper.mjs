@@ -14,13 +14,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './logger.mjs';
 import mvpCalculator from './mvpCalculator_v3.mjs';
+import { clock } from './clock.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Paths for runner data (go up two levels from src/backend to project root)
 const RUNNERS_DIR = path.join(path.dirname(path.dirname(__dirname)), 'runners');
-const RUNNERS_FILE = path.join(RUNNERS_DIR, 'runners.json');
+// Session replays dump to their own file so re-detected runners don't duplicate live ones
+const RUNNERS_FILE = path.join(RUNNERS_DIR, process.env.DEXTER_REPLAY ? 'runners-replay.json' : 'runners.json');
 
 // Price path milestones to track
 const PRICE_MILESTONES = [1.25, 1.5, 1.75];
@@ -83,7 +85,7 @@ class DataDumper {
     }
 
     const snapshots = this.priceSnapshots.get(address);
-    const now = Date.now();
+    const now = clock.now();
 
     // Check each milestone
     for (const milestone of PRICE_MILESTONES) {
@@ -165,8 +167,8 @@ class DataDumper {
         holderRank: token.holderRank || null,
 
         // 2x event info
-        twoxTimestamp: Date.now(),
-        twoxIsoTime: new Date().toISOString(),
+        twoxTimestamp: clock.now(),
+        twoxIsoTime: new Date(clock.now()).toISOString(),
         twoxMultiplier: currentMultiplier,
 
         // Market cap data
@@ -197,11 +199,11 @@ class DataDumper {
         totalSupply: token.totalSupply || 0,
 
         // Time to 2x (in seconds)
-        timeToTwoXSeconds: token.spottedAt > 0 ? Math.round((Date.now() - token.spottedAt) / 1000) : null,
+        timeToTwoXSeconds: token.spottedAt > 0 ? Math.round((clock.now() - token.spottedAt) / 1000) : null,
 
         // Day of week and hour (for pattern analysis)
-        dayOfWeek: new Date().getDay(), // 0=Sunday, 6=Saturday
-        hourOfDay: new Date().getHours(),
+        dayOfWeek: new Date(clock.now()).getDay(), // 0=Sunday, 6=Saturday
+        hourOfDay: new Date(clock.now()).getHours(),
 
         // Price path snapshots
         pricePath: {
@@ -226,8 +228,8 @@ class DataDumper {
         mvpDataPoints: mvpScore.dataPoints || 0,
 
         // Timestamp of record
-        recordedAt: Date.now(),
-        recordedIso: new Date().toISOString()
+        recordedAt: clock.now(),
+        recordedIso: new Date(clock.now()).toISOString()
       };
 
       // Add to appropriate array
@@ -9,7 +9,8 @@
 import logger from '../logger.mjs';
 
 // Check if PostgreSQL DATABASE_URL is available (web hosting)
-const USE_POSTGRES = !!process.env.DATABASE_URL;
+// Session replays always run on local SQLite so they can't write into production
+const USE_POSTGRES = !!process.env.DATABASE_URL && !process.env.DEXTER_REPLAY;
 
 // Export the appropriate database implementation
 if (USE_POSTGRES) {
@@ -31,8 +32,25 @@ export const getTokenById = dbModule.getTokenById;
 export const getTokensByAge = dbModule.getTokensByAge;
 export const addPriceHistory = dbModule.addPriceHistory;
 export const getPriceHistoryForToken = dbModule.getPriceHistoryForToken;
+export const getPriceHistoryRange = dbModule.getPriceHistoryRange;
+export const prunePriceHistory = dbModule.prunePriceHistory;
 export const getAlertTiers = dbModule.getAlertTiers;
 export const updateAlertTiers = dbModule.updateAlertTiers;
+export const getAlertRules = dbModule.getAlertRules;
+export const saveAlertRule = dbModule.saveAlertRule;
+export const deleteAlertRule = dbModule.deleteAlertRule;
+export const addAlertHistory = dbModule.addAlertHistory;
+export const getAlertHistory = dbModule.getAlertHistory;
+export const addTelegramCall = dbModule.addTelegramCall;
+export const updateTelegramCallPeaks = dbModule.updateTelegramCallPeaks;
+export const getTelegramCalls = dbModule.getTelegramCalls;
+export const addOutboxMessage = dbModule.addOutboxMessage;
+export const updateOutboxMessage = dbModule.updateOutboxMessage;
+export const getOutboxMessages = dbModule.getOutboxMessages;
+export const deleteOutboxMessage = dbModule.deleteOutboxMessage;
+export const pruneOutbox = dbModule.pruneOutbox;
+export const getSetting = dbModule.getSetting;
+export const setSetting = dbModule.setSetting;
 export const deleteAllTokens = dbModule.deleteAllTokens;
 export const addToBlacklist = dbModule.addToBlacklist;
 export const isBlacklisted = dbModule.isBlacklisted;
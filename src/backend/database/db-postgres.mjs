@@ -112,7 +112,7 @@ async function createTables() {
       )
     `);
 
-    // Price history table
+    // Price history table (downsampled MC/volume/price for charts)
     await client.query(`
       CREATE TABLE IF NOT EXISTS priceHistory (
         id SERIAL PRIMARY KEY,
@@ -120,9 +120,12 @@ async function createTables() {
         timestamp BIGINT NOT NULL,
         marketCap REAL,
         volume REAL,
+        price DOUBLE PRECISION,
         FOREIGN KEY (tokenId) REFERENCES tokens(id) ON DELETE CASCADE
       )
     `);
+    await client.query(`ALTER TABLE priceHistory ADD COLUMN IF NOT EXISTS price DOUBLE PRECISION`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_pricehistory_token_time ON priceHistory (tokenId, timestamp)`);
 
     // Alert tiers configuration
     await client.query(`
@@ -146,6 +149,32 @@ async function createTables() {
         FOREIGN KEY (tokenId) REFERENCES tokens(id) ON DELETE CASCADE
       )
     `);
+    // Alert rule firings are logged with their rule, token and deliveries
+    await client.query(`
+      ALTER TABLE alertHistory
+        ADD COLUMN IF NOT EXISTS ruleId INTEGER,
+        ADD COLUMN IF NOT EXISTS ruleName TEXT,
+        ADD COLUMN IF NOT EXISTS contractAddress TEXT,
+        ADD COLUMN IF NOT EXISTS symbol TEXT,
+        ADD COLUMN IF NOT EXISTS channels TEXT,
+        ADD COLUMN IF NOT EXISTS details TEXT
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_alerthistory_time ON alertHistory (triggeredAt)`);
+
+    // User-defined alert rules (conditions and channels as JSON)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS alertRules (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        conditions TEXT NOT NULL,
+        channels TEXT NOT NULL,
+        cooldownMs BIGINT DEFAULT 0,
+        dedupeMs BIGINT,
+        createdAt BIGINT,
+        updatedAt BIGINT
+      )
+    `);
 
     // Blacklist
     await client.query(`
@@ -157,6 +186,52 @@ async function createTables() {
       )
     `);
 
+    // Contract addresses called in watched Telegram channels, first call per channel
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS telegramCalls (
+        id SERIAL PRIMARY KEY,
+        channelId TEXT NOT NULL,
+        channelName TEXT,
+        contractAddress TEXT NOT NULL,
+        symbol TEXT,
+        messageId BIGINT,
+        calledAt BIGINT NOT NULL,
+        callMc DOUBLE PRECISION,
+        peakMc DOUBLE PRECISION,
+        UNIQUE (channelId, contractAddress)
+      )
+    `);
+
+    // Outgoing Telegram messages: queued, sent or dead (gave up), with send options as JSON
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS telegramOutbox (
+        id SERIAL PRIMARY KEY,
+        channelId TEXT NOT NULL,
+        channelName TEXT,
+        kind TEXT,
+        text TEXT NOT NULL,
+        options TEXT,
+        priority INTEGER DEFAULT 0,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        lastError TEXT,
+        createdAt BIGINT NOT NULL,
+        nextAttemptAt BIGINT,
+        expiresAt BIGINT,
+        sentAt BIGINT
+      )
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_telegramoutbox_status ON telegramOutbox (status, createdAt)`);
+
+    // Runtime settings changed from the UI (JSON values by key)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updatedAt BIGINT
+      )
+    `);
+
     // Insert default alert tiers if table is empty
     const tierResult = await client.query('SELECT COUNT(*) as count FROM alertTiers');
     if (parseInt(tierResult.rows[0].count) === 0) {
@@ -275,11 +350,11 @@ export function getTokensByAge(hours = 3) {
 /**
  * Add price history entry
  */
-export function addPriceHistory(tokenId, marketCap, volume) {
+export function addPriceHistory(tokenId, marketCap, volume, price = null, timestamp = Date.now()) {
   return pool.query(`
-    INSERT INTO priceHistory (tokenId, timestamp, marketCap, volume)
-    VALUES ($1, $2, $3, $4)
-  `, [tokenId ?? null, Date.now(), marketCap ?? null, volume ?? null])
+    INSERT INTO priceHistory (tokenId, timestamp, marketCap, volume, price)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [tokenId ?? null, timestamp, marketCap ?? null, volume ?? null, price ?? null])
   .then(() => true)
   .catch(err => {
     logger.error('Failed to add price history', err);
@@ -305,6 +380,39 @@ export function getPriceHistoryForToken(tokenId, minutes = 1) {
   });
 }
 
+/**
+ * Get price history for token between two timestamps, oldest first
+ */
+export function getPriceHistoryRange(tokenId, from, to) {
+  return pool.query(`
+    SELECT timestamp, marketCap AS "marketCap", volume, price FROM priceHistory
+    WHERE tokenId = $1 AND timestamp >= $2 AND timestamp <= $3
+    ORDER BY timestamp ASC
+  `, [tokenId ?? null, from, to])
+  .then(result => result.rows.map(row => ({ ...row, timestamp: Number(row.timestamp) })))
+  .catch(err => {
+    logger.error('Failed to get price history range', err);
+    throw err;
+  });
+}
+
+/**
+ * Delete price history older than the cutoff, except for the given tokens
+ */
+export function prunePriceHistory(olderThan, exemptTokenIds = []) {
+  const query = exemptTokenIds.length > 0
+    ? 'DELETE FROM priceHistory WHERE timestamp < $1 AND NOT (tokenId = ANY($2))'
+    : 'DELETE FROM priceHistory WHERE timestamp < $1';
+  const params = exemptTokenIds.length > 0 ? [olderThan, exemptTokenIds] : [olderThan];
+
+  return pool.query(query, params)
+  .then(result => result.rowCount)
+  .catch(err => {
+    logger.error('Failed to prune price history', err);
+    throw err;
+  });
+}
+
 /**
  * Get alert tiers configuration
  */
@@ -337,6 +445,34 @@ export function updateAlertTiers(tier1, tier2, tier3) {
   });
 }
 
+/**
+ * Get a stored setting value, or `fallback` if it was never set
+ */
+export function getSetting(key, fallback = null) {
+  return pool.query('SELECT value FROM settings WHERE key = $1', [key])
+  .then(result => (result.rows.length > 0 ? JSON.parse(result.rows[0].value) : fallback))
+  .catch(err => {
+    logger.error(`Failed to get setting ${key}`, err);
+    throw err;
+  });
+}
+
+/**
+ * Store a setting value (JSON-encoded)
+ */
+export function setSetting(key, value) {
+  return pool.query(`
+    INSERT INTO settings (key, value, updatedAt)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updatedAt = EXCLUDED.updatedAt
+  `, [key, JSON.stringify(value), Date.now()])
+  .then(() => true)
+  .catch(err => {
+    logger.error(`Failed to save setting ${key}`, err);
+    throw err;
+  });
+}
+
 /**
  * Delete all tokens (preserve blacklist)
  */
@@ -360,8 +496,8 @@ export async function deleteAllTokens() {
     const blacklistResult = await client.query('SELECT COUNT(*) as count FROM blacklist');
     const blacklistCount = parseInt(blacklistResult.rows[0].count);
 
-    // Delete tokens (only degen, preserve holder)
-    await client.query("DELETE FROM tokens WHERE source = 'degen'");
+    // Delete tokens (only degen and called, preserve holder)
+    await client.query("DELETE FROM tokens WHERE source IN ('degen', 'telegram-call')");
     await client.query('DELETE FROM priceHistory');
     await client.query('DELETE FROM alertHistory');
 
@@ -386,6 +522,298 @@ export async function deleteAllTokens() {
   }
 }
 
+const ALERT_RULE_SELECT = `
+  SELECT id, name, enabled, conditions, channels, cooldownMs AS "cooldownMs", dedupeMs AS "dedupeMs",
+    createdAt AS "createdAt", updatedAt AS "updatedAt"
+  FROM alertRules
+`;
+
+// BIGINT columns come back as strings
+const toAlertRule = (row) => ({
+  ...row,
+  conditions: JSON.parse(row.conditions),
+  channels: JSON.parse(row.channels),
+  cooldownMs: Number(row.cooldownMs),
+  dedupeMs: row.dedupeMs === null ? null : Number(row.dedupeMs),
+  createdAt: Number(row.createdAt),
+  updatedAt: Number(row.updatedAt)
+});
+
+/**
+ * Get all alert rules
+ */
+export function getAlertRules() {
+  return pool.query(`${ALERT_RULE_SELECT} ORDER BY id`)
+  .then(result => result.rows.map(toAlertRule))
+  .catch(err => {
+    logger.error('Failed to get alert rules', err);
+    throw err;
+  });
+}
+
+/**
+ * Insert a rule, or replace the one with `rule.id`. Resolves to the stored
+ * rule, or null if `rule.id` doesn't exist.
+ */
+export function saveAlertRule(rule) {
+  const now = Date.now();
+  const values = [
+    rule.name,
+    !!rule.enabled,
+    JSON.stringify(rule.conditions),
+    JSON.stringify(rule.channels),
+    rule.cooldownMs ?? 0,
+    rule.dedupeMs ?? null
+  ];
+
+  const query = rule.id != null
+    ? pool.query(`
+        UPDATE alertRules
+        SET name = $1, enabled = $2, conditions = $3, channels = $4, cooldownMs = $5, dedupeMs = $6, updatedAt = $7
+        WHERE id = $8
+        RETURNING id
+      `, [...values, now, rule.id])
+    : pool.query(`
+        INSERT INTO alertRules (name, enabled, conditions, channels, cooldownMs, dedupeMs, createdAt, updatedAt)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+        RETURNING id
+      `, [...values, now]);
+
+  return query
+  .then(result => result.rows.length > 0
+    ? pool.query(`${ALERT_RULE_SELECT} WHERE id = $1`, [result.rows[0].id]).then(r => toAlertRule(r.rows[0]))
+    : null)
+  .catch(err => {
+    logger.error('Failed to save alert rule', err);
+    throw err;
+  });
+}
+
+/**
+ * Delete an alert rule; resolves to whether it existed
+ */
+export function deleteAlertRule(id) {
+  return pool.query('DELETE FROM alertRules WHERE id = $1', [id])
+  .then(result => result.rowCount > 0)
+  .catch(err => {
+    logger.error('Failed to delete alert rule', err);
+    throw err;
+  });
+}
+
+/**
+ * Record an alert firing
+ */
+export function addAlertHistory(entry) {
+  return pool.query(`
+    INSERT INTO alertHistory (tokenId, contractAddress, symbol, multiplier, tier, ruleId, ruleName, channels, details, triggeredAt)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    entry.tokenId,
+    entry.contractAddress ?? null,
+    entry.symbol ?? null,
+    entry.multiplier ?? null,
+    entry.tier ?? null,
+    entry.ruleId ?? null,
+    entry.ruleName ?? null,
+    JSON.stringify(entry.channels ?? {}),
+    JSON.stringify(entry.details ?? {}),
+    entry.triggeredAt ?? Date.now()
+  ])
+  .then(() => true)
+  .catch(err => {
+    logger.error('Failed to record alert', err);
+    throw err;
+  });
+}
+
+/**
+ * Alert firings, newest first; optionally one rule's, or only those since a time
+ */
+export function getAlertHistory({ limit = 100, ruleId = null, since = null } = {}) {
+  return pool.query(`
+    SELECT id, tokenId AS "tokenId", contractAddress AS "contractAddress", symbol, multiplier, tier,
+      ruleId AS "ruleId", ruleName AS "ruleName", channels, details, triggeredAt AS "triggeredAt"
+    FROM alertHistory
+    WHERE ($1::INTEGER IS NULL OR ruleId = $1) AND ($2::BIGINT IS NULL OR triggeredAt >= $2)
+    ORDER BY triggeredAt DESC
+    LIMIT $3
+  `, [ruleId, since, limit])
+  .then(result => result.rows.map(row => ({
+    ...row,
+    channels: row.channels ? JSON.parse(row.channels) : {},
+    details: row.details ? JSON.parse(row.details) : {},
+    triggeredAt: Number(row.triggeredAt)
+  })))
+  .catch(err => {
+    logger.error('Failed to get alert history', err);
+    throw err;
+  });
+}
+
+/**
+ * Record a channel's first call of a CA. Resolves false if that channel already called it.
+ */
+export function addTelegramCall(call) {
+  return pool.query(`
+    INSERT INTO telegramCalls (channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (channelId, contractAddress) DO NOTHING
+  `, [
+    call.channelId,
+    call.channelName ?? null,
+    call.contractAddress,
+    call.symbol ?? null,
+    call.messageId ?? null,
+    call.calledAt,
+    call.callMc ?? null,
+    call.peakMc ?? call.callMc ?? null
+  ])
+  .then(result => result.rowCount > 0)
+  .catch(err => {
+    logger.error('Failed to record Telegram call', err);
+    throw err;
+  });
+}
+
+/**
+ * Store new peak MCs: [{ channelId, contractAddress, peakMc }]
+ */
+export async function updateTelegramCallPeaks(peaks) {
+  try {
+    for (const { channelId, contractAddress, peakMc } of peaks) {
+      await pool.query(`
+        UPDATE telegramCalls SET peakMc = $1
+        WHERE channelId = $2 AND contractAddress = $3 AND (peakMc IS NULL OR peakMc < $1)
+      `, [peakMc, channelId, contractAddress]);
+    }
+    return true;
+  } catch (err) {
+    logger.error('Failed to update Telegram call peaks', err);
+    throw err;
+  }
+}
+
+/**
+ * Telegram calls, newest first; optionally only those since a time
+ */
+export function getTelegramCalls({ since = null, limit = 1000 } = {}) {
+  return pool.query(`
+    SELECT channelId AS "channelId", channelName AS "channelName", contractAddress AS "contractAddress", symbol,
+      messageId AS "messageId", calledAt AS "calledAt", callMc AS "callMc", peakMc AS "peakMc"
+    FROM telegramCalls
+    WHERE ($1::BIGINT IS NULL OR calledAt >= $1)
+    ORDER BY calledAt DESC
+    LIMIT $2
+  `, [since, limit])
+  .then(result => result.rows.map(row => ({
+    ...row,
+    messageId: row.messageId != null ? Number(row.messageId) : null,
+    calledAt: Number(row.calledAt)
+  })))
+  .catch(err => {
+    logger.error('Failed to get Telegram calls', err);
+    throw err;
+  });
+}
+
+const OUTBOX_SELECT = `
+  SELECT id, channelId AS "channelId", channelName AS "channelName", kind, text, options, priority, status, attempts,
+    lastError AS "lastError", createdAt AS "createdAt", nextAttemptAt AS "nextAttemptAt", expiresAt AS "expiresAt", sentAt AS "sentAt"
+  FROM telegramOutbox`;
+
+const toTime = (value) => (value != null ? Number(value) : null);
+
+/**
+ * Queue an outgoing Telegram message; resolves to its id
+ */
+export function addOutboxMessage(message) {
+  return pool.query(`
+    INSERT INTO telegramOutbox (channelId, channelName, kind, text, options, priority, status, attempts, lastError, createdAt, nextAttemptAt, expiresAt, sentAt)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING id
+  `, [
+    message.channelId,
+    message.channelName ?? null,
+    message.kind ?? null,
+    message.text,
+    JSON.stringify(message.options ?? {}),
+    message.priority ?? 0,
+    message.status ?? 'queued',
+    message.attempts ?? 0,
+    message.lastError ?? null,
+    message.createdAt,
+    message.nextAttemptAt ?? message.createdAt,
+    message.expiresAt ?? null,
+    message.sentAt ?? null
+  ])
+  .then(result => result.rows[0].id)
+  .catch(err => {
+    logger.error('Failed to queue Telegram message', err);
+    throw err;
+  });
+}
+
+/**
+ * Store a message's delivery state (status, attempts, lastError, nextAttemptAt, expiresAt, sentAt)
+ */
+export function updateOutboxMessage(message) {
+  return pool.query(`
+    UPDATE telegramOutbox SET status = $1, attempts = $2, lastError = $3, nextAttemptAt = $4, expiresAt = $5, sentAt = $6
+    WHERE id = $7
+  `, [message.status, message.attempts, message.lastError ?? null, message.nextAttemptAt ?? null, message.expiresAt ?? null, message.sentAt ?? null, message.id])
+  .then(result => result.rowCount > 0)
+  .catch(err => {
+    logger.error('Failed to update Telegram outbox message', err);
+    throw err;
+  });
+}
+
+/**
+ * Outbox messages, newest first; optionally one status or one message
+ */
+export function getOutboxMessages({ status = null, id = null, limit = 100 } = {}) {
+  return pool.query(`
+    ${OUTBOX_SELECT}
+    WHERE ($1::TEXT IS NULL OR status = $1) AND ($2::INTEGER IS NULL OR id = $2)
+    ORDER BY id DESC
+    LIMIT $3
+  `, [status, id, limit])
+  .then(result => result.rows.map(row => ({
+    ...row,
+    options: row.options ? JSON.parse(row.options) : {},
+    createdAt: Number(row.createdAt),
+    nextAttemptAt: toTime(row.nextAttemptAt),
+    expiresAt: toTime(row.expiresAt),
+    sentAt: toTime(row.sentAt)
+  })))
+  .catch(err => {
+    logger.error('Failed to get Telegram outbox', err);
+    throw err;
+  });
+}
+
+export function deleteOutboxMessage(id) {
+  return pool.query('DELETE FROM telegramOutbox WHERE id = $1', [id])
+  .then(result => result.rowCount > 0)
+  .catch(err => {
+    logger.error('Failed to delete Telegram outbox message', err);
+    throw err;
+  });
+}
+
+/**
+ * Drop sent and dead messages created before a time; resolves to the count removed
+ */
+export function pruneOutbox(before) {
+  return pool.query(`DELETE FROM telegramOutbox WHERE status != 'queued' AND createdAt < $1`, [before])
+  .then(result => result.rowCount)
+  .catch(err => {
+    logger.error('Failed to prune Telegram outbox', err);
+    throw err;
+  });
+}
+
 /**
  * Add token to blacklist
  */
@@ -8,7 +8,10 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const dataDir = path.join(__dirname, '../../data');
-const dbPath = path.join(dataDir, 'tokens.db');
+
+// Session replays get a throwaway database so they never touch live data
+const REPLAY_MODE = !!process.env.DEXTER_REPLAY;
+const dbPath = path.join(dataDir, REPLAY_MODE ? 'replay.db' : 'tokens.db');
 
 let db;
 let SQL;
@@ -24,8 +27,8 @@ export async function initDatabase() {
     // Initialize sql.js
     SQL = await initSqlJs();
     
-    // Load existing database or create new one
-    if (existsSync(dbPath)) {
+    // Load existing database or create new one (replays always start empty)
+    if (existsSync(dbPath) && !REPLAY_MODE) {
       const buffer = readFileSync(dbPath);
       db = new SQL.Database(buffer);
       logger.database(`Database loaded successfully`);
@@ -108,7 +111,7 @@ function createTables() {
     // Ignore migration errors - columns may already exist
   }
 
-  // Price history for 1-min changes
+  // Downsampled MC/volume/price path per token (chart candles)
   db.run(`
     CREATE TABLE IF NOT EXISTS priceHistory (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -116,10 +119,25 @@ function createTables() {
       timestamp INTEGER NOT NULL,
       marketCap REAL,
       volume REAL,
+      price REAL,
       FOREIGN KEY (tokenId) REFERENCES tokens(id)
     )
   `);
 
+  // Migration: price column was added after the table first shipped
+  try {
+    const historyColumns = db.exec(`PRAGMA table_info(priceHistory)`);
+    const historyColumnNames = historyColumns[0]?.values.map(row => row[1]) || [];
+    if (!historyColumnNames.includes('price')) {
+      db.run(`ALTER TABLE priceHistory ADD COLUMN price REAL`);
+      logger.database('Added price column to priceHistory table');
+    }
+  } catch (e) {
+    // Ignore migration errors - column may already exist
+  }
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_priceHistory_token_time ON priceHistory (tokenId, timestamp)`);
+
   // Alert tiers configuration
   db.run(`
     CREATE TABLE IF NOT EXISTS alertTiers (
@@ -143,6 +161,74 @@ function createTables() {
     )
   `);
 
+  // Migration: alert rule firings are logged with their rule, token and deliveries
+  try {
+    const alertColumns = db.exec(`PRAGMA table_info(alertHistory)`);
+    const alertColumnNames = alertColumns[0]?.values.map(row => row[1]) || [];
+    for (const [column, type] of [['ruleId', 'INTEGER'], ['ruleName', 'TEXT'], ['contractAddress', 'TEXT'], ['symbol', 'TEXT'], ['channels', 'TEXT'], ['details', 'TEXT']]) {
+      if (!alertColumnNames.includes(column)) {
+        db.run(`ALTER TABLE alertHistory ADD COLUMN ${column} ${type}`);
+      }
+    }
+  } catch (e) {
+    // Ignore migration errors - columns may already exist
+  }
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_alertHistory_time ON alertHistory (triggeredAt)`);
+
+  // User-defined alert rules (conditions and channels as JSON)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS alertRules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      enabled INTEGER DEFAULT 1,
+      conditions TEXT NOT NULL,
+      channels TEXT NOT NULL,
+      cooldownMs INTEGER DEFAULT 0,
+      dedupeMs INTEGER,
+      createdAt INTEGER,
+      updatedAt INTEGER
+    )
+  `);
+
+  // Contract addresses called in watched Telegram channels, first call per channel
+  db.run(`
+    CREATE TABLE IF NOT EXISTS telegramCalls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channelId TEXT NOT NULL,
+      channelName TEXT,
+      contractAddress TEXT NOT NULL,
+      symbol TEXT,
+      messageId INTEGER,
+      calledAt INTEGER NOT NULL,
+      callMc REAL,
+      peakMc REAL,
+      UNIQUE (channelId, contractAddress)
+    )
+  `);
+
+  // Outgoing Telegram messages: queued, sent or dead (gave up), with send options as JSON
+  db.run(`
+    CREATE TABLE IF NOT EXISTS telegramOutbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      channelId TEXT NOT NULL,
+      channelName TEXT,
+      kind TEXT,
+      text TEXT NOT NULL,
+      options TEXT,
+      priority INTEGER DEFAULT 0,
+      status TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      lastError TEXT,
+      createdAt INTEGER NOT NULL,
+      nextAttemptAt INTEGER,
+      expiresAt INTEGER,
+      sentAt INTEGER
+    )
+  `);
+
+  db.run(`CREATE INDEX IF NOT EXISTS idx_telegramOutbox_status ON telegramOutbox (status, createdAt)`);
+
   // Blacklisted tokens - permanent, survives purge
   db.run(`
     CREATE TABLE IF NOT EXISTS blacklist (
@@ -153,6 +239,15 @@ function createTables() {
     )
   `);
 
+  // Runtime settings changed from the UI (JSON values by key)
+  db.run(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updatedAt INTEGER
+    )
+  `);
+
   // Insert default alert tiers if table is empty
   const tierCount = db.exec(`SELECT COUNT(*) as count FROM alertTiers`);
   if (tierCount[0] && tierCount[0].values[0][0] === 0) {
@@ -298,12 +393,12 @@ export function getTokensByAge(hours = 3) {
   }
 }
 
-export function addPriceHistory(tokenId, marketCap, volume) {
+export function addPriceHistory(tokenId, marketCap, volume, price = null, timestamp = Date.now()) {
   try {
     db.run(`
-      INSERT INTO priceHistory (tokenId, timestamp, marketCap, volume)
-      VALUES (?, ?, ?, ?)
-    `, [tokenId ?? null, Date.now(), marketCap ?? null, volume ?? null]);
+      INSERT INTO priceHistory (tokenId, timestamp, marketCap, volume, price)
+      VALUES (?, ?, ?, ?, ?)
+    `, [tokenId ?? null, timestamp, marketCap ?? null, volume ?? null, price ?? null]);
 
     saveDatabase();
     return Promise.resolve(true);
@@ -340,6 +435,45 @@ export function getPriceHistoryForToken(tokenId, minutes = 1) {
   }
 }
 
+// Oldest first, for building chart candles
+export function getPriceHistoryRange(tokenId, from, to) {
+  try {
+    const result = db.exec(`
+      SELECT timestamp, marketCap, volume, price FROM priceHistory
+      WHERE tokenId = ? AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp ASC
+    `, [tokenId ?? null, from, to]);
+
+    if (result[0]) {
+      const rows = result[0].values.map(([timestamp, marketCap, volume, price]) => ({
+        timestamp, marketCap, volume, price
+      }));
+      return Promise.resolve(rows);
+    }
+
+    return Promise.resolve([]);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Delete history older than the cutoff, except for the given tokens
+export function prunePriceHistory(olderThan, exemptTokenIds = []) {
+  try {
+    const placeholders = exemptTokenIds.map(() => '?').join(', ');
+    db.run(`
+      DELETE FROM priceHistory
+      WHERE timestamp < ?${exemptTokenIds.length > 0 ? ` AND tokenId NOT IN (${placeholders})` : ''}
+    `, [olderThan, ...exemptTokenIds]);
+
+    const deleted = db.getRowsModified();
+    if (deleted > 0) saveDatabase();
+    return Promise.resolve(deleted);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
 export function getAlertTiers() {
   try {
     const result = db.exec(`SELECT * FROM alertTiers ORDER BY createdAt DESC LIMIT 1`);
@@ -374,6 +508,31 @@ export function updateAlertTiers(tier1, tier2, tier3) {
   }
 }
 
+// Stored setting value, or `fallback` if it was never set
+export function getSetting(key, fallback = null) {
+  try {
+    const result = db.exec(`SELECT value FROM settings WHERE key = ?`, [key]);
+    const value = result[0]?.values[0]?.[0];
+    return Promise.resolve(value != null ? JSON.parse(value) : fallback);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+export function setSetting(key, value) {
+  try {
+    db.run(`
+      INSERT OR REPLACE INTO settings (key, value, updatedAt)
+      VALUES (?, ?, ?)
+    `, [key, JSON.stringify(value), Date.now()]);
+
+    saveDatabase();
+    return Promise.resolve(true);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
 export function deleteAllTokens() {
   try {
     // Count before deletion
@@ -399,8 +558,40 @@ export function deleteAllTokens() {
       logger.warn('Could not backup blacklist:', e.message);
     }
 
-    // Only delete degen tokens, preserve holder tokens
-    db.run(`DELETE FROM tokens WHERE source = 'degen'`);
+    // Settings changed from the UI aren't token data - keep them as well
+    let settingRows = [];
+    try {
+      settingRows = db.exec(`SELECT key, value, updatedAt FROM settings`)[0]?.values || [];
+    } catch (e) {
+      logger.warn('Could not backup settings:', e.message);
+    }
+
+    // Alert rules are configuration, not token data - keep them too
+    let alertRuleRows = [];
+    try {
+      alertRuleRows = db.exec(`SELECT ${ALERT_RULE_COLUMNS} FROM alertRules`)[0]?.values || [];
+    } catch (e) {
+      logger.warn('Could not backup alert rules:', e.message);
+    }
+
+    // Called CAs are caller history for the hit-rate leaderboard, not token cache
+    let callRows = [];
+    try {
+      callRows = db.exec(`SELECT ${TELEGRAM_CALL_COLUMNS} FROM telegramCalls`)[0]?.values || [];
+    } catch (e) {
+      logger.warn('Could not backup Telegram calls:', e.message);
+    }
+
+    // Queued and dead-lettered Telegram messages still have to go out or be looked at
+    let outboxRows = [];
+    try {
+      outboxRows = db.exec(`SELECT ${OUTBOX_COLUMNS} FROM telegramOutbox`)[0]?.values || [];
+    } catch (e) {
+      logger.warn('Could not backup Telegram outbox:', e.message);
+    }
+
+    // Only delete degen and called tokens, preserve holder tokens
+    db.run(`DELETE FROM tokens WHERE source IN ('degen', 'telegram-call')`);
     db.run(`DELETE FROM priceHistory`);
     db.run(`DELETE FROM alertHistory`);
 
@@ -443,6 +634,18 @@ export function deleteAllTokens() {
       }
       logger.database(`Restored ${blacklistData.length} blacklisted tokens`);
     }
+    for (const row of settingRows) {
+      db.run(`INSERT OR REPLACE INTO settings (key, value, updatedAt) VALUES (?, ?, ?)`, row);
+    }
+    for (const row of alertRuleRows) {
+      db.run(`INSERT INTO alertRules (${ALERT_RULE_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, row);
+    }
+    for (const row of callRows) {
+      db.run(`INSERT INTO telegramCalls (${TELEGRAM_CALL_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, row);
+    }
+    for (const row of outboxRows) {
+      db.run(`INSERT INTO telegramOutbox (${OUTBOX_COLUMNS}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, row);
+    }
 
     saveDatabase();
 
@@ -462,6 +665,289 @@ export function deleteAllTokens() {
   }
 }
 
+const ALERT_RULE_COLUMNS = 'id, name, enabled, conditions, channels, cooldownMs, dedupeMs, createdAt, updatedAt';
+
+const toAlertRule = ([id, name, enabled, conditions, channels, cooldownMs, dedupeMs, createdAt, updatedAt]) => ({
+  id,
+  name,
+  enabled: !!enabled,
+  conditions: JSON.parse(conditions),
+  channels: JSON.parse(channels),
+  cooldownMs,
+  dedupeMs,
+  createdAt,
+  updatedAt
+});
+
+function selectAlertRule(id) {
+  const row = db.exec(`SELECT ${ALERT_RULE_COLUMNS} FROM alertRules WHERE id = ?`, [id])[0]?.values[0];
+  return row ? toAlertRule(row) : null;
+}
+
+export function getAlertRules() {
+  try {
+    const result = db.exec(`SELECT ${ALERT_RULE_COLUMNS} FROM alertRules ORDER BY id`);
+    return Promise.resolve((result[0]?.values || []).map(toAlertRule));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Insert a rule, or replace the one with `rule.id`. Resolves to the stored
+// rule, or null if `rule.id` doesn't exist.
+export function saveAlertRule(rule) {
+  try {
+    const now = Date.now();
+    const values = [
+      rule.name,
+      rule.enabled ? 1 : 0,
+      JSON.stringify(rule.conditions),
+      JSON.stringify(rule.channels),
+      rule.cooldownMs ?? 0,
+      rule.dedupeMs ?? null
+    ];
+
+    let id = rule.id;
+    if (id != null) {
+      db.run(`
+        UPDATE alertRules
+        SET name = ?, enabled = ?, conditions = ?, channels = ?, cooldownMs = ?, dedupeMs = ?, updatedAt = ?
+        WHERE id = ?
+      `, [...values, now, id]);
+      if (db.getRowsModified() === 0) return Promise.resolve(null);
+    } else {
+      db.run(`
+        INSERT INTO alertRules (name, enabled, conditions, channels, cooldownMs, dedupeMs, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [...values, now, now]);
+      id = db.exec(`SELECT last_insert_rowid()`)[0].values[0][0];
+    }
+
+    saveDatabase();
+    return Promise.resolve(selectAlertRule(id));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+export function deleteAlertRule(id) {
+  try {
+    db.run(`DELETE FROM alertRules WHERE id = ?`, [id]);
+    const deleted = db.getRowsModified() > 0;
+    if (deleted) saveDatabase();
+    return Promise.resolve(deleted);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+export function addAlertHistory(entry) {
+  try {
+    db.run(`
+      INSERT INTO alertHistory (tokenId, contractAddress, symbol, multiplier, tier, ruleId, ruleName, channels, details, triggeredAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.tokenId,
+      entry.contractAddress ?? null,
+      entry.symbol ?? null,
+      entry.multiplier ?? null,
+      entry.tier ?? null,
+      entry.ruleId ?? null,
+      entry.ruleName ?? null,
+      JSON.stringify(entry.channels ?? {}),
+      JSON.stringify(entry.details ?? {}),
+      entry.triggeredAt ?? Date.now()
+    ]);
+
+    saveDatabase();
+    return Promise.resolve(true);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Newest first; optionally one rule's firings, or only those since a time
+export function getAlertHistory({ limit = 100, ruleId = null, since = null } = {}) {
+  try {
+    const result = db.exec(`
+      SELECT id, tokenId, contractAddress, symbol, multiplier, tier, ruleId, ruleName, channels, details, triggeredAt
+      FROM alertHistory
+      WHERE (? IS NULL OR ruleId = ?) AND (? IS NULL OR triggeredAt >= ?)
+      ORDER BY triggeredAt DESC
+      LIMIT ?
+    `, [ruleId, ruleId, since, since, limit]);
+
+    const rows = (result[0]?.values || []).map(([id, tokenId, contractAddress, symbol, multiplier, tier, ruleIdValue, ruleName, channels, details, triggeredAt]) => ({
+      id, tokenId, contractAddress, symbol, multiplier, tier,
+      ruleId: ruleIdValue,
+      ruleName,
+      channels: channels ? JSON.parse(channels) : {},
+      details: details ? JSON.parse(details) : {},
+      triggeredAt
+    }));
+    return Promise.resolve(rows);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+const TELEGRAM_CALL_COLUMNS = 'id, channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc';
+
+// Record a channel's first call of a CA. Resolves false if that channel already called it.
+export function addTelegramCall(call) {
+  try {
+    db.run(`
+      INSERT OR IGNORE INTO telegramCalls (channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      call.channelId,
+      call.channelName ?? null,
+      call.contractAddress,
+      call.symbol ?? null,
+      call.messageId ?? null,
+      call.calledAt,
+      call.callMc ?? null,
+      call.peakMc ?? call.callMc ?? null
+    ]);
+
+    const added = db.getRowsModified() > 0;
+    if (added) saveDatabase();
+    return Promise.resolve(added);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Store new peak MCs: [{ channelId, contractAddress, peakMc }]
+export function updateTelegramCallPeaks(peaks) {
+  try {
+    for (const { channelId, contractAddress, peakMc } of peaks) {
+      db.run(`
+        UPDATE telegramCalls SET peakMc = ?
+        WHERE channelId = ? AND contractAddress = ? AND (peakMc IS NULL OR peakMc < ?)
+      `, [peakMc, channelId, contractAddress, peakMc]);
+    }
+    if (peaks.length > 0) saveDatabase();
+    return Promise.resolve(true);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Newest first; optionally only those since a time
+export function getTelegramCalls({ since = null, limit = 1000 } = {}) {
+  try {
+    const result = db.exec(`
+      SELECT channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc
+      FROM telegramCalls
+      WHERE (? IS NULL OR calledAt >= ?)
+      ORDER BY calledAt DESC
+      LIMIT ?
+    `, [since, since, limit]);
+
+    const rows = (result[0]?.values || []).map(([channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc]) => ({
+      channelId, channelName, contractAddress, symbol, messageId, calledAt, callMc, peakMc
+    }));
+    return Promise.resolve(rows);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+const OUTBOX_COLUMNS = 'id, channelId, channelName, kind, text, options, priority, status, attempts, lastError, createdAt, nextAttemptAt, expiresAt, sentAt';
+
+const toOutboxMessage = ([id, channelId, channelName, kind, text, options, priority, status, attempts, lastError, createdAt, nextAttemptAt, expiresAt, sentAt]) => ({
+  id, channelId, channelName, kind, text,
+  options: options ? JSON.parse(options) : {},
+  priority, status, attempts, lastError, createdAt, nextAttemptAt, expiresAt, sentAt
+});
+
+// Queue an outgoing message; resolves to its id
+export function addOutboxMessage(message) {
+  try {
+    db.run(`
+      INSERT INTO telegramOutbox (channelId, channelName, kind, text, options, priority, status, attempts, lastError, createdAt, nextAttemptAt, expiresAt, sentAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      message.channelId,
+      message.channelName ?? null,
+      message.kind ?? null,
+      message.text,
+      JSON.stringify(message.options ?? {}),
+      message.priority ?? 0,
+      message.status ?? 'queued',
+      message.attempts ?? 0,
+      message.lastError ?? null,
+      message.createdAt,
+      message.nextAttemptAt ?? message.createdAt,
+      message.expiresAt ?? null,
+      message.sentAt ?? null
+    ]);
+    const id = db.exec(`SELECT last_insert_rowid()`)[0].values[0][0];
+
+    saveDatabase();
+    return Promise.resolve(id);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Store a message's delivery state (status, attempts, lastError, nextAttemptAt, expiresAt, sentAt)
+export function updateOutboxMessage(message) {
+  try {
+    db.run(`
+      UPDATE telegramOutbox SET status = ?, attempts = ?, lastError = ?, nextAttemptAt = ?, expiresAt = ?, sentAt = ?
+      WHERE id = ?
+    `, [message.status, message.attempts, message.lastError ?? null, message.nextAttemptAt ?? null, message.expiresAt ?? null, message.sentAt ?? null, message.id]);
+
+    const updated = db.getRowsModified() > 0;
+    if (updated) saveDatabase();
+    return Promise.resolve(updated);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Newest first; optionally one status or one message
+export function getOutboxMessages({ status = null, id = null, limit = 100 } = {}) {
+  try {
+    const result = db.exec(`
+      SELECT ${OUTBOX_COLUMNS}
+      FROM telegramOutbox
+      WHERE (? IS NULL OR status = ?) AND (? IS NULL OR id = ?)
+      ORDER BY id DESC
+      LIMIT ?
+    `, [status, status, id, id, limit]);
+
+    return Promise.resolve((result[0]?.values || []).map(toOutboxMessage));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+export function deleteOutboxMessage(id) {
+  try {
+    db.run(`DELETE FROM telegramOutbox WHERE id = ?`, [id]);
+    const deleted = db.getRowsModified() > 0;
+    if (deleted) saveDatabase();
+    return Promise.resolve(deleted);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Drop sent and dead messages created before a time; resolves to the count removed
+export function pruneOutbox(before) {
+  try {
+    db.run(`DELETE FROM telegramOutbox WHERE status != 'queued' AND createdAt < ?`, [before]);
+    const removed = db.getRowsModified();
+    if (removed > 0) saveDatabase();
+    return Promise.resolve(removed);
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
 export function addToBlacklist(contractAddress, name) {
   try {
     db.run(`
@@ -0,0 +1,17 @@
+/**
+ * Lazy access to the database adapter
+ *
+ * Importing db-adapter.mjs picks and sets up SQLite or PostgreSQL. Modules
+ * that keep their state in the database but are also used without one - unit
+ * tests, the backtester, offline scripts - import it here on first use
+ * instead, and the classes among them take an injected stand-in `store` with
+ * the same functions, so tests can run them against an in-memory store.
+ */
+
+export const loadDb = () => import('./db-adapter.mjs');
+
+// `owner.store` if one was injected, else the database (kept on the owner)
+export async function storeFor(owner) {
+  if (!owner.store) owner.store = await loadDb();
+  return owner.store;
+}
@@ -1,6 +1,8 @@
 import { telegramService } from './telegramService.mjs';
 import logger from './logger.mjs';
 import * as db from './database/db-adapter.mjs';
+import { clock } from './clock.mjs';
+import { capturedCall } from './replay/capture.mjs';
 
 class HolderService {
   constructor() {
@@ -33,14 +35,12 @@ class HolderService {
     await this.pollHolderChannel();
 
     // Set up interval
-    this.pollInterval = setInterval(() => {
-      this.pollHolderChannel();
-    }, intervalMs);
+    this.pollInterval = clock.setInterval(() => this.pollHolderChannel(), intervalMs);
   }
 
   stopPolling() {
     if (this.pollInterval) {
-      clearInterval(this.pollInterval);
+      clock.clearInterval(this.pollInterval);
       this.pollInterval = null;
     }
     this.isPolling = false;
@@ -49,7 +49,7 @@ class HolderService {
 
   async pollHolderChannel() {
     try {
-      const result = await telegramService.getHolderMessage();
+      const result = await capturedCall('telegram', 'getHolderMessage', [], () => telegramService.getHolderMessage());
 
       if (!result.success) {
         // Don't spam logs if telegram not connected
@@ -151,7 +151,7 @@ class HolderService {
         // Mark as ex-holder - continues getting background price updates
         token.source = 'ex-holder';
         token.holderRank = null;
-        token.removedFromHolderAt = Date.now();
+        token.removedFromHolderAt = clock.now();
         await db.insertOrUpdateToken(token);
         logger.info(`Token ${token.symbol || ca.slice(0, 8)} removed from holder list - tracking in background`);
       }
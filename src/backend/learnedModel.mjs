@@ -0,0 +1,244 @@
+/**
+ * Learned MVP model - logistic regression for P(2x within N minutes)
+ *
+ * Training rows are the top10 rows DataCollector logs (src/data/scoring-logs),
+ * labelled with the first time each token reached 2x its spotted MC - from the
+ * logs themselves and from runners/runners.json, which records the exact 2x
+ * moment. runners.json's own feature snapshot is taken at that moment, so it
+ * is only used for the label; training on it would leak the outcome.
+ *
+ * A row is positive if the token hits the target within the horizon, negative
+ * if it doesn't and the session kept running for the whole horizon. Rows
+ * after the hit, and rows whose horizon runs past the end of the session,
+ * are left out.
+ *
+ * Features are built from the same score components v3 computes (and logs),
+ * so the live calculator and the trainer share one extractor. The model is a
+ * plain JSON file: feature standardisation, weights and bias, plus how and on
+ * what it was trained. Bump MODEL_FORMAT_VERSION when the feature set changes
+ * so old models are refused instead of silently mis-scoring.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildOutcomes, toCalculatorToken } from './backtester.mjs';
+import { SESSION_GAP_MS, splitSessions } from './snapshotLabeller.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MODELS_DIR = path.join(__dirname, '../data/models');
+export const DEFAULT_MODEL_FILE = path.join(MODELS_DIR, 'mvp-learned.json');
+export const MODEL_FORMAT_VERSION = 1;
+
+export const DEFAULT_TRAINING = {
+  horizonMs: 30 * 60 * 1000,
+  target: 2,
+  sampleMs: 10 * 1000, // One row per token every 10s; the logs repeat near-identical rows every poll
+  l2: 0.01,
+  iterations: 500,
+  learningRate: 0.5
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const signedLog = (value) => Math.sign(value) * Math.log10(1 + Math.abs(value));
+
+// Each feature reads a { token, components, metricsFresh, now } context
+export const FEATURES = [
+  { name: 'buyPressure', extract: ({ components }) => raw(components, 'buyPressure') },
+  { name: 'netBuyVolume', extract: ({ components }) => signedLog(raw(components, 'netBuyVolume')) },
+  { name: 'txns', extract: ({ components }) => Math.log10(1 + Math.max(raw(components, 'txnsVelocity'), 0)) },
+  { name: 'priceMomentum', extract: ({ components }) => clamp(raw(components, 'priceMomentum'), -100, 1000) / 100 },
+  { name: 'sseMomentum', extract: ({ components }) => clamp(raw(components, 'sseMomentum'), -1, 5) },
+  { name: 'liquidityRatio', extract: ({ components }) => clamp(raw(components, 'liquidity'), 0, 1) },
+  { name: 'metricsFresh', extract: ({ metricsFresh }) => metricsFresh ? 1 : 0 },
+  { name: 'logMc', extract: ({ token }) => Math.log10(Math.max(token.currentMc || 0, 1)) },
+  { name: 'multiplier', extract: ({ token }) => token.spottedMc > 0 ? clamp(Math.log(token.currentMc / token.spottedMc), -3, 3) : 0 },
+  { name: 'fromPeak', extract: ({ token }) => token.peakMc > 0 ? clamp(token.currentMc / token.peakMc - 1, -1, 0) : 0 },
+  { name: 'ageMinutes', extract: ({ token, now }) => token.spottedAt ? Math.log10(1 + Math.max(now - token.spottedAt, 0) / 60000) : 0 }
+];
+
+function raw(components, name) {
+  const value = components?.[name]?.raw;
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Feature values for one token, keyed by feature name
+ */
+export function extractFeatures(context) {
+  const values = {};
+  for (const { name, extract } of FEATURES) {
+    const value = extract(context);
+    values[name] = Number.isFinite(value) ? value : 0;
+  }
+  return values;
+}
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Probability plus each feature's contribution to the log-odds
+ */
+export function predict(model, values) {
+  let logit = model.bias;
+  const contributions = {};
+  for (const { name, mean, std, weight } of model.features) {
+    const value = values[name] ?? 0;
+    const contribution = weight * (value - mean) / std;
+    contributions[name] = { value, contribution };
+    logit += contribution;
+  }
+  return { probability: sigmoid(logit), logit, contributions };
+}
+
+/**
+ * Check a model loaded from disk before it's used for live scoring
+ */
+export function validateModel(model) {
+  if (!model || typeof model !== 'object') throw new Error('Model must be an object');
+  if (model.formatVersion !== MODEL_FORMAT_VERSION) {
+    throw new Error(`Model format ${model.formatVersion} is not supported (expected ${MODEL_FORMAT_VERSION}) - retrain it`);
+  }
+  if (!Number.isFinite(model.bias) || !Array.isArray(model.features)) {
+    throw new Error('Model is missing its bias or features');
+  }
+
+  const known = new Set(FEATURES.map(f => f.name));
+  for (const feature of model.features) {
+    if (!known.has(feature.name)) throw new Error(`Model uses unknown feature "${feature.name}"`);
+    if (![feature.mean, feature.std, feature.weight].every(Number.isFinite) || feature.std <= 0) {
+      throw new Error(`Model feature "${feature.name}" has invalid parameters`);
+    }
+  }
+  return model;
+}
+
+/**
+ * Labelled samples from raw top10 records (readTop10Records) and runners
+ * Returns [{ time, address, values, y }] oldest first
+ */
+export function buildTrainingSet(records, runners = new Map(), options = {}) {
+  const { horizonMs, target, sampleMs } = { ...DEFAULT_TRAINING, ...options };
+  const gapMs = options.gapMs ?? SESSION_GAP_MS;
+
+  const snapshots = records.map(record => ({
+    time: record.time,
+    tokens: record.entries.map(entry => toCalculatorToken(entry, record.time))
+  }));
+  const { hitAt } = buildOutcomes(snapshots, runners, target);
+
+  const samples = [];
+  for (const session of splitSessions(records, gapMs)) {
+    const lastSampled = new Map(); // address -> time
+    for (const record of session.records) {
+      for (const entry of record.entries) {
+        const address = entry.address;
+        const hit = hitAt.get(address);
+        if (hit !== undefined && hit <= record.time) continue; // Already a runner
+
+        const y = hit !== undefined && hit <= record.time + horizonMs ? 1 : 0;
+        if (y === 0 && record.time + horizonMs > session.end) continue; // Outcome not seen
+
+        if (record.time - (lastSampled.get(address) ?? -Infinity) < sampleMs) continue;
+        lastSampled.set(address, record.time);
+
+        const values = extractFeatures({
+          token: toCalculatorToken(entry, record.time),
+          components: entry.components,
+          metricsFresh: entry.metricsFresh,
+          now: record.time
+        });
+        samples.push({ time: record.time, address, values, y });
+      }
+    }
+  }
+
+  samples.sort((a, b) => a.time - b.time);
+  return samples;
+}
+
+/**
+ * Fit an L2-regularised logistic regression with full-batch gradient descent
+ * on standardised features. Returns { features, bias } ready for predict().
+ */
+export function trainLogistic(samples, options = {}) {
+  const { l2, iterations, learningRate } = { ...DEFAULT_TRAINING, ...options };
+  if (samples.length === 0) throw new Error('No training samples');
+
+  const names = FEATURES.map(f => f.name);
+  const n = samples.length;
+
+  const stats = names.map(name => {
+    const mean = samples.reduce((sum, s) => sum + s.values[name], 0) / n;
+    const variance = samples.reduce((sum, s) => sum + (s.values[name] - mean) ** 2, 0) / n;
+    // Constant features get std 1 so they standardise to 0 and keep weight 0
+    return { mean, std: Math.sqrt(variance) > 1e-9 ? Math.sqrt(variance) : 1 };
+  });
+  const x = samples.map(s => names.map((name, j) => (s.values[name] - stats[j].mean) / stats[j].std));
+  const y = samples.map(s => s.y);
+
+  // Start from the base rate so early steps go to the features, not the intercept
+  const positives = y.reduce((sum, v) => sum + v, 0);
+  const baseRate = clamp(positives / n, 1e-4, 1 - 1e-4);
+  let bias = Math.log(baseRate / (1 - baseRate));
+  const weights = new Array(names.length).fill(0);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const gradient = new Array(names.length).fill(0);
+    let biasGradient = 0;
+
+    for (let i = 0; i < n; i++) {
+      let z = bias;
+      for (let j = 0; j < weights.length; j++) z += weights[j] * x[i][j];
+      const error = sigmoid(z) - y[i];
+      biasGradient += error;
+      for (let j = 0; j < weights.length; j++) gradient[j] += error * x[i][j];
+    }
+
+    bias -= learningRate * biasGradient / n;
+    for (let j = 0; j < weights.length; j++) {
+      weights[j] -= learningRate * (gradient[j] / n + l2 * weights[j]);
+    }
+  }
+
+  return {
+    features: names.map((name, j) => ({ name, mean: stats[j].mean, std: stats[j].std, weight: weights[j] })),
+    bias
+  };
+}
+
+/**
+ * Log loss, AUC and base rate of a model on labelled samples
+ */
+export function evaluateModel(model, samples) {
+  const scored = samples.map(s => ({ p: predict(model, s.values).probability, y: s.y }));
+  const positives = scored.filter(s => s.y === 1).length;
+  const negatives = scored.length - positives;
+
+  const logLoss = scored.length > 0
+    ? -scored.reduce((sum, { p, y }) => sum + Math.log(clamp(y ? p : 1 - p, 1e-12, 1)), 0) / scored.length
+    : null;
+
+  // AUC as the Mann-Whitney statistic, averaging ranks over ties
+  let auc = null;
+  if (positives > 0 && negatives > 0) {
+    const sorted = [...scored].sort((a, b) => a.p - b.p);
+    let rankSum = 0;
+    for (let i = 0; i < sorted.length;) {
+      let j = i;
+      while (j + 1 < sorted.length && sorted[j + 1].p === sorted[i].p) j++;
+      const rank = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) if (sorted[k].y === 1) rankSum += rank;
+      i = j + 1;
+    }
+    auc = (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+  }
+
+  return {
+    rows: scored.length,
+    positives,
+    baseRate: scored.length > 0 ? positives / scored.length : null,
+    logLoss,
+    auc
+  };
+}
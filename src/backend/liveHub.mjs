@@ -0,0 +1,256 @@
+/**
+ * Live Hub - pushes token list changes to clients over Server-Sent Events
+ *
+ * Clients connect to GET /api/stream?mode=degen&viewMode=5m (or mode=holder)
+ * and receive:
+ *   snapshot  full view on connect (same shape as GET /api/tokens/top or /holder)
+ *   tokens    delta against the previous view: { list, order, upsert, removed, meta }
+ *   mvp       MVP changed: { list, mvp }
+ *   arrival   a new token was discovered
+ *   alert     a token's peak crossed an alert tier or 2x
+ *
+ * Views are built once per flush for each subscribed list, no matter how
+ * many clients share it, so ten open windows cost the same as one. Changing
+ * view mode means reconnecting with a new query string.
+ */
+
+import { clock } from './clock.mjs';
+import { buildTopView, buildHolderView } from './tokenViews.mjs';
+
+const FLUSH_INTERVAL_MS = 1000; // Matches the old polling cadence
+const MAX_IDLE_MS = 5000; // Rebuild at least this often - scores decay without new events
+const HEARTBEAT_MS = 15000; // Keeps proxies from closing idle connections
+
+export const VIEW_MODES = ['5m', '30m', '1h', '2h', '4h', 'all-time'];
+
+// Server-side bookkeeping fields (_lastDbSave etc.) change constantly and mean nothing to clients
+function publicFields(token) {
+  const result = {};
+  for (const [key, value] of Object.entries(token)) {
+    if (!key.startsWith('_')) result[key] = value;
+  }
+  return result;
+}
+
+// Fields of `next` that differ from `prev`, or null if nothing changed
+function diffToken(prev, next) {
+  const patch = {};
+  let changed = false;
+  for (const [key, value] of Object.entries(next)) {
+    const before = prev[key];
+    const same = (value !== null && typeof value === 'object')
+      ? JSON.stringify(value) === JSON.stringify(before)
+      : value === before;
+    if (!same) {
+      patch[key] = value;
+      changed = true;
+    }
+  }
+  return changed ? patch : null;
+}
+
+class LiveHub {
+  constructor() {
+    this.clients = new Map(); // id -> { res, list }
+    this.nextClientId = 1;
+    this.views = new Map(); // list key -> { tokens: Map(address -> token), order, mvp, meta }
+
+    this.tokenManager = null;
+    this.dataCollector = null;
+    this.logger = null;
+
+    this.dirty = true;
+    this.lastFlush = 0;
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+    this.eventsSent = 0;
+  }
+
+  attach({ tokenManager, dataCollector = null, logger }) {
+    this.tokenManager = tokenManager;
+    this.dataCollector = dataCollector;
+    this.logger = logger;
+
+    tokenManager.on('tokensChanged', () => {
+      this.dirty = true;
+    });
+    tokenManager.on('tokenAdded', (token) => {
+      this.broadcast('arrival', {
+        address: token.contractAddress,
+        name: token.name,
+        symbol: token.symbol,
+        logoUrl: token.logoUrl,
+        spottedMc: token.spottedMc,
+        spottedAt: token.spottedAt
+      });
+    });
+    tokenManager.on('alert', (alert) => this.broadcast('alert', alert));
+  }
+
+  // 'degen:5m' or 'holder'
+  listKey(mode, viewMode) {
+    return mode === 'holder' ? 'holder' : `degen:${viewMode}`;
+  }
+
+  addClient(res, { mode = 'degen', viewMode = 'all-time' } = {}) {
+    const id = this.nextClientId++;
+    const list = this.listKey(mode, viewMode);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Railway)
+    });
+    res.write(`retry: 3000\n\n`);
+
+    // Bring existing subscribers up to date first, so the rebuild for the
+    // newcomer's snapshot doesn't swallow changes they haven't seen yet
+    const view = this.views.has(list) ? this.updateList(list) : this.refreshView(list);
+
+    this.clients.set(id, { res, list });
+    this.startTimers();
+    this.send(res, 'snapshot', { list, ...view.payload });
+
+    return id;
+  }
+
+  removeClient(id) {
+    this.clients.delete(id);
+    if (this.clients.size === 0) this.stopTimers();
+
+    // Drop cached views nobody is subscribed to
+    const active = new Set(Array.from(this.clients.values()).map(c => c.list));
+    for (const list of this.views.keys()) {
+      if (!active.has(list)) this.views.delete(list);
+    }
+  }
+
+  startTimers() {
+    if (this.flushTimer) return;
+    this.flushTimer = clock.setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+    this.heartbeatTimer = clock.setInterval(() => {
+      for (const { res } of this.clients.values()) res.write(`: heartbeat\n\n`);
+    }, HEARTBEAT_MS);
+  }
+
+  stopTimers() {
+    if (this.flushTimer) clock.clearInterval(this.flushTimer);
+    if (this.heartbeatTimer) clock.clearInterval(this.heartbeatTimer);
+    this.flushTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    this.eventsSent++;
+  }
+
+  broadcast(event, data, list = null) {
+    for (const client of this.clients.values()) {
+      if (list && client.list !== list) continue;
+      this.send(client.res, event, data);
+    }
+  }
+
+  buildPayload(list) {
+    if (list === 'holder') {
+      const view = buildHolderView(this.tokenManager, this.logger);
+      this.dataCollector?.recordHolderTokens(view.tokens, 'current', view.mvp);
+      return view;
+    }
+
+    const viewMode = list.slice('degen:'.length);
+    const view = buildTopView(this.tokenManager, viewMode);
+    this.dataCollector?.recordTop10(view.top10, viewMode, view.mvp);
+    return view;
+  }
+
+  // Rebuild a list and return the changes against the cached version
+  refreshView(list) {
+    const payload = this.buildPayload(list);
+    const tokenKey = list === 'holder' ? 'tokens' : 'top10';
+    const { [tokenKey]: tokenList, mvp, ...meta } = payload;
+
+    const tokens = new Map();
+    for (const token of tokenList) tokens.set(token.contractAddress, publicFields(token));
+    const order = Array.from(tokens.keys());
+
+    const previous = this.views.get(list);
+    const view = {
+      tokens,
+      order,
+      mvp,
+      meta,
+      payload: { ...meta, [tokenKey]: Array.from(tokens.values()), mvp }
+    };
+    this.views.set(list, view);
+
+    if (!previous) return { ...view, delta: null, mvpChanged: false };
+
+    const upsert = [];
+    for (const [address, token] of tokens) {
+      const before = previous.tokens.get(address);
+      if (!before) {
+        upsert.push(token);
+        continue;
+      }
+      const patch = diffToken(before, token);
+      if (patch) upsert.push({ contractAddress: address, ...patch });
+    }
+    const removed = previous.order.filter(address => !tokens.has(address));
+    const reordered = order.length !== previous.order.length || order.some((a, i) => a !== previous.order[i]);
+    const metaChanged = JSON.stringify(meta) !== JSON.stringify(previous.meta);
+
+    const delta = (upsert.length > 0 || removed.length > 0 || reordered || metaChanged)
+      ? { list, order, upsert, removed, meta }
+      : null;
+
+    return { ...view, delta, mvpChanged: JSON.stringify(mvp) !== JSON.stringify(previous.mvp) };
+  }
+
+  flush() {
+    if (this.clients.size === 0 || !this.tokenManager) return;
+
+    const now = clock.now();
+    if (!this.dirty && now - this.lastFlush < MAX_IDLE_MS) return;
+    this.dirty = false;
+    this.lastFlush = now;
+
+    const lists = new Set(Array.from(this.clients.values()).map(c => c.list));
+    for (const list of lists) {
+      try {
+        this.updateList(list);
+      } catch (error) {
+        this.logger?.error(`Live update for ${list} failed`, error);
+      }
+    }
+  }
+
+  updateList(list) {
+    const view = this.refreshView(list);
+    if (view.delta) this.broadcast('tokens', view.delta, list);
+    if (view.mvpChanged) this.broadcast('mvp', { list, mvp: view.mvp }, list);
+    return view;
+  }
+
+  getStats() {
+    const byList = {};
+    for (const { list } of this.clients.values()) {
+      byList[list] = (byList[list] || 0) + 1;
+    }
+    return {
+      clients: this.clients.size,
+      byList,
+      eventsSent: this.eventsSent
+    };
+  }
+
+  shutdown() {
+    this.stopTimers();
+    for (const { res } of this.clients.values()) res.end();
+    this.clients.clear();
+  }
+}
+
+export const liveHub = new LiveHub();
@@ -3,6 +3,8 @@
  * Tracks per-second momentum data and calculates MVP scores for tokens
  */
 
+import { clock } from './clock.mjs';
+
 // View-specific weights for MVP scoring
 const VIEW_WEIGHTS = {
   '5m':       { volume: 0.50, mc: 0.35, peak: 0.15 },
@@ -28,7 +30,7 @@ class MVPCalculator {
   recordSnapshot(address, mc, volume) {
     if (!address || mc === null || mc === undefined) return;
 
-    const now = Date.now();
+    const now = clock.now();
 
     if (!this.buffers.has(address)) {
       this.buffers.set(address, {
@@ -60,7 +62,7 @@ class MVPCalculator {
       return { volumeMomentum: 0, mcMomentum: 0, hasData: false };
     }
 
-    const now = Date.now();
+    const now = clock.now();
     const windowStart = now - (windowSeconds * 1000);
 
     // Find the oldest entry within window or the first entry
@@ -109,7 +111,7 @@ class MVPCalculator {
       return { mcAcceleration: 0, volumeAcceleration: 0, hasData: false };
     }
 
-    const now = Date.now();
+    const now = clock.now();
 
     // Recent 5 seconds
     const recent5sStart = now - 5000;
@@ -8,6 +8,8 @@
  * 4. Better normalization so values actually change visibly
  */
 
+import { clock } from './clock.mjs';
+
 // View-specific weights for MVP scoring
 const VIEW_WEIGHTS = {
   '5m':       { volume: 0.50, mc: 0.35, peak: 0.15 },
@@ -24,6 +26,7 @@ class MVPCalculatorImproved {
     this.buffers = new Map();
     this.BUFFER_SIZE = 30; // 30 seconds of history
     this.HEALTH_THRESHOLD = 0.8; // Must be >= 80% of peak MC
+    this.RANK_BY = 'score'; // 'lower' ranks by the confidence band's lower bound where scores have one
     
     // IMPROVED: Shorter windows for more responsive momentum
     this.SHORT_WINDOW = 3; // 3 seconds for immediate momentum
@@ -37,7 +40,7 @@ class MVPCalculatorImproved {
   recordSnapshot(address, mc, volume) {
     if (!address || mc === null || mc === undefined) return;
 
-    const now = Date.now();
+    const now = clock.now();
 
     if (!this.buffers.has(address)) {
       this.buffers.set(address, {
@@ -75,7 +78,7 @@ class MVPCalculatorImproved {
       };
     }
 
-    const now = Date.now();
+    const now = clock.now();
 
     // Short-term momentum (3 seconds) - more responsive
     const shortMomentum = this.calculateMomentumForWindow(
@@ -176,7 +179,7 @@ class MVPCalculatorImproved {
       return { mcAcceleration: 0, volumeAcceleration: 0, hasData: false };
     }
 
-    const now = Date.now();
+    const now = clock.now();
 
     // Recent 5 seconds
     const recent5sStart = now - 5000;
@@ -252,8 +255,9 @@ class MVPCalculatorImproved {
   /**
    * Get the MVP token from a list of tokens
    * Returns null if no tokens pass health check
+   * Options: rankBy ('score' | 'lower') overrides this.RANK_BY
    */
-  getMVP(tokens, viewMode) {
+  getMVP(tokens, viewMode, { rankBy = this.RANK_BY } = {}) {
     if (!tokens || tokens.length === 0) {
       return null;
     }
@@ -274,9 +278,11 @@ class MVPCalculatorImproved {
       scoreData: this.calculateMVPScore(t, viewMode)
     }));
 
-    // Sort by score (descending), tie-break by volume (descending)
+    // Sort by score, or by its lower bound so a thin-data token can't win on
+    // one lucky reading (descending), tie-break by volume (descending)
+    const rankValue = ({ total, band }) => rankBy === 'lower' && band ? band.lower : total;
     scored.sort((a, b) => {
-      const scoreDiff = b.scoreData.total - a.scoreData.total;
+      const scoreDiff = rankValue(b.scoreData) - rankValue(a.scoreData);
       if (Math.abs(scoreDiff) > 0.001) return scoreDiff;
       return (b.token.volume24h || 0) - (a.token.volume24h || 0);
     });
@@ -292,7 +298,10 @@ class MVPCalculatorImproved {
       acceleration: acceleration,
       health: winner.token.currentMc / winner.token.peakMc,
       hasData: winner.scoreData.hasData,
-      dataPoints: winner.scoreData.dataPoints
+      dataPoints: winner.scoreData.dataPoints,
+      metricsFresh: winner.scoreData.metricsFresh,
+      confidence: winner.scoreData.confidence ?? null,
+      band: winner.scoreData.band || null
     };
   }
 
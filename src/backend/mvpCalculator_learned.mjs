@@ -0,0 +1,71 @@
+/**
+ * MVP Calculator Learned - scores tokens with the offline-trained model
+ *
+ * Same inputs, buffers, health check and component breakdown as v3 (so the
+ * views, data collector and shadow scoring work unchanged), but the total is
+ * the model's P(2x within the training horizon) x 100, scaled by the safety
+ * risk multiplier like v3's. Each score also carries the probability and
+ * every feature's contribution to the log-odds.
+ *
+ * Train a model with scripts/train-mvp-model.mjs; see learnedModel.mjs.
+ */
+
+import fs from 'fs';
+import { MVPCalculatorV3 } from './mvpCalculator_v3.mjs';
+import { clock } from './clock.mjs';
+import { DEFAULT_MODEL_FILE, extractFeatures, predict, validateModel } from './learnedModel.mjs';
+
+/**
+ * Read and validate a model file; throws if it's missing or unusable
+ */
+export function loadLearnedModel(file = DEFAULT_MODEL_FILE) {
+  let model;
+  try {
+    model = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read model ${file}: ${error.message}`);
+  }
+  return validateModel(model);
+}
+
+class MVPCalculatorLearned extends MVPCalculatorV3 {
+  constructor(model) {
+    super();
+    this.setModel(model);
+  }
+
+  setModel(model) {
+    this.model = validateModel(model);
+  }
+
+  calculateMVPScore(token, viewMode) {
+    const scoreData = super.calculateMVPScore(token, viewMode);
+    const { probability, contributions } = predict(this.model, extractFeatures({
+      token,
+      components: scoreData.components,
+      metricsFresh: scoreData.metricsFresh,
+      now: clock.now()
+    }));
+
+    const total = probability * 100 * scoreData.riskMultiplier;
+    const band = this.getScoreBand(total, scoreData.confidence);
+    return {
+      ...scoreData,
+      total,
+      band: { lower: Math.max(band.lower, 0), upper: Math.min(band.upper, 100) },
+      probability,
+      contributions
+    };
+  }
+
+  getMVP(tokens, viewMode, options) {
+    const mvp = super.getMVP(tokens, viewMode, options);
+    if (!mvp) return null;
+
+    // The base getMVP only keeps the v3 fields; add the model's view of the winner
+    const { probability, contributions } = this.calculateMVPScore(mvp.token, viewMode);
+    return { ...mvp, probability, contributions, model: this.model.version };
+  }
+}
+
+export { MVPCalculatorLearned };
@@ -6,17 +6,46 @@
  * 2. Adds REST-based transaction metrics (buy pressure, net volume, txns velocity, price momentum)
  * 3. Combines both data sources for hybrid "upward likelihood" score
  * 4. Multi-timeframe support (5m primary, 15m secondary)
- * 5. View-mode-specific weight adjustment
+ * 5. View-mode-specific weights from the active scoring profile (scoringProfiles.mjs)
  * 6. Graceful fallback when REST metrics missing/stale
+ * 7. Liquidity/MC ratio so thin pools can't win on buy pressure alone
+ * 8. Confidence (0-1) and a lower/upper band on every score
+ * 9. Momentum across 1s/3s/5s/10s SSE windows and 5m/15m/1h REST timeframes,
+ *    plus jerk, rolling volatility, trend consistency and volume/MC correlation
  */
 
 import { MVPCalculatorImproved } from './mvpCalculator_improved.mjs';
+import { clock } from './clock.mjs';
+import { DEFAULT_PROFILE, SCORE_COMPONENTS } from './scoringProfiles.mjs';
 
 class MVPCalculatorV3 extends MVPCalculatorImproved {
   constructor() {
     super();
     this.PRIMARY_TIMEFRAME = '5m'; // Most responsive for degen trading
-    this.METRICS_FRESHNESS_MS = 30000; // Metrics must be <30s old
+    this.MAX_RISK_PENALTY = 0.5; // A riskScore of 100 halves the total
+    this.HEALTHY_LIQUIDITY_RATIO = 0.05; // Liquidity at 5% of MC scores neutral
+    this.DEEP_LIQUIDITY_RATIO = 0.2; // 20%+ of MC earns the full bonus
+    this.FULL_CONFIDENCE_POINTS = 20; // SSE datapoints (~20s of ticks) for full data depth
+    this.VOLATILITY_SCALE = 0.05; // Tick-to-tick MC stdev that halves confidence
+    this.DISAGREEMENT_PENALTY = 0.4; // REST and SSE momentum pointing opposite ways
+    this.MIN_BAND = 5; // Band half-width at zero confidence, for scores near 0
+    this.SSE_WINDOWS = [1, 3, 5, 10]; // seconds
+    this.REST_TIMEFRAMES = ['5m', '15m', '1h'];
+    // Move (%) that counts as a full-strength signal in each frame
+    this.STRONG_MOVE_PCT = { '1s': 0.5, '3s': 1, '5s': 1.5, '10s': 2, '5m': 10, '15m': 20, '1h': 40 };
+    this.JERK_SEGMENT_MS = 5000; // Jerk compares three consecutive 5s segments
+    this.setProfile(DEFAULT_PROFILE);
+  }
+
+  /**
+   * Apply a scoring profile: view-mode weights, metrics freshness window
+   * and the MVP health threshold. Takes effect on the next score.
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    this.METRICS_FRESHNESS_MS = profile.metricsFreshnessMs;
+    this.HEALTH_THRESHOLD = profile.healthThreshold;
+    this.RANK_BY = profile.rankBy || 'score';
   }
 
   /**
@@ -41,6 +70,8 @@ class MVPCalculatorV3 extends MVPCalculatorImproved {
     let txnsVelocityScore = 0;
     let priceMomentumScore = 0;
     let sseMomentumScore = 0;
+    const liquidityRatio = this.getLiquidityRatio(token);
+    const liquidityScore = this.calculateLiquidityScore(liquidityRatio);
 
     if (hasFreshMetrics && restMetrics) {
       // REST-based scores
@@ -56,66 +87,212 @@ class MVPCalculatorV3 extends MVPCalculatorImproved {
       sseMomentumScore = sseMomentum.blendedMcMomentum * 100;
     }
 
-    // Weights tuned for pump detection
-    // High buy pressure (35%) - accumulation is key signal
-    // Moderate net volume (20%) - capital inflow matters
-    // Moderate txns velocity (15%) - activity but not spam
-    // High price momentum (20%) - trend confirmation
-    // Low SSE momentum (10%) - immediate breaks only
-    const weights = {
-      buyPressure: 0.35,
-      netBuyVolume: 0.20,
-      txnsVelocity: 0.15,
-      priceMomentum: 0.20,
-      sseMomentum: 0.10
+    // Multi-timeframe and SSE-shape signals
+    const timeframeMomentum = this.calculateTimeframeMomentum(token, hasFreshMetrics);
+    const jerk = this.getJerk(token.contractAddress);
+    const volatility = this.getVolatility(token.contractAddress);
+    const trendConsistency = this.getTrendConsistency(token.contractAddress);
+    const volumeMcCorrelation = this.getVolumeMcCorrelation(token.contractAddress);
+
+    // Component score (roughly -10..+10) and the raw value it came from
+    const parts = {
+      buyPressure: [buyPressureScore, restMetrics?.buyPressure || 0],
+      netBuyVolume: [netBuyVolumeScore, restMetrics?.netBuyVolume || 0],
+      txnsVelocity: [txnsVelocityScore, restMetrics?.txns || 0],
+      priceMomentum: [priceMomentumScore, restMetrics?.priceMomentum || 0],
+      sseMomentum: [sseMomentumScore, sseMomentum.blendedMcMomentum || 0],
+      liquidity: [liquidityScore, liquidityRatio ?? 0],
+      timeframeMomentum: [timeframeMomentum.raw * 10, timeframeMomentum.raw],
+      jerk: [Math.max(-10, Math.min(10, jerk * 1000)), jerk],
+      volatility: [-Math.min(volatility / this.VOLATILITY_SCALE, 1) * 10, volatility],
+      trendConsistency: [trendConsistency * 10, trendConsistency],
+      volumeMcCorrelation: [volumeMcCorrelation * 10, volumeMcCorrelation]
     };
 
-    // Adjust weights based on view mode
-    const viewModeWeights = this.adjustWeightsForViewMode(weights, viewMode);
+    // Profile weights for this view mode (see scoringProfiles.mjs for the defaults)
+    const viewModeWeights = this.getWeightsForViewMode(viewMode);
 
-    // Calculate total score
-    const totalScore =
-      (buyPressureScore * viewModeWeights.buyPressure) +
-      (netBuyVolumeScore * viewModeWeights.netBuyVolume) +
-      (txnsVelocityScore * viewModeWeights.txnsVelocity) +
-      (priceMomentumScore * viewModeWeights.priceMomentum) +
-      (sseMomentumScore * viewModeWeights.sseMomentum);
+    const components = {};
+    let weightedSum = 0;
+    for (const name of SCORE_COMPONENTS) {
+      const [score, raw] = parts[name];
+      const weight = viewModeWeights[name] ?? 0;
+      components[name] = { raw, weighted: score * weight, weight };
+      weightedSum += score * weight;
+    }
+    components.timeframeMomentum.frames = timeframeMomentum.frames;
+
+    // Scale down by the safety check's risk score (0-100, see safety.mjs)
+    const riskMultiplier = 1 - (Math.min(100, token.riskScore || 0) / 100) * this.MAX_RISK_PENALTY;
+    const totalScore = riskMultiplier * weightedSum;
+
+    const confidence = this.calculateConfidence(token, { sseMomentum, restMetrics, hasFreshMetrics });
 
     return {
       total: totalScore,
-      components: {
-        buyPressure: {
-          raw: restMetrics?.buyPressure || 0,
-          weighted: buyPressureScore * viewModeWeights.buyPressure,
-          weight: viewModeWeights.buyPressure
-        },
-        netBuyVolume: {
-          raw: restMetrics?.netBuyVolume || 0,
-          weighted: netBuyVolumeScore * viewModeWeights.netBuyVolume,
-          weight: viewModeWeights.netBuyVolume
-        },
-        txnsVelocity: {
-          raw: restMetrics?.txns || 0,
-          weighted: txnsVelocityScore * viewModeWeights.txnsVelocity,
-          weight: viewModeWeights.txnsVelocity
-        },
-        priceMomentum: {
-          raw: restMetrics?.priceMomentum || 0,
-          weighted: priceMomentumScore * viewModeWeights.priceMomentum,
-          weight: viewModeWeights.priceMomentum
-        },
-        sseMomentum: {
-          raw: sseMomentum.blendedMcMomentum || 0,
-          weighted: sseMomentumScore * viewModeWeights.sseMomentum,
-          weight: viewModeWeights.sseMomentum
-        }
-      },
+      components,
       hasData: hasFreshMetrics || sseMomentum.hasData,
       dataPoints: sseMomentum.dataPoints || 0,
-      metricsFresh: hasFreshMetrics
+      metricsFresh: hasFreshMetrics,
+      riskMultiplier,
+      confidence: confidence.value,
+      confidenceFactors: confidence.factors,
+      band: this.getScoreBand(totalScore, confidence.value)
+    };
+  }
+
+  /**
+   * How much to trust a score, 0-1
+   * Evidence is half SSE history depth, half REST metrics recency; choppy
+   * prices and REST/SSE momentum disagreeing on direction scale it down.
+   */
+  calculateConfidence(token, { sseMomentum, restMetrics, hasFreshMetrics }) {
+    const dataPoints = sseMomentum.dataPoints || 0;
+    const depth = Math.min(dataPoints / this.FULL_CONFIDENCE_POINTS, 1);
+
+    const metricsAgeMs = token.lastMetricsUpdate ? clock.now() - token.lastMetricsUpdate : null;
+    const freshness = hasFreshMetrics ? Math.max(0, 1 - metricsAgeMs / this.METRICS_FRESHNESS_MS) : 0;
+
+    const volatility = this.getVolatility(token.contractAddress);
+    const calm = 1 / (1 + volatility / this.VOLATILITY_SCALE);
+
+    const disagree = restMetrics && sseMomentum.hasData &&
+      Math.sign(restMetrics.priceMomentum) * Math.sign(sseMomentum.blendedMcMomentum) < 0;
+    const agreement = disagree ? 1 - this.DISAGREEMENT_PENALTY : 1;
+
+    return {
+      value: ((depth + freshness) / 2) * calm * agreement,
+      factors: { dataPoints, depth, metricsAgeMs, freshness, volatility, agreement }
     };
   }
 
+  /**
+   * MC change between two times from the SSE buffer, using the last tick at
+   * or before each; null if the buffer doesn't reach back to `start`
+   */
+  getChangeBetween(history, start, end) {
+    let base = null;
+    let last = null;
+    for (const entry of history) {
+      if (entry.timestamp > end) break;
+      if (entry.timestamp <= start) base = entry;
+      last = entry;
+    }
+    if (!base || !(base.value > 0) || last === base) return base ? 0 : null;
+    return last.value / base.value - 1;
+  }
+
+  /**
+   * Agreement of momentum across SSE windows and REST timeframes
+   * raw is the mean per-frame strength (-1..1, each frame's move relative to
+   * STRONG_MOVE_PCT); frames holds each frame's move in %
+   */
+  calculateTimeframeMomentum(token, hasFreshMetrics) {
+    const frames = {};
+    const history = this.buffers.get(token.contractAddress)?.mcHistory || [];
+    const now = clock.now();
+
+    for (const seconds of this.SSE_WINDOWS) {
+      const change = this.getChangeBetween(history, now - seconds * 1000, now);
+      if (change !== null) frames[`${seconds}s`] = change * 100;
+    }
+    if (hasFreshMetrics) {
+      for (const timeframe of this.REST_TIMEFRAMES) {
+        const change = token.transactionMetrics?.[timeframe]?.price_change;
+        if (Number.isFinite(change)) frames[timeframe] = change;
+      }
+    }
+
+    const strengths = Object.entries(frames)
+      .map(([label, pct]) => Math.max(-1, Math.min(1, pct / this.STRONG_MOVE_PCT[label])));
+    const raw = strengths.length > 0 ? strengths.reduce((sum, v) => sum + v, 0) / strengths.length : 0;
+    return { raw, frames };
+  }
+
+  /**
+   * Change of acceleration over the last three SSE segments (0 until the
+   * buffer covers all three)
+   */
+  getJerk(address) {
+    const history = this.buffers.get(address)?.mcHistory || [];
+    const now = clock.now();
+    const segment = this.JERK_SEGMENT_MS;
+
+    const [m1, m2, m3] = [3, 2, 1].map(k => this.getChangeBetween(history, now - k * segment, now - (k - 1) * segment));
+    if (m1 === null || m2 === null || m3 === null) return 0;
+    return (m3 - m2) - (m2 - m1);
+  }
+
+  /**
+   * Share of SSE ticks moving up minus share moving down (-1..1)
+   */
+  getTrendConsistency(address) {
+    const history = this.buffers.get(address)?.mcHistory || [];
+    let ups = 0;
+    let downs = 0;
+    for (let i = 1; i < history.length; i++) {
+      if (history[i].value > history[i - 1].value) ups++;
+      else if (history[i].value < history[i - 1].value) downs++;
+    }
+    return ups + downs > 0 ? (ups - downs) / (ups + downs) : 0;
+  }
+
+  /**
+   * Pearson correlation of per-tick volume and MC changes (-1..1)
+   * Positive when volume arrives with rising MC, negative when it comes with drops
+   */
+  getVolumeMcCorrelation(address) {
+    const buffer = this.buffers.get(address);
+    if (!buffer || buffer.mcHistory.length < 4 || buffer.volumeHistory.length !== buffer.mcHistory.length) return 0;
+
+    const mcDeltas = [];
+    const volumeDeltas = [];
+    for (let i = 1; i < buffer.mcHistory.length; i++) {
+      mcDeltas.push(buffer.mcHistory[i].value - buffer.mcHistory[i - 1].value);
+      volumeDeltas.push(buffer.volumeHistory[i].value - buffer.volumeHistory[i - 1].value);
+    }
+
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const mcMean = mean(mcDeltas);
+    const volumeMean = mean(volumeDeltas);
+    let covariance = 0;
+    let mcVariance = 0;
+    let volumeVariance = 0;
+    for (let i = 0; i < mcDeltas.length; i++) {
+      covariance += (mcDeltas[i] - mcMean) * (volumeDeltas[i] - volumeMean);
+      mcVariance += (mcDeltas[i] - mcMean) ** 2;
+      volumeVariance += (volumeDeltas[i] - volumeMean) ** 2;
+    }
+    if (mcVariance === 0 || volumeVariance === 0) return 0;
+    return covariance / Math.sqrt(mcVariance * volumeVariance);
+  }
+
+  /**
+   * Standard deviation of tick-to-tick MC returns in the SSE buffer
+   * 0 with fewer than 3 ticks (the depth factor covers that case)
+   */
+  getVolatility(address) {
+    const history = this.buffers.get(address)?.mcHistory || [];
+    if (history.length < 3) return 0;
+
+    const returns = [];
+    for (let i = 1; i < history.length; i++) {
+      if (history[i - 1].value > 0) returns.push(history[i].value / history[i - 1].value - 1);
+    }
+    if (returns.length < 2) return 0;
+
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    return Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length);
+  }
+
+  /**
+   * Band around a score that narrows as confidence rises
+   */
+  getScoreBand(total, confidence) {
+    const halfWidth = (1 - confidence) * Math.max(Math.abs(total), this.MIN_BAND);
+    return { lower: total - halfWidth, upper: total + halfWidth };
+  }
+
   /**
    * Extract REST-based transaction metrics for scoring
    */
@@ -235,6 +412,35 @@ class MVPCalculatorV3 extends MVPCalculatorImproved {
     return metrics.priceMomentum * 2;
   }
 
+  /**
+   * Liquidity as a fraction of market cap, or null if either is unknown
+   */
+  getLiquidityRatio(token) {
+    if (!(token.liquidity > 0) || !(token.currentMc > 0)) {
+      return null;
+    }
+    return token.liquidity / token.currentMc;
+  }
+
+  /**
+   * Calculate liquidity score from the liquidity/MC ratio
+   * Unknown liquidity scores neutral rather than being punished
+   */
+  calculateLiquidityScore(ratio) {
+    if (ratio === null) return 0;
+
+    // Below the healthy ratio: linear down to -10 for an empty pool
+    // 0.01 -> -8, 0.025 -> -5, 0.05 -> 0
+    if (ratio < this.HEALTHY_LIQUIDITY_RATIO) {
+      return (ratio / this.HEALTHY_LIQUIDITY_RATIO - 1) * 10;
+    }
+
+    // Above it: up to +10 at the deep ratio, capped there
+    // 0.125 -> 5, 0.2+ -> 10
+    const depth = (ratio - this.HEALTHY_LIQUIDITY_RATIO) / (this.DEEP_LIQUIDITY_RATIO - this.HEALTHY_LIQUIDITY_RATIO);
+    return Math.min(depth, 1) * 10;
+  }
+
   /**
    * Check if transaction metrics are fresh enough to use
    */
@@ -243,65 +449,16 @@ class MVPCalculatorV3 extends MVPCalculatorImproved {
       return false;
     }
 
-    const age = Date.now() - token.lastMetricsUpdate;
+    const age = clock.now() - token.lastMetricsUpdate;
     return age <= this.METRICS_FRESHNESS_MS;
   }
 
   /**
-   * Adjust weights based on view mode
-   * Short-term modes favor immediate signals (SSE, price momentum)
-   * Long-term modes favor sustained signals (buy pressure, net volume)
+   * Component weights for a view mode from the active profile
+   * Unknown view modes use the all-time weights
    */
-  adjustWeightsForViewMode(baseWeights, viewMode) {
-    // Adjust weights based on view mode
-    // Short-term modes favor immediate signals (SSE, price momentum)
-    // Long-term modes favor sustained signals (buy pressure, net volume)
-
-    switch (viewMode) {
-      case '5m':
-        return {
-          ...baseWeights,
-          sseMomentum: 0.20, // Increase immediate signal
-          priceMomentum: 0.25,
-          buyPressure: 0.25,
-          netBuyVolume: 0.15,
-          txnsVelocity: 0.15
-        };
-
-      case '30m':
-        return {
-          ...baseWeights,
-          sseMomentum: 0.15,
-          priceMomentum: 0.20,
-          buyPressure: 0.30,
-          netBuyVolume: 0.20,
-          txnsVelocity: 0.15
-        };
-
-      case '1h':
-        return baseWeights; // Use default
-
-      case '4h':
-        return {
-          ...baseWeights,
-          sseMomentum: 0.05, // Decrease immediate signal
-          priceMomentum: 0.15,
-          buyPressure: 0.40,
-          netBuyVolume: 0.25,
-          txnsVelocity: 0.15
-        };
-
-      case 'all-time':
-      default:
-        return {
-          ...baseWeights,
-          sseMomentum: 0.05,
-          priceMomentum: 0.10,
-          buyPressure: 0.45,
-          netBuyVolume: 0.30,
-          txnsVelocity: 0.10
-        };
-    }
+  getWeightsForViewMode(viewMode) {
+    return this.profile.weights[viewMode] || this.profile.weights['all-time'];
   }
 }
 
@@ -0,0 +1,204 @@
+/**
+ * Phase tracker - classifies where each tracked token is in its run
+ *
+ *   quiet        - nothing notable going on
+ *   accumulation - volume running above its hourly pace while price holds flat
+ *   breakout     - price and volume spiking together
+ *   fomo         - blow-off: a steep price run on extreme volume
+ *   cooling      - giving back gains after a breakout or FOMO run
+ *
+ * TokenManager feeds every SSE tick and REST quote (MC and 24h volume) to
+ * observe(), which also reads the token's latest transaction metrics. Price
+ * moves come from our own tick history when it covers enough time, else from
+ * the metrics' 5m price change; the volume ratio is 5m volume against the 1h
+ * average, else the tick history's last-minute volume flow against its
+ * window average.
+ *
+ * A new phase must be seen for CONFIRM_MS before it replaces the current
+ * one, so a single noisy tick doesn't flip the state. Transitions are kept
+ * per token with their timestamps.
+ */
+
+import { clock } from './clock.mjs';
+
+export const PHASES = ['quiet', 'accumulation', 'breakout', 'fomo', 'cooling'];
+
+export const THRESHOLDS = {
+  accumulation: { maxAbsPricePct: 5, minVolumeRatio: 1.5, minBuyShare: 0.5 },
+  breakout: { minPricePct: 10, minBurstPct: 5, minVolumeRatio: 2 },
+  fomo: { minPricePct: 40, minBurstPct: 15, minVolumeRatio: 3 },
+  cooling: { maxBurstPct: -3, maxPricePct: -15 }
+};
+
+const PRICE_WINDOW_MS = 5 * 60 * 1000; // Matches the metrics' 5m timeframe
+const BURST_WINDOW_MS = 60 * 1000;
+const MIN_COVERAGE_MS = 60 * 1000; // Tick history shorter than this is ignored
+const TICK_SPACING_MS = 1000; // Ticks closer together overwrite each other
+const METRICS_MAX_AGE_MS = 2 * 60 * 1000;
+const CONFIRM_MS = 10 * 1000;
+const MAX_TRANSITIONS = 20;
+
+const RUN_PHASES = new Set(['breakout', 'fomo', 'cooling']);
+
+// Change of `field` across the last `windowMs`, from the newest tick at or
+// before the window start (or the oldest tick, if it covers minCoverageMs)
+function changeOver(ticks, field, windowMs, now, minCoverageMs = windowMs) {
+  if (ticks.length < 2) return null;
+  let base = null;
+  for (const tick of ticks) {
+    if (tick.t > now - windowMs) break;
+    base = tick;
+  }
+  if (!base && now - ticks[0].t >= minCoverageMs) base = ticks[0];
+  const last = ticks[ticks.length - 1];
+  if (!base || base === last || !(base[field] > 0)) return null;
+  return { change: last[field] / base[field] - 1, base, last };
+}
+
+/**
+ * Phase for a set of signals. `current` is the phase the token is in now:
+ * cooling needs a run to cool off from, and FOMO is sticky.
+ */
+export function classifyPhase({ pricePct, burstPct, volumeRatio, buyShare }, current = 'quiet') {
+  const { accumulation, breakout, fomo, cooling } = THRESHOLDS;
+  const price = pricePct ?? 0;
+  const burst = burstPct ?? 0;
+  const volume = volumeRatio ?? 0;
+
+  if ((price >= fomo.minPricePct || burst >= fomo.minBurstPct) && volume >= fomo.minVolumeRatio) return 'fomo';
+  if (RUN_PHASES.has(current) && (burst <= cooling.maxBurstPct || price <= cooling.maxPricePct)) return 'cooling';
+  if ((price >= breakout.minPricePct || burst >= breakout.minBurstPct) && volume >= breakout.minVolumeRatio) {
+    // A blow-off stays FOMO until it stalls or cools instead of stepping back to breakout
+    return current === 'fomo' ? 'fomo' : 'breakout';
+  }
+  if (
+    pricePct !== null && Math.abs(pricePct) <= accumulation.maxAbsPricePct &&
+    volume >= accumulation.minVolumeRatio && (buyShare ?? 0) >= accumulation.minBuyShare
+  ) {
+    return 'accumulation';
+  }
+  // Stay cooling while the price is still sliding
+  if (current === 'cooling' && (burst < 0 || price < 0)) return 'cooling';
+  return 'quiet';
+}
+
+export class PhaseTracker {
+  constructor({ confirmMs = CONFIRM_MS, maxTransitions = MAX_TRANSITIONS } = {}) {
+    this.confirmMs = confirmMs;
+    this.maxTransitions = maxTransitions;
+    this.states = new Map(); // address -> { phase, since, candidate, candidateSince, ticks, transitions }
+  }
+
+  getState(address, now) {
+    let state = this.states.get(address);
+    if (!state) {
+      state = { phase: 'quiet', since: now, candidate: null, candidateSince: null, ticks: [], transitions: [] };
+      this.states.set(address, state);
+    }
+    return state;
+  }
+
+  recordTick(state, mc, volume, now) {
+    if (!(mc > 0)) return;
+    const ticks = state.ticks;
+    const tick = { t: now, mc, volume: volume || 0 };
+    if (ticks.length > 0 && now - ticks[ticks.length - 1].t < TICK_SPACING_MS) {
+      ticks[ticks.length - 1] = tick;
+    } else {
+      ticks.push(tick);
+    }
+
+    // Keep one tick from before the window so changeOver has a base
+    while (ticks.length > 2 && ticks[1].t <= now - PRICE_WINDOW_MS) ticks.shift();
+  }
+
+  /**
+   * Signals the classifier works from; null where neither source has data
+   */
+  getSignals(token, ticks, now) {
+    const fresh = token.lastMetricsUpdate && now - token.lastMetricsUpdate <= METRICS_MAX_AGE_MS;
+    const m5 = fresh ? token.transactionMetrics?.['5m'] : null;
+    const h1 = fresh ? token.transactionMetrics?.['1h'] : null;
+
+    const price = changeOver(ticks, 'mc', PRICE_WINDOW_MS, now, MIN_COVERAGE_MS);
+    const burst = changeOver(ticks, 'mc', BURST_WINDOW_MS, now);
+    let pricePct = price ? price.change * 100 : null;
+    if (pricePct === null && Number.isFinite(m5?.price_change)) pricePct = m5.price_change;
+
+    let volumeRatio = null;
+    const volume5m = (m5?.buy_usd || 0) + (m5?.sell_usd || 0);
+    const volume1h = (h1?.buy_usd || 0) + (h1?.sell_usd || 0);
+    if (volume1h > 0) {
+      volumeRatio = volume5m / (volume1h / 12);
+    } else {
+      const window = changeOver(ticks, 'volume', PRICE_WINDOW_MS, now, 2 * BURST_WINDOW_MS);
+      const recent = changeOver(ticks, 'volume', BURST_WINDOW_MS, now);
+      if (window && recent) {
+        const windowFlow = window.last.volume - window.base.volume;
+        const recentFlow = recent.last.volume - recent.base.volume;
+        const windowMs = window.last.t - window.base.t;
+        const recentMs = recent.last.t - recent.base.t;
+        if (windowFlow > 0 && recentMs > 0) volumeRatio = Math.max(recentFlow / recentMs, 0) / (windowFlow / windowMs);
+      }
+    }
+
+    const trades = (m5?.buys || 0) + (m5?.sells || 0);
+    return {
+      pricePct,
+      burstPct: burst ? burst.change * 100 : null,
+      volumeRatio,
+      buyShare: trades > 0 ? m5.buys / trades : null
+    };
+  }
+
+  /**
+   * Record a tick for `token` and re-classify it. Returns the transition
+   * ({ address, symbol, from, to, at }) if the phase changed, else null.
+   */
+  observe(token, now = clock.now()) {
+    const address = token.contractAddress;
+    const state = this.getState(address, now);
+    this.recordTick(state, token.currentMc, token.volume24h, now);
+
+    const next = classifyPhase(this.getSignals(token, state.ticks, now), state.phase);
+    if (next === state.phase) {
+      state.candidate = null;
+      return null;
+    }
+    if (state.candidate !== next) {
+      state.candidate = next;
+      state.candidateSince = now;
+    }
+    if (now - state.candidateSince < this.confirmMs) return null;
+
+    const transition = { from: state.phase, to: next, at: now };
+    state.transitions.push(transition);
+    if (state.transitions.length > this.maxTransitions) state.transitions.shift();
+    state.phase = next;
+    state.since = now;
+    state.candidate = null;
+    return { address, symbol: token.symbol || token.name, ...transition };
+  }
+
+  /**
+   * Current phase of a token; quiet (with no start time) if never observed
+   */
+  getPhase(address, now = clock.now()) {
+    const state = this.states.get(address);
+    if (!state) return { phase: 'quiet', phaseSince: null, timeInPhaseMs: null };
+    return { phase: state.phase, phaseSince: state.since, timeInPhaseMs: now - state.since };
+  }
+
+  getTransitions(address) {
+    return [...(this.states.get(address)?.transitions || [])];
+  }
+
+  cleanupStaleBuffers(activeAddresses) {
+    const active = new Set(activeAddresses);
+    for (const address of this.states.keys()) {
+      if (!active.has(address)) this.states.delete(address);
+    }
+  }
+}
+
+export const phaseTracker = new PhaseTracker();
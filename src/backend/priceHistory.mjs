@@ -0,0 +1,55 @@
+/**
+ * Price history candles
+ *
+ * TokenManager persists one MC/volume/price sample per token every few
+ * seconds (see recordPriceHistory). Charts ask for OHLC candles at a chosen
+ * resolution; samples are bucketed here rather than in SQL so SQLite and
+ * PostgreSQL return identical results.
+ */
+
+export const RESOLUTIONS = {
+  '15s': 15 * 1000,
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+export const DEFAULT_RESOLUTION = '1m';
+
+/**
+ * Resolve a resolution key ("5m") to milliseconds, or null if unsupported
+ */
+export function parseResolution(value = DEFAULT_RESOLUTION) {
+  return Object.hasOwn(RESOLUTIONS, value) ? RESOLUTIONS[value] : null;
+}
+
+/**
+ * Bucket samples (oldest first) into MC candles
+ * Each candle: { time, open, high, low, close, volume, price, samples }
+ * where volume/price are the last values seen in the bucket
+ */
+export function buildCandles(rows, resolutionMs) {
+  const candles = [];
+  let current = null;
+
+  for (const row of rows) {
+    const mc = row.marketCap;
+    if (mc === null || mc === undefined) continue;
+
+    const time = Math.floor(Number(row.timestamp) / resolutionMs) * resolutionMs;
+    if (!current || current.time !== time) {
+      current = { time, open: mc, high: mc, low: mc, close: mc, volume: null, price: null, samples: 0 };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, mc);
+    current.low = Math.min(current.low, mc);
+    current.close = mc;
+    if (row.volume !== null && row.volume !== undefined) current.volume = row.volume;
+    if (row.price !== null && row.price !== undefined) current.price = row.price;
+    current.samples++;
+  }
+
+  return candles;
+}
@@ -0,0 +1,50 @@
+import * as birdeye from '../apis/birdeye.mjs';
+import { birdeyeLimiter } from '../rateLimit.mjs';
+
+export const birdeyeProvider = {
+  name: 'birdeye',
+  label: 'Birdeye',
+  capabilities: ['quotes', 'metadata'],
+
+  // Every Birdeye endpoint needs BIRDEYE_API_KEY
+  isAvailable() {
+    return !!process.env.BIRDEYE_API_KEY;
+  },
+
+  // Price and summary are separate endpoints, so each address costs two requests
+  async getBatchQuotes(addresses) {
+    const results = {};
+
+    for (const addr of addresses) {
+      await birdeyeLimiter.acquire();
+      const price = await birdeye.getTokenPrice(addr);
+      if (!price) {
+        results[addr] = null;
+        continue;
+      }
+
+      await birdeyeLimiter.acquire();
+      const summary = await birdeye.getTokenVolume(addr);
+
+      results[addr] = {
+        priceUsd: price.price,
+        marketCap: summary?.marketCap || 0,
+        volume24h: summary?.volume24h || 0
+      };
+    }
+
+    return results;
+  },
+
+  async getMetadata(address) {
+    await birdeyeLimiter.acquire();
+    const metadata = await birdeye.getTokenMetadata(address);
+    if (!metadata) return null;
+
+    return {
+      name: metadata.name || null,
+      symbol: metadata.symbol || null,
+      logoUrl: metadata.logo_uri || metadata.logoURI || null
+    };
+  }
+};
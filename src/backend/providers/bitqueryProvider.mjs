@@ -0,0 +1,41 @@
+import * as bitquery from '../apis/bitquery.mjs';
+
+export const bitqueryProvider = {
+  name: 'bitquery',
+  label: 'Bitquery',
+  capabilities: ['quotes', 'metadata'],
+
+  // Latest DEX trade per mint; MC assumes the pump.fun 1B supply
+  async getBatchQuotes(addresses) {
+    const results = {};
+
+    for (let i = 0; i < addresses.length; i += bitquery.MAX_BATCH_SIZE) {
+      const batch = addresses.slice(i, i + bitquery.MAX_BATCH_SIZE);
+      const prices = await bitquery.getTokenMarketCaps(batch);
+
+      for (const addr of batch) {
+        const data = prices.get(addr);
+        results[addr] = data ? {
+          priceUsd: data.priceUSD,
+          marketCap: data.marketCap,
+          name: data.name,
+          symbol: data.symbol
+        } : null;
+      }
+    }
+
+    return results;
+  },
+
+  async getMetadata(address) {
+    const prices = await bitquery.getTokenMarketCaps([address]);
+    const data = prices.get(address);
+    if (!data || (!data.name && !data.symbol)) return null;
+
+    return {
+      name: data.name,
+      symbol: data.symbol,
+      logoUrl: null
+    };
+  }
+};
@@ -0,0 +1,70 @@
+import * as dexpaprika from '../apis/dexpaprika.mjs';
+
+const REQUEST_CONCURRENCY = 10;
+
+export const dexpaprikaProvider = {
+  name: 'dexpaprika',
+  label: 'DexPaprika',
+  capabilities: ['quotes', 'metadata', 'transactionMetrics', 'stream'],
+
+  // No batch endpoint: getBatchPrices fans out individual requests
+  async getBatchQuotes(addresses) {
+    return dexpaprika.getBatchPrices(addresses, REQUEST_CONCURRENCY);
+  },
+
+  async getMetadata(address) {
+    const data = await dexpaprika.getTokenData(address);
+    if (!data) return null;
+
+    return {
+      name: data.name,
+      symbol: data.symbol,
+      logoUrl: null
+    };
+  },
+
+  async getTransactionMetrics(addresses) {
+    const prices = await dexpaprika.getBatchPrices(addresses, REQUEST_CONCURRENCY);
+    const results = {};
+    for (const [addr, data] of Object.entries(prices)) {
+      // totalSupply rides along so SSE tokens can compute MC from price,
+      // liquidity/pools because those tokens never go through the quote cycle
+      results[addr] = data?.transactionMetrics
+        ? {
+            transactionMetrics: data.transactionMetrics,
+            totalSupply: data.totalSupply || 0,
+            liquidity: data.liquidity || 0,
+            pools: data.pools || 0
+          }
+        : null;
+    }
+    return results;
+  },
+
+  // ============ Stream (SSE t_p events) ============
+
+  subscribe(addresses) {
+    return dexpaprika.subscribeTokens(addresses);
+  },
+
+  // Streams x tokens per multiplexed stream
+  getCapacity() {
+    return dexpaprika.getStreamCapacity();
+  },
+
+  onPriceUpdate(callback) {
+    dexpaprika.onPriceUpdate(callback);
+  },
+
+  calculateMarketCap(price, totalSupply) {
+    return dexpaprika.calculateMarketCap(price, totalSupply);
+  },
+
+  getStats() {
+    return dexpaprika.getSSEStats();
+  },
+
+  shutdown() {
+    dexpaprika.shutdown();
+  }
+};
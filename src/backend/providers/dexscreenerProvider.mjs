@@ -0,0 +1,100 @@
+import axios from 'axios';
+import * as dexscreener from '../apis/dexscreener.mjs';
+import { dexscreenerLimiter } from '../rateLimit.mjs';
+
+const PAIRS_URL = 'https://api.dexscreener.com/latest/dex/tokens';
+const PAIRS_BATCH_SIZE = 30; // DexScreener accepts up to 30 addresses per call
+
+// Pick best pair using intelligent ranking (liquidity > market cap > price data)
+export function pickBestPair(pairs) {
+  if (!pairs || pairs.length === 0) return null;
+
+  return [...pairs].sort((a, b) => {
+    const liqA = a.liquidity?.usd || 0;
+    const liqB = b.liquidity?.usd || 0;
+    const mcA = a.marketCap || a.fdv || 0;
+    const mcB = b.marketCap || b.fdv || 0;
+
+    // Rank by: liquidity presence > liquidity amount > market cap presence > market cap amount
+    const rankA = [liqA > 0 ? 1 : 0, liqA, mcA > 0 ? 1 : 0, mcA];
+    const rankB = [liqB > 0 ? 1 : 0, liqB, mcB > 0 ? 1 : 0, mcB];
+
+    for (let i = 0; i < rankA.length; i++) {
+      if (rankB[i] !== rankA[i]) return rankB[i] - rankA[i];
+    }
+    return 0;
+  })[0];
+}
+
+function pairToQuote(pair) {
+  return {
+    priceUsd: parseFloat(pair.priceUsd) || 0,
+    marketCap: pair.marketCap || pair.fdv || 0,
+    volume24h: pair.volume?.h24 || 0,
+    liquidity: pair.liquidity?.usd || 0,
+    name: pair.baseToken?.name || null,
+    symbol: pair.baseToken?.symbol || null,
+    logoUrl: pair.info?.imageUrl || null,
+    dexId: pair.dexId || null,
+    pairAddress: pair.pairAddress || null
+  };
+}
+
+async function fetchPairs(addresses) {
+  await dexscreenerLimiter.acquire();
+
+  const response = await axios.get(`${PAIRS_URL}/${addresses.join(',')}`, {
+    headers: { 'User-Agent': 'Project-Dexter/1.0' },
+    timeout: 10000
+  });
+
+  // Group pairs by contract address
+  const pairsByAddress = {};
+  for (const pair of response.data?.pairs || []) {
+    const addr = pair.baseToken?.address;
+    if (!addr) continue;
+    if (!pairsByAddress[addr]) pairsByAddress[addr] = [];
+    pairsByAddress[addr].push(pair);
+  }
+  return pairsByAddress;
+}
+
+export const dexscreenerProvider = {
+  name: 'dexscreener',
+  label: 'DexScreener',
+  capabilities: ['discover', 'quotes', 'metadata'],
+
+  // Latest paid token profiles (Solana only)
+  async discover() {
+    await dexscreenerLimiter.acquire();
+    return dexscreener.getLatestTokenProfiles();
+  },
+
+  async getBatchQuotes(addresses) {
+    const results = {};
+
+    for (let i = 0; i < addresses.length; i += PAIRS_BATCH_SIZE) {
+      const batch = addresses.slice(i, i + PAIRS_BATCH_SIZE);
+      const pairsByAddress = await fetchPairs(batch);
+
+      for (const addr of batch) {
+        const bestPair = pickBestPair(pairsByAddress[addr]);
+        results[addr] = bestPair ? pairToQuote(bestPair) : null;
+      }
+    }
+
+    return results;
+  },
+
+  async getMetadata(address) {
+    await dexscreenerLimiter.acquire();
+    const tokenData = await dexscreener.getTokenByAddress(address);
+    if (!tokenData) return null;
+
+    return {
+      name: tokenData.name || null,
+      symbol: tokenData.symbol || null,
+      logoUrl: tokenData.logoUrl || null
+    };
+  }
+};
@@ -0,0 +1,20 @@
+import { ProviderRegistry, CAPABILITIES, DEFAULT_CHAINS } from './providerRegistry.mjs';
+import { dexscreenerProvider } from './dexscreenerProvider.mjs';
+import { dexpaprikaProvider } from './dexpaprikaProvider.mjs';
+import { birdeyeProvider } from './birdeyeProvider.mjs';
+import { jupiterProvider } from './jupiterProvider.mjs';
+import { bitqueryProvider } from './bitqueryProvider.mjs';
+import { solscanProvider } from './solscanProvider.mjs';
+import { pumpportalProvider } from './pumpportalProvider.mjs';
+
+export const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(dexscreenerProvider);
+providerRegistry.register(dexpaprikaProvider);
+providerRegistry.register(birdeyeProvider);
+providerRegistry.register(jupiterProvider);
+providerRegistry.register(bitqueryProvider);
+providerRegistry.register(solscanProvider);
+providerRegistry.register(pumpportalProvider);
+
+export { ProviderRegistry, CAPABILITIES, DEFAULT_CHAINS };
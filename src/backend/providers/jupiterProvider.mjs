@@ -0,0 +1,29 @@
+import * as jupiter from '../apis/jupiter.mjs';
+import { jupiterLimiter } from '../rateLimit.mjs';
+
+const PRICE_BATCH_SIZE = 100;
+
+export const jupiterProvider = {
+  name: 'jupiter',
+  label: 'Jupiter',
+  capabilities: ['quotes'],
+
+  // Price only - Jupiter knows nothing about supply, so without a marketCap the
+  // registry still asks the rest of the quotes chain for each token
+  async getBatchQuotes(addresses) {
+    const results = {};
+
+    for (let i = 0; i < addresses.length; i += PRICE_BATCH_SIZE) {
+      const batch = addresses.slice(i, i + PRICE_BATCH_SIZE);
+      await jupiterLimiter.acquire();
+      const prices = await jupiter.getPrices(batch);
+
+      for (const addr of batch) {
+        const price = parseFloat(prices[addr]?.price);
+        results[addr] = price > 0 ? { priceUsd: price } : null;
+      }
+    }
+
+    return results;
+  }
+};
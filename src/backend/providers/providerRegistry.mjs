@@ -0,0 +1,279 @@
+import logger from '../logger.mjs';
+import { withLane } from '../rateLimit.mjs';
+
+/**
+ * Market-data provider registry
+ *
+ * Every data vendor is wrapped in a provider object that implements some of
+ * the capabilities below. TokenManager only talks to the registry, which walks
+ * a priority chain per capability and falls back to the next provider when
+ * one fails or has no data for an address.
+ *
+ * Dispatch methods take a `lane` option (top10, holder, background,
+ * discovery) that sets the rate limiter priority of every request they make.
+ *
+ * Provider contract (all methods optional except name/capabilities):
+ *   name, label, capabilities: string[]
+ *   isAvailable()                          -> boolean (e.g. API key present)
+ *   discover()                             -> [{ contractAddress, name, symbol, logoUrl }]
+ *   getBatchQuotes(addresses)              -> { [address]: quote | null }
+ *   getMetadata(address)                   -> { name, symbol, logoUrl } | null
+ *   getTransactionMetrics(addresses)       -> { [address]: { transactionMetrics, totalSupply,
+ *                                               liquidity?, pools? } | null }
+ *   getBondingCurves(addresses)            -> { [address]: { progress, virtualSolReserves,
+ *                                               virtualTokenReserves, migrated, migratedTo, migratedAt } | null }
+ *   subscribe(addresses), onPriceUpdate(cb), calculateMarketCap(price, supply),
+ *   getCapacity(), getStats(), shutdown()  -> stream capability (subscribe takes
+ *                                             addresses highest priority first)
+ *
+ * A quote is { priceUsd, marketCap, volume24h, liquidity, pools, totalSupply,
+ * transactionMetrics, name, symbol, logoUrl } with any field possibly missing.
+ * liquidity is USD depth of the best pair (0 = unknown).
+ */
+
+export const CAPABILITIES = ['discover', 'quotes', 'metadata', 'transactionMetrics', 'bondingCurve', 'stream'];
+
+export const DEFAULT_CHAINS = {
+  discover: ['dexscreener', 'pumpportal'],
+  quotes: ['dexpaprika', 'dexscreener', 'pumpportal'],
+  metadata: ['dexpaprika', 'dexscreener', 'birdeye', 'solscan'],
+  transactionMetrics: ['pumpportal', 'dexpaprika'],
+  bondingCurve: ['pumpportal'],
+  stream: ['dexpaprika']
+};
+
+export class ProviderRegistry {
+  constructor() {
+    this.providers = new Map(); // name -> provider
+    this.chains = this.copyChains(DEFAULT_CHAINS);
+    this.recorder = null; // SessionRecorder when capturing a session
+  }
+
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  // Failed calls are recorded too, so a replay fails over exactly as live did
+  record(provider, method, args, result, error = null) {
+    if (this.recorder) this.recorder.recordProviderCall(provider, method, args, result, error);
+  }
+
+  copyChains(chains) {
+    const copy = {};
+    for (const capability of CAPABILITIES) {
+      copy[capability] = [...(chains[capability] || [])];
+    }
+    return copy;
+  }
+
+  register(provider) {
+    if (!provider?.name || !Array.isArray(provider.capabilities)) {
+      throw new Error('Provider must have a name and a capabilities array');
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  supports(name, capability) {
+    const provider = this.providers.get(name);
+    return !!provider && provider.capabilities.includes(capability);
+  }
+
+  isAvailable(provider) {
+    return typeof provider.isAvailable === 'function' ? provider.isAvailable() : true;
+  }
+
+  // Providers for a capability in priority order, skipping unavailable ones
+  getChain(capability) {
+    return (this.chains[capability] || [])
+      .map(name => this.providers.get(name))
+      .filter(p => p && p.capabilities.includes(capability) && this.isAvailable(p));
+  }
+
+  validateOrder(names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error('At least one provider is required');
+    }
+    const unknown = names.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown provider(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  // Replace the priority chain for one capability
+  setChain(capability, names) {
+    if (!CAPABILITIES.includes(capability)) {
+      throw new Error(`Unknown capability "${capability}". Use one of: ${CAPABILITIES.join(', ')}`);
+    }
+    this.validateOrder(names);
+
+    const unsupported = names.filter(name => !this.supports(name, capability));
+    if (unsupported.length > 0) {
+      throw new Error(`Provider(s) ${unsupported.join(', ')} do not support "${capability}"`);
+    }
+
+    this.chains[capability] = [...new Set(names)];
+    this.recorder?.recordChains(this.chains);
+    return this.chains[capability];
+  }
+
+  // Promote the given providers to the front of every chain they support.
+  // Providers already in a chain but not named stay behind them as fallbacks.
+  setSourceOrder(names) {
+    this.validateOrder(names);
+
+    for (const capability of CAPABILITIES) {
+      const preferred = names.filter(name => this.supports(name, capability));
+      if (preferred.length === 0) continue;
+      const fallbacks = this.chains[capability].filter(name => !preferred.includes(name));
+      this.chains[capability] = [...new Set([...preferred, ...fallbacks])];
+    }
+
+    this.recorder?.recordChains(this.chains);
+    return this.chains;
+  }
+
+  resetChains() {
+    this.chains = this.copyChains(DEFAULT_CHAINS);
+    this.recorder?.recordChains(this.chains);
+    return this.chains;
+  }
+
+  // Chain for one call with `prefer` (if it supports the capability) moved to the front
+  getPreferredChain(capability, prefer = null) {
+    const chain = this.getChain(capability);
+    if (!prefer) return chain;
+    return [
+      ...chain.filter(p => p.name === prefer),
+      ...chain.filter(p => p.name !== prefer)
+    ];
+  }
+
+  // ============ Capability dispatch ============
+
+  // Discovery merges every provider in the chain; earlier providers win on duplicates
+  async discover() {
+    return withLane('discovery', () => this.discoverAll());
+  }
+
+  async discoverAll() {
+    const seen = new Map();
+
+    for (const provider of this.getChain('discover')) {
+      try {
+        const candidates = await provider.discover();
+        this.record(provider.name, 'discover', [], candidates);
+        for (const candidate of candidates || []) {
+          if (!candidate?.contractAddress || seen.has(candidate.contractAddress)) continue;
+          seen.set(candidate.contractAddress, { ...candidate, provider: provider.name });
+        }
+      } catch (error) {
+        this.record(provider.name, 'discover', [], null, error);
+        logger.warn(`Discovery via ${provider.name} failed: ${error?.message || error}`);
+      }
+    }
+
+    return Array.from(seen.values());
+  }
+
+  // Quotes fall through the chain per address: whatever the first provider
+  // could not price is retried on the next one. A price without a market cap
+  // (Jupiter) is kept only until a later provider has the full quote. `prefer`
+  // moves a provider to the front for this call only (e.g. quote a token from
+  // the source that found it).
+  async getBatchQuotes(addresses, { prefer = null, lane = null } = {}) {
+    return withLane(lane, () => this.resolvePerAddress('quotes', 'getBatchQuotes', addresses, prefer));
+  }
+
+  // `fallback: false` asks only the preferred provider (e.g. cheap local data
+  // that should not spill over to a rate-limited REST API)
+  async getTransactionMetrics(addresses, { prefer = null, fallback = true, lane = null } = {}) {
+    return withLane(lane, () => this.resolvePerAddress('transactionMetrics', 'getTransactionMetrics', addresses, prefer, fallback));
+  }
+
+  async getBondingCurves(addresses) {
+    return this.resolvePerAddress('bondingCurve', 'getBondingCurves', addresses);
+  }
+
+  async resolvePerAddress(capability, method, addresses, prefer = null, fallback = true) {
+    const results = {};
+    for (const addr of addresses) results[addr] = null;
+
+    let chain = this.getPreferredChain(capability, prefer);
+    if (prefer && !fallback) chain = chain.filter(p => p.name === prefer);
+
+    let remaining = [...addresses];
+    for (const provider of chain) {
+      if (remaining.length === 0) break;
+
+      try {
+        const response = await provider[method](remaining);
+        this.record(provider.name, method, [remaining], response);
+        for (const addr of remaining) {
+          const data = response?.[addr];
+          if (data) {
+            results[addr] = capability === 'quotes' ? { ...data, source: provider.name } : data;
+          }
+        }
+      } catch (error) {
+        this.record(provider.name, method, [remaining], null, error);
+        logger.warn(`${capability} via ${provider.name} failed: ${error?.message || error}`);
+      }
+
+      remaining = remaining.filter(addr => !(capability === 'quotes' ? results[addr]?.marketCap : results[addr]));
+    }
+
+    return results;
+  }
+
+  async getMetadata(address, { prefer = null, lane = null } = {}) {
+    return withLane(lane, () => this.resolveMetadata(address, prefer));
+  }
+
+  async resolveMetadata(address, prefer) {
+    for (const provider of this.getPreferredChain('metadata', prefer)) {
+      try {
+        const metadata = await provider.getMetadata(address);
+        this.record(provider.name, 'getMetadata', [address], metadata);
+        if (metadata) return { ...metadata, source: provider.name };
+      } catch (error) {
+        this.record(provider.name, 'getMetadata', [address], null, error);
+        logger.warn(`Metadata via ${provider.name} failed: ${error?.message || error}`);
+      }
+    }
+    return null;
+  }
+
+  // Only one provider streams at a time: the first available in the chain
+  getStream() {
+    return this.getChain('stream')[0] || null;
+  }
+
+  // Register for live prices from the stream provider (captured when recording)
+  onStreamPrice(callback) {
+    const stream = this.getStream();
+    if (!stream) return false;
+
+    stream.onPriceUpdate((address, price, timestamp) => {
+      this.recorder?.recordStreamEvent(stream.name, address, price, timestamp);
+      callback(address, price, timestamp);
+    });
+    return true;
+  }
+
+  getStatus() {
+    return {
+      providers: Array.from(this.providers.values()).map(p => ({
+        name: p.name,
+        label: p.label || p.name,
+        capabilities: p.capabilities,
+        available: this.isAvailable(p)
+      })),
+      chains: this.copyChains(this.chains)
+    };
+  }
+}
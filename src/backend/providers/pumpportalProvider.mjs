@@ -0,0 +1,49 @@
+import * as pumpportal from '../apis/pumpportal.mjs';
+import { isReplaying } from '../replay/capture.mjs';
+
+export const pumpportalProvider = {
+  name: 'pumpportal',
+  label: 'PumpPortal',
+  capabilities: ['discover', 'quotes', 'transactionMetrics', 'bondingCurve'],
+
+  // Needs the global WebSocket (Node 22+) unless replaying recorded frames; PUMPPORTAL_ENABLED=false opts out
+  isAvailable() {
+    return (typeof WebSocket !== 'undefined' || isReplaying()) && process.env.PUMPPORTAL_ENABLED !== 'false';
+  },
+
+  // Launches that crossed the MC floor since the last poll (socket opens on first call)
+  async discover() {
+    return pumpportal.takeNewTokens();
+  },
+
+  // Only knows mints it watched from launch - everything else falls through the chain
+  async getBatchQuotes(addresses) {
+    const results = {};
+    for (const addr of addresses) results[addr] = pumpportal.getQuote(addr);
+    return results;
+  },
+
+  // Built from individual trades, so it is current to the last fill rather than a REST snapshot
+  async getTransactionMetrics(addresses) {
+    const results = {};
+    for (const addr of addresses) {
+      const transactionMetrics = pumpportal.getTransactionMetrics(addr);
+      results[addr] = transactionMetrics ? { transactionMetrics, totalSupply: 1_000_000_000 } : null;
+    }
+    return results;
+  },
+
+  async getBondingCurves(addresses) {
+    const results = {};
+    for (const addr of addresses) results[addr] = pumpportal.getBondingCurve(addr);
+    return results;
+  },
+
+  getStats() {
+    return pumpportal.getStats();
+  },
+
+  shutdown() {
+    pumpportal.shutdown();
+  }
+};
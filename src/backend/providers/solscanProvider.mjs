@@ -0,0 +1,24 @@
+import * as solscan from '../apis/solscan.mjs';
+import { solscanLimiter } from '../rateLimit.mjs';
+
+export const solscanProvider = {
+  name: 'solscan',
+  label: 'Solscan',
+  capabilities: ['metadata'],
+
+  isAvailable() {
+    return !!process.env.SOLSCAN_API_KEY;
+  },
+
+  async getMetadata(address) {
+    await solscanLimiter.acquire();
+    const metadata = await solscan.getTokenMetadata(address);
+    if (!metadata) return null;
+
+    return {
+      name: metadata.name || null,
+      symbol: metadata.symbol || null,
+      logoUrl: metadata.icon || null
+    };
+  }
+};
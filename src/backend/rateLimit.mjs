@@ -4,48 +4,238 @@
  * Birdeye: ~100 requests/minute
  * CoinGecko: 10-50 requests/minute (free)
  * Jupiter: Unlimited but use sparingly
+ *
+ * Each limiter is a sliding window with priority lanes: waiting callers are
+ * served top10 first, then holder, background and discovery, so a burst of
+ * discovery lookups can't starve the visible list. The lane comes from
+ * acquire(lane) or, more usually, from the surrounding withLane() call.
+ *
+ * Limits adapt to what the API tells us. An axios interceptor routes every
+ * response from a limited host back to its limiter:
+ *   429  halve the window budget and pause until Retry-After (or a backoff)
+ *   5xx  trim the budget by a fifth
+ *   2xx  after a full window without trouble, step the budget back up by one
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+
+export const LANES = ['top10', 'holder', 'background', 'discovery']; // Highest priority first
+const DEFAULT_LANE = 'background';
+
+const MIN_BUDGET_RATIO = 0.2; // Never throttle below a fifth of the configured limit
+const MAX_BACKOFF_MS = 2 * 60 * 1000;
+
+const laneContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with every limiter acquire inside it queued on `lane`
+ */
+export function withLane(lane, fn) {
+  if (!lane) return fn();
+  if (!LANES.includes(lane)) {
+    throw new Error(`Unknown rate limit lane "${lane}". Use one of: ${LANES.join(', ')}`);
+  }
+  return laneContext.run(lane, fn);
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
 class RateLimiter {
-  constructor(maxRequests, windowMs) {
-    this.maxRequests = maxRequests;
+  constructor(name, maxRequests, windowMs) {
+    this.name = name;
+    this.baseMaxRequests = maxRequests;
+    this.maxRequests = maxRequests; // Current budget, lowered by 429/5xx
+    this.minRequests = Math.max(1, Math.floor(maxRequests * MIN_BUDGET_RATIO));
     this.windowMs = windowMs;
     this.requests = [];
+
+    this.queues = Object.fromEntries(LANES.map(lane => [lane, []])); // lane -> [{ resolve, enqueuedAt }]
+    this.laneStats = Object.fromEntries(LANES.map(lane => [lane, { granted: 0, totalWaitMs: 0, maxWaitMs: 0 }]));
+    this.drainTimer = null;
+
+    this.pausedUntil = 0;
+    this.consecutive429s = 0;
+    this.lastPenaltyAt = 0;
+    this.lastIncreaseAt = 0;
+    this.throttled = 0;
+    this.serverErrors = 0;
+    this.lastRetryAfterMs = null;
+  }
+
+  acquire(lane = laneContext.getStore() || DEFAULT_LANE) {
+    if (!this.queues[lane]) lane = DEFAULT_LANE;
+    return new Promise(resolve => {
+      this.queues[lane].push({ resolve, enqueuedAt: Date.now() });
+      this.drain();
+    });
   }
 
-  async acquire() {
+  // Hand out free slots to waiting callers, highest lane first, then sleep
+  // until the next slot frees up or the pause ends
+  drain() {
+    if (this.drainTimer) return;
+
+    while (true) {
+      const lane = LANES.find(l => this.queues[l].length > 0);
+      if (!lane) return;
+
+      const now = Date.now();
+      this.requests = this.requests.filter(time => now - time < this.windowMs);
+
+      let waitMs = 0;
+      if (now < this.pausedUntil) {
+        waitMs = this.pausedUntil - now;
+      } else if (this.requests.length >= this.maxRequests) {
+        // Wait until enough old requests leave the window
+        const oldestInBudget = this.requests[this.requests.length - this.maxRequests];
+        waitMs = this.windowMs - (now - oldestInBudget) + 10;
+      }
+
+      if (waitMs > 0) {
+        this.drainTimer = setTimeout(() => {
+          this.drainTimer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+
+      const waiter = this.queues[lane].shift();
+      const waited = now - waiter.enqueuedAt;
+      const stats = this.laneStats[lane];
+      stats.granted++;
+      stats.totalWaitMs += waited;
+      stats.maxWaitMs = Math.max(stats.maxWaitMs, waited);
+
+      this.requests.push(now);
+      waiter.resolve();
+    }
+  }
+
+  // Feed an API response back into the budget
+  recordResponse(status, retryAfter = null) {
+    const now = Date.now();
+
+    if (status === 429) {
+      this.throttled++;
+      this.consecutive429s++;
+      this.lastPenaltyAt = now;
+      this.maxRequests = Math.max(this.minRequests, Math.floor(this.maxRequests / 2));
+
+      const retryAfterMs = parseRetryAfter(retryAfter, now);
+      this.lastRetryAfterMs = retryAfterMs;
+      const pauseMs = retryAfterMs ?? Math.min(Math.pow(2, this.consecutive429s) * 1000, MAX_BACKOFF_MS);
+      this.pausedUntil = Math.max(this.pausedUntil, now + pauseMs);
+      return;
+    }
+
+    if (status >= 500) {
+      this.serverErrors++;
+      this.lastPenaltyAt = now;
+      this.maxRequests = Math.max(this.minRequests, Math.floor(this.maxRequests * 0.8));
+      return;
+    }
+
+    if (status >= 200 && status < 300) {
+      this.consecutive429s = 0;
+      const calm = now - this.lastPenaltyAt >= this.windowMs && now - this.lastIncreaseAt >= this.windowMs;
+      if (this.maxRequests < this.baseMaxRequests && calm) {
+        this.maxRequests++;
+        this.lastIncreaseAt = now;
+      }
+    }
+  }
+
+  getStats() {
     const now = Date.now();
-    
-    // Remove old requests outside the window
-    this.requests = this.requests.filter(time => now - time < this.windowMs);
-
-    if (this.requests.length >= this.maxRequests) {
-      // Wait until oldest request is outside window
-      const oldestRequest = this.requests[0];
-      const waitTime = this.windowMs - (now - oldestRequest) + 10;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-      return this.acquire(); // Retry
+    const lanes = {};
+    for (const lane of LANES) {
+      const queue = this.queues[lane];
+      const stats = this.laneStats[lane];
+      lanes[lane] = {
+        queued: queue.length,
+        oldestWaitMs: queue.length > 0 ? now - queue[0].enqueuedAt : 0,
+        granted: stats.granted,
+        avgWaitMs: stats.granted > 0 ? Math.round(stats.totalWaitMs / stats.granted) : 0,
+        maxWaitMs: stats.maxWaitMs
+      };
     }
 
-    this.requests.push(now);
+    return {
+      name: this.name,
+      limit: this.baseMaxRequests,
+      currentLimit: this.maxRequests,
+      windowMs: this.windowMs,
+      inWindow: this.requests.filter(time => now - time < this.windowMs).length,
+      pausedForMs: Math.max(0, this.pausedUntil - now),
+      throttled: this.throttled,
+      serverErrors: this.serverErrors,
+      lastRetryAfterMs: this.lastRetryAfterMs,
+      lanes
+    };
   }
 }
 
 // Create limiters for each API
-export const dexscreenerLimiter = new RateLimiter(60, 60000); // 60 req/min
-export const birdeyeLimiter = new RateLimiter(90, 60000); // 90 req/min (safe margin)
-export const coingeckoLimiter = new RateLimiter(40, 60000); // 40 req/min (safe margin)
-export const jupiterLimiter = new RateLimiter(100, 60000); // 100 req/min (safe limit)
-export const solscanLimiter = new RateLimiter(10, 60000); // 10 req/min (conservative)
+export const dexscreenerLimiter = new RateLimiter('dexscreener', 60, 60000); // 60 req/min
+export const birdeyeLimiter = new RateLimiter('birdeye', 90, 60000); // 90 req/min (safe margin)
+export const coingeckoLimiter = new RateLimiter('coingecko', 40, 60000); // 40 req/min (safe margin)
+export const jupiterLimiter = new RateLimiter('jupiter', 100, 60000); // 100 req/min (safe limit)
+export const solscanLimiter = new RateLimiter('solscan', 10, 60000); // 10 req/min (conservative)
 
-export function getRateLimiter(apiName) {
-  const limiters = {
-    dexscreener: dexscreenerLimiter,
-    birdeye: birdeyeLimiter,
-    coingecko: coingeckoLimiter,
-    jupiter: jupiterLimiter,
-    solscan: solscanLimiter
-  };
+const limiters = {
+  dexscreener: dexscreenerLimiter,
+  birdeye: birdeyeLimiter,
+  coingecko: coingeckoLimiter,
+  jupiter: jupiterLimiter,
+  solscan: solscanLimiter
+};
+
+// API hosts whose responses feed back into a limiter
+const HOST_LIMITERS = {
+  'api.dexscreener.com': dexscreenerLimiter,
+  'public-api.birdeye.so': birdeyeLimiter,
+  'api.birdeye.so': birdeyeLimiter,
+  'api.coingecko.com': coingeckoLimiter,
+  'price.jup.ag': jupiterLimiter,
+  'api.solscan.io': solscanLimiter
+};
+
+function limiterForUrl(url) {
+  try {
+    return HOST_LIMITERS[new URL(url).hostname] || null;
+  } catch {
+    return null;
+  }
+}
 
+// The API modules catch their own errors, so responses are observed here
+// rather than at each call site
+axios.interceptors.response.use(
+  (response) => {
+    limiterForUrl(response.config?.url)?.recordResponse(response.status);
+    return response;
+  },
+  (error) => {
+    const status = error.response?.status;
+    if (status) {
+      limiterForUrl(error.config?.url)?.recordResponse(status, error.response.headers?.['retry-after']);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export function getRateLimiter(apiName) {
   return limiters[apiName.toLowerCase()] || dexscreenerLimiter;
 }
+
+export function getRateLimitStats() {
+  return Object.values(limiters).map(limiter => limiter.getStats());
+}
@@ -0,0 +1,40 @@
+/**
+ * Record/replay hooks for outside data that doesn't come through the provider registry
+ *
+ * The registry records its own provider calls. Everything else the pipeline
+ * asks the outside world for - safety RPC checks, the holder channel, the SOL
+ * price - goes through capturedCall(), and pushed data (PumpPortal WebSocket
+ * frames) through captureFrame(). A recording session writes both down; a
+ * replay answers the calls from the recording and feeds the frames back in
+ * on the virtual clock, so nothing leaves the machine.
+ */
+
+import { sessionRecorder } from './sessionRecorder.mjs';
+import { sessionReplayer } from './sessionReplayer.mjs';
+
+export function isReplaying() {
+  return sessionReplayer.isInstalled();
+}
+
+// `call(...args)` live, the recorded outcome of the same call during a replay
+export async function capturedCall(service, method, args, call) {
+  if (isReplaying()) return sessionReplayer.replayCall(service, method, args);
+
+  try {
+    const result = await call(...args);
+    sessionRecorder.recordCall(service, method, args, result);
+    return result;
+  } catch (error) {
+    sessionRecorder.recordCall(service, method, args, null, error);
+    throw error;
+  }
+}
+
+export function captureFrame(source, frame) {
+  sessionRecorder.recordFrame(source, frame);
+}
+
+// Recorded frames from `source` are handed to `handler` as the replay reaches them
+export function onReplayFrames(source, handler) {
+  sessionReplayer.onFrames(source, handler);
+}
@@ -0,0 +1,117 @@
+/**
+ * Session Recorder - captures everything the pipeline hears from outside
+ *
+ * Output is append-only JSONL, one entry per line:
+ *   { type: 'session', version, startedAt, providers, chains }   (header)
+ *   { t, type: 'provider', provider, method, args, result }
+ *   { t, type: 'call', service, method, args, result }          (safety RPC, holder channel, ...)
+ *   { t, type: 'frame', source, frame }                           (PumpPortal WebSocket messages)
+ *   { t, type: 'sse', provider, address, price, timestamp }
+ *   { t, type: 'chains', chains }                                 (data-source changes)
+ *
+ * `t` is the clock time the response arrived. Calls that failed carry
+ * `error` (the message) instead of `result`, and empty results are written
+ * as null, so a replay can answer exactly as the live call did. The file can
+ * be fed back into the backend with DEXTER_REPLAY (see sessionReplayer.mjs).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from '../logger.mjs';
+import { clock } from '../clock.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RECORDINGS_DIR = path.join(__dirname, '../../data/recordings');
+export const SESSION_FORMAT_VERSION = 2; // 2: errors, nulls, calls and frames
+
+class SessionRecorder {
+  constructor() {
+    this.stream = null;
+    this.filePath = null;
+    this.entryCount = 0;
+    this.startedAt = null;
+  }
+
+  start(filePath = null, registryStatus = null) {
+    if (this.stream) return this.filePath;
+
+    this.startedAt = clock.now();
+    this.filePath = filePath || path.join(
+      RECORDINGS_DIR,
+      `session-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.jsonl`
+    );
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      logger.error(`Session recording write failed: ${this.filePath}`, error);
+    });
+
+    this.write({
+      type: 'session',
+      version: SESSION_FORMAT_VERSION,
+      startedAt: this.startedAt,
+      providers: registryStatus?.providers || [],
+      chains: registryStatus?.chains || null
+    });
+
+    logger.info(`🎙️ Recording session to ${logger.highlight(this.filePath)}`);
+    return this.filePath;
+  }
+
+  isRecording() {
+    return !!this.stream;
+  }
+
+  write(entry) {
+    if (!this.stream) return;
+    this.stream.write(JSON.stringify(entry) + '\n');
+    this.entryCount++;
+  }
+
+  // `result ?? null` keeps undefined results in the file rather than dropping the key
+  outcome(result, error) {
+    return error ? { error: error.message || String(error) } : { result: result ?? null };
+  }
+
+  recordProviderCall(provider, method, args, result, error = null) {
+    this.write({ t: clock.now(), type: 'provider', provider, method, args, ...this.outcome(result, error) });
+  }
+
+  recordCall(service, method, args, result, error = null) {
+    this.write({ t: clock.now(), type: 'call', service, method, args, ...this.outcome(result, error) });
+  }
+
+  recordFrame(source, frame) {
+    this.write({ t: clock.now(), type: 'frame', source, frame });
+  }
+
+  recordStreamEvent(provider, address, price, timestamp) {
+    this.write({ t: clock.now(), type: 'sse', provider, address, price, timestamp });
+  }
+
+  recordChains(chains) {
+    this.write({ t: clock.now(), type: 'chains', chains });
+  }
+
+  stop() {
+    if (!this.stream) return;
+    this.stream.end();
+    this.stream = null;
+    logger.info(`Session recording closed (${this.entryCount} entries): ${this.filePath}`);
+  }
+
+  getStats() {
+    return {
+      recording: this.isRecording(),
+      filePath: this.filePath,
+      startedAt: this.startedAt,
+      entryCount: this.entryCount
+    };
+  }
+}
+
+export const sessionRecorder = new SessionRecorder();
@@ -0,0 +1,443 @@
+/**
+ * Session Replayer - boots the pipeline against a recorded session
+ *
+ * Every provider that appears in the recording is replaced in the registry by
+ * a stand-in with the same name and capabilities, so TokenManager's chains and
+ * fallbacks behave exactly as they did live. Sources that were recorded as
+ * raw frames (PumpPortal) keep their real client and are fed the frames
+ * instead. The shared clock is switched to virtual time starting at the
+ * recording's first entry and stepped forward by this module: timers fire one
+ * by one at their own virtual time, with recorded stream events, frames and
+ * chain changes delivered in between, so a replay does the same work in the
+ * same order every time. start() paces the steps against real time (optionally
+ * sped up); runToEnd() plays the whole recording as fast as it can.
+ *
+ * - provider calls and service calls (see capture.mjs): answered with the
+ *   recorded outcome of the same call with the same arguments, in the order
+ *   they were recorded - nulls returned and errors thrown as they were live.
+ *   A call the recording has no answer for (the replay ran a cycle more or
+ *   less than live) is counted as a miss and served the latest outcome
+ *   recorded for it at or before now, per address for the batch methods
+ *   (ignored once older than QUOTE_MAX_AGE_MS)
+ * - discover: returns what was discovered between the previous call and now
+ * - stream / frame: recorded events are delivered when the virtual clock passes them
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import logger from '../logger.mjs';
+import { clock } from '../clock.mjs';
+
+const EMIT_INTERVAL_MS = 50; // Real-time tick between replay steps
+const QUOTE_MAX_AGE_MS = 30000; // Two background cycles - older data was not live either
+const MATCH_WINDOW_MS = 15000; // A recorded call this far ahead of now belongs to a later cycle
+
+const PER_ADDRESS_METHODS = ['getMetadata', 'getBatchQuotes', 'getTransactionMetrics', 'getBondingCurves'];
+
+// Last entry with t <= now in a list sorted by t
+function latestAtOrBefore(list, now) {
+  let lo = 0;
+  let hi = list.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].t <= now) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found === -1 ? null : list[found];
+}
+
+const callKey = (kind, name, method, args) => `${kind}:${name}:${method}:${JSON.stringify(args ?? [])}`;
+
+function answer(entry) {
+  if (entry.error !== undefined) throw new Error(entry.error);
+  return entry.result ?? null;
+}
+
+class SessionReplayer {
+  constructor() {
+    this.filePath = null;
+    this.header = null;
+    this.startTime = null;
+    this.endTime = null;
+
+    this.providerCapabilities = new Map(); // provider -> Set(capability)
+    this.discoveries = new Map(); // provider -> [{ t, result, error }]
+    this.discoveryCursor = new Map(); // provider -> last t served
+    this.calls = new Map(); // callKey -> { entries: [{ t, result, error }], next }
+    this.perAddress = new Map(); // `${provider}:${method}` -> Map(address -> [{ t, data }])
+    this.timeline = []; // sse, frame and chains entries sorted by t
+    this.timelineCursor = 0;
+    this.frameSources = new Set();
+    this.frameHandlers = new Map(); // source -> handler(frame)
+
+    this.registry = null;
+    this.installed = false;
+    this.speed = 1;
+    this.priceCallbacks = [];
+    this.subscribed = new Set();
+    this.driveTimer = null;
+    this.running = false;
+    this.finished = false;
+    this.eventsEmitted = 0;
+    this.framesDelivered = 0;
+    this.callsReplayed = 0;
+    this.callsMissed = 0;
+  }
+
+  async load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Replay file not found: ${filePath}`);
+    }
+    this.filePath = filePath;
+
+    const rl = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    let skipped = 0;
+    for await (const line of rl) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write leaves a truncated last line - skip it
+        skipped++;
+        continue;
+      }
+      this.indexEntry(entry);
+    }
+
+    if (!this.header) {
+      throw new Error(`${filePath} has no session header - not a Dexter recording`);
+    }
+
+    // Stable sorts: entries with the same t keep the order they were written in
+    for (const list of this.discoveries.values()) list.sort((a, b) => a.t - b.t);
+    for (const call of this.calls.values()) call.entries.sort((a, b) => a.t - b.t);
+    for (const byAddress of this.perAddress.values()) {
+      for (const list of byAddress.values()) list.sort((a, b) => a.t - b.t);
+    }
+    this.timeline.sort((a, b) => a.t - b.t);
+
+    this.startTime = this.header.startedAt ?? this.startTime;
+    if (this.endTime === null) this.endTime = this.startTime;
+    logger.info(`📼 Loaded replay ${logger.highlight(filePath)}: ${lineNumber} lines` +
+      (skipped > 0 ? `, ${skipped} unreadable skipped` : '') +
+      `, ${Math.round((this.endTime - this.startTime) / 1000)}s of data`);
+  }
+
+  indexEntry(entry) {
+    if (entry.type === 'session') {
+      this.header = entry;
+      for (const provider of entry.providers || []) {
+        this.providerCapabilities.set(provider.name, new Set(provider.capabilities));
+      }
+      return;
+    }
+
+    if (typeof entry.t !== 'number') return;
+    if (this.startTime === null || entry.t < this.startTime) this.startTime = entry.t;
+    if (this.endTime === null || entry.t > this.endTime) this.endTime = entry.t;
+
+    if (entry.type === 'sse' || entry.type === 'chains' || entry.type === 'frame') {
+      if (entry.type === 'frame') this.frameSources.add(entry.source);
+      this.timeline.push(entry);
+      return;
+    }
+
+    const outcome = { t: entry.t, result: entry.result, error: entry.error };
+
+    if (entry.type === 'call') {
+      this.addCall(callKey('call', entry.service, entry.method, entry.args), outcome);
+      return;
+    }
+
+    if (entry.type !== 'provider') return;
+
+    if (entry.method === 'discover') {
+      if (!this.discoveries.has(entry.provider)) this.discoveries.set(entry.provider, []);
+      this.discoveries.get(entry.provider).push(outcome);
+      return;
+    }
+
+    this.addCall(callKey('provider', entry.provider, entry.method, entry.args), outcome);
+    if (!PER_ADDRESS_METHODS.includes(entry.method)) return;
+
+    const key = `${entry.provider}:${entry.method}`;
+    if (!this.perAddress.has(key)) this.perAddress.set(key, new Map());
+    const byAddress = this.perAddress.get(key);
+
+    // getMetadata is per address; the batch methods return { address: data }.
+    // Failed and empty calls are kept as null so the fallback doesn't reach past them
+    const addresses = entry.method === 'getMetadata' ? [entry.args?.[0]] : (entry.args?.[0] || []);
+    for (const address of addresses) {
+      const data = entry.method === 'getMetadata' ? entry.result : entry.result?.[address];
+      if (!byAddress.has(address)) byAddress.set(address, []);
+      byAddress.get(address).push({ t: entry.t, data: data ?? null });
+    }
+  }
+
+  addCall(key, outcome) {
+    if (!this.calls.has(key)) this.calls.set(key, { entries: [], next: 0 });
+    this.calls.get(key).entries.push(outcome);
+  }
+
+  // Next unanswered recording of this exact call, unless it belongs to a later cycle
+  takeCall(key) {
+    const call = this.calls.get(key);
+    const entry = call?.entries[call.next];
+    if (!entry || entry.t > clock.now() + MATCH_WINDOW_MS) return null;
+    call.next++;
+    return entry;
+  }
+
+  hasCalls(service, method) {
+    const prefix = `call:${service}:${method}:`;
+    return [...this.calls.keys()].some(key => key.startsWith(prefix));
+  }
+
+  // Recorded outcome of a service call made through capturedCall()
+  replayCall(service, method, args) {
+    const key = callKey('call', service, method, args);
+    const entry = this.takeCall(key);
+    if (entry) {
+      this.callsReplayed++;
+      return answer(entry);
+    }
+
+    this.callsMissed++;
+    const latest = latestAtOrBefore(this.calls.get(key)?.entries || [], clock.now());
+    if (!latest) throw new Error(`No recorded ${service}.${method} call to replay`);
+    return answer(latest);
+  }
+
+  onFrames(source, handler) {
+    this.frameHandlers.set(source, handler);
+  }
+
+  isInstalled() {
+    return this.installed;
+  }
+
+  // ============ Stand-in providers ============
+
+  lookup(provider, method, address) {
+    const list = this.perAddress.get(`${provider}:${method}`)?.get(address);
+    if (!list) return null;
+
+    const now = clock.now();
+    const entry = latestAtOrBefore(list, now);
+    if (!entry || now - entry.t > QUOTE_MAX_AGE_MS) return null;
+    return entry.data;
+  }
+
+  replayProvider(provider, method, args) {
+    const entry = this.takeCall(callKey('provider', provider, method, args));
+    if (entry) {
+      this.callsReplayed++;
+      return answer(entry);
+    }
+
+    this.callsMissed++;
+    if (method === 'getMetadata') return this.lookup(provider, method, args[0]);
+
+    const results = {};
+    for (const addr of args[0]) {
+      results[addr] = this.lookup(provider, method, addr);
+    }
+    return results;
+  }
+
+  takeDiscoveries(provider) {
+    const now = clock.now();
+    const since = this.discoveryCursor.get(provider) ?? -Infinity;
+    this.discoveryCursor.set(provider, now);
+
+    const candidates = [];
+    let failure = null;
+    let answered = false;
+    for (const entry of this.discoveries.get(provider) || []) {
+      if (entry.t <= since || entry.t > now) continue;
+      if (entry.error !== undefined) {
+        failure = entry;
+      } else {
+        answered = true;
+        candidates.push(...(entry.result || []));
+      }
+    }
+    // A window that only saw failures fails the same way
+    if (failure && !answered) answer(failure);
+    return candidates;
+  }
+
+  createProvider(name, capabilities) {
+    const replayer = this;
+    const provider = {
+      name,
+      label: `${name} (replay)`,
+      capabilities: [...capabilities],
+      replay: true
+    };
+
+    if (capabilities.has('discover')) {
+      provider.discover = async () => replayer.takeDiscoveries(name);
+    }
+    if (capabilities.has('quotes')) {
+      provider.getBatchQuotes = async (addresses) => replayer.replayProvider(name, 'getBatchQuotes', [addresses]);
+    }
+    if (capabilities.has('metadata')) {
+      provider.getMetadata = async (address) => replayer.replayProvider(name, 'getMetadata', [address]);
+    }
+    if (capabilities.has('transactionMetrics')) {
+      provider.getTransactionMetrics = async (addresses) => replayer.replayProvider(name, 'getTransactionMetrics', [addresses]);
+    }
+    if (capabilities.has('bondingCurve')) {
+      provider.getBondingCurves = async (addresses) => replayer.replayProvider(name, 'getBondingCurves', [addresses]);
+    }
+    if (capabilities.has('stream')) {
+      provider.subscribe = (addresses) => {
+        replayer.subscribed = new Set(addresses);
+        return { connected: addresses.length, queued: 0 };
+      };
+      provider.onPriceUpdate = (callback) => replayer.priceCallbacks.push(callback);
+      provider.calculateMarketCap = (price, totalSupply = 1_000_000_000) => price * totalSupply;
+      provider.getStats = () => replayer.getStats();
+      provider.shutdown = () => replayer.stop();
+    }
+
+    return provider;
+  }
+
+  // Swap recorded providers into the registry and switch the clock to virtual
+  // time. Nothing moves until start() or runToEnd()
+  install(registry, { speed = 1 } = {}) {
+    if (!this.header) {
+      throw new Error('Load a recording before installing the replayer');
+    }
+    this.registry = registry;
+    this.speed = speed;
+
+    for (const [name, capabilities] of this.providerCapabilities) {
+      // Frame-fed sources keep their real client, which the frames drive
+      if (this.frameSources.has(name)) continue;
+      registry.register(this.createProvider(name, capabilities));
+    }
+    if (this.header.chains) {
+      registry.chains = registry.copyChains(this.header.chains);
+    }
+
+    clock.startVirtual(this.startTime);
+    this.installed = true;
+
+    logger.info(`▶️ Replaying ${this.providerCapabilities.size} providers at ${logger.highlight(speed + 'x')} from ${new Date(this.startTime).toISOString()}`);
+  }
+
+  // Step the virtual clock to `target`, delivering recorded events between
+  // the timers that come due on the way
+  async advanceTo(target) {
+    while (this.timelineCursor < this.timeline.length && this.timeline[this.timelineCursor].t <= target) {
+      const at = this.timeline[this.timelineCursor].t;
+      await clock.advanceTo(at);
+      while (this.timelineCursor < this.timeline.length && this.timeline[this.timelineCursor].t <= at) {
+        this.deliver(this.timeline[this.timelineCursor++]);
+      }
+      await clock.settle();
+    }
+    await clock.advanceTo(target);
+
+    if (!this.finished && clock.now() >= this.endTime && this.timelineCursor >= this.timeline.length) {
+      this.finished = true;
+      logger.success(`⏹️ Replay reached end of recording (${this.eventsEmitted} stream events, ${this.framesDelivered} frames, ` +
+        `${this.callsReplayed} calls replayed, ${this.callsMissed} missed)`);
+    }
+  }
+
+  deliver(entry) {
+    if (entry.type === 'chains') {
+      this.registry.chains = this.registry.copyChains(entry.chains);
+      return;
+    }
+
+    if (entry.type === 'frame') {
+      const handler = this.frameHandlers.get(entry.source);
+      if (!handler) return;
+      try {
+        handler(entry.frame);
+      } catch (error) {
+        logger.error(`Replay frame handler failed for ${entry.source}`, error);
+      }
+      this.framesDelivered++;
+      return;
+    }
+
+    // Emit every recorded event - the recording already reflects what was subscribed live
+    for (const callback of this.priceCallbacks) {
+      try {
+        callback(entry.address, entry.price, entry.timestamp);
+      } catch (error) {
+        logger.error(`Replay price callback failed for ${entry.address}`, error);
+      }
+    }
+    this.eventsEmitted++;
+  }
+
+  // Play in step with real time: each tick advances the virtual clock by
+  // EMIT_INTERVAL_MS x speed, and the next tick waits for the last to finish
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const step = async () => {
+      this.driveTimer = null;
+      try {
+        await this.advanceTo(clock.now() + EMIT_INTERVAL_MS * this.speed);
+      } catch (error) {
+        logger.error('Replay step failed', error);
+      }
+      if (this.running) this.driveTimer = setTimeout(step, EMIT_INTERVAL_MS);
+    };
+    this.driveTimer = setTimeout(step, EMIT_INTERVAL_MS);
+  }
+
+  async runToEnd() {
+    await this.advanceTo(this.endTime);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.driveTimer) clearTimeout(this.driveTimer);
+    this.driveTimer = null;
+  }
+
+  getStats() {
+    return {
+      replaying: this.running,
+      filePath: this.filePath,
+      speed: this.speed,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      virtualNow: clock.now(),
+      progress: this.endTime > this.startTime
+        ? Math.min(1, (clock.now() - this.startTime) / (this.endTime - this.startTime))
+        : 1,
+      streamEventsEmitted: this.eventsEmitted,
+      framesDelivered: this.framesDelivered,
+      callsReplayed: this.callsReplayed,
+      callsMissed: this.callsMissed,
+      subscribedTokens: this.subscribed.size,
+      finished: this.finished
+    };
+  }
+}
+
+export const sessionReplayer = new SessionReplayer();
@@ -0,0 +1,103 @@
+import express from 'express';
+import { CHAINS, CHANNELS, CONDITIONS, SOURCES, TIER_NAMES, validateRule } from '../alertRules.mjs';
+import { PHASES } from '../phaseTracker.mjs';
+
+export function createAlertRoutes({ alertEngine, logger, requireAdmin }) {
+  const router = express.Router();
+
+  const parseId = (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || String(id) !== req.params.id) {
+      res.status(400).json({ error: 'Rule id must be an integer' });
+      return null;
+    }
+    return id;
+  };
+
+  router.get('/rules', (req, res) => {
+    res.json({
+      rules: alertEngine.list(),
+      conditions: CONDITIONS,
+      channels: CHANNELS,
+      sources: SOURCES,
+      chains: CHAINS,
+      phases: PHASES,
+      tiers: TIER_NAMES
+    });
+  });
+
+  // Create a rule. Body: { name, enabled?, conditions: { multiplier?: { min?, max? }, marketCap?, ageMinutes?,
+  // liquidity?, buyPressure?, score?, phases?: [], sources?: [], chains?: [], liquidityGate? },
+  // cooldownMs?, dedupeMs? (null = once per token), channels? (default ['live']) }
+  // Rules decide what is posted to Telegram, so changing them needs the admin token
+  router.post('/rules', requireAdmin, async (req, res) => {
+    try {
+      validateRule(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const rule = await alertEngine.save(req.body);
+      logger.info(`Alert rule created: ${logger.highlight(rule.name)}`);
+      res.json({ success: true, rule });
+    } catch (error) {
+      logger.error('POST /api/alerts/rules failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Replace a rule (same body as POST)
+  router.put('/rules/:id', requireAdmin, async (req, res) => {
+    const id = parseId(req, res);
+    if (id === null) return;
+    try {
+      validateRule(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const rule = await alertEngine.save(req.body, id);
+      if (!rule) return res.status(404).json({ error: `Unknown alert rule ${id}` });
+      logger.info(`Alert rule updated: ${logger.highlight(rule.name)}`);
+      res.json({ success: true, rule });
+    } catch (error) {
+      logger.error('PUT /api/alerts/rules/:id failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/rules/:id', requireAdmin, async (req, res) => {
+    const id = parseId(req, res);
+    if (id === null) return;
+
+    try {
+      if (!(await alertEngine.remove(id))) {
+        return res.status(404).json({ error: `Unknown alert rule ${id}` });
+      }
+      logger.info(`Alert rule deleted: ${id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /api/alerts/rules/:id failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Firings, newest first. Query: ruleId, limit (default 100, max 1000)
+  router.get('/history', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const ruleId = req.query.ruleId !== undefined ? parseInt(req.query.ruleId, 10) : null;
+      if (Number.isNaN(ruleId)) {
+        return res.status(400).json({ error: 'ruleId must be an integer' });
+      }
+      res.json({ alerts: await alertEngine.history({ limit, ruleId }) });
+    } catch (error) {
+      logger.error('GET /api/alerts/history failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -11,13 +11,7 @@ export function createBlacklistRoutes({ tokenManager, logger }) {
         return res.status(400).json({ error: 'contractAddress is required' });
       }
 
-      const db = await import('../database/db.mjs');
-      await db.addToBlacklist(contractAddress, name);
-
-      tokenManager.trackedTokens.delete(contractAddress);
-      tokenManager.topTokens = tokenManager.topTokens.filter(t => t.contractAddress !== contractAddress);
-
-      logger.warn(`Blacklisted: ${name} (${contractAddress})`);
+      await tokenManager.blacklistToken(contractAddress, name);
 
       res.json({ success: true, message: `Token ${name} blacklisted` });
     } catch (error) {
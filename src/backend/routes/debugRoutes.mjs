@@ -17,9 +17,49 @@ function formatCurrencyValue(value) {
   return `$${value.toFixed(2)}`;
 }
 
-export function createDebugRoutes({ tokenManager, logger, telegramService, dexscreenerLimiter, dexscreener, testAllAPIs, getRandomTestToken, dataCollector }) {
+export function createDebugRoutes({ tokenManager, logger, telegramService, dexscreenerLimiter, getRateLimitStats, dexscreener, testAllAPIs, getRandomTestToken, dataCollector, sessionRecorder, sessionReplayer }) {
   const router = express.Router();
 
+  // Record/replay status (DEXTER_RECORD / DEXTER_REPLAY)
+  router.get('/debug/session', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        recorder: sessionRecorder.getStats(),
+        replay: sessionReplayer.filePath ? sessionReplayer.getStats() : null
+      });
+    } catch (error) {
+      logger.error('GET /api/debug/session failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Live stream pool: planned tokens, per-stream health, planner state
+  router.get('/debug/subscriptions', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        stream: tokenManager.getSSEStats()
+      });
+    } catch (error) {
+      logger.error('GET /api/debug/subscriptions failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Per-API budgets after 429/5xx feedback, and queue depth / wait times per priority lane
+  router.get('/debug/rate-limits', (req, res) => {
+    try {
+      res.json({
+        success: true,
+        limiters: getRateLimitStats()
+      });
+    } catch (error) {
+      logger.error('GET /api/debug/rate-limits failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   router.get('/debug/data-collector', (req, res) => {
     try {
       const stats = dataCollector.getStats();
@@ -183,6 +223,7 @@ export function createDebugRoutes({ tokenManager, logger, telegramService, dexsc
 
       const db = await import('../database/db.mjs');
       const result = await db.deleteAllTokens();
+      await telegramService.outbox.reload();
 
       logger.success(`Database purged: ${result.tokensDeleted} degen tokens, ${result.priceRecordsDeleted} price records, ${result.alertRecordsDeleted} alerts (holder tokens preserved)`);
       logger.warn('Restarting tracking system...');
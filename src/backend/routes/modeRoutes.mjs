@@ -17,18 +17,32 @@ export function createModeRoutes({ tokenManager, logger, getModeState, setModeSt
     res.json({ success: true, mode: getModeState() });
   });
 
-  router.post('/data-source', (req, res) => {
+  router.get('/data-source', (req, res) => {
     try {
-      const { source } = req.body;
-      tokenManager.setDataSource(source);
-      logger.info(`Data source switched to ${logger.highlight(source)}`);
-      res.json({ success: true, source });
+      res.json(tokenManager.getDataSources());
     } catch (error) {
-      logger.error('POST /api/data-source failed', error);
+      logger.error('GET /api/data-source failed', error);
       res.status(500).json({ error: error.message });
     }
   });
 
+  // Body: { source: 'dexscreener' | ['dexpaprika', 'dexscreener'], capability?: 'quotes' }
+  router.post('/data-source', (req, res) => {
+    const { source, capability } = req.body;
+    if (!source || (Array.isArray(source) && source.length === 0)) {
+      return res.status(400).json({ error: 'source is required (provider name or priority list)' });
+    }
+
+    try {
+      const status = tokenManager.setDataSource(source, capability || null);
+      res.json({ success: true, source, ...status });
+    } catch (error) {
+      // Registry only throws on unknown providers/capabilities
+      logger.warn(`POST /api/data-source rejected: ${error.message}`);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   router.post('/view-mode', (req, res) => {
     try {
       const { viewMode } = req.body;
@@ -61,6 +75,26 @@ export function createModeRoutes({ tokenManager, logger, getModeState, setModeSt
     }
   });
 
+  router.get('/min-liquidity', (req, res) => {
+    res.json({ minLiquidityUsd: tokenManager.minLiquidityUsd });
+  });
+
+  // Body: { minLiquidityUsd: 5000 } - 0 turns the gate off
+  router.post('/min-liquidity', async (req, res) => {
+    const minLiquidityUsd = Number(req.body.minLiquidityUsd);
+    if (!Number.isFinite(minLiquidityUsd) || minLiquidityUsd < 0) {
+      return res.status(400).json({ error: 'minLiquidityUsd must be a non-negative number' });
+    }
+
+    try {
+      await tokenManager.setMinLiquidity(minLiquidityUsd);
+      res.json({ success: true, minLiquidityUsd });
+    } catch (error) {
+      logger.error('POST /api/min-liquidity failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   router.post('/telegram-auto-alert', (req, res) => {
     try {
       const { enabled } = req.body;
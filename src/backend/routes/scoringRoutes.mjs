@@ -0,0 +1,90 @@
+import express from 'express';
+import { validateProfile, DEFAULT_PROFILE, SCORE_COMPONENTS, VIEW_MODES } from '../scoringProfiles.mjs';
+
+export function createScoringRoutes({ scoringProfiles, shadowScorer, logger }) {
+  const router = express.Router();
+
+  router.get('/profiles', (req, res) => {
+    res.json({
+      active: scoringProfiles.activeName,
+      components: SCORE_COMPONENTS,
+      viewModes: VIEW_MODES,
+      profiles: scoringProfiles.list()
+    });
+  });
+
+  // Create or replace a profile. Body: { name, description?, weights: { [viewMode]: { [component]: 0-1 } },
+  // metricsFreshnessMs?, healthThreshold?, activate? } - anything missing is taken from the default profile
+  router.post('/profiles', async (req, res) => {
+    let profile;
+    try {
+      profile = validateProfile(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (profile.name === DEFAULT_PROFILE.name) {
+      return res.status(400).json({ error: 'The default profile is read-only - clone it under a new name' });
+    }
+
+    try {
+      await scoringProfiles.save(profile);
+      if (req.body.activate) await scoringProfiles.activate(profile.name);
+      logger.info(`Scoring profile saved: ${logger.highlight(profile.name)}`);
+      res.json({ success: true, profile, active: scoringProfiles.activeName });
+    } catch (error) {
+      logger.error('POST /api/scoring/profiles failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/profiles/:name/activate', async (req, res) => {
+    const { name } = req.params;
+    if (!scoringProfiles.has(name)) {
+      return res.status(404).json({ error: `Unknown scoring profile "${name}"` });
+    }
+
+    try {
+      const profile = await scoringProfiles.activate(name);
+      res.json({ success: true, active: profile.name });
+    } catch (error) {
+      logger.error('POST /api/scoring/profiles/:name/activate failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/profiles/:name', async (req, res) => {
+    const { name } = req.params;
+    if (name === DEFAULT_PROFILE.name || name === scoringProfiles.activeName) {
+      return res.status(400).json({ error: 'The default and the active profile cannot be deleted' });
+    }
+    if (!scoringProfiles.has(name)) {
+      return res.status(404).json({ error: `Unknown scoring profile "${name}"` });
+    }
+
+    try {
+      await scoringProfiles.remove(name);
+      logger.info(`Scoring profile deleted: ${name}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /api/scoring/profiles/:name failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Shadow scoring: how each algorithm's MVP picks did 1/5/15 minutes later
+  // Query: viewMode (only picks made in that view), limit (recent picks to include, default 20)
+  router.get('/leaderboard', (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+      res.json({
+        ...shadowScorer.getLeaderboard({ viewMode: req.query.viewMode || null }),
+        recentPicks: shadowScorer.getRecentPicks(limit)
+      });
+    } catch (error) {
+      logger.error('GET /api/scoring/leaderboard failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
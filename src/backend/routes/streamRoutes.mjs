@@ -0,0 +1,38 @@
+import express from 'express';
+import { VIEW_MODES } from '../liveHub.mjs';
+
+export function createStreamRoutes({ liveHub, logger }) {
+  const router = express.Router();
+
+  // Server-Sent Events push channel - see liveHub.mjs for the event types
+  // Query: mode ('degen' | 'holder'), viewMode (degen only)
+  router.get('/stream', (req, res) => {
+    const mode = req.query.mode || 'degen';
+    const viewMode = req.query.viewMode || 'all-time';
+
+    if (mode !== 'degen' && mode !== 'holder') {
+      return res.status(400).json({ error: 'Invalid mode. Use "degen" or "holder"' });
+    }
+    if (mode === 'degen' && !VIEW_MODES.includes(viewMode)) {
+      return res.status(400).json({ error: `Invalid viewMode. Use one of: ${VIEW_MODES.join(', ')}` });
+    }
+
+    try {
+      const clientId = liveHub.addClient(res, { mode, viewMode });
+      req.on('close', () => liveHub.removeClient(clientId));
+    } catch (error) {
+      logger.error('GET /api/stream failed', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  router.get('/stream/stats', (req, res) => {
+    res.json(liveHub.getStats());
+  });
+
+  return router;
+}
@@ -1,6 +1,11 @@
 import express from 'express';
+import { PLACEHOLDERS, TEMPLATE_CHANNELS, renderAlert, validateTemplate } from '../telegramTemplates.mjs';
+import { COMMANDS, parseUserIds } from '../telegramCommands.mjs';
+import { HIT_MULTIPLIER, parseChannelRef } from '../callWatcher.mjs';
+import { CONFIG_FIELDS, validateConfig } from '../telegramConfig.mjs';
+import { DEFAULT_LIMITS, MESSAGE_STATUSES, validateChannelSettings } from '../telegramOutbox.mjs';
 
-export function createTelegramRoutes({ telegramService, logger, tokenManager }) {
+export function createTelegramRoutes({ telegramService, telegramTemplates, telegramCommands, callWatcher, logger, tokenManager, requireAdmin }) {
   const router = express.Router();
 
   // Get status
@@ -76,7 +81,11 @@ export function createTelegramRoutes({ telegramService, logger, tokenManager })
         return res.status(400).json({ success: false, error: 'Contract address is required' });
       }
 
-      const tokenInfo = { name: name || 'Unknown', symbol: name || 'Unknown' };
+      // Tracked tokens get the full template; anything else is posted as the bare CA
+      const token = tokenManager.trackedTokens.get(contractAddress);
+      const tokenInfo = token
+        ? await tokenManager.getTelegramAlertInfo(token)
+        : { name: name || 'Unknown', symbol: name || 'Unknown' };
       const result = await telegramService.sendTier3Alert(contractAddress, tokenInfo);
       
       if (result.success) {
@@ -91,6 +100,300 @@ export function createTelegramRoutes({ telegramService, logger, tokenManager })
     }
   });
 
+  // Alert templates per channel, with the placeholders they can use
+  router.get('/templates', async (req, res) => {
+    try {
+      res.json({
+        templates: await telegramTemplates.list(),
+        channels: TEMPLATE_CHANNELS,
+        placeholders: PLACEHOLDERS
+      });
+    } catch (error) {
+      logger.error('GET /api/telegram/templates failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Replace a channel's template. Body: { text, buttons?, chart? }
+  router.put('/templates/:channel', requireAdmin, async (req, res) => {
+    const { channel } = req.params;
+    if (!TEMPLATE_CHANNELS.includes(channel)) {
+      return res.status(404).json({ error: `Unknown template channel "${channel}"` });
+    }
+    try {
+      validateTemplate(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const template = await telegramTemplates.save(channel, req.body);
+      logger.info(`Telegram ${channel} template updated`);
+      res.json({ success: true, template });
+    } catch (error) {
+      logger.error('PUT /api/telegram/templates/:channel failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Restore a channel's built-in template
+  router.delete('/templates/:channel', requireAdmin, async (req, res) => {
+    const { channel } = req.params;
+    if (!TEMPLATE_CHANNELS.includes(channel)) {
+      return res.status(404).json({ error: `Unknown template channel "${channel}"` });
+    }
+
+    try {
+      const template = await telegramTemplates.reset(channel);
+      logger.info(`Telegram ${channel} template reset`);
+      res.json({ success: true, template });
+    } catch (error) {
+      logger.error('DELETE /api/telegram/templates/:channel failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Render a template against a tracked token without sending it.
+  // Body: { address, channel? (default private), template? (unsaved { text, buttons?, chart? }) }
+  router.post('/templates/preview', async (req, res) => {
+    const { address, channel = 'private', template } = req.body;
+    if (!TEMPLATE_CHANNELS.includes(channel)) {
+      return res.status(400).json({ error: `Unknown template channel "${channel}"` });
+    }
+    const token = address ? tokenManager.trackedTokens.get(address) : null;
+    if (!token) {
+      return res.status(404).json({ error: 'Token not tracked' });
+    }
+
+    let draft = null;
+    try {
+      if (template !== undefined) draft = validateTemplate(template);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const { history } = await tokenManager.getTelegramAlertInfo(token);
+      const rendered = renderAlert(draft || await telegramTemplates.get(channel), token, { history });
+      res.json({
+        ...rendered,
+        image: rendered.image ? `data:image/png;base64,${rendered.image.toString('base64')}` : null
+      });
+    } catch (error) {
+      logger.error('POST /api/telegram/templates/preview failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Users allowed to send commands, and the commands they can use
+  router.get('/commands', async (req, res) => {
+    try {
+      res.json({ users: await telegramCommands.getAllowedUsers(), commands: COMMANDS });
+    } catch (error) {
+      logger.error('GET /api/telegram/commands failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: { users: ['123456789', ...] } - Telegram user IDs; an empty list turns commands off
+  router.put('/commands/users', requireAdmin, async (req, res) => {
+    const { users } = req.body;
+    if (!Array.isArray(users)) {
+      return res.status(400).json({ error: 'users must be an array of user IDs' });
+    }
+    try {
+      parseUserIds(users);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const saved = await telegramCommands.setAllowedUsers(users);
+      logger.info(`Telegram command users updated: ${logger.highlight(saved.length)} allowed`);
+      res.json({ success: true, users: saved });
+    } catch (error) {
+      logger.error('PUT /api/telegram/commands/users failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Channels and groups watched for called CAs
+  router.get('/calls/channels', async (req, res) => {
+    try {
+      res.json({ channels: await callWatcher.listChannels() });
+    } catch (error) {
+      logger.error('GET /api/telegram/calls/channels failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: { channel: chat id, t.me / web.telegram.org link or @username, name? }
+  router.post('/calls/channels', requireAdmin, async (req, res) => {
+    try {
+      parseChannelRef(req.body.channel);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const channel = await callWatcher.addChannel(req.body);
+      logger.info(`Watching Telegram calls from ${logger.highlight(channel.name)}`);
+      res.json({ success: true, channel });
+    } catch (error) {
+      if (error.message.startsWith('Already watching')) {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error('POST /api/telegram/calls/channels failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: { name?, enabled? }
+  router.put('/calls/channels/:id', requireAdmin, async (req, res) => {
+    const { name, enabled } = req.body;
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be boolean' });
+    }
+
+    try {
+      const channel = await callWatcher.updateChannel(req.params.id, { name, enabled });
+      if (!channel) return res.status(404).json({ error: `Not watching ${req.params.id}` });
+      res.json({ success: true, channel });
+    } catch (error) {
+      logger.error('PUT /api/telegram/calls/channels/:id failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/calls/channels/:id', requireAdmin, async (req, res) => {
+    try {
+      if (!(await callWatcher.removeChannel(req.params.id))) {
+        return res.status(404).json({ error: `Not watching ${req.params.id}` });
+      }
+      logger.info(`Stopped watching Telegram calls from ${req.params.id}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /api/telegram/calls/channels/:id failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Recent calls, newest first. Query: limit (default 100, max 1000)
+  router.get('/calls', async (req, res) => {
+    try {
+      await callWatcher.ensureLoaded();
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      res.json({ calls: callWatcher.recentCalls(limit) });
+    } catch (error) {
+      logger.error('GET /api/telegram/calls failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Channels ranked by hit rate. Query: days (default 7, max 30), hitMultiplier (default 2)
+  router.get('/calls/leaderboard', async (req, res) => {
+    const days = Math.min(parseFloat(req.query.days) || 7, 30);
+    const hitMultiplier = req.query.hitMultiplier !== undefined ? parseFloat(req.query.hitMultiplier) : HIT_MULTIPLIER;
+    if (!(hitMultiplier > 1)) {
+      return res.status(400).json({ error: 'hitMultiplier must be a number above 1' });
+    }
+
+    try {
+      await callWatcher.ensureLoaded();
+      const since = Date.now() - days * 24 * 60 * 60 * 1000;
+      res.json({ days, hitMultiplier, channels: callWatcher.leaderboard({ since, hitMultiplier }) });
+    } catch (error) {
+      logger.error('GET /api/telegram/calls/leaderboard failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delivery log, newest first. Query: status (queued / sent / dead), limit (default 100, max 1000)
+  router.get('/outbox', async (req, res) => {
+    const status = req.query.status || null;
+    if (status && !MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      res.json({ messages: await telegramService.outbox.list({ status, limit }), ...telegramService.outbox.summary() });
+    } catch (error) {
+      logger.error('GET /api/telegram/outbox failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rate limits and quiet hours of the channels alerts go to
+  router.get('/outbox/channels', async (req, res) => {
+    try {
+      res.json({ channels: await telegramService.getOutboxChannels(), defaults: DEFAULT_LIMITS });
+    } catch (error) {
+      logger.error('GET /api/telegram/outbox/channels failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: { maxSends?, windowMinutes?, quietHours?: { start: 'HH:MM', end: 'HH:MM', timezone? } | null }
+  router.put('/outbox/channels/:channelId', requireAdmin, async (req, res) => {
+    try {
+      validateChannelSettings(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const settings = await telegramService.outbox.setChannelSettings(req.params.channelId, req.body);
+      logger.info(`Telegram outbox settings for ${req.params.channelId} updated`);
+      res.json({ success: true, channelId: req.params.channelId, settings });
+    } catch (error) {
+      logger.error('PUT /api/telegram/outbox/channels/:channelId failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Back to the default limits, without quiet hours
+  router.delete('/outbox/channels/:channelId', requireAdmin, async (req, res) => {
+    try {
+      if (!(await telegramService.outbox.resetChannelSettings(req.params.channelId))) {
+        return res.status(404).json({ error: `No custom settings for ${req.params.channelId}` });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /api/telegram/outbox/channels/:channelId failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Requeue a dead or waiting message with fresh attempts
+  router.post('/outbox/:id/retry', requireAdmin, async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+      const message = Number.isInteger(id) ? await telegramService.outbox.retry(id) : null;
+      if (!message) return res.status(404).json({ error: `No message #${req.params.id}` });
+      res.json({ success: true, id: message.id });
+    } catch (error) {
+      if (error.message.includes('already sent')) {
+        return res.status(409).json({ error: error.message });
+      }
+      logger.error('POST /api/telegram/outbox/:id/retry failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/outbox/:id', requireAdmin, async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+      if (!Number.isInteger(id) || !(await telegramService.outbox.remove(id))) {
+        return res.status(404).json({ error: `No message #${req.params.id}` });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /api/telegram/outbox/:id failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Toggle Telegram messaging on/off
   router.post('/toggle-messaging', async (req, res) => {
     try {
@@ -132,9 +435,43 @@ export function createTelegramRoutes({ telegramService, logger, tokenManager })
     }
   });
 
+  // API credentials, phone and channel IDs. Secrets are never returned.
+  router.get('/config', requireAdmin, async (req, res) => {
+    try {
+      res.json(await telegramService.getConfig());
+    } catch (error) {
+      logger.error('GET /api/telegram/config failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: any of the config fields; null or '' clears one back to its env value
+  router.put('/config', requireAdmin, async (req, res) => {
+    let patch;
+    try {
+      patch = validateConfig(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const secrets = Object.keys(patch).filter(field => CONFIG_FIELDS[field].secret && patch[field] !== null);
+      if (secrets.length > 0 && !(await telegramService.getConfig()).canStoreSecrets) {
+        return res.status(400).json({ error: `Set DEXTER_CONFIG_KEY to store ${secrets.join(', ')} in the settings table` });
+      }
+
+      const result = await telegramService.updateConfig(patch);
+      res.json({ success: true, ...result, ...(await telegramService.getConfig()) });
+    } catch (error) {
+      logger.error('PUT /api/telegram/config failed', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Get current phone number
-  router.get('/phone', (req, res) => {
+  router.get('/phone', async (req, res) => {
     try {
+      await telegramService.loadConfig();
       const phone = telegramService.getPhone();
       res.json({ success: true, phone });
     } catch (error) {
@@ -144,14 +481,19 @@ export function createTelegramRoutes({ telegramService, logger, tokenManager })
   });
 
   // Set phone number
-  router.post('/phone', async (req, res) => {
+  router.post('/phone', requireAdmin, async (req, res) => {
     try {
       const { phone } = req.body;
       if (!phone) {
         return res.status(400).json({ success: false, error: 'Phone number is required' });
       }
-      telegramService.setPhone(phone);
-      res.json({ success: true, phone });
+      try {
+        validateConfig({ phone });
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      await telegramService.setPhone(phone);
+      res.json({ success: true, phone: telegramService.getPhone() });
     } catch (error) {
       logger.error('Set phone failed', error);
       res.status(500).json({ success: false, error: error.message });
@@ -1,4 +1,7 @@
 import express from 'express';
+import { RESOLUTIONS, DEFAULT_RESOLUTION, parseResolution } from '../priceHistory.mjs';
+import { buildTopView, buildHolderView } from '../tokenViews.mjs';
+import { clock } from '../clock.mjs';
 
 export function createTokenRoutes({ tokenManager, logger, dataCollector }) {
   const router = express.Router();
@@ -6,113 +9,7 @@ export function createTokenRoutes({ tokenManager, logger, dataCollector }) {
   router.get('/top', async (req, res) => {
     try {
       const viewMode = req.query.viewMode || 'all-time';
-      const top10 = tokenManager.getTop10(viewMode);
-      const mvpData = tokenManager.getMVP(viewMode);
-
-      const responseData = {
-        top10: top10.map((token, index) => {
-          let netPercent = 0;
-          if (token.mcTenSecondsAgo !== null && token.mcTenSecondsAgo > 0) {
-            netPercent = ((token.currentMc - token.mcTenSecondsAgo) / token.mcTenSecondsAgo) * 100;
-          }
-
-          const isMVP = mvpData && token.contractAddress === mvpData.address;
-
-          // Calculate score components for each token
-          const scoreData = tokenManager.getScoreForToken(token, viewMode);
-
-          return {
-            ...token,
-            rank: index + 1,
-            name: token.symbol && token.symbol !== 'UNKNOWN' ? token.symbol : token.name,
-            multiplier: (token.peakMultiplier).toFixed(2) + 'x',
-            currentMultiplier: (token.currentMc / token.spottedMc).toFixed(2) + 'x',
-            netPercent: parseFloat(netPercent.toFixed(2)),
-            isMVP: isMVP,
-            score: scoreData ? parseFloat(scoreData.total.toFixed(2)) : null,
-            components: scoreData ? {
-              buyPressure: {
-                raw: parseFloat(scoreData.components.buyPressure.raw.toFixed(3)),
-                weighted: parseFloat(scoreData.components.buyPressure.weighted.toFixed(2)),
-                weight: scoreData.components.buyPressure.weight
-              },
-              netBuyVolume: {
-                raw: parseFloat(scoreData.components.netBuyVolume.raw.toFixed(2)),
-                weighted: parseFloat(scoreData.components.netBuyVolume.weighted.toFixed(2)),
-                weight: scoreData.components.netBuyVolume.weight
-              },
-              txnsVelocity: {
-                raw: scoreData.components.txnsVelocity.raw,
-                weighted: parseFloat(scoreData.components.txnsVelocity.weighted.toFixed(2)),
-                weight: scoreData.components.txnsVelocity.weight
-              },
-              priceMomentum: {
-                raw: parseFloat(scoreData.components.priceMomentum.raw.toFixed(2)),
-                weighted: parseFloat(scoreData.components.priceMomentum.weighted.toFixed(2)),
-                weight: scoreData.components.priceMomentum.weight
-              },
-              sseMomentum: {
-                raw: parseFloat(scoreData.components.sseMomentum.raw.toFixed(3)),
-                weighted: parseFloat(scoreData.components.sseMomentum.weighted.toFixed(2)),
-                weight: scoreData.components.sseMomentum.weight
-              }
-            } : null,
-            metricsFresh: scoreData ? scoreData.metricsFresh : false
-          };
-        }),
-        mvp: mvpData ? {
-          address: mvpData.address,
-          name: mvpData.token.symbol || mvpData.token.name,
-          fullName: mvpData.token.name,
-          score: parseFloat(mvpData.score.toFixed(2)),
-          health: parseFloat((mvpData.health * 100).toFixed(1)),
-          components: {
-            buyPressure: {
-              raw: parseFloat(mvpData.components.buyPressure.raw.toFixed(3)),
-              weighted: parseFloat(mvpData.components.buyPressure.weighted.toFixed(2)),
-              weight: mvpData.components.buyPressure.weight
-            },
-            netBuyVolume: {
-              raw: parseFloat(mvpData.components.netBuyVolume.raw.toFixed(2)),
-              weighted: parseFloat(mvpData.components.netBuyVolume.weighted.toFixed(2)),
-              weight: mvpData.components.netBuyVolume.weight
-            },
-            txnsVelocity: {
-              raw: mvpData.components.txnsVelocity.raw,
-              weighted: parseFloat(mvpData.components.txnsVelocity.weighted.toFixed(2)),
-              weight: mvpData.components.txnsVelocity.weight
-            },
-            priceMomentum: {
-              raw: parseFloat(mvpData.components.priceMomentum.raw.toFixed(2)),
-              weighted: parseFloat(mvpData.components.priceMomentum.weighted.toFixed(2)),
-              weight: mvpData.components.priceMomentum.weight
-            },
-            sseMomentum: {
-              raw: parseFloat(mvpData.components.sseMomentum.raw.toFixed(3)),
-              weighted: parseFloat(mvpData.components.sseMomentum.weighted.toFixed(2)),
-              weight: mvpData.components.sseMomentum.weight
-            }
-          },
-          acceleration: mvpData.acceleration ? {
-            mc: parseFloat((mvpData.acceleration.mcAcceleration * 100).toFixed(2)),
-            volume: parseFloat((mvpData.acceleration.volumeAcceleration * 100).toFixed(2))
-          } : null,
-          currentMc: mvpData.token.currentMc,
-          spottedMc: mvpData.token.spottedMc,
-          peakMc: mvpData.token.peakMc,
-          peakMultiplier: mvpData.token.peakMultiplier,
-          volume24h: mvpData.token.volume24h,
-          logoUrl: mvpData.token.logoUrl,
-          contractAddress: mvpData.token.contractAddress,
-          hasData: mvpData.hasData,
-          dataPoints: mvpData.dataPoints,
-          metricsFresh: mvpData.metricsFresh,
-          mvpSince: mvpData.mvpSince
-        } : null,
-        monitoringCount: tokenManager.trackedTokens.size,
-        tierInfo: tokenManager.alertTiers,
-        viewMode: viewMode
-      };
+      const responseData = buildTopView(tokenManager, viewMode);
 
       // Record data for analysis
       if (dataCollector) {
@@ -141,7 +38,9 @@ export function createTokenRoutes({ tokenManager, logger, dataCollector }) {
           volume24h: token.volume24h,
           multiplier: token.peakMultiplier,
           peakMultiplier: token.peakMultiplier,
-          lastUpdated: token.lastUpdated
+          lastUpdated: token.lastUpdated,
+          ...tokenManager.getPhase(token.contractAddress),
+          phaseTransitions: tokenManager.getPhaseTransitions(token.contractAddress)
         })),
         count: allTokens.length
       });
@@ -168,89 +67,7 @@ export function createTokenRoutes({ tokenManager, logger, dataCollector }) {
 
   router.get('/holder', async (req, res) => {
     try {
-      const holderTokens = tokenManager.getHolderTokens();
-
-      let holderMVP = null;
-
-      // Only compute MVP if we have holder tokens
-      if (holderTokens.length > 0) {
-        try {
-          holderMVP = tokenManager.getHolderMVP();
-        } catch (mvpError) {
-          logger.error('Failed to compute holder MVP, continuing without it', mvpError);
-          // Continue without MVP - tokens should still be displayed
-        }
-      }
-
-      const responseData = {
-        tokens: holderTokens.map((token) => {
-          const holderSpottedMc = token.holderSpottedMc || token.spottedMc || 1;
-          const holderPeakMult = token.holderPeakMultiplier || token.peakMultiplier || 1.0;
-          const currentMultiplier = holderSpottedMc > 0 ? token.currentMc / holderSpottedMc : 1.0;
-          const isHolderMVP = holderMVP && token.contractAddress === holderMVP.contractAddress;
-
-          let netPercent = 0;
-          if (token.mcTenMinutesAgo !== undefined && token.mcTenMinutesAgo !== null && token.mcTenMinutesAgo > 0) {
-            netPercent = ((token.currentMc - token.mcTenMinutesAgo) / token.mcTenMinutesAgo) * 100;
-          }
-
-          // Calculate holder score for this token
-          const scoreData = tokenManager.getScoreForHolderToken(token);
-
-          return {
-            ...token,
-            rank: token.holderRank,
-            name: token.symbol && token.symbol !== 'UNKNOWN' ? token.symbol : token.name,
-            spottedMc: holderSpottedMc,
-            peakMultiplier: holderPeakMult,
-            multiplier: currentMultiplier.toFixed(2) + 'x',
-            currentMultiplier: currentMultiplier.toFixed(2) + 'x',
-            peakMultiplierFormatted: holderPeakMult.toFixed(2) + 'x',
-            netPercent: parseFloat(netPercent.toFixed(2)),
-            isMVP: isHolderMVP,
-            score: parseFloat(scoreData.total.toFixed(2))
-          };
-        }),
-        mvp: holderMVP ? {
-          address: holderMVP.address,
-          name: holderMVP.name,
-          fullName: holderMVP.fullName,
-          score: parseFloat(holderMVP.score.toFixed(2)),
-          health: parseFloat(holderMVP.health.toFixed(1)),
-          components: {
-            multiplier: {
-              raw: parseFloat(holderMVP.components.multiplier.raw.toFixed(2)),
-              score: parseFloat(holderMVP.components.multiplier.score.toFixed(1)),
-              weight: holderMVP.components.multiplier.weight
-            },
-            consistency: {
-              raw: parseFloat(holderMVP.components.consistency.raw.toFixed(2)),
-              score: parseFloat(holderMVP.components.consistency.score.toFixed(1)),
-              weight: holderMVP.components.consistency.weight
-            },
-            volume: {
-              raw: holderMVP.components.volume.raw,
-              score: parseFloat(holderMVP.components.volume.score.toFixed(1)),
-              weight: holderMVP.components.volume.weight
-            },
-            rank: {
-              raw: holderMVP.components.rank.raw,
-              score: parseFloat(holderMVP.components.rank.score.toFixed(1)),
-              weight: holderMVP.components.rank.weight
-            }
-          },
-          currentMc: holderMVP.currentMc,
-          spottedMc: holderMVP.spottedMc,
-          peakMc: holderMVP.peakMc,
-          volume24h: holderMVP.volume24h,
-          logoUrl: holderMVP.logoUrl,
-          contractAddress: holderMVP.contractAddress,
-          holderRank: holderMVP.holderRank,
-          multiplier: parseFloat(holderMVP.multiplier.toFixed(2))
-        } : null,
-        holderCount: holderTokens.length,
-        mode: 'holder'
-      };
+      const responseData = buildHolderView(tokenManager, logger);
 
       // Record data for analysis
       if (dataCollector) {
@@ -282,5 +99,34 @@ export function createTokenRoutes({ tokenManager, logger, dataCollector }) {
     }
   });
 
+  // Chart candles for a tracked token
+  // Query: from, to (ms timestamps, default: everything retained), resolution (15s | 1m | 5m | 15m | 1h)
+  router.get('/:address/history', async (req, res) => {
+    try {
+      const { address } = req.params;
+      const resolution = req.query.resolution || DEFAULT_RESOLUTION;
+      const resolutionMs = parseResolution(resolution);
+      if (!resolutionMs) {
+        return res.status(400).json({ error: `Invalid resolution. Use one of: ${Object.keys(RESOLUTIONS).join(', ')}` });
+      }
+
+      const from = req.query.from !== undefined ? Number(req.query.from) : 0;
+      const to = req.query.to !== undefined ? Number(req.query.to) : clock.now();
+      if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+        return res.status(400).json({ error: 'from and to must be millisecond timestamps with from <= to' });
+      }
+
+      const history = await tokenManager.getPriceHistory(address, { from, to, resolutionMs });
+      if (!history) {
+        return res.status(404).json({ error: 'Token not tracked' });
+      }
+
+      res.json({ ...history, resolution, from, to });
+    } catch (error) {
+      logger.error(`GET /api/tokens/${req.params.address}/history failed`, error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   return router;
 }
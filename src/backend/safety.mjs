@@ -0,0 +1,202 @@
+/**
+ * Rug / honeypot safety checks
+ *
+ * Every discovered Solana token is checked once with plain RPC calls (plus
+ * Solscan for holders when a key is set):
+ *   mintAuthority    still set = supply can be inflated at will
+ *   freezeAuthority  still set = holders can be frozen, i.e. a honeypot
+ *   lp               'curve' (pump.fun bonding curve, nothing to pull),
+ *                    'burned' or 'unburned' AMM LP tokens
+ *   top10HolderPct   share held by the ten largest wallets, pools excluded
+ *   devSharePct      share still held by the launch wallet (PumpPortal launches only)
+ *
+ * Each unknown stays null rather than failing the whole check. The flags roll
+ * up into a 0-100 riskScore: the MVP score is scaled down by it, and tokens
+ * that can mint or freeze, or score SAFETY_EXCLUDE_SCORE or more, are never
+ * picked as MVP.
+ */
+
+import * as rpc from './apis/solanaRpc.mjs';
+import * as solscan from './apis/solscan.mjs';
+import { isPumpFunAddress, migratedVenue } from './bondingCurve.mjs';
+
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+const RAYDIUM_AMM_AUTHORITY = '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1';
+
+// Where each AMM keeps the LP mint, and the LP supply at creation, in its pool account.
+// Raydium's dexId also covers CPMM/CLMM pools; the exact v4 size tells them apart.
+const POOL_LAYOUTS = {
+  raydium: { lpMint: 464, lpReserve: 720, size: 752 }, // Raydium AMM v4 LiquidityStateV4
+  pumpswap: { lpMint: 107, lpReserve: 203 } // PumpSwap Pool (after the 8-byte discriminator)
+};
+
+const LP_BURNED_PCT = 95;
+
+export const RISK_WEIGHTS = {
+  mintAuthority: 30,
+  freezeAuthority: 30,
+  unburnedLp: 20,
+  concentration: 15, // top 10 hold 50%+ (half that from 30%)
+  devShare: 20 // dev holds 20%+ (half that from 10%)
+};
+
+export const EXCLUDE_SCORE = parseInt(process.env.SAFETY_EXCLUDE_SCORE, 10) || 70;
+
+const percent = (part, whole) => (whole > 0 ? (part / whole) * 100 : null);
+
+// 'active' / 'revoked' for mint and freeze authority
+async function checkAuthorities(mint) {
+  const parsed = await rpc.getParsedAccount(mint);
+  const info = parsed?.info;
+  if (!info) throw new Error('mint account not found');
+
+  return {
+    mintAuthority: info.mintAuthority ? 'active' : 'revoked',
+    freezeAuthority: info.freezeAuthority ? 'active' : 'revoked',
+    supply: Number(info.supply) / Math.pow(10, info.decimals || 0)
+  };
+}
+
+// Burned share of the pool's LP tokens: burnt supply, or held by the incinerator
+async function checkLp(pairAddress, venue) {
+  const layout = POOL_LAYOUTS[venue];
+  if (!layout || !pairAddress) return { lp: null, lpBurnedPct: null };
+
+  const pool = await rpc.getAccountData(pairAddress);
+  const fits = layout.size ? pool?.length === layout.size : pool?.length >= layout.lpReserve + 8;
+  if (!fits) return { lp: null, lpBurnedPct: null };
+
+  const lpMint = rpc.readPublicKey(pool, layout.lpMint);
+  const lpReserve = pool.readBigUInt64LE(layout.lpReserve);
+  const supply = await rpc.getTokenSupply(lpMint);
+  if (!supply) return { lp: null, lpBurnedPct: null };
+
+  let burned = lpReserve > 0n
+    ? Math.max(0, 1 - Number(BigInt(supply.amount)) / Number(lpReserve)) * 100
+    : 0;
+
+  // LP sent to the incinerator counts as burned too
+  const largest = await rpc.getTokenLargestAccounts(lpMint);
+  if (largest.length > 0 && Number(supply.amount) > 0) {
+    const owners = await rpc.getParsedAccounts(largest.map(a => a.address));
+    const incinerated = largest
+      .filter((_, i) => owners[i]?.info?.owner === INCINERATOR)
+      .reduce((sum, a) => sum + Number(a.amount), 0);
+    burned += (incinerated / Number(supply.amount)) * (100 - burned);
+  }
+
+  const lpBurnedPct = Math.min(100, burned);
+  return { lp: lpBurnedPct >= LP_BURNED_PCT ? 'burned' : 'unburned', lpBurnedPct };
+}
+
+// Holders as [{ owner, amount }] in UI units: Solscan if it has a key, else RPC
+async function getHolders(mint) {
+  const fromSolscan = process.env.SOLSCAN_API_KEY ? await solscan.getTokenHolders(mint, 20) : null;
+  const items = Array.isArray(fromSolscan) ? fromSolscan : fromSolscan?.result || fromSolscan?.items;
+  if (items?.length) {
+    return items.map(h => ({
+      owner: h.owner,
+      amount: h.uiAmount ?? Number(h.amount) / Math.pow(10, h.decimals || 0)
+    }));
+  }
+
+  const largest = await rpc.getTokenLargestAccounts(mint);
+  const accounts = await rpc.getParsedAccounts(largest.map(a => a.address));
+  return largest.map((a, i) => ({ owner: accounts[i]?.info?.owner || a.address, amount: a.uiAmount || 0 }));
+}
+
+// Share held by the 10 largest wallets, leaving out pool and curve vaults
+async function checkConcentration(token, supply) {
+  const pools = new Set([INCINERATOR, RAYDIUM_AMM_AUTHORITY, token.pairAddress, token.bondingCurveKey].filter(Boolean));
+  const holders = (await getHolders(token.contractAddress)).filter(h => !pools.has(h.owner));
+  if (holders.length === 0) return null;
+
+  // A pump.fun curve vault we have no key for is always the single largest account
+  if (!token.bondingCurveKey && !token.migrated && isPumpFunAddress(token.contractAddress)) {
+    holders.sort((a, b) => b.amount - a.amount).shift();
+  }
+
+  const top10 = holders
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, 10)
+    .reduce((sum, h) => sum + h.amount, 0);
+  return percent(top10, supply);
+}
+
+/**
+ * 0-100 risk score from riskFlags; unknown flags add nothing
+ */
+export function scoreRisk(flags) {
+  let score = 0;
+  if (flags.mintAuthority === 'active') score += RISK_WEIGHTS.mintAuthority;
+  if (flags.freezeAuthority === 'active') score += RISK_WEIGHTS.freezeAuthority;
+  if (flags.lp === 'unburned') score += RISK_WEIGHTS.unburnedLp;
+
+  if (flags.top10HolderPct >= 50) score += RISK_WEIGHTS.concentration;
+  else if (flags.top10HolderPct >= 30) score += RISK_WEIGHTS.concentration / 2;
+
+  if (flags.devSharePct >= 20) score += RISK_WEIGHTS.devShare;
+  else if (flags.devSharePct >= 10) score += RISK_WEIGHTS.devShare / 2;
+
+  return Math.min(100, score);
+}
+
+/**
+ * Whether a checked token should be kept out of MVP picks
+ */
+export function isExcluded(flags, riskScore) {
+  return flags.mintAuthority === 'active' ||
+    flags.freezeAuthority === 'active' ||
+    riskScore >= EXCLUDE_SCORE;
+}
+
+/**
+ * Run every check for a token. Uses contractAddress plus whatever the token
+ * already carries: pairAddress/dexId (AMM pool), bondingCurveKey, creator, migrated.
+ * Returns { riskFlags, riskScore, riskExcluded }; throws only if the mint itself can't be read.
+ */
+export async function checkTokenSafety(token) {
+  const { mintAuthority, freezeAuthority, supply } = await checkAuthorities(token.contractAddress);
+  const flags = {
+    mintAuthority,
+    freezeAuthority,
+    lp: null,
+    lpBurnedPct: null,
+    top10HolderPct: null,
+    devSharePct: null,
+    errors: []
+  };
+
+  const onCurve = isPumpFunAddress(token.contractAddress) && !token.migrated;
+  const steps = [
+    ['lp', async () => {
+      if (onCurve) {
+        flags.lp = 'curve';
+        return;
+      }
+      Object.assign(flags, await checkLp(token.pairAddress, token.migratedTo || migratedVenue(token.dexId)));
+    }],
+    ['holders', async () => {
+      const pct = await checkConcentration(token, supply);
+      flags.top10HolderPct = pct !== null ? parseFloat(pct.toFixed(1)) : null;
+    }],
+    ['dev', async () => {
+      if (!token.creator) return;
+      const held = await rpc.getTokenBalanceByOwner(token.creator, token.contractAddress);
+      const pct = percent(held, supply);
+      flags.devSharePct = pct !== null ? parseFloat(pct.toFixed(1)) : null;
+    }]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      flags.errors.push(`${name}: ${error.message}`);
+    }
+  }
+  if (flags.lpBurnedPct !== null) flags.lpBurnedPct = parseFloat(flags.lpBurnedPct.toFixed(1));
+
+  const riskScore = scoreRisk(flags);
+  return { riskFlags: flags, riskScore, riskExcluded: isExcluded(flags, riskScore) };
+}
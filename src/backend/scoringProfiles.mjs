@@ -0,0 +1,188 @@
+/**
+ * Scoring profiles
+ *
+ * A profile is everything MVPCalculatorV3 used to hardcode:
+ *   weights             component -> weight, per view mode
+ *   metricsFreshnessMs  how old REST transaction metrics may be and still count
+ *   healthThreshold     fraction of peak MC a token must hold to be MVP
+ *   rankBy              'score' ranks MVP candidates by score, 'lower' by the
+ *                       lower end of their confidence band
+ *
+ * Profiles live in the settings table under 'scoringProfiles' (name -> profile)
+ * and the active one under 'activeScoringProfile'. The built-in 'default'
+ * profile is read-only; clone it to tweak. Activating or editing the active
+ * profile emits 'activeChanged' so the calculator picks it up without a restart.
+ */
+
+import { EventEmitter } from 'events';
+import { loadDb } from './database/lazyStore.mjs';
+
+export const SCORE_COMPONENTS = [
+  'buyPressure', 'netBuyVolume', 'txnsVelocity', 'priceMomentum', 'sseMomentum', 'liquidity',
+  'timeframeMomentum', 'jerk', 'volatility', 'trendConsistency', 'volumeMcCorrelation'
+];
+
+// Signals added after the original six ship unweighted; they're still scored
+// and reported, and a profile can weight them once they've proven themselves
+const UNWEIGHTED = { timeframeMomentum: 0, jerk: 0, volatility: 0, trendConsistency: 0, volumeMcCorrelation: 0 };
+
+export const VIEW_MODES = ['5m', '30m', '1h', '2h', '4h', 'all-time'];
+export const RANK_BY = ['score', 'lower'];
+
+const DEFAULT_NAME = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-_]{0,39}$/i;
+
+// Short views lean on immediate signals (SSE, price), long ones on sustained
+// accumulation (buy pressure, net volume)
+export const DEFAULT_PROFILE = Object.freeze({
+  name: DEFAULT_NAME,
+  description: 'Built-in weights tuned for pump detection',
+  weights: {
+    '5m': { buyPressure: 0.15, netBuyVolume: 0.15, txnsVelocity: 0.15, priceMomentum: 0.25, sseMomentum: 0.20, liquidity: 0.10, ...UNWEIGHTED },
+    '30m': { buyPressure: 0.20, netBuyVolume: 0.20, txnsVelocity: 0.15, priceMomentum: 0.20, sseMomentum: 0.15, liquidity: 0.10, ...UNWEIGHTED },
+    '1h': { buyPressure: 0.25, netBuyVolume: 0.20, txnsVelocity: 0.15, priceMomentum: 0.20, sseMomentum: 0.10, liquidity: 0.10, ...UNWEIGHTED },
+    '2h': { buyPressure: 0.25, netBuyVolume: 0.25, txnsVelocity: 0.15, priceMomentum: 0.175, sseMomentum: 0.075, liquidity: 0.10, ...UNWEIGHTED },
+    '4h': { buyPressure: 0.30, netBuyVolume: 0.25, txnsVelocity: 0.15, priceMomentum: 0.15, sseMomentum: 0.05, liquidity: 0.10, ...UNWEIGHTED },
+    'all-time': { buyPressure: 0.35, netBuyVolume: 0.30, txnsVelocity: 0.10, priceMomentum: 0.10, sseMomentum: 0.05, liquidity: 0.10, ...UNWEIGHTED }
+  },
+  metricsFreshnessMs: 30000,
+  healthThreshold: 0.8,
+  rankBy: 'score'
+});
+
+/**
+ * Check and normalise a profile from the API. Missing view modes or
+ * components are filled from the default profile; bad values throw.
+ */
+export function validateProfile(input) {
+  if (!input || typeof input !== 'object') throw new Error('Profile must be an object');
+
+  const name = String(input.name || '').trim();
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error('Profile name must be 1-40 letters, digits, "-" or "_"');
+  }
+
+  const weights = {};
+  for (const viewMode of VIEW_MODES) {
+    weights[viewMode] = {};
+    for (const component of SCORE_COMPONENTS) {
+      const value = input.weights?.[viewMode]?.[component] ?? DEFAULT_PROFILE.weights[viewMode][component];
+      const weight = Number(value);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 1) {
+        throw new Error(`Weight ${viewMode}.${component} must be between 0 and 1`);
+      }
+      weights[viewMode][component] = weight;
+    }
+  }
+
+  const metricsFreshnessMs = Number(input.metricsFreshnessMs ?? DEFAULT_PROFILE.metricsFreshnessMs);
+  if (!Number.isFinite(metricsFreshnessMs) || metricsFreshnessMs < 1000 || metricsFreshnessMs > 10 * 60 * 1000) {
+    throw new Error('metricsFreshnessMs must be between 1000 and 600000');
+  }
+
+  const healthThreshold = Number(input.healthThreshold ?? DEFAULT_PROFILE.healthThreshold);
+  if (!Number.isFinite(healthThreshold) || healthThreshold < 0 || healthThreshold > 1) {
+    throw new Error('healthThreshold must be between 0 and 1');
+  }
+
+  const rankBy = input.rankBy ?? DEFAULT_PROFILE.rankBy;
+  if (!RANK_BY.includes(rankBy)) {
+    throw new Error(`rankBy must be one of: ${RANK_BY.join(', ')}`);
+  }
+
+  return {
+    name,
+    description: input.description ? String(input.description).slice(0, 200) : '',
+    weights,
+    metricsFreshnessMs,
+    healthThreshold,
+    rankBy
+  };
+}
+
+class ScoringProfileStore extends EventEmitter {
+  constructor() {
+    super();
+    this.profiles = new Map(); // name -> profile (user profiles only)
+    this.activeName = DEFAULT_NAME;
+  }
+
+  async load() {
+    const db = await loadDb();
+    const stored = await db.getSetting('scoringProfiles', {});
+    this.profiles.clear();
+    for (const profile of Object.values(stored || {})) {
+      try {
+        const valid = validateProfile(profile);
+        this.profiles.set(valid.name, valid);
+      } catch {
+        // Skip profiles saved by an older, incompatible build
+      }
+    }
+
+    const active = await db.getSetting('activeScoringProfile', DEFAULT_NAME);
+    this.activeName = this.has(active) ? active : DEFAULT_NAME;
+    return this.getActive();
+  }
+
+  has(name) {
+    return name === DEFAULT_NAME || this.profiles.has(name);
+  }
+
+  get(name) {
+    if (name === DEFAULT_NAME) return DEFAULT_PROFILE;
+    return this.profiles.get(name) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeName) || DEFAULT_PROFILE;
+  }
+
+  list() {
+    return [DEFAULT_PROFILE, ...this.profiles.values()].map(profile => ({
+      ...profile,
+      builtIn: profile.name === DEFAULT_NAME,
+      active: profile.name === this.activeName
+    }));
+  }
+
+  // Create or replace a user profile; the built-in one can't be overwritten
+  async save(input) {
+    const profile = validateProfile(input);
+    if (profile.name === DEFAULT_NAME) {
+      throw new Error('The default profile is read-only - clone it under a new name');
+    }
+
+    this.profiles.set(profile.name, profile);
+    await this.persist();
+    if (profile.name === this.activeName) this.emit('activeChanged', profile);
+    return profile;
+  }
+
+  async remove(name) {
+    if (name === DEFAULT_NAME) throw new Error('The default profile cannot be deleted');
+    if (name === this.activeName) throw new Error('Activate another profile before deleting this one');
+    if (!this.profiles.delete(name)) return false;
+
+    await this.persist();
+    return true;
+  }
+
+  async activate(name) {
+    if (!this.has(name)) throw new Error(`Unknown scoring profile "${name}"`);
+
+    this.activeName = name;
+    const db = await loadDb();
+    await db.setSetting('activeScoringProfile', name);
+    const profile = this.getActive();
+    this.emit('activeChanged', profile);
+    return profile;
+  }
+
+  async persist() {
+    const db = await loadDb();
+    await db.setSetting('scoringProfiles', Object.fromEntries(this.profiles));
+  }
+}
+
+export const scoringProfiles = new ScoringProfileStore();
@@ -7,11 +7,22 @@ import axios from 'axios';
 import logger from './logger.mjs';
 import { tokenManager } from './tokenManager.mjs';
 import { testAllAPIs, getRandomTestToken } from './apiTester.mjs';
-import { dexscreenerLimiter } from './rateLimit.mjs';
+import { dexscreenerLimiter, getRateLimitStats } from './rateLimit.mjs';
 import * as dexscreener from './apis/dexscreener.mjs';
 import { telegramService } from './telegramService.mjs';
 import { holderService } from './holderService.mjs';
 import DataCollector from './dataCollector.mjs';
+import { providerRegistry } from './providers/index.mjs';
+import { sessionRecorder } from './replay/sessionRecorder.mjs';
+import { sessionReplayer } from './replay/sessionReplayer.mjs';
+import { liveHub } from './liveHub.mjs';
+import { scoringProfiles } from './scoringProfiles.mjs';
+import { shadowScorer } from './shadowScoring.mjs';
+import { alertEngine } from './alertRules.mjs';
+import { telegramTemplates } from './telegramTemplates.mjs';
+import { TelegramCommands } from './telegramCommands.mjs';
+import { callWatcher } from './callWatcher.mjs';
+import { createAdminAuth } from './adminAuth.mjs';
 
 // Route modules
 import { createTokenRoutes } from './routes/tokenRoutes.mjs';
@@ -20,6 +31,9 @@ import { createDebugRoutes } from './routes/debugRoutes.mjs';
 import { createTelegramRoutes } from './routes/telegramRoutes.mjs';
 import { createBlacklistRoutes } from './routes/blacklistRoutes.mjs';
 import channelsRouter from './routes/channels.mjs';
+import { createStreamRoutes } from './routes/streamRoutes.mjs';
+import { createScoringRoutes } from './routes/scoringRoutes.mjs';
+import { createAlertRoutes } from './routes/alertRoutes.mjs';
 
 // Current app mode: 'degen' or 'holder'
 let currentMode = 'degen';
@@ -40,45 +54,109 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Session capture / replay
+// DEXTER_RECORD=1 (or a file path) appends every provider response and SSE event to a JSONL file.
+// DEXTER_REPLAY=<file> boots against a recording on a virtual clock (DEXTER_REPLAY_SPEED, default 1x).
+const REPLAY_FILE = process.env.DEXTER_REPLAY || null;
+const RECORD_TARGET = process.env.DEXTER_RECORD || null;
+
+if (REPLAY_FILE) {
+  try {
+    await sessionReplayer.load(REPLAY_FILE);
+    sessionReplayer.install(providerRegistry, {
+      speed: parseFloat(process.env.DEXTER_REPLAY_SPEED) || 1
+    });
+  } catch (err) {
+    logger.error(`Failed to load replay ${REPLAY_FILE}`, err);
+    process.exit(1);
+  }
+} else if (RECORD_TARGET) {
+  const useDefaultPath = RECORD_TARGET === '1' || RECORD_TARGET === 'true';
+  sessionRecorder.start(useDefaultPath ? null : RECORD_TARGET, providerRegistry.getStatus());
+  providerRegistry.setRecorder(sessionRecorder);
+}
+
 // Initialize data collector for algorithm analysis (may fail on Railway if FS is read-only)
+// Replays skip it so scoring-logs only ever contain live sessions
 let dataCollector;
 try {
+  if (REPLAY_FILE) throw new Error('disabled during replay');
   dataCollector = new DataCollector(logger);
   logger.info('[DataCollector] Recording scoring metrics to src/data/scoring-logs/');
 } catch (err) {
-  logger.warn('[DataCollector] Failed to initialize (file system may be read-only)');
-  dataCollector = { record: () => {}, shutdown: () => {} }; // No-op fallback
+  logger.warn(`[DataCollector] Not recording (${REPLAY_FILE ? 'replay mode' : 'file system may be read-only'})`);
+  dataCollector = { // No-op fallback
+    enabled: false,
+    record: () => {},
+    recordTop10: () => {},
+    recordHolderTokens: () => {},
+    setEnabled: () => {},
+    getStats: () => ({ enabled: false }),
+    shutdown: () => {}
+  };
 }
 
 // Initialize token manager (non-blocking - server starts even if this fails)
-tokenManager.initialize().catch(err => {
+const initialized = tokenManager.initialize().catch(err => {
   logger.error('Failed to initialize TokenManager', err);
   // Don't exit - let server start in degraded mode for health checks
 });
 
 // Inject telegram service into token manager for auto-alerts
-tokenManager.setTelegramService(telegramService);
+// (a replay must never re-post historical alerts)
+if (!REPLAY_FILE) {
+  tokenManager.setTelegramService(telegramService);
+}
+
+// Remote control over Telegram, for allowlisted users
+const telegramCommands = new TelegramCommands({ tokenManager, telegramService });
+telegramService.setCommandHandler((text, senderId) => telegramCommands.handle(text, senderId));
+
+// CAs called in watched Telegram channels become 'telegram-call' tokens
+callWatcher.setTokenManager(tokenManager);
+if (!REPLAY_FILE) {
+  telegramService.setCallHandler((message) => callWatcher.handleMessage(message));
+  callWatcher.start();
+  telegramService.outbox.start();
+}
 
 // Start token tracking (non-blocking - server starts even if this fails)
-tokenManager.startTracking().catch(err => {
-  logger.error('Failed to start token tracking', err);
-  // Don't exit - server can still serve health checks
-});
+if (REPLAY_FILE) {
+  // The replay clock starts once tracking and holder polling are scheduled,
+  // so every run of a recording begins from the same state
+  initialized.then(async () => {
+    await tokenManager.startTracking();
+    if (sessionReplayer.hasCalls('telegram', 'getHolderMessage')) await holderService.startPolling(5000);
+    sessionReplayer.start();
+  }).catch(err => {
+    logger.error('Failed to start token tracking', err);
+  });
+} else {
+  tokenManager.startTracking().catch(err => {
+    logger.error('Failed to start token tracking', err);
+    // Don't exit - server can still serve health checks
+  });
+}
 
 // Initialize holder service - runs independently of UI mode (non-blocking)
 holderService.setTokenManager(tokenManager);
 try {
-  holderService.startPolling(5000);
+  if (!REPLAY_FILE) holderService.startPolling(5000);
 } catch (err) {
   logger.error('Failed to start holder service polling', err);
   // Don't exit - server can still serve health checks
 }
 
+// Push token list changes to /api/stream subscribers
+liveHub.attach({ tokenManager, dataCollector, logger });
+
 // Mode state accessors
 const getModeState = () => currentMode;
 const setModeState = (mode) => { currentMode = mode; };
 
 // Register route modules
+// Routes that change what gets posted or hold credentials need DEXTER_ADMIN_TOKEN
+const requireAdmin = createAdminAuth({ logger });
 app.use('/api/tokens', createTokenRoutes({ tokenManager, logger, dataCollector }));
 app.use('/api', createModeRoutes({ tokenManager, logger, getModeState, setModeState }));
 app.use('/api', createDebugRoutes({
@@ -86,13 +164,27 @@ app.use('/api', createDebugRoutes({
   logger,
   telegramService,
   dexscreenerLimiter,
+  getRateLimitStats,
   dexscreener,
   testAllAPIs,
   getRandomTestToken,
-  dataCollector
+  dataCollector,
+  sessionRecorder,
+  sessionReplayer
+}));
+app.use('/api/telegram', createTelegramRoutes({
+  telegramService,
+  telegramTemplates,
+  telegramCommands,
+  callWatcher,
+  logger,
+  tokenManager,
+  requireAdmin
 }));
-app.use('/api/telegram', createTelegramRoutes({ telegramService, logger, tokenManager }));
 app.use('/api/blacklist', createBlacklistRoutes({ tokenManager, logger }));
+app.use('/api', createStreamRoutes({ liveHub, logger }));
+app.use('/api/scoring', createScoringRoutes({ scoringProfiles, shadowScorer, logger }));
+app.use('/api/alerts', createAlertRoutes({ alertEngine, logger, requireAdmin }));
 
 // Make telegramService available to channels route
 app.set('telegramService', telegramService);
@@ -420,90 +512,124 @@ app.get('/', (req, res) => {
                 return \`<span style="color: \${color};">\${arrows}</span>\`;
             }
 
+            function renderTokens(tokens) {
+                if (tokens.length === 0) {
+                    document.getElementById('token-list').innerHTML = '<div class="empty-state"><p>Waiting for tokens...</p></div>';
+                    return;
+                }
+
+                const html = tokens.map((token, index) => {
+                    const timeAgo = getTimeAgo(token.spottedAt);
+                    const multiplier = token.multiplier;
+                    const rankClass = \`rank-\${token.rank}\`;
+
+                    const spottedMc = formatCurrency(token.spottedMc);
+                    const currentMc = formatCurrency(token.currentMc);
+                    const volume = formatCurrency(token.volume24h);
+
+                    const mcChange = token.mcTenSecondsAgo ? token.currentMc - token.mcTenSecondsAgo : 0;
+                    const volChange = token.volTenSecondsAgo ? token.volume24h - token.volTenSecondsAgo : 0;
+
+                    const mcChangePercent = token.mcTenSecondsAgo && token.mcTenSecondsAgo > 0 ? (mcChange / token.mcTenSecondsAgo) * 100 : 0;
+                    const volChangePercent = token.volTenSecondsAgo && token.volTenSecondsAgo > 0 ? (volChange / token.volTenSecondsAgo) * 100 : 0;
+
+                    const mcArrows = getArrows(mcChangePercent);
+                    const volArrows = getArrows(volChangePercent);
+
+                    const iconHtml = token.logoUrl
+                        ? \`<img src="\${token.logoUrl}" alt="\${token.name}" class="token-logo" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';" /><div class="icon-fallback" style="display:none;">\${token.name.charAt(0).toUpperCase()}</div>\`
+                        : \`<div class="icon-fallback">\${token.name.charAt(0).toUpperCase()}</div>\`;
+
+                    const prevData = previousTokenData[token.contractAddress] || {};
+                    const mcChanged = prevData.currentMc !== token.currentMc;
+                    const volChanged = prevData.volume24h !== token.volume24h;
+                    const peakChanged = prevData.peakMultiplier !== token.peakMultiplier;
+
+                    previousTokenData[token.contractAddress] = {
+                        currentMc: token.currentMc,
+                        volume24h: token.volume24h,
+                        peakMultiplier: token.peakMultiplier
+                    };
+
+                    return \`
+                        <div class="token-card \${rankClass}">
+                            <div class="rank">#\${token.rank}</div>
+                            <div class="icon">\${iconHtml}</div>
+                            <div class="name-info">
+                                <div class="token-name">\${token.name}</div>
+                                <div class="chain">\${token.contractAddress}</div>
+                            </div>
+                            <div class="data-row">
+                                <div class="data-item">
+                                    <div class="data-value primary">\${spottedMc}</div>
+                                </div>
+                                <div class="data-item">
+                                    <div class="data-value \${mcChanged ? 'value-changing' : ''}">\${currentMc}<span class="change">\${mcArrows}</span></div>
+                                </div>
+                                <div class="data-item">
+                                    <div class="data-value \${volChanged ? 'value-changing' : ''}">\${volume}<span class="change">\${volArrows}</span></div>
+                                </div>
+                                <div class="data-item time-col">
+                                    <span class="time-text">\${timeAgo}</span>
+                                </div>
+                                <div class="data-item peak-col">
+                                    <span class="peak-text \${peakChanged ? 'value-changing' : ''}">\${multiplier}</span>
+                                </div>
+                            </div>
+                        </div>
+                    \`;
+                }).join('');
+
+                document.getElementById('token-list').innerHTML = html;
+            }
+
             async function fetchTokens() {
                 try {
                     const response = await fetch(\`\${API_BASE}/tokens/top?viewMode=all-time\`);
                     if (!response.ok) throw new Error('Failed to fetch');
 
                     const data = await response.json();
-                    const tokens = data.top10 || [];
-
-                    if (tokens.length === 0) {
-                        document.getElementById('token-list').innerHTML = '<div class="empty-state"><p>Waiting for tokens...</p></div>';
-                        return;
-                    }
-
-                    const html = tokens.map((token, index) => {
-                        const timeAgo = getTimeAgo(token.spottedAt);
-                        const multiplier = token.multiplier;
-                        const rankClass = \`rank-\${token.rank}\`;
-
-                        const spottedMc = formatCurrency(token.spottedMc);
-                        const currentMc = formatCurrency(token.currentMc);
-                        const volume = formatCurrency(token.volume24h);
-
-                        const mcChange = token.mcTenSecondsAgo ? token.currentMc - token.mcTenSecondsAgo : 0;
-                        const volChange = token.volTenSecondsAgo ? token.volume24h - token.volTenSecondsAgo : 0;
-
-                        const mcChangePercent = token.mcTenSecondsAgo && token.mcTenSecondsAgo > 0 ? (mcChange / token.mcTenSecondsAgo) * 100 : 0;
-                        const volChangePercent = token.volTenSecondsAgo && token.volTenSecondsAgo > 0 ? (volChange / token.volTenSecondsAgo) * 100 : 0;
-
-                        const mcArrows = getArrows(mcChangePercent);
-                        const volArrows = getArrows(volChangePercent);
-
-                        const iconHtml = token.logoUrl
-                            ? \`<img src="\${token.logoUrl}" alt="\${token.name}" class="token-logo" onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';" /><div class="icon-fallback" style="display:none;">\${token.name.charAt(0).toUpperCase()}</div>\`
-                            : \`<div class="icon-fallback">\${token.name.charAt(0).toUpperCase()}</div>\`;
-
-                        const prevData = previousTokenData[token.contractAddress] || {};
-                        const mcChanged = prevData.currentMc !== token.currentMc;
-                        const volChanged = prevData.volume24h !== token.volume24h;
-                        const peakChanged = prevData.peakMultiplier !== token.peakMultiplier;
-
-                        previousTokenData[token.contractAddress] = {
-                            currentMc: token.currentMc,
-                            volume24h: token.volume24h,
-                            peakMultiplier: token.peakMultiplier
-                        };
-
-                        return \`
-                            <div class="token-card \${rankClass}">
-                                <div class="rank">#\${token.rank}</div>
-                                <div class="icon">\${iconHtml}</div>
-                                <div class="name-info">
-                                    <div class="token-name">\${token.name}</div>
-                                    <div class="chain">\${token.contractAddress}</div>
-                                </div>
-                                <div class="data-row">
-                                    <div class="data-item">
-                                        <div class="data-value primary">\${spottedMc}</div>
-                                    </div>
-                                    <div class="data-item">
-                                        <div class="data-value \${mcChanged ? 'value-changing' : ''}">\${currentMc}<span class="change">\${mcArrows}</span></div>
-                                    </div>
-                                    <div class="data-item">
-                                        <div class="data-value \${volChanged ? 'value-changing' : ''}">\${volume}<span class="change">\${volArrows}</span></div>
-                                    </div>
-                                    <div class="data-item time-col">
-                                        <span class="time-text">\${timeAgo}</span>
-                                    </div>
-                                    <div class="data-item peak-col">
-                                        <span class="peak-text \${peakChanged ? 'value-changing' : ''}">\${multiplier}</span>
-                                    </div>
-                                </div>
-                            </div>
-                        \`;
-                    }).join('');
-
-                    document.getElementById('token-list').innerHTML = html;
+                    renderTokens(data.top10 || []);
                 } catch (error) {
                     console.error('Fetch error:', error);
                 }
             }
 
-            // Fetch every second
+            // Live updates are pushed over /api/stream; poll every second only while it is down
+            let streamTokens = new Map();
+            let streamConnected = false;
+
+            function connectStream() {
+                if (!window.EventSource) return;
+                const source = new EventSource(\`\${API_BASE}/stream?mode=degen&viewMode=all-time\`);
+
+                source.addEventListener('snapshot', (event) => {
+                    const data = JSON.parse(event.data);
+                    streamTokens = new Map((data.top10 || []).map(token => [token.contractAddress, token]));
+                    streamConnected = true;
+                    renderTokens(data.top10 || []);
+                });
+
+                source.addEventListener('tokens', (event) => {
+                    const delta = JSON.parse(event.data);
+                    for (const address of delta.removed) streamTokens.delete(address);
+                    for (const patch of delta.upsert) {
+                        streamTokens.set(patch.contractAddress, { ...streamTokens.get(patch.contractAddress), ...patch });
+                    }
+                    renderTokens(delta.order.map(address => streamTokens.get(address)).filter(Boolean));
+                });
+
+                // EventSource reconnects on its own; polling covers the gap
+                source.onerror = () => {
+                    streamConnected = false;
+                };
+            }
+
+            connectStream();
             fetchTokens();
-            setInterval(fetchTokens, 1000);
+            setInterval(() => {
+                if (!streamConnected) fetchTokens();
+            }, 1000);
         </script>
     </body>
     </html>
@@ -519,7 +645,11 @@ app.use((err, req, res, next) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   logger.warn('Shutting down gracefully...');
+  liveHub.shutdown();
   dataCollector.shutdown();
+  sessionRecorder.stop();
+  callWatcher.stop();
+  telegramService.outbox.stop();
   await tokenManager.shutdown();
   logger.success('Shutdown complete');
   process.exit(0);
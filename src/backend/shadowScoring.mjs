@@ -0,0 +1,159 @@
+/**
+ * Shadow scoring - every registered MVP algorithm picks from the live top 10
+ *
+ * TokenManager only shows v3's MVP, but on every shadow tick each registered
+ * calculator is asked for its own pick from the same tokens. A pick starts
+ * when an algorithm's MVP changes; its forward outcome is the token's MC
+ * 1, 5 and 15 minutes later relative to the MC at the pick. Picks whose token
+ * stopped being tracked before a horizon leave that outcome null.
+ *
+ * Calculators keep their own SSE momentum buffers, so TokenManager forwards
+ * every snapshot here too (the live v3 instance is fed by TokenManager itself
+ * and registered with feedSnapshots: false).
+ */
+
+import { clock } from './clock.mjs';
+
+export const HORIZONS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 }
+];
+
+const MAX_PICKS = 5000; // Oldest resolved picks are dropped past this
+
+export class ShadowScorer {
+  constructor({ horizons = HORIZONS, maxPicks = MAX_PICKS } = {}) {
+    this.horizons = horizons;
+    this.maxPicks = maxPicks;
+    this.calculators = new Map(); // name -> { calculator, feedSnapshots }
+    this.current = new Map(); // name -> { address, pick } current MVP per algorithm
+    this.picks = [];
+    this.startedAt = clock.now();
+    this.lastTickAt = null;
+  }
+
+  register(name, calculator, { feedSnapshots = true } = {}) {
+    this.calculators.set(name, { calculator, feedSnapshots });
+  }
+
+  recordSnapshot(address, mc, volume) {
+    for (const { calculator, feedSnapshots } of this.calculators.values()) {
+      if (feedSnapshots) calculator.recordSnapshot(address, mc, volume);
+    }
+  }
+
+  cleanupStaleBuffers(activeAddresses) {
+    for (const { calculator, feedSnapshots } of this.calculators.values()) {
+      if (feedSnapshots) calculator.cleanupStaleBuffers(activeAddresses);
+    }
+  }
+
+  /**
+   * Score `tokens` with every calculator, open picks for changed MVPs and
+   * resolve outcomes that are due. `getToken(address)` returns the tracked
+   * token (or nothing once it is gone).
+   */
+  tick(tokens, viewMode, getToken, now = clock.now()) {
+    this.lastTickAt = now;
+
+    for (const [name, { calculator }] of this.calculators) {
+      let mvp = null;
+      try {
+        mvp = calculator.getMVP(tokens, viewMode);
+      } catch {
+        // One broken algorithm mustn't stop the others
+      }
+
+      const address = mvp?.address || null;
+      if (address === (this.current.get(name)?.address || null)) continue;
+
+      let pick = null;
+      if (mvp) {
+        pick = {
+          algorithm: name,
+          address,
+          symbol: mvp.token.symbol || mvp.token.name,
+          viewMode,
+          score: mvp.score,
+          pickedAt: now,
+          pickMc: mvp.token.currentMc,
+          outcomes: Object.fromEntries(this.horizons.map(h => [h.label, undefined])) // undefined = pending
+        };
+        this.picks.push(pick);
+      }
+      this.current.set(name, { address, pick });
+    }
+
+    this.resolve(getToken, now);
+    this.trim();
+  }
+
+  // Fill in outcomes whose horizon has passed
+  resolve(getToken, now) {
+    for (const pick of this.picks) {
+      for (const { label, ms } of this.horizons) {
+        if (pick.outcomes[label] !== undefined || now < pick.pickedAt + ms) continue;
+        const token = getToken(pick.address);
+        pick.outcomes[label] = token?.currentMc > 0 && pick.pickMc > 0
+          ? token.currentMc / pick.pickMc
+          : null;
+      }
+    }
+  }
+
+  trim() {
+    while (this.picks.length > this.maxPicks) {
+      const index = this.picks.findIndex(p => Object.values(p.outcomes).every(v => v !== undefined));
+      this.picks.splice(index === -1 ? 0 : index, 1);
+    }
+  }
+
+  /**
+   * Per-algorithm results over the session, best average 5m multiplier first
+   */
+  getLeaderboard({ viewMode = null } = {}) {
+    const picks = viewMode ? this.picks.filter(p => p.viewMode === viewMode) : this.picks;
+    const rankBy = this.horizons[Math.min(1, this.horizons.length - 1)].label;
+
+    const algorithms = [...this.calculators.keys()].map(name => {
+      const own = picks.filter(p => p.algorithm === name);
+      const horizons = {};
+      for (const { label } of this.horizons) {
+        const resolved = own.map(p => p.outcomes[label]).filter(v => typeof v === 'number');
+        horizons[label] = {
+          resolved: resolved.length,
+          pending: own.filter(p => p.outcomes[label] === undefined).length,
+          avgMultiplier: resolved.length > 0 ? resolved.reduce((sum, v) => sum + v, 0) / resolved.length : null,
+          winRate: resolved.length > 0 ? resolved.filter(v => v > 1).length / resolved.length : null,
+          best: resolved.length > 0 ? Math.max(...resolved) : null,
+          worst: resolved.length > 0 ? Math.min(...resolved) : null
+        };
+      }
+
+      const current = this.current.get(name)?.pick;
+      return {
+        algorithm: name,
+        picks: own.length,
+        current: current ? { address: current.address, symbol: current.symbol, pickedAt: current.pickedAt } : null,
+        horizons
+      };
+    });
+
+    algorithms.sort((a, b) => (b.horizons[rankBy].avgMultiplier ?? -Infinity) - (a.horizons[rankBy].avgMultiplier ?? -Infinity));
+
+    return {
+      since: this.startedAt,
+      lastTickAt: this.lastTickAt,
+      rankedBy: rankBy,
+      viewMode,
+      algorithms
+    };
+  }
+
+  getRecentPicks(limit = 50) {
+    return this.picks.slice(-limit).reverse();
+  }
+}
+
+export const shadowScorer = new ShadowScorer();
@@ -0,0 +1,224 @@
+/**
+ * Snapshot labeller - joins logged top10 rows with what the token did next
+ *
+ * DataCollector logs each top-10 token's score and components every poll.
+ * This turns those logs into a flat, training-ready dataset: one row per
+ * (snapshot, token) with the logged features plus forward labels at +1m, +5m,
+ * +15m and +60m:
+ *   mc<h>           MC observed closest to the horizon (within a tolerance)
+ *   return<h>       mc<h> / MC at the snapshot - 1
+ *   maxGain<h>      highest MC in the window relative to the snapshot MC (>= 0)
+ *   maxDrawdown<h>  lowest MC in the window relative to the snapshot MC (<= 0)
+ *
+ * Like the backtester, forward MC only exists while the token stays in the
+ * logged top 10. A window the token (or the session) doesn't cover to the end
+ * is left null rather than labelled from a partial view.
+ *
+ * Records carry the DataCollector session id; older logs without one are
+ * split into sessions wherever the log goes quiet for SESSION_GAP_MS.
+ */
+
+import { SCORING_LOGS_DIR, parseMultiplier, readTop10Records } from './backtester.mjs';
+import { SCORE_COMPONENTS } from './scoringProfiles.mjs';
+
+export const LABEL_HORIZONS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 },
+  { label: '60m', ms: 60 * 60 * 1000 }
+];
+
+export const SESSION_GAP_MS = 10 * 60 * 1000;
+
+// How far from the horizon an observation may be and still stand in for it
+const MIN_TOLERANCE_MS = 15 * 1000;
+const TOLERANCE_FRACTION = 0.1;
+
+const FEATURE_COLUMNS = [
+  'session', 'time', 'timestamp', 'viewMode', 'rank', 'address', 'symbol', 'score',
+  ...SCORE_COMPONENTS.flatMap(name => [`${name}Raw`, `${name}Weighted`]),
+  'currentMc', 'spottedMc', 'currentMultiplier', 'peakMultiplier',
+  'volume24h', 'liquidity', 'netPercent', 'metricsFresh', 'ageMs'
+];
+
+export function datasetColumns(horizons = LABEL_HORIZONS) {
+  return [
+    ...FEATURE_COLUMNS,
+    ...horizons.flatMap(({ label }) => [`mc${label}`, `return${label}`, `maxGain${label}`, `maxDrawdown${label}`])
+  ];
+}
+
+/**
+ * Group time-sorted top10 records into sessions
+ * Returns [{ id, start, end, records }]
+ */
+export function splitSessions(records, gapMs = SESSION_GAP_MS) {
+  const sessions = [];
+  let current = null;
+
+  for (const record of records) {
+    const sameSession = current && (record.session
+      ? record.session === current.key
+      : !current.key && record.time - current.end <= gapMs);
+
+    if (!sameSession) {
+      current = {
+        key: record.session,
+        id: new Date(record.time).toISOString(),
+        start: record.time,
+        end: record.time,
+        records: []
+      };
+      sessions.push(current);
+    }
+    current.records.push(record);
+    current.end = record.time;
+  }
+
+  return sessions.map(({ id, start, end, records }) => ({ id, start, end, records }));
+}
+
+// address -> [{ t, mc }] over every record of the session, whatever its view mode
+function buildTimelines(records) {
+  const timelines = new Map();
+  for (const record of records) {
+    for (const entry of record.entries) {
+      if (!timelines.has(entry.address)) timelines.set(entry.address, []);
+      timelines.get(entry.address).push({ t: record.time, mc: entry.currentMc });
+    }
+  }
+  return timelines;
+}
+
+// Index of the first point after `time` (timelines are sorted by t)
+function firstAfter(timeline, time) {
+  let lo = 0;
+  let hi = timeline.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].t <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Forward labels for one row from the token's timeline
+ */
+export function labelForward(timeline, time, mc, horizons = LABEL_HORIZONS) {
+  const labels = {};
+  const start = firstAfter(timeline, time);
+
+  for (const { label, ms } of horizons) {
+    const target = time + ms;
+    const tolerance = Math.max(MIN_TOLERANCE_MS, ms * TOLERANCE_FRACTION);
+
+    let closest = null;
+    let high = mc;
+    let low = mc;
+    let lastSeen = null;
+
+    for (let i = start; i < timeline.length && timeline[i].t <= target + tolerance; i++) {
+      const point = timeline[i];
+      if (Math.abs(point.t - target) <= tolerance &&
+          (!closest || Math.abs(point.t - target) < Math.abs(closest.t - target))) {
+        closest = point;
+      }
+      if (point.t <= target) {
+        lastSeen = point.t;
+        high = Math.max(high, point.mc);
+        low = Math.min(low, point.mc);
+      }
+    }
+
+    const covered = closest !== null && lastSeen !== null && lastSeen >= target - tolerance;
+    labels[`mc${label}`] = closest ? closest.mc : null;
+    labels[`return${label}`] = closest && mc > 0 ? closest.mc / mc - 1 : null;
+    labels[`maxGain${label}`] = covered && mc > 0 ? high / mc - 1 : null;
+    labels[`maxDrawdown${label}`] = covered && mc > 0 ? low / mc - 1 : null;
+  }
+
+  return labels;
+}
+
+/**
+ * Flat dataset rows for one session
+ * Options: viewMode (only rows logged in that view), sampleMs (minimum gap
+ * between rows of the same view mode, 0 = every snapshot), horizons
+ */
+export function labelSession(session, { viewMode = null, sampleMs = 0, horizons = LABEL_HORIZONS } = {}) {
+  const timelines = buildTimelines(session.records);
+  const lastKept = new Map(); // viewMode -> time
+  const rows = [];
+
+  for (const record of session.records) {
+    if (viewMode && record.viewMode !== viewMode) continue;
+    if (sampleMs > 0 && record.time - (lastKept.get(record.viewMode) ?? -Infinity) < sampleMs) continue;
+    lastKept.set(record.viewMode, record.time);
+
+    for (const entry of record.entries) {
+      const component = (name, field) => entry.components?.[name]?.[field] ?? null;
+      const row = {
+        session: session.id,
+        time: new Date(record.time).toISOString(),
+        timestamp: record.time,
+        viewMode: record.viewMode,
+        rank: entry.rank,
+        address: entry.address,
+        symbol: entry.symbol || entry.name || '',
+        score: entry.score ?? null
+      };
+      for (const name of SCORE_COMPONENTS) {
+        row[`${name}Raw`] = component(name, 'raw');
+        row[`${name}Weighted`] = component(name, 'weighted');
+      }
+      Object.assign(row, {
+        currentMc: entry.currentMc,
+        spottedMc: entry.spottedMc ?? null,
+        currentMultiplier: parseMultiplier(entry.currentMultiplier),
+        peakMultiplier: parseMultiplier(entry.multiplier),
+        volume24h: entry.volume24h ?? null,
+        liquidity: entry.liquidity || null,
+        netPercent: entry.netPercent ?? null,
+        metricsFresh: entry.metricsFresh ? 1 : 0,
+        ageMs: entry.spottedAt ? record.time - entry.spottedAt : null,
+        ...labelForward(timelines.get(entry.address), record.time, entry.currentMc, horizons)
+      });
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Read a scoring-logs directory and label every session
+ * Returns [{ id, start, end, rows }] oldest session first
+ */
+export function labelScoringLogs(dir = SCORING_LOGS_DIR, options = {}) {
+  const { gapMs = SESSION_GAP_MS, ...labelOptions } = options;
+  return splitSessions(readTop10Records(dir), gapMs).map(session => ({
+    id: session.id,
+    start: session.start,
+    end: session.end,
+    rows: labelSession(session, labelOptions)
+  }));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns = datasetColumns()) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function toJsonl(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
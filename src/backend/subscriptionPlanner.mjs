@@ -0,0 +1,121 @@
+/**
+ * Live stream subscription planner
+ *
+ * The stream provider can only carry so many tokens at once (streams x tokens
+ * per stream). The current view's top 10 always get a slot. The rest of the
+ * pool goes to the tokens most likely to enter it next, so they have
+ * sub-second prices before they show up in the list rather than after:
+ *   rank     position in the view's peak-multiplier order just below the top 10
+ *   score    MVP momentum score, relative to the strongest contender
+ *   recency  how recently the token was spotted (new launches move fastest)
+ *
+ * A few slots rotate through the contenders queued behind the fixed picks,
+ * so the whole bench gets some live data instead of waiting on the 15s
+ * REST cycle.
+ */
+
+const PINNED = 10; // The visible top 10
+
+const RANK_WEIGHT = 0.4;
+const SCORE_WEIGHT = 0.4;
+const RECENCY_WEIGHT = 0.2;
+const RANK_HORIZON = 20; // Ranks this far below the top 10 stop counting
+const RECENT_MS = 10 * 60 * 1000;
+const STICKY_BONUS = 0.05; // Keeps near-ties from swapping streams every pass
+const ROTATION_DEPTH = 4; // Rotating slots cycle through this many times their count
+
+export class SubscriptionPlanner {
+  constructor({ poolSize = 30, rotatingSlots = 5, rotationMs = 30000 } = {}) {
+    this.poolSize = poolSize;
+    this.rotatingSlots = rotatingSlots;
+    this.rotationMs = rotationMs;
+
+    this.rotationOffset = 0;
+    this.lastRotation = 0;
+    this.fixed = new Set(); // Contenders holding a fixed slot after the last plan
+    this.lastPlan = null;
+  }
+
+  // Priority of a contender (0-1), given its position in the ranked view
+  priority(token, { rankIndex, score, maxScore, now }) {
+    const rank = rankIndex >= PINNED
+      ? Math.max(0, 1 - (rankIndex - PINNED) / RANK_HORIZON)
+      : 0;
+    const momentum = maxScore > 0 ? Math.max(0, score) / maxScore : 0;
+    const recency = Math.max(0, 1 - (now - token.spottedAt) / RECENT_MS);
+    const sticky = this.fixed.has(token.contractAddress) ? STICKY_BONUS : 0;
+
+    return RANK_WEIGHT * rank + SCORE_WEIGHT * momentum + RECENCY_WEIGHT * recency + sticky;
+  }
+
+  /**
+   * Pick the tokens to stream, highest priority first
+   *   ranked    the view's ordering (getRankedTokens) - the first 10 are pinned
+   *   tokens    every contender worth considering (ranked or not)
+   *   capacity  most tokens the stream provider can carry
+   *   scoreOf   token -> MVP score
+   */
+  plan({ ranked, tokens, capacity, scoreOf, now }) {
+    const slots = Math.min(this.poolSize, capacity);
+    const pinned = ranked.slice(0, Math.min(PINNED, slots)).map(t => t.contractAddress);
+    const pinnedSet = new Set(pinned);
+
+    const rankIndex = new Map(ranked.map((t, i) => [t.contractAddress, i]));
+    const contenders = tokens.filter(t => !pinnedSet.has(t.contractAddress));
+    const scores = new Map(contenders.map(t => [t.contractAddress, scoreOf(t) || 0]));
+    const maxScore = Math.max(0, ...scores.values());
+
+    const queue = contenders
+      .map(token => ({
+        address: token.contractAddress,
+        priority: this.priority(token, {
+          rankIndex: rankIndex.get(token.contractAddress) ?? -1,
+          score: scores.get(token.contractAddress),
+          maxScore,
+          now
+        })
+      }))
+      .sort((a, b) => b.priority - a.priority)
+      .map(c => c.address);
+
+    const open = slots - pinned.length;
+    let fixed = queue.slice(0, open);
+    let rotating = [];
+
+    // More contenders than slots: hold some slots back for the rotation
+    if (queue.length > open && this.rotatingSlots > 0 && open > 0) {
+      const rotatingCount = Math.min(this.rotatingSlots, open);
+      fixed = queue.slice(0, open - rotatingCount);
+      const bench = queue.slice(fixed.length, fixed.length + rotatingCount * ROTATION_DEPTH);
+
+      if (now - this.lastRotation >= this.rotationMs) {
+        if (this.lastRotation > 0) this.rotationOffset += rotatingCount;
+        this.lastRotation = now;
+      }
+      const start = this.rotationOffset % bench.length;
+      rotating = [...bench.slice(start), ...bench.slice(0, start)].slice(0, rotatingCount);
+    }
+
+    this.fixed = new Set(fixed);
+    this.lastPlan = {
+      at: now,
+      capacity,
+      slots,
+      pinned: pinned.length,
+      fixed: fixed.length,
+      rotating,
+      contenders: queue.length
+    };
+
+    return [...pinned, ...fixed, ...rotating];
+  }
+
+  getStats() {
+    return {
+      poolSize: this.poolSize,
+      rotatingSlots: this.rotatingSlots,
+      rotationMs: this.rotationMs,
+      lastPlan: this.lastPlan
+    };
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Telegram commands - operate the tracker from Telegram
+ *
+ * TelegramService passes every incoming "/command" message on its client to
+ * handle(), which replies (HTML) only to senders on the allowlist. Others
+ * are ignored without a reply. The allowlist starts from
+ * TELEGRAM_COMMAND_USERS (comma-separated user IDs) until it is changed
+ * through PUT /api/telegram/commands/users, after which it is kept in the
+ * settings table.
+ */
+
+import { clock } from './clock.mjs';
+import logger from './logger.mjs';
+import { buildTokenCard, escapeHtml } from './telegramTemplates.mjs';
+import { storeFor } from './database/lazyStore.mjs';
+
+export const COMMANDS = {
+  top: '/top [5m|30m|1h|2h|all] - top 10 tokens',
+  mvp: '/mvp [5m|30m|1h|2h|all] - current MVP',
+  token: '/token <CA> - a tracked token',
+  blacklist: '/blacklist <CA> - stop tracking a token for good',
+  tiers: '/tiers [t1 t2 t3] - show or set the alert tiers',
+  mute: '/mute [off] - pause or resume Telegram alerts',
+  status: '/status - tracker and Telegram status',
+  help: '/help - this list'
+};
+
+const VIEW_MODES = { '5m': '5m', '30m': '30m', '1h': '1h', '2h': '2h', all: 'all-time', 'all-time': 'all-time' };
+
+/**
+ * Split "/cmd@SomeBot arg1 arg2" into { command: 'cmd', args: ['arg1', 'arg2'] };
+ * null for anything that isn't a command
+ */
+export function parseCommand(text) {
+  const match = /^\/([a-z0-9_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+  if (!match) return null;
+  return {
+    command: match[1].toLowerCase(),
+    args: match[2] ? match[2].trim().split(/\s+/) : []
+  };
+}
+
+export function parseUserIds(input) {
+  const values = Array.isArray(input) ? input : String(input || '').split(',');
+  const ids = values.map(value => String(value).trim()).filter(Boolean);
+  const invalid = ids.filter(id => !/^\d+$/.test(id));
+  if (invalid.length > 0) throw new Error(`User IDs must be numeric: ${invalid.join(', ')}`);
+  return [...new Set(ids)];
+}
+
+function formatUsd(value) {
+  if (!(value > 0)) return 'n/a';
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+export class TelegramCommands {
+  constructor({ tokenManager, telegramService, store = null }) {
+    this.tokenManager = tokenManager;
+    this.telegramService = telegramService;
+    this.store = store; // db-adapter, or a stand-in with getSetting/setSetting
+    this.allowedUsers = new Set(parseUserIds(process.env.TELEGRAM_COMMAND_USERS || ''));
+    this.loaded = false;
+  }
+
+  getStore() {
+    return storeFor(this);
+  }
+
+  async load() {
+    const store = await this.getStore();
+    const stored = await store.getSetting('telegramCommandUsers', null);
+    if (Array.isArray(stored)) this.allowedUsers = new Set(stored.map(String));
+    this.loaded = true;
+    return [...this.allowedUsers];
+  }
+
+  async getAllowedUsers() {
+    if (!this.loaded) await this.load();
+    return [...this.allowedUsers];
+  }
+
+  async setAllowedUsers(input) {
+    const ids = parseUserIds(input);
+    const store = await this.getStore();
+    await store.setSetting('telegramCommandUsers', ids);
+    this.allowedUsers = new Set(ids);
+    this.loaded = true;
+    return ids;
+  }
+
+  async isAllowed(userId) {
+    return userId != null && (await this.getAllowedUsers()).includes(String(userId));
+  }
+
+  /**
+   * Reply to a message, or null if it isn't a command or the sender isn't allowed
+   */
+  async handle(text, userId) {
+    const parsed = parseCommand(text);
+    if (!parsed) return null;
+    if (!(await this.isAllowed(userId))) {
+      logger.warn(`Ignored Telegram command /${parsed.command} from user ${userId}`);
+      return null;
+    }
+
+    const handler = {
+      start: () => this.help(),
+      help: () => this.help(),
+      top: (args) => this.top(args),
+      mvp: (args) => this.mvp(args),
+      token: (args) => this.token(args),
+      blacklist: (args) => this.blacklist(args),
+      tiers: (args) => this.tiers(args),
+      mute: (args) => this.mute(args),
+      status: () => this.status()
+    }[parsed.command];
+    if (!handler) return `Unknown command /${escapeHtml(parsed.command)} - try /help`;
+
+    logger.info(`Telegram command from ${userId}: ${text.trim()}`);
+    try {
+      return await handler(parsed.args);
+    } catch (error) {
+      logger.error(`Telegram command /${parsed.command} failed`, error);
+      return `⚠️ /${parsed.command} failed: ${escapeHtml(error.message)}`;
+    }
+  }
+
+  help() {
+    return ['<b>Dexter commands</b>', ...Object.values(COMMANDS).map(escapeHtml)].join('\n');
+  }
+
+  // View mode from the first argument, else the one the tracker is on; null if unknown
+  viewMode(args) {
+    if (args.length === 0) return this.tokenManager.currentViewMode;
+    return VIEW_MODES[args[0].toLowerCase()] || null;
+  }
+
+  top(args) {
+    const viewMode = this.viewMode(args);
+    if (!viewMode) return `Unknown window "${escapeHtml(args[0])}" - use 5m, 30m, 1h, 2h or all`;
+    const top10 = this.tokenManager.getTop10(viewMode);
+    if (top10.length === 0) return `No tokens in the top 10 (${viewMode})`;
+
+    const mvpAddress = this.tokenManager.getMVP(viewMode)?.address;
+    const lines = top10.map((token, index) => {
+      const { phase } = this.tokenManager.getPhase(token.contractAddress);
+      const star = token.contractAddress === mvpAddress ? ' ⭐' : '';
+      return `${index + 1}. <b>${escapeHtml(token.symbol || token.name)}</b> ${token.peakMultiplier.toFixed(2)}x · ${formatUsd(token.currentMc)} · ${phase}${star}`;
+    });
+    return [`<b>Top 10 (${viewMode})</b>`, ...lines].join('\n');
+  }
+
+  mvp(args) {
+    const viewMode = this.viewMode(args);
+    if (!viewMode) return `Unknown window "${escapeHtml(args[0])}" - use 5m, 30m, 1h, 2h or all`;
+    const mvp = this.tokenManager.getMVP(viewMode);
+    if (!mvp) return `No MVP (${viewMode})`;
+
+    const since = mvp.mvpSince ? ` for ${Math.floor((clock.now() - mvp.mvpSince) / 60000)}m` : '';
+    return [
+      `⭐ <b>${escapeHtml(mvp.token.symbol || mvp.token.name)}</b> is MVP (${viewMode})${since}`,
+      `<code>${escapeHtml(mvp.address)}</code>`,
+      `Score ${mvp.score.toFixed(2)} · ${mvp.token.peakMultiplier.toFixed(2)}x · ${formatUsd(mvp.token.currentMc)}`
+    ].join('\n');
+  }
+
+  token([address]) {
+    if (!address) return 'Usage: /token &lt;CA&gt;';
+    const token = this.tokenManager.trackedTokens.get(address);
+    if (!token) return `Not tracking <code>${escapeHtml(address)}</code>`;
+
+    const card = buildTokenCard(token);
+    const { phase } = this.tokenManager.getPhase(address);
+    const score = this.tokenManager.getScoreForToken(token, this.tokenManager.currentViewMode);
+    return [
+      `<b>${escapeHtml(card.symbol)}</b> (${escapeHtml(card.name)})`,
+      `<code>${escapeHtml(address)}</code>`,
+      `MC ${card.spottedMc} → ${card.currentMc} · now ${card.multiplier}, peak ${card.peakMultiplier}`,
+      `Spotted ${card.age} ago · ${phase}`,
+      `Buy pressure ${card.buyPressure} · Liquidity ${card.liquidity}`,
+      `Score ${score ? score.total.toFixed(2) : 'n/a'} (${this.tokenManager.currentViewMode})`,
+      `<a href="${escapeHtml(card.dexscreener)}">DexScreener</a>`
+    ].join('\n');
+  }
+
+  async blacklist([address]) {
+    if (!address) return 'Usage: /blacklist &lt;CA&gt;';
+    const token = this.tokenManager.trackedTokens.get(address);
+    const name = token?.symbol || token?.name || 'Unknown';
+    await this.tokenManager.blacklistToken(address, name);
+    return `🚫 Blacklisted <b>${escapeHtml(name)}</b>\n<code>${escapeHtml(address)}</code>`;
+  }
+
+  async tiers(args) {
+    const format = ({ tier1, tier2, tier3 }) => `T1 ${tier1}x · T2 ${tier2}x · T3 ${tier3}x`;
+    if (args.length === 0) return `Alert tiers: ${format(this.tokenManager.alertTiers)}`;
+
+    const values = args.map(Number);
+    if (values.length !== 3 || !values.every(value => Number.isFinite(value) && value >= 1)) {
+      return 'Usage: /tiers 1.1 1.2 1.3 (three multipliers of at least 1)';
+    }
+    if (!(values[0] < values[1] && values[1] < values[2])) return 'Tiers must be in ascending order';
+
+    const [tier1, tier2, tier3] = values;
+    await this.tokenManager.setAlertTiers(tier1, tier2, tier3);
+    return `✅ Alert tiers set: ${format({ tier1, tier2, tier3 })}`;
+  }
+
+  mute([arg]) {
+    const resume = arg?.toLowerCase() === 'off';
+    this.telegramService.setTelegramMessaging(resume);
+    return resume ? '🔔 Telegram alerts resumed' : '🔇 Telegram alerts muted - /mute off to resume';
+  }
+
+  status() {
+    const telegram = this.telegramService.getStatus();
+    const tokenManager = this.tokenManager;
+    const onOff = (value) => (value ? 'on' : 'off');
+    return [
+      '<b>Dexter status</b>',
+      `Tracking ${tokenManager.trackedTokens.size} tokens · view ${tokenManager.currentViewMode}`,
+      `Tiers T1 ${tokenManager.alertTiers.tier1}x · T2 ${tokenManager.alertTiers.tier2}x · T3 ${tokenManager.alertTiers.tier3}x`,
+      `Auto-alert ${onOff(tokenManager.telegramAutoAlert)} · messaging ${onOff(telegram.telegramMessagingEnabled)} · public ${onOff(telegram.publicChannelEnabled)}`,
+      `Outbox ${telegram.outbox.queued} queued`
+    ].join('\n');
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Telegram configuration - API credentials and channel IDs
+ *
+ * Values come from the settings table (one entry per deployment, so a
+ * -railway and a -local instance can target different channels) and fall
+ * back to the TELEGRAM_* environment variables. Nothing is built in: an
+ * unset channel simply isn't posted to.
+ *
+ * Secret fields are stored encrypted (AES-256-GCM) with a key derived from
+ * DEXTER_CONFIG_KEY. Without that key they can only come from the environment.
+ */
+
+import crypto from 'crypto';
+import logger from './logger.mjs';
+import { storeFor } from './database/lazyStore.mjs';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+function positiveInteger(value, label) {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number) || number <= 0) throw new Error(`${label} must be a positive integer`);
+  return number;
+}
+
+// Marked channel/supergroup IDs (-100...), kept as strings and made BigInt where used
+function channelId(value, label) {
+  const id = String(value).trim();
+  if (!/^-100\d{6,}$/.test(id)) throw new Error(`${label} must be a channel ID like -1001234567890`);
+  return id;
+}
+
+export const CONFIG_FIELDS = {
+  apiId: {
+    env: 'TELEGRAM_API_ID',
+    reconnect: true,
+    description: 'API ID from my.telegram.org',
+    validate: (value) => positiveInteger(value, 'apiId')
+  },
+  apiHash: {
+    env: 'TELEGRAM_API_HASH',
+    secret: true,
+    reconnect: true,
+    description: 'API hash from my.telegram.org',
+    validate: (value) => {
+      const hash = String(value).trim().toLowerCase();
+      if (!/^[0-9a-f]{32}$/.test(hash)) throw new Error('apiHash must be 32 hex characters');
+      return hash;
+    }
+  },
+  phone: {
+    env: 'TELEGRAM_PHONE',
+    description: 'Phone number of the account that sends alerts',
+    validate: (value) => {
+      const phone = String(value).replace(/[\s()-]/g, '');
+      if (!/^\+\d{7,15}$/.test(phone)) throw new Error('phone must be in international format, e.g. +447700900123');
+      return phone;
+    }
+  },
+  privateChannelId: {
+    env: 'TELEGRAM_PRIVATE_CHANNEL_ID',
+    description: 'Private alert channel',
+    validate: (value) => channelId(value, 'privateChannelId')
+  },
+  holderChannelId: {
+    env: 'TELEGRAM_HOLDER_CHANNEL_ID',
+    description: 'Channel with the holder message',
+    validate: (value) => channelId(value, 'holderChannelId')
+  },
+  holderMessageId: {
+    env: 'TELEGRAM_HOLDER_MESSAGE_ID',
+    description: 'ID of the holder message in that channel',
+    validate: (value) => positiveInteger(value, 'holderMessageId')
+  },
+  bnbChannelId: {
+    env: 'TELEGRAM_BNB_CHANNEL_ID',
+    description: 'BNB discovery channel',
+    validate: (value) => channelId(value, 'bnbChannelId')
+  }
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Normalise a partial config. null or '' clears a field (back to its
+ * environment value); unknown fields and invalid values are refused together.
+ */
+export function validateConfig(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Config must be an object');
+  }
+
+  const config = {};
+  const errors = [];
+  for (const [field, value] of Object.entries(input)) {
+    const definition = CONFIG_FIELDS[field];
+    if (!definition) {
+      errors.push(`Unknown field "${field}"`);
+      continue;
+    }
+    try {
+      config[field] = isBlank(value) ? null : definition.validate(value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return config;
+}
+
+export function encryptValue(value, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join(':');
+}
+
+// Throws if the key is wrong or the value was tampered with
+export function decryptValue(stored, secret) {
+  const [iv, tag, data] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+}
+
+export class TelegramConfig {
+  constructor({ settingKey = 'telegramConfig', store = null, env = process.env } = {}) {
+    this.settingKey = settingKey;
+    this.store = store; // db-adapter, or a stand-in with getSetting/setSetting
+    this.env = env;
+    this.secret = env.DEXTER_CONFIG_KEY || null;
+    this.envValues = Object.fromEntries(Object.keys(CONFIG_FIELDS).map(field => [field, this.envValue(field)]));
+    this.stored = {}; // field -> validated value saved in settings
+    this.undecryptable = {}; // field -> ciphertext this key can't read, written back as is
+    this.loaded = false;
+  }
+
+  get canStoreSecrets() {
+    return !!this.secret;
+  }
+
+  getStore() {
+    return storeFor(this);
+  }
+
+  async load() {
+    const store = await this.getStore();
+    const saved = await store.getSetting(this.settingKey, {}) || {};
+
+    this.stored = {};
+    this.undecryptable = {};
+    for (const [field, value] of Object.entries(saved)) {
+      const definition = CONFIG_FIELDS[field];
+      if (!definition || isBlank(value)) continue;
+
+      if (definition.secret) {
+        if (!this.secret) {
+          logger.warn(`Telegram config: ${field} is stored encrypted but DEXTER_CONFIG_KEY is not set - ignoring it`);
+          this.undecryptable[field] = value;
+          continue;
+        }
+        try {
+          this.stored[field] = decryptValue(value, this.secret);
+        } catch {
+          logger.warn(`Telegram config: could not decrypt ${field} - was DEXTER_CONFIG_KEY changed?`);
+          this.undecryptable[field] = value;
+        }
+      } else {
+        this.stored[field] = value;
+      }
+    }
+
+    this.loaded = true;
+    return this.values();
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) await this.load();
+  }
+
+  // Environment value of a field, or null if it's unset or invalid
+  envValue(field) {
+    const definition = CONFIG_FIELDS[field];
+    const value = this.env[definition.env];
+    if (isBlank(value)) return null;
+    try {
+      return definition.validate(value);
+    } catch (error) {
+      logger.warn(`Ignoring ${definition.env}: ${error.message}`);
+      return null;
+    }
+  }
+
+  get(field) {
+    return this.stored[field] ?? this.envValues[field];
+  }
+
+  values() {
+    return Object.fromEntries(Object.keys(CONFIG_FIELDS).map(field => [field, this.get(field)]));
+  }
+
+  /**
+   * Config as shown by the API: secrets only say whether they are set
+   */
+  describe() {
+    return Object.fromEntries(Object.entries(CONFIG_FIELDS).map(([field, definition]) => {
+      const value = this.get(field);
+      return [field, {
+        value: definition.secret ? null : value,
+        set: value !== null,
+        source: this.stored[field] != null ? 'settings' : value !== null ? 'env' : null,
+        secret: !!definition.secret,
+        env: definition.env,
+        description: definition.description
+      }];
+    }));
+  }
+
+  /**
+   * Validate and store a partial config. Resolves to the fields whose
+   * effective value changed.
+   */
+  async save(input) {
+    const patch = validateConfig(input);
+    const secrets = Object.keys(patch).filter(field => CONFIG_FIELDS[field].secret && patch[field] !== null);
+    if (secrets.length > 0 && !this.secret) {
+      throw new Error(`Set DEXTER_CONFIG_KEY to store ${secrets.join(', ')} in the settings table`);
+    }
+
+    await this.ensureLoaded();
+    const before = this.values();
+    for (const [field, value] of Object.entries(patch)) {
+      delete this.undecryptable[field];
+      if (value === null) delete this.stored[field];
+      else this.stored[field] = value;
+    }
+    await this.persist();
+
+    const after = this.values();
+    return Object.keys(patch).filter(field => before[field] !== after[field]);
+  }
+
+  // Secrets this key can't read are kept, so saving other fields never erases them
+  async persist() {
+    const saved = { ...this.undecryptable };
+    for (const [field, value] of Object.entries(this.stored)) {
+      saved[field] = CONFIG_FIELDS[field].secret ? encryptValue(value, this.secret) : value;
+    }
+    const store = await this.getStore();
+    await store.setSetting(this.settingKey, saved);
+  }
+}
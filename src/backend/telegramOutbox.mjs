@@ -0,0 +1,513 @@
+/**
+ * Telegram outbox - durable delivery queue for outgoing messages
+ *
+ * Alerts, BNB posts and manual sends are queued in the telegramOutbox table
+ * and delivered one at a time: highest priority first, then oldest. A
+ * channel is skipped while it is over its rate limit, inside its quiet hours
+ * or blocked by a FLOOD_WAIT.
+ *
+ * Failed sends are retried with exponential backoff (never sooner than a
+ * FLOOD_WAIT asks). A message becomes dead - the dead-letter list - after
+ * MAX_ATTEMPTS, on an error retrying can't fix, or when it expires before
+ * it could be sent. Dead messages stay until retried or deleted.
+ *
+ * Per-channel limits and quiet hours are kept in the 'telegramOutboxChannels'
+ * setting; other channels use the defaults for the kind of message.
+ *
+ * Chart images are written to files and the row only names the file: sql.js
+ * rewrites the whole database on every save, so rows stay small.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { clock } from './clock.mjs';
+import logger from './logger.mjs';
+import { storeFor } from './database/lazyStore.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const IMAGE_DIR = path.join(__dirname, '../data/telegram-outbox');
+
+export const MESSAGE_STATUSES = ['queued', 'sent', 'dead'];
+
+export const PRIORITIES = { manual: 30, private: 20, bnb: 15, public: 10 };
+
+export const DEFAULT_LIMITS = {
+  manual: { maxSends: 20, windowMinutes: 1 },
+  private: { maxSends: 20, windowMinutes: 1 },
+  bnb: { maxSends: 20, windowMinutes: 1 },
+  public: { maxSends: 3, windowMinutes: 5 }
+};
+
+// Calls go stale: undelivered alerts die rather than go out late (manual sends don't expire)
+export const EXPIRY_MS = { private: 30 * 60 * 1000, bnb: 30 * 60 * 1000, public: 10 * 60 * 1000 };
+
+export const MAX_ATTEMPTS = 5;
+
+const BACKOFF_BASE_MS = 10000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+const KEEP_MS = 7 * 24 * 60 * 60 * 1000; // Sent and dead messages kept for the delivery log
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const PROCESS_INTERVAL_MS = 1000;
+
+// Errors a retry won't fix
+const PERMANENT_ERRORS = /CHANNEL_PRIVATE|CHAT_WRITE_FORBIDDEN|CHAT_ADMIN_REQUIRED|USER_BANNED_IN_CHANNEL|CHANNEL_INVALID|PEER_ID_INVALID|MESSAGE_TOO_LONG|MESSAGE_EMPTY|Could not find the input entity/i;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Seconds Telegram asked us to wait, or null if the error isn't a FLOOD_WAIT
+export function floodWaitSeconds(error) {
+  if (Number.isFinite(error?.seconds)) return error.seconds;
+  const match = /FLOOD_WAIT_(\d+)|wait of (\d+) seconds/i.exec(`${error?.errorMessage || ''} ${error?.message || ''}`);
+  return match ? Number(match[1] ?? match[2]) : null;
+}
+
+function minuteOfDay(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(now));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * When quiet hours ({ start, end, timezone }, may span midnight) end, or
+ * null if they aren't on at `now`
+ */
+export function quietUntil(quietHours, now) {
+  if (!quietHours) return null;
+  const minute = minuteOfDay(now, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const quiet = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!quiet) return null;
+  return now - (now % 60000) + ((end - minute + 1440) % 1440) * 60000;
+}
+
+/**
+ * Normalise a channel's { maxSends, windowMinutes, quietHours } (all
+ * optional; quietHours null turns them off)
+ */
+export function validateChannelSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Channel settings must be an object');
+  }
+
+  const settings = {};
+  if (input.maxSends !== undefined) {
+    const maxSends = Number(input.maxSends);
+    if (!Number.isInteger(maxSends) || maxSends < 1 || maxSends > 100) {
+      throw new Error('maxSends must be a whole number from 1 to 100');
+    }
+    settings.maxSends = maxSends;
+  }
+  if (input.windowMinutes !== undefined) {
+    const windowMinutes = Number(input.windowMinutes);
+    if (!(windowMinutes > 0 && windowMinutes <= 1440)) {
+      throw new Error('windowMinutes must be above 0 and at most 1440');
+    }
+    settings.windowMinutes = windowMinutes;
+  }
+  if (input.quietHours !== undefined) {
+    const quietHours = input.quietHours;
+    if (quietHours === null) {
+      settings.quietHours = null;
+    } else {
+      if (typeof quietHours !== 'object' || !TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+        throw new Error('quietHours needs start and end as HH:MM');
+      }
+      if (quietHours.start === quietHours.end) throw new Error('quietHours start and end must differ');
+      const timezone = quietHours.timezone || 'UTC';
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      } catch {
+        throw new Error(`Unknown timezone "${timezone}"`);
+      }
+      settings.quietHours = { start: quietHours.start, end: quietHours.end, timezone };
+    }
+  }
+  return settings;
+}
+
+// A message as shown in the delivery log: the image is only flagged
+export function describeMessage({ options = {}, ...message }) {
+  return {
+    ...message,
+    parseMode: options.parseMode || null,
+    buttons: (options.buttons || []).flat().length,
+    hasImage: !!options.imageFile
+  };
+}
+
+export class TelegramOutbox {
+  constructor({ send = null, canSend = () => true, store = null, imageDir = IMAGE_DIR } = {}) {
+    this.send = send; // async (channelId, text, options) - throws when the send fails
+    this.canSend = canSend; // false while disconnected: messages wait instead of using up attempts
+    this.store = store; // db-adapter, or a stand-in with the settings and outbox functions
+    this.imageDir = imageDir; // Chart PNGs of unsent messages, named in options.imageFile
+    this.queue = []; // Queued messages, oldest first
+    this.channelSettings = null; // channelId -> { maxSends?, windowMinutes?, quietHours? }
+    this.sendTimes = new Map(); // channelId -> recent send times, oldest first
+    this.blockedUntil = new Map(); // channelId -> end of a FLOOD_WAIT
+    this.processing = false;
+    this.loading = null; // Shared by callers arriving while the queue loads
+    this.interval = null;
+    this.lastPrune = 0;
+  }
+
+  getStore() {
+    return storeFor(this);
+  }
+
+  async load(now = clock.now()) {
+    const store = await this.getStore();
+    this.channelSettings = await store.getSetting('telegramOutboxChannels', {}) || {};
+    this.queue = (await store.getOutboxMessages({ status: 'queued', limit: 10000 })).reverse();
+
+    // Recent sends count towards the rate limits after a restart
+    this.sendTimes.clear();
+    const sent = await store.getOutboxMessages({ status: 'sent', limit: 1000 });
+    for (const message of sent.sort((a, b) => a.sentAt - b.sentAt)) {
+      if (message.sentAt > now - 24 * 60 * 60 * 1000) this.recordSend(message.channelId, message.sentAt);
+    }
+
+    if (this.queue.length > 0) logger.info(`Telegram outbox: ${this.queue.length} queued message(s) to deliver`);
+    return this.queue.length;
+  }
+
+  async ensureLoaded(now = clock.now()) {
+    if (!this.loading) {
+      this.loading = this.load(now).catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    await this.loading;
+  }
+
+  // Re-read the queue from the store, e.g. after the database was rebuilt
+  async reload() {
+    this.loading = null;
+    await this.ensureLoaded();
+  }
+
+  // ==========================================================================
+  // QUEUE
+  // ==========================================================================
+
+  /**
+   * Queue a message ({ channelId, channelName, kind, text, options, priority?,
+   * expiresAt? }); options.image is a PNG buffer. Resolves to the stored message.
+   */
+  async enqueue({ channelId, channelName = null, kind = 'manual', text, options = {}, priority, expiresAt }, now = clock.now()) {
+    if (channelId == null || !text) throw new Error('A channel and text are required');
+    await this.ensureLoaded(now);
+
+    const { image, ...rest } = options;
+    const message = {
+      channelId: String(channelId),
+      channelName: channelName || String(channelId),
+      kind,
+      text,
+      options: image ? { ...rest, imageFile: this.saveImage(image) } : rest,
+      priority: priority ?? PRIORITIES[kind] ?? 0,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: now,
+      expiresAt: expiresAt !== undefined ? expiresAt : (EXPIRY_MS[kind] ? now + EXPIRY_MS[kind] : null),
+      sentAt: null
+    };
+
+    const store = await this.getStore();
+    message.id = await store.addOutboxMessage(message);
+    this.queue.push(message);
+
+    // Deliver straight away when running, rather than on the next tick
+    if (this.interval) this.tick();
+    return message;
+  }
+
+  limitsFor(channelId, kind) {
+    return {
+      ...(DEFAULT_LIMITS[kind] || DEFAULT_LIMITS.manual),
+      quietHours: null,
+      ...(this.channelSettings?.[channelId] || {})
+    };
+  }
+
+  // Earliest time a channel can take a message of this kind
+  channelReadyAt(channelId, kind, now) {
+    const { maxSends, windowMinutes, quietHours } = this.limitsFor(channelId, kind);
+    const windowMs = windowMinutes * 60000;
+    const recent = (this.sendTimes.get(channelId) || []).filter(time => now - time < windowMs);
+    const rateFreeAt = recent.length >= maxSends ? recent[recent.length - maxSends] + windowMs : now;
+    return Math.max(this.blockedUntil.get(channelId) || 0, quietUntil(quietHours, now) || 0, rateFreeAt);
+  }
+
+  nextDue(now) {
+    const due = this.queue.filter(message =>
+      message.nextAttemptAt <= now && this.channelReadyAt(message.channelId, message.kind, now) <= now
+    );
+    due.sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt || a.id - b.id);
+    return due[0] || null;
+  }
+
+  recordSend(channelId, time) {
+    const times = this.sendTimes.get(channelId) || [];
+    times.push(time);
+    // Enough history for any window up to a day
+    this.sendTimes.set(channelId, times.filter(t => time - t < 24 * 60 * 60 * 1000).slice(-100));
+  }
+
+  /**
+   * Deliver every message that is due. Resolves to the number of send attempts.
+   */
+  async process(now = clock.now()) {
+    if (this.processing || !this.send) return 0;
+    this.processing = true;
+
+    let attempts = 0;
+    try {
+      await this.ensureLoaded(now);
+      for (const message of this.queue.filter(m => m.expiresAt != null && m.expiresAt <= now)) {
+        await this.finish(message, 'dead', 'Expired before it could be sent');
+      }
+
+      let message;
+      while (this.canSend() && (message = this.nextDue(now))) {
+        await this.deliver(message, now);
+        attempts++;
+      }
+    } finally {
+      this.processing = false;
+    }
+    return attempts;
+  }
+
+  async deliver(message, now) {
+    message.attempts++;
+    const { imageFile, ...options } = message.options;
+
+    try {
+      const image = imageFile ? this.readImage(imageFile) : null;
+      await this.send(message.channelId, message.text, image ? { ...options, image } : options);
+    } catch (error) {
+      const reason = error?.message || String(error);
+      const wait = floodWaitSeconds(error);
+      if (wait !== null) {
+        this.blockedUntil.set(message.channelId, now + wait * 1000);
+        logger.warn(`Telegram FLOOD_WAIT on ${message.channelName}: holding it for ${wait}s`);
+      }
+
+      if (PERMANENT_ERRORS.test(reason) || message.attempts >= MAX_ATTEMPTS) {
+        await this.finish(message, 'dead', reason);
+        return;
+      }
+
+      const backoff = Math.min(BACKOFF_BASE_MS * 2 ** (message.attempts - 1), BACKOFF_MAX_MS);
+      message.lastError = reason;
+      message.nextAttemptAt = now + Math.max(backoff, (wait ?? 0) * 1000);
+      logger.warn(`Telegram send to ${message.channelName} failed (attempt ${message.attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round((message.nextAttemptAt - now) / 1000)}s: ${reason}`);
+      await this.persistMessage(message);
+      return;
+    }
+
+    this.recordSend(message.channelId, now);
+    message.sentAt = now;
+    await this.finish(message, 'sent', null);
+    if (imageFile) this.deleteImage(imageFile);
+  }
+
+  // Take a message off the queue as sent or dead
+  async finish(message, status, lastError) {
+    message.status = status;
+    message.lastError = lastError;
+    message.nextAttemptAt = null;
+    this.queue = this.queue.filter(queued => queued !== message);
+
+    if (status === 'dead') {
+      logger.error(`Telegram message #${message.id} to ${message.channelName} moved to dead letters: ${lastError}`);
+    }
+    await this.persistMessage(message);
+  }
+
+  async persistMessage(message) {
+    try {
+      const store = await this.getStore();
+      await store.updateOutboxMessage(message);
+    } catch (error) {
+      logger.error(`Failed to store Telegram message #${message.id} state`, error);
+    }
+  }
+
+  /**
+   * Put a dead (or waiting) message back at the front of its retry schedule.
+   * Resolves to the message, or null if there is no such message.
+   */
+  async retry(id, now = clock.now()) {
+    await this.ensureLoaded();
+    let message = this.queue.find(queued => queued.id === id);
+    if (!message) {
+      const store = await this.getStore();
+      [message] = await store.getOutboxMessages({ id, limit: 1 });
+      if (!message) return null;
+      if (message.status === 'sent') throw new Error(`Message #${id} was already sent`);
+      this.queue.push(message);
+    }
+
+    Object.assign(message, { status: 'queued', attempts: 0, lastError: null, nextAttemptAt: now, expiresAt: null });
+    await this.persistMessage(message);
+    if (this.interval) this.tick();
+    return message;
+  }
+
+  async remove(id) {
+    await this.ensureLoaded();
+    this.queue = this.queue.filter(message => message.id !== id);
+    const store = await this.getStore();
+    const [message] = await store.getOutboxMessages({ id, limit: 1 });
+    if (message?.options?.imageFile) this.deleteImage(message.options.imageFile);
+    return store.deleteOutboxMessage(id);
+  }
+
+  async list({ status = null, limit = 100 } = {}) {
+    const store = await this.getStore();
+    return (await store.getOutboxMessages({ status, limit })).map(describeMessage);
+  }
+
+  // ==========================================================================
+  // IMAGES
+  // ==========================================================================
+
+  // Write a PNG buffer next to the queue; resolves to the file name kept in the row
+  saveImage(image) {
+    fs.mkdirSync(this.imageDir, { recursive: true });
+    const file = `${crypto.randomUUID()}.png`;
+    fs.writeFileSync(path.join(this.imageDir, file), image);
+    return file;
+  }
+
+  // The image, or null (sent as text only) if its file is gone
+  readImage(file) {
+    try {
+      return fs.readFileSync(path.join(this.imageDir, path.basename(file)));
+    } catch {
+      logger.warn(`Telegram outbox image ${file} is missing, sending without it`);
+      return null;
+    }
+  }
+
+  deleteImage(file) {
+    try {
+      fs.unlinkSync(path.join(this.imageDir, path.basename(file)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn(`Could not delete Telegram outbox image ${file}: ${error.message}`);
+    }
+  }
+
+  // Images of dead messages are kept for retries; drop them with the rows
+  pruneImages(before) {
+    let files;
+    try {
+      files = fs.readdirSync(this.imageDir);
+    } catch {
+      return;
+    }
+    const queued = new Set(this.queue.map(message => message.options.imageFile).filter(Boolean));
+    for (const file of files) {
+      if (queued.has(file)) continue;
+      try {
+        if (fs.statSync(path.join(this.imageDir, file)).mtimeMs < before) this.deleteImage(file);
+      } catch {
+        // Removed meanwhile
+      }
+    }
+  }
+
+  // ==========================================================================
+  // CHANNEL LIMITS AND QUIET HOURS
+  // ==========================================================================
+
+  async setChannelSettings(channelId, input) {
+    const settings = validateChannelSettings(input);
+    await this.ensureLoaded();
+    this.channelSettings[channelId] = { ...(this.channelSettings[channelId] || {}), ...settings };
+    await this.persistChannelSettings();
+    return this.channelSettings[channelId];
+  }
+
+  // Back to the defaults for the channel's kind; resolves false if it had none
+  async resetChannelSettings(channelId) {
+    await this.ensureLoaded();
+    if (!this.channelSettings[channelId]) return false;
+    delete this.channelSettings[channelId];
+    await this.persistChannelSettings();
+    return true;
+  }
+
+  async persistChannelSettings() {
+    const store = await this.getStore();
+    await store.setSetting('telegramOutboxChannels', this.channelSettings);
+  }
+
+  /**
+   * Limits and live state of channels ([{ channelId, name, kind }])
+   */
+  async describeChannels(channels, now = clock.now()) {
+    await this.ensureLoaded();
+    return channels.map(({ channelId, name, kind }) => {
+      const id = String(channelId);
+      const limits = this.limitsFor(id, kind);
+      const blockedUntil = this.blockedUntil.get(id) || 0;
+      return {
+        channelId: id,
+        name,
+        kind,
+        ...limits,
+        custom: !!this.channelSettings[id],
+        queued: this.queue.filter(message => message.channelId === id).length,
+        sentInWindow: (this.sendTimes.get(id) || []).filter(time => now - time < limits.windowMinutes * 60000).length,
+        quietUntil: quietUntil(limits.quietHours, now),
+        floodWaitUntil: blockedUntil > now ? blockedUntil : null
+      };
+    });
+  }
+
+  summary() {
+    return { queued: this.queue.length };
+  }
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
+
+  tick() {
+    this.process().catch(error => logger.error('Telegram outbox processing failed', error));
+
+    const now = clock.now();
+    if (now - this.lastPrune >= PRUNE_INTERVAL_MS) {
+      this.lastPrune = now;
+      this.getStore()
+        .then(store => store.pruneOutbox(now - KEEP_MS))
+        .then(() => this.pruneImages(now - KEEP_MS))
+        .catch(error => logger.error('Telegram outbox prune failed', error));
+    }
+  }
+
+  start(intervalMs = PROCESS_INTERVAL_MS) {
+    if (this.interval) return;
+    this.interval = clock.setInterval(() => this.tick(), intervalMs);
+  }
+
+  stop() {
+    if (this.interval) clock.clearInterval(this.interval);
+    this.interval = null;
+  }
+}
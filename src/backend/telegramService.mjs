@@ -1,10 +1,17 @@
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
 import { computeCheck } from 'telegram/Password.js';
+import { Button } from 'telegram/tl/custom/button.js';
+import { CustomFile } from 'telegram/client/uploads.js';
+import { NewMessage } from 'telegram/events/index.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './logger.mjs';
+import { telegramTemplates } from './telegramTemplates.mjs';
+import { extractCAsFromMessage } from './contractAddresses.mjs';
+import { CONFIG_FIELDS, TelegramConfig, validateConfig } from './telegramConfig.mjs';
+import { TelegramOutbox } from './telegramOutbox.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,27 +20,9 @@ const __dirname = path.dirname(__filename);
 const IS_RAILWAY = process.env.RAILWAY_ENVIRONMENT || process.env.DATABASE_URL || process.env.PORT;
 const ENV_SUFFIX = IS_RAILWAY ? '-railway' : '-local';
 
-// Telegram API credentials
-// Railway can override these via environment variables
-const API_ID = parseInt(process.env.TELEGRAM_API_ID || '24633284');
-const API_HASH = process.env.TELEGRAM_API_HASH || 'db57716f3f179bc1c653c3ec0f7377d5';
-const DEFAULT_PHONE = process.env.TELEGRAM_PHONE || '+447521185232';
-
-// Credential storage file (for runtime persistence)
+// Phone number saved by older versions, moved into the config on first load
 const CREDENTIALS_FILE = path.join(__dirname, '../data/telegram_credentials.json');
 
-// Channels
-const PRIVATE_CHANNEL_ID = BigInt('-1003511885609');
-const HOLDER_CHANNEL_ID = BigInt('-1002244051860');
-const HOLDER_MESSAGE_ID = 7;
-const BNB_CHANNEL_ID = BigInt('-1003461856903');
-
-// Rate limiting for public channels: max 3 per 5 minutes
-const PUBLIC_RATE_LIMIT = {
-  maxSends: 3,
-  windowMs: 5 * 60 * 1000 // 5 minutes
-};
-
 // Session file paths - environment-aware to prevent conflicts
 const SESSION_FILE = path.join(__dirname, `../data/telegram_session${ENV_SUFFIX}.txt`);
 const ANNOUNCED_TOKENS_FILE = path.join(__dirname, '../data/announced_tokens.json');
@@ -54,9 +43,13 @@ class TelegramService {
     this.isConnected = false;
     this.isAuthenticating = false;
     this.phoneCodeHash = null;
+    this.authPhone = null; // Phone the pending code was sent to
     this.isReconnecting = false;
     this.authKeyDuplicated = false;
-    this.phone = DEFAULT_PHONE; // Current phone number for authentication
+
+    // API credentials, phone and channel IDs (settings table, then TELEGRAM_* env)
+    this.config = new TelegramConfig({ settingKey: `telegramConfig${ENV_SUFFIX}` });
+    this.configLoading = null;
 
     // Toggles
     this.telegramMessagingEnabled = false; // "Telegram Message" toggle (default OFF)
@@ -70,15 +63,20 @@ class TelegramService {
     this.publicChannels = [];
     this.loadPublicChannels();
 
-    // Public channel rate limiting
-    this.publicSendHistory = []; // Track send times
+    // Every send goes through the outbox (per-channel limits, quiet hours, retries)
+    this.outbox = new TelegramOutbox({
+      send: (channelId, text, options) => this.sendToChannel(/^-?\d+$/.test(channelId) ? BigInt(channelId) : channelId, text, options),
+      canSend: () => this.canDeliver()
+    });
+
+    // Incoming "/command" handler: async (text, senderId) => reply or null
+    this.commandHandler = null;
+    // Every other new message: async ({ chatId, username, text, entities, messageId })
+    this.callHandler = null;
 
     // BNB posting tracking
     this.bnbPostedOnDiscovery = new Map(); // address -> postedAt
     this.bnbPostedOn2x = new Map(); // address -> postedAt
-
-    // Load saved credentials (phone number)
-    this.loadCredentials();
   }
 
   // ==========================================================================
@@ -209,44 +207,75 @@ class TelegramService {
   }
 
   // ==========================================================================
-  // CREDENTIAL PERSISTENCE
+  // CONFIGURATION
   // ==========================================================================
 
-  loadCredentials() {
+  // Sends await this as well, so concurrent callers share one load
+  async loadConfig() {
+    if (!this.configLoading) {
+      this.configLoading = this.readConfig().catch(error => {
+        this.configLoading = null;
+        throw error;
+      });
+    }
+    await this.configLoading;
+  }
+
+  async readConfig() {
+    await this.config.load();
+
     try {
-      if (fs.existsSync(CREDENTIALS_FILE)) {
+      if (this.config.stored.phone == null && fs.existsSync(CREDENTIALS_FILE)) {
         const data = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf-8'));
         if (data.phone) {
-          this.phone = data.phone;
-          logger.info(`Loaded saved phone number: ${this.phone}`);
+          await this.config.save({ phone: data.phone });
+          fs.unlinkSync(CREDENTIALS_FILE);
+          logger.info(`Moved saved phone number ${this.getPhone()} into the Telegram config`);
         }
       }
     } catch (error) {
-      logger.warn('Failed to load credentials, using defaults', error);
+      logger.warn('Failed to migrate saved phone number', error);
     }
   }
 
-  saveCredentials() {
-    try {
-      const dataDir = path.dirname(CREDENTIALS_FILE);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      const data = { phone: this.phone };
-      fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(data, null, 2));
-    } catch (error) {
-      logger.error('Failed to save credentials', error);
+  async getConfig() {
+    await this.loadConfig();
+    return { fields: this.config.describe(), canStoreSecrets: this.config.canStoreSecrets };
+  }
+
+  /**
+   * Save a partial config. Channel IDs and the phone apply from the next
+   * send / login; new API credentials reconnect the client right away.
+   */
+  async updateConfig(input) {
+    await this.loadConfig();
+    const changed = await this.config.save(input);
+    logger.info(`Telegram config updated: ${changed.length > 0 ? changed.join(', ') : 'no changes'}`);
+
+    let reconnect = null;
+    if (changed.some(field => CONFIG_FIELDS[field].reconnect) && this.client) {
+      logger.info('Telegram API credentials changed, reconnecting...');
+      this.authKeyDuplicated = false;
+      await this.cleanup();
+      reconnect = await this.initialize();
     }
+    return { changed, reconnect };
+  }
+
+  // Configured channel as a BigInt peer ID, or null if it isn't set
+  getChannel(field) {
+    const id = this.config.get(field);
+    return id ? BigInt(id) : null;
   }
 
   getPhone() {
-    return this.phone;
+    return this.config.get('phone');
   }
 
-  setPhone(phone) {
-    this.phone = phone;
-    this.saveCredentials();
-    logger.info(`Phone number updated to: ${phone}`);
+  async setPhone(phone) {
+    await this.loadConfig();
+    await this.config.save({ phone });
+    logger.info(`Phone number updated to: ${this.getPhone()}`);
   }
 
   // ==========================================================================
@@ -288,6 +317,13 @@ class TelegramService {
     }
 
     try {
+      await this.loadConfig();
+      const { apiId, apiHash } = this.config.values();
+      if (!apiId || !apiHash) {
+        logger.warn('Telegram API ID / hash not configured');
+        return { success: false, status: 'not_configured', error: 'Set the Telegram API ID and hash in the Telegram config' };
+      }
+
       // Clean up any existing connection before creating a new one
       await this.cleanup();
 
@@ -298,7 +334,7 @@ class TelegramService {
       }
 
       const session = new StringSession(sessionString);
-      this.client = new TelegramClient(session, API_ID, API_HASH, {
+      this.client = new TelegramClient(session, apiId, apiHash, {
         connectionRetries: 3,
         // Disable auto-reconnect to prevent infinite loops on AUTH_KEY_DUPLICATED
         autoReconnect: false,
@@ -311,6 +347,7 @@ class TelegramService {
       if (await this.client.isUserAuthorized()) {
         this.isConnected = true;
         this.authKeyDuplicated = false; // Clear flag on successful connection
+        this.attachMessageHandlers();
         logger.success('Telegram client connected and authorized');
         return { success: true, status: 'connected' };
       } else {
@@ -341,13 +378,19 @@ class TelegramService {
       this.phoneCodeHash = null;
     }
 
-    // Use provided phone or saved/default phone
-    const phone = phoneNumber || this.phone;
-
     try {
+      // Use provided phone or the configured one. A provided phone is only used
+      // for this login: changing the stored one needs the admin token (POST /phone)
+      await this.loadConfig();
+      const phone = phoneNumber ? validateConfig({ phone: phoneNumber }).phone : this.getPhone();
+      if (!phone) {
+        return { success: false, error: 'Phone number is required' };
+      }
+
       // Always ensure client is initialized and connected
       if (!this.client) {
-        await this.initialize();
+        const initResult = await this.initialize();
+        if (!this.client) return initResult;
       }
 
       // Verify client is actually connected, if not, reconnect
@@ -369,18 +412,14 @@ class TelegramService {
       const result = await this.client.invoke(
         new Api.auth.SendCode({
           phoneNumber: phone,
-          apiId: API_ID,
-          apiHash: API_HASH,
+          apiId: this.config.get('apiId'),
+          apiHash: this.config.get('apiHash'),
           settings: new Api.CodeSettings({})
         })
       );
 
       this.phoneCodeHash = result.phoneCodeHash;
-
-      // Save phone number if provided
-      if (phoneNumber) {
-        this.setPhone(phoneNumber);
-      }
+      this.authPhone = phone;
 
       logger.info(`Verification code sent to ${phone} (hash: ${this.phoneCodeHash?.substring(0, 8)}...)`);
       return { success: true, status: 'code_sent', phone };
@@ -406,7 +445,7 @@ class TelegramService {
       try {
         await this.client.invoke(
           new Api.auth.SignIn({
-            phoneNumber: this.phone,
+            phoneNumber: this.authPhone,
             phoneCodeHash: this.phoneCodeHash,
             phoneCode: code
           })
@@ -474,11 +513,59 @@ class TelegramService {
 
     fs.writeFileSync(SESSION_FILE, sessionString);
     this.isConnected = true;
+    this.attachMessageHandlers();
     this.isAuthenticating = false;
     this.phoneCodeHash = null;
     logger.success('Telegram authentication successful, session saved');
   }
 
+  // ==========================================================================
+  // INCOMING MESSAGES (commands and watched call channels)
+  // ==========================================================================
+
+  setCommandHandler(handler) {
+    this.commandHandler = handler;
+    if (this.isConnected) this.attachMessageHandlers();
+  }
+
+  setCallHandler(handler) {
+    this.callHandler = handler;
+    if (this.isConnected) this.attachMessageHandlers();
+  }
+
+  // Listen for new messages on the current client (a reconnect creates a new one)
+  attachMessageHandlers() {
+    if (!this.client || this.handlersClient === this.client) return;
+    if (!this.commandHandler && !this.callHandler) return;
+    this.handlersClient = this.client;
+
+    this.client.addEventHandler((event) => this.onNewMessage(event.message), new NewMessage({}));
+    logger.info('Listening for Telegram commands and calls');
+  }
+
+  async onNewMessage(message) {
+    const text = message.message || '';
+    try {
+      if (this.commandHandler && !message.out && text.startsWith('/')) {
+        const reply = await this.commandHandler(text, message.senderId?.toString());
+        if (reply) await message.reply({ message: reply, parseMode: 'html', linkPreview: false });
+        return;
+      }
+
+      if (this.callHandler) {
+        await this.callHandler({
+          chatId: message.chatId?.toString(),
+          username: message.chat?.username || null,
+          text,
+          entities: message.entities || [],
+          messageId: message.id
+        });
+      }
+    } catch (error) {
+      logger.error('Telegram message handler failed', error);
+    }
+  }
+
   // ==========================================================================
   // MESSAGING - CORE FUNCTIONS
   // ==========================================================================
@@ -492,130 +579,138 @@ class TelegramService {
     }
   }
 
-  async sendToChannel(channelId, message) {
-    await this.ensureConnected();
-    await this.client.sendMessage(channelId, { message });
-    logger.success(`Sent to channel ${channelId}: ${message}`);
+  // Connected, or holding a session sendToChannel can connect with. Without
+  // one the outbox holds messages rather than failing them
+  canDeliver() {
+    if (this.isConnected) return true;
+    return !this.isReconnecting && !this.authKeyDuplicated && fs.existsSync(SESSION_FILE);
   }
 
-  canSendToPublicChannel() {
-    const now = Date.now();
-    
-    // Clean up old history
-    this.publicSendHistory = this.publicSendHistory.filter(
-      sendTime => (now - sendTime) < PUBLIC_RATE_LIMIT.windowMs
-    );
-    
-    return this.publicSendHistory.length < PUBLIC_RATE_LIMIT.maxSends;
+  /**
+   * Send a message to a channel
+   * @param {object} options - parseMode ('html' / 'markdown'), buttons (rows of
+   *   { text, url }), image (PNG buffer, sent with the message as its caption).
+   *   Inline keyboards are only shown for messages sent by bot accounts.
+   */
+  async sendToChannel(channelId, message, { parseMode, buttons, image } = {}) {
+    await this.ensureConnected();
+    const params = { message };
+    if (parseMode) params.parseMode = parseMode;
+    if (buttons?.length) {
+      params.buttons = buttons.map(row => row.map(button => Button.url(button.text, button.url)));
+    }
+    if (image) {
+      params.file = new CustomFile('chart.png', image.length, '', image);
+    }
+    await this.client.sendMessage(channelId, params);
+    logger.success(`Sent to channel ${channelId}: ${message.split('\n')[0]}`);
   }
 
-  recordPublicSend() {
-    this.publicSendHistory.push(Date.now());
+  // Rendered template for a channel, or the bare CA when there is no token state to fill it
+  async renderAlert(channel, contractAddress, tokenInfo) {
+    if (!tokenInfo?.token) return { text: contractAddress };
+    try {
+      return await telegramTemplates.render(channel, tokenInfo.token, { history: tokenInfo.history });
+    } catch (error) {
+      logger.warn(`Template render failed for ${contractAddress}, sending the CA only: ${error.message}`);
+      return { text: contractAddress };
+    }
   }
 
   /**
    * Main Tier 3 alert flow:
    * 1. Check if "Telegram Message" is enabled -> if not, skip everything
-   * 2. Send to private channel
-   * 3. Check if "Public Channels" is enabled -> if yes, send to all enabled public channels (rate limited)
+   * 2. Queue for the private channel
+   * 3. Check if "Public Channels" is enabled -> if yes, queue for every enabled public channel
+   *
+   * Delivery, each channel's rate limit and quiet hours are up to the outbox.
+   * tokenInfo.token (tracked token state) and tokenInfo.history (its price
+   * history rows) fill the private/public templates; without them only the
+   * CA is posted.
    */
   async sendTier3Alert(contractAddress, tokenInfo) {
     // STEP 1: Check if Telegram messaging is enabled
     if (!this.telegramMessagingEnabled) {
       logger.info(`❌ Telegram messaging DISABLED, skipping alert for ${contractAddress}`);
-      return { 
-        success: true, 
+      return {
+        success: true,
         status: 'disabled',
-        sentToPrivate: false,
-        sentToPublic: false
+        queuedPrivate: false,
+        queuedPublic: []
       };
     }
 
-    logger.info(`✅ Telegram messaging ENABLED for ${contractAddress}`);
-
     const results = {
       success: true,
-      sentToPrivate: false,
-      sentToPublic: false,
-      publicRateLimited: false,
-      publicChannelsSent: []
+      queuedPrivate: false,
+      queuedPublic: []
     };
 
-    // STEP 2: Send to private channel
+    // STEP 2: Queue for the private channel
     try {
-      await this.sendToChannel(PRIVATE_CHANNEL_ID, contractAddress);
-      results.sentToPrivate = true;
-      logger.success(`✅ Sent to PRIVATE channel: ${contractAddress}`);
+      await this.loadConfig();
+      const privateChannelId = this.config.get('privateChannelId');
+      if (privateChannelId) {
+        const { text, ...options } = await this.renderAlert('private', contractAddress, tokenInfo);
+        await this.outbox.enqueue({ channelId: privateChannelId, channelName: 'private', kind: 'private', text, options });
+        results.queuedPrivate = true;
+      } else {
+        logger.warn(`⚠️ No private channel configured, skipping for ${contractAddress}`);
+      }
     } catch (error) {
-      logger.error(`❌ Failed to send to private channel: ${contractAddress}`, error);
+      logger.error(`❌ Failed to queue private alert: ${contractAddress}`, error);
       results.success = false;
     }
 
-    // STEP 3: Check if public channels are enabled
+    // STEP 3: Queue for the public channels
     if (!this.publicChannelEnabled) {
       logger.info(`⚠️ Public channels DISABLED, skipping for ${contractAddress}`);
       return results;
     }
 
-    logger.info(`✅ Public channels ENABLED for ${contractAddress}`);
-
-    // STEP 4: Check rate limit for public channels
-    if (!this.canSendToPublicChannel()) {
-      logger.warn(`⏳ Public channels rate limited (${this.publicSendHistory.length}/${PUBLIC_RATE_LIMIT.maxSends}), skipping ${contractAddress}`);
-      results.publicRateLimited = true;
-      return results;
-    }
-
-    logger.info(`✅ Rate limit OK (${this.publicSendHistory.length}/${PUBLIC_RATE_LIMIT.maxSends})`);
-
-    // STEP 5: Send to all enabled public channels
     const enabledChannels = this.publicChannels.filter(ch => ch.enabled);
     if (enabledChannels.length === 0) {
       logger.warn(`⚠️ No enabled public channels for ${contractAddress}`);
       return results;
     }
 
-    logger.info(`📡 Found ${enabledChannels.length} enabled public channel(s)`);
-
-    for (const channel of enabledChannels) {
-      try {
+    try {
+      const { text, ...options } = await this.renderAlert('public', contractAddress, tokenInfo);
+      for (const channel of enabledChannels) {
         const channelId = this.extractChannelId(channel.url);
         if (!channelId) {
           logger.error(`❌ Invalid channel URL: ${channel.url}`);
           continue;
         }
-
-        logger.info(`📤 Sending to public channel ${channelId}...`);
-        await this.sendToChannel(channelId, contractAddress);
-        results.publicChannelsSent.push(channel.url);
-        logger.success(`✅ Sent to public channel ${channel.url}`);
-      } catch (error) {
-        logger.error(`❌ Failed to send to public channel ${channel.url}:`, error);
+        await this.outbox.enqueue({ channelId, channelName: channel.url, kind: 'public', text, options });
+        results.queuedPublic.push(channel.url);
       }
+    } catch (error) {
+      logger.error(`❌ Failed to queue public alert: ${contractAddress}`, error);
+      results.success = false;
     }
 
-    if (results.publicChannelsSent.length > 0) {
-      this.recordPublicSend();
-      results.sentToPublic = true;
-      logger.success(`✅ Sent to ${results.publicChannelsSent.length} public channel(s): ${contractAddress} (${this.publicSendHistory.length}/${PUBLIC_RATE_LIMIT.maxSends} slots used)`);
-    } else {
-      logger.warn(`⚠️ Failed to send to any public channels for ${contractAddress}`);
-    }
-
+    logger.info(`📬 Queued ${contractAddress}: private ${results.queuedPrivate ? 'yes' : 'no'}, ${results.queuedPublic.length} public channel(s)`);
     return results;
   }
 
-  // Legacy method for manual sends (backward compatibility)
+  // Manual send to the private channel
   async sendMessage(text) {
     if (!this.telegramMessagingEnabled) {
       return { success: false, error: 'Telegram messaging is disabled' };
     }
 
+    await this.loadConfig();
+    const privateChannelId = this.config.get('privateChannelId');
+    if (!privateChannelId) {
+      return { success: false, error: 'No private channel configured' };
+    }
+
     try {
-      await this.sendToChannel(PRIVATE_CHANNEL_ID, text);
-      return { success: true };
+      const message = await this.outbox.enqueue({ channelId: privateChannelId, channelName: 'private', kind: 'manual', text });
+      return { success: true, queued: true, id: message.id };
     } catch (error) {
-      logger.error('Failed to send Telegram message', error);
+      logger.error('Failed to queue Telegram message', error);
       return { success: false, error: error.message };
     }
   }
@@ -650,16 +745,20 @@ class TelegramService {
         return { success: true, status: 'already_posted' };
       }
 
-      await this.ensureConnected();
+      await this.loadConfig();
+      const bnbChannelId = this.config.get('bnbChannelId');
+      if (!bnbChannelId) {
+        return { success: false, error: 'No BNB channel configured' };
+      }
 
       // Post just the contract address (pure format)
-      await this.sendToChannel(BNB_CHANNEL_ID, contractAddress);
+      await this.outbox.enqueue({ channelId: bnbChannelId, channelName: 'bnb', kind: 'bnb', text: contractAddress });
 
       // Track as posted
       this.bnbPostedOnDiscovery.set(contractAddress, Date.now());
 
       const name = tokenInfo.symbol || tokenInfo.name || '';
-      logger.success(`📡 Posted BNB on discovery: ${contractAddress}${name ? ` (${name})` : ''}`);
+      logger.success(`📡 Queued BNB on discovery: ${contractAddress}${name ? ` (${name})` : ''}`);
 
       return { success: true, posted: true };
     } catch (error) {
@@ -685,17 +784,21 @@ class TelegramService {
         return { success: true, status: 'already_posted' };
       }
 
-      await this.ensureConnected();
+      await this.loadConfig();
+      const bnbChannelId = this.config.get('bnbChannelId');
+      if (!bnbChannelId) {
+        return { success: false, error: 'No BNB channel configured' };
+      }
 
       // Post just the contract address (pure format)
-      await this.sendToChannel(BNB_CHANNEL_ID, contractAddress);
+      await this.outbox.enqueue({ channelId: bnbChannelId, channelName: 'bnb', kind: 'bnb', text: contractAddress });
 
       // Track as posted
       this.bnbPostedOn2x.set(contractAddress, Date.now());
 
       const name = tokenInfo.symbol || tokenInfo.name || '';
       const multiplier = tokenInfo.multiplier || 0;
-      logger.success(`🚀 Posted BNB on 2x: ${contractAddress} (${multiplier.toFixed(2)}x)${name ? ` (${name})` : ''}`);
+      logger.success(`🚀 Queued BNB on 2x: ${contractAddress} (${multiplier.toFixed(2)}x)${name ? ` (${name})` : ''}`);
 
       return { success: true, posted: true };
     } catch (error) {
@@ -725,10 +828,29 @@ class TelegramService {
     return {
       postedOnDiscovery: this.bnbPostedOnDiscovery.size,
       postedOn2x: this.bnbPostedOn2x.size,
-      channelId: BNB_CHANNEL_ID.toString()
+      channelId: this.config.get('bnbChannelId')
     };
   }
 
+  // ==========================================================================
+  // OUTBOX
+  // ==========================================================================
+
+  // Channels alerts go to, with their outbox limits and state
+  async getOutboxChannels() {
+    await this.loadConfig();
+    const channels = [];
+    const privateChannelId = this.config.get('privateChannelId');
+    if (privateChannelId) channels.push({ channelId: privateChannelId, name: 'private', kind: 'private' });
+    for (const channel of this.publicChannels) {
+      const channelId = this.extractChannelId(channel.url);
+      if (channelId) channels.push({ channelId, name: channel.url, kind: 'public' });
+    }
+    const bnbChannelId = this.config.get('bnbChannelId');
+    if (bnbChannelId) channels.push({ channelId: bnbChannelId, name: 'bnb', kind: 'bnb' });
+    return this.outbox.describeChannels(channels);
+  }
+
   // ==========================================================================
   // TOGGLES
   // ==========================================================================
@@ -744,31 +866,22 @@ class TelegramService {
   }
 
   getStatus() {
-    const now = Date.now();
-    this.publicSendHistory = this.publicSendHistory.filter(
-      sendTime => (now - sendTime) < PUBLIC_RATE_LIMIT.windowMs
-    );
-
     return {
       isConnected: this.isConnected,
       isAuthenticating: this.isAuthenticating,
       isReconnecting: this.isReconnecting,
       authKeyDuplicated: this.authKeyDuplicated,
       environment: IS_RAILWAY ? 'railway' : 'local',
+      configured: !!(this.config.get('apiId') && this.config.get('apiHash')),
       sessionFile: path.basename(SESSION_FILE),
       telegramMessagingEnabled: this.telegramMessagingEnabled,
       publicChannelEnabled: this.publicChannelEnabled,
       publicChannels: this.publicChannels,
-      publicRateLimit: {
-        current: this.publicSendHistory.length,
-        max: PUBLIC_RATE_LIMIT.maxSends,
-        windowMinutes: PUBLIC_RATE_LIMIT.windowMs / 60000,
-        canSend: this.canSendToPublicChannel()
-      },
+      outbox: this.outbox.summary(),
       bnbStats: {
         postedOnDiscovery: this.bnbPostedOnDiscovery.size,
         postedOn2x: this.bnbPostedOn2x.size,
-        channelId: BNB_CHANNEL_ID.toString()
+        channelId: this.config.get('bnbChannelId')
       }
     };
   }
@@ -897,18 +1010,24 @@ class TelegramService {
   async getHolderMessage() {
     await this.ensureConnected();
 
+    const holderChannelId = this.getChannel('holderChannelId');
+    const holderMessageId = this.config.get('holderMessageId');
+    if (!holderChannelId || !holderMessageId) {
+      return { success: false, error: 'Holder channel or message ID not configured' };
+    }
+
     try {
       const Api = (await import('telegram/tl/index.js')).Api;
 
       const result = await this.client.invoke(
         new Api.channels.GetMessages({
-          channel: HOLDER_CHANNEL_ID,
-          id: [new Api.InputMessageID({ id: HOLDER_MESSAGE_ID })]
+          channel: holderChannelId,
+          id: [new Api.InputMessageID({ id: holderMessageId })]
         })
       );
 
       if (!result.messages || result.messages.length === 0) {
-        logger.warn(`Holder message not found - Channel ID: ${HOLDER_CHANNEL_ID}, Message ID: ${HOLDER_MESSAGE_ID}`);
+        logger.warn(`Holder message not found - Channel ID: ${holderChannelId}, Message ID: ${holderMessageId}`);
         return { success: false, error: 'Message not found' };
       }
 
@@ -917,27 +1036,7 @@ class TelegramService {
       const entities = message.entities || [];
       const editDate = message.editDate || message.date;
 
-      const contractAddresses = [];
-
-      for (const entity of entities) {
-        const isTextUrl = entity.className === 'MessageEntityTextUrl' ||
-                          entity.constructor?.name === 'MessageEntityTextUrl' ||
-                          entity.url !== undefined;
-
-        if (isTextUrl && entity.url) {
-          const ca = this.extractCAFromUrl(entity.url);
-          if (ca && !contractAddresses.includes(ca)) {
-            contractAddresses.push(ca);
-          }
-        }
-      }
-
-      const textCAs = this.extractCAsFromText(messageText);
-      for (const ca of textCAs) {
-        if (!contractAddresses.includes(ca)) {
-          contractAddresses.push(ca);
-        }
-      }
+      const contractAddresses = extractCAsFromMessage(messageText, entities);
 
       return {
         success: true,
@@ -951,57 +1050,6 @@ class TelegramService {
       return { success: false, error: error.message };
     }
   }
-
-  extractCAFromUrl(url) {
-    try {
-      const telegramBotMatch = url.match(/t\.me\/\w+\?start=(?:pf_|price_)([A-Za-z0-9]+)/i);
-      if (telegramBotMatch) return telegramBotMatch[1];
-
-      const bagsMatch = url.match(/bags\.fm\/([A-Za-z0-9]+)/i);
-      if (bagsMatch) return bagsMatch[1];
-
-      const dexMatch = url.match(/dexscreener\.com\/\w+\/([A-Za-z0-9]+)/i);
-      if (dexMatch) return dexMatch[1];
-
-      const pumpMatch = url.match(/pump\.fun\/(?:coin\/)?([A-Za-z0-9]+)/i);
-      if (pumpMatch) return pumpMatch[1];
-
-      const birdeyeMatch = url.match(/birdeye\.so\/token\/([A-Za-z0-9]+)/i);
-      if (birdeyeMatch) return birdeyeMatch[1];
-
-      if (/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(url)) {
-        return url;
-      }
-
-      if (/^0x[a-fA-F0-9]{40}$/.test(url)) {
-        return url;
-      }
-
-      return null;
-    } catch {
-      return null;
-    }
-  }
-
-  extractCAsFromText(text) {
-    const cas = [];
-
-    const solanaMatches = text.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/g) || [];
-    for (const match of solanaMatches) {
-      if (match.length >= 32 && !cas.includes(match)) {
-        cas.push(match);
-      }
-    }
-
-    const evmMatches = text.match(/0x[a-fA-F0-9]{40}/g) || [];
-    for (const match of evmMatches) {
-      if (!cas.includes(match)) {
-        cas.push(match);
-      }
-    }
-
-    return cas;
-  }
 }
 
 export const telegramService = new TelegramService();
@@ -0,0 +1,360 @@
+/**
+ * Telegram alert templates - renders a token's state into a channel message
+ *
+ * Each Telegram channel kind (see TEMPLATE_CHANNELS) has a template:
+ *   text     HTML message with {placeholder} fields (see PLACEHOLDERS)
+ *   buttons  attach DexScreener / pump.fun / Birdeye link buttons
+ *   chart    attach a PNG sparkline of the MC path since the token was spotted
+ *
+ * Rendering is pure: renderAlert() takes the template, the token and its
+ * price history rows and returns { text, parseMode, buttons, image }, which
+ * TelegramService.sendToChannel() turns into gramjs objects. Edited templates
+ * are kept in the settings table under 'telegramTemplates'.
+ */
+
+import zlib from 'zlib';
+import { clock } from './clock.mjs';
+import { isPumpFunAddress } from './bondingCurve.mjs';
+import { loadDb } from './database/lazyStore.mjs';
+
+export const TEMPLATE_CHANNELS = ['private', 'public'];
+
+export const PLACEHOLDERS = {
+  symbol: 'Token symbol',
+  name: 'Token name',
+  address: 'Contract address',
+  chain: 'solana or bnb',
+  spottedMc: 'Market cap when spotted',
+  currentMc: 'Current market cap',
+  peakMc: 'Peak market cap since spotted',
+  multiplier: 'Current MC over spotted MC',
+  peakMultiplier: 'Peak MC over spotted MC',
+  age: 'Time since spotted',
+  buyPressure: 'Buy share of 5m volume',
+  liquidity: 'Pool liquidity',
+  dexscreener: 'DexScreener URL',
+  pumpfun: 'pump.fun URL (pump.fun tokens only)',
+  birdeye: 'Birdeye URL',
+  links: 'DexScreener | pump.fun | Birdeye links'
+};
+
+export const DEFAULT_TEMPLATES = {
+  private: {
+    text: [
+      '🚀 <b>{symbol}</b> is up {multiplier}',
+      '',
+      '<code>{address}</code>',
+      '',
+      '💰 MC: {spottedMc} → {currentMc} (peak {peakMultiplier})',
+      '⏱ Spotted {age} ago',
+      '🟢 Buy pressure: {buyPressure}',
+      '💧 Liquidity: {liquidity}',
+      '',
+      '{links}'
+    ].join('\n'),
+    buttons: true,
+    chart: true
+  },
+  public: {
+    text: '<b>{symbol}</b> {multiplier}\n\n<code>{address}</code>',
+    buttons: true,
+    chart: false
+  }
+};
+
+// Telegram limits: message text, and the caption of a message with media
+const MAX_TEXT_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+
+const SPARKLINE_SIZE = { width: 480, height: 120 };
+const COLORS = {
+  background: [20, 22, 28],
+  up: [38, 208, 124],
+  down: [240, 82, 82]
+};
+
+function formatUsd(value) {
+  if (!Number.isFinite(value) || value <= 0) return 'n/a';
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(2)}`;
+}
+
+function formatMultiplier(value) {
+  return Number.isFinite(value) && value > 0 ? `${value.toFixed(2)}x` : 'n/a';
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return 'n/a';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return `${Math.floor(ms / 1000)}s`;
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Display values and links for a token. Plain strings, not yet escaped.
+ */
+export function buildTokenCard(token, now = clock.now()) {
+  const address = token.contractAddress;
+  const chain = /^0x[a-fA-F0-9]{40}$/.test(address) ? 'bnb' : 'solana';
+  const explorerChain = chain === 'bnb' ? 'bsc' : 'solana';
+
+  const m5 = token.transactionMetrics?.['5m'];
+  const volume5m = (m5?.buy_usd || 0) + (m5?.sell_usd || 0);
+  const multiplier = token.spottedMc > 0 ? token.currentMc / token.spottedMc : null;
+
+  return {
+    symbol: token.symbol || token.name || 'Unknown',
+    name: token.name || token.symbol || 'Unknown',
+    address,
+    chain,
+    spottedMc: formatUsd(token.spottedMc),
+    currentMc: formatUsd(token.currentMc),
+    peakMc: formatUsd(token.peakMc),
+    multiplier: formatMultiplier(multiplier),
+    peakMultiplier: formatMultiplier(token.peakMultiplier),
+    age: token.spottedAt ? formatDuration(now - token.spottedAt) : 'n/a',
+    buyPressure: volume5m > 0 ? `${Math.round((m5.buy_usd || 0) / volume5m * 100)}%` : 'n/a',
+    liquidity: formatUsd(token.liquidity),
+    dexscreener: `https://dexscreener.com/${explorerChain}/${address}`,
+    pumpfun: isPumpFunAddress(address) ? `https://pump.fun/coin/${address}` : '',
+    birdeye: `https://birdeye.so/token/${address}?chain=${explorerChain}`
+  };
+}
+
+// Link buttons as plain { text, url } rows; TelegramService builds the gramjs buttons
+export function linkButtons(card) {
+  const row = [
+    { text: 'DexScreener', url: card.dexscreener },
+    { text: 'pump.fun', url: card.pumpfun },
+    { text: 'Birdeye', url: card.birdeye }
+  ].filter(button => button.url);
+  return [row];
+}
+
+/**
+ * Fill in a template's {placeholders}; values are HTML-escaped
+ */
+export function renderTemplate(text, card) {
+  const links = linkButtons(card)[0]
+    .map(button => `<a href="${escapeHtml(button.url)}">${escapeHtml(button.text)}</a>`)
+    .join(' | ');
+
+  return text.replace(/\{(\w+)\}/g, (match, key) => {
+    if (key === 'links') return links;
+    return Object.hasOwn(card, key) ? escapeHtml(card[key]) : match;
+  });
+}
+
+export function validateTemplate(input) {
+  if (!input || typeof input !== 'object') throw new Error('Template must be an object');
+
+  const text = typeof input.text === 'string' ? input.text.trim() : '';
+  if (!text) throw new Error('Template text is required');
+  if (text.length > MAX_TEXT_LENGTH) throw new Error(`Template text is limited to ${MAX_TEXT_LENGTH} characters`);
+
+  const unknown = [...text.matchAll(/\{(\w+)\}/g)].map(([, key]) => key).filter(key => !PLACEHOLDERS[key]);
+  if (unknown.length > 0) throw new Error(`Unknown placeholder(s): ${unknown.map(key => `{${key}}`).join(', ')}`);
+
+  for (const key of ['buttons', 'chart']) {
+    if (input[key] !== undefined && typeof input[key] !== 'boolean') throw new Error(`${key} must be boolean`);
+  }
+
+  return { text, buttons: input.buttons ?? false, chart: input.chart ?? false };
+}
+
+/**
+ * MC values since the token was spotted: spotted MC, the price history rows
+ * (oldest first, as getPriceHistoryRange returns them), then the current MC
+ */
+export function mcPath(token, rows = []) {
+  return [token.spottedMc, ...rows.map(row => row.marketCap), token.currentMc]
+    .filter(value => Number.isFinite(value) && value > 0);
+}
+
+// ============================================================================
+// PNG sparkline
+// ============================================================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(width, height, pixels) {
+  // Each scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Colour type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * PNG line chart of `points`, green if it ended higher than it started and
+ * red otherwise, with the area under the line shaded. Null for fewer than
+ * two points.
+ */
+export function renderSparkline(points, { width = SPARKLINE_SIZE.width, height = SPARKLINE_SIZE.height } = {}) {
+  if (!Array.isArray(points) || points.length < 2) return null;
+
+  const pixels = Buffer.alloc(width * height * 3);
+  const set = (x, y, [r, g, b]) => {
+    const i = (y * width + x) * 3;
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  };
+  for (let i = 0; i < width * height; i++) set(i % width, Math.floor(i / width), COLORS.background);
+
+  const color = points[points.length - 1] >= points[0] ? COLORS.up : COLORS.down;
+  const shade = color.map((c, i) => Math.round(COLORS.background[i] + (c - COLORS.background[i]) * 0.25));
+  const min = Math.min(...points);
+  const range = Math.max(...points) - min || 1;
+  const padding = 4;
+  const yAt = (x) => {
+    const position = x / (width - 1) * (points.length - 1);
+    const i = Math.min(Math.floor(position), points.length - 2);
+    const value = points[i] + (points[i + 1] - points[i]) * (position - i);
+    return Math.round(height - 1 - padding - (value - min) / range * (height - 1 - 2 * padding));
+  };
+
+  let previous = yAt(0);
+  for (let x = 0; x < width; x++) {
+    const y = yAt(x);
+    for (let fill = y + 1; fill < height; fill++) set(x, fill, shade);
+    // Join to the previous column so steep moves stay connected, 2px thick
+    for (let line = Math.min(y, previous); line <= Math.max(y, previous) + 1; line++) {
+      if (line < height) set(x, line, color);
+    }
+    previous = y;
+  }
+
+  return encodePng(width, height, pixels);
+}
+
+/**
+ * Everything needed to send one alert: { text, parseMode, buttons, image }.
+ * The chart is dropped if the text is too long to be a media caption.
+ */
+export function renderAlert(template, token, { history = [], now = clock.now() } = {}) {
+  const card = buildTokenCard(token, now);
+  const text = renderTemplate(template.text, card);
+  const image = template.chart && text.length <= MAX_CAPTION_LENGTH
+    ? renderSparkline(mcPath(token, history))
+    : null;
+
+  return {
+    text,
+    parseMode: 'html',
+    buttons: template.buttons ? linkButtons(card) : null,
+    image
+  };
+}
+
+class TelegramTemplateStore {
+  constructor() {
+    this.templates = null; // channel -> template; edited ones only
+  }
+
+  async load() {
+    const db = await loadDb();
+    const stored = await db.getSetting('telegramTemplates', {});
+    this.templates = new Map();
+    for (const channel of TEMPLATE_CHANNELS) {
+      if (!stored?.[channel]) continue;
+      try {
+        this.templates.set(channel, validateTemplate(stored[channel]));
+      } catch {
+        // Fall back to the default for templates that no longer validate
+      }
+    }
+    return this.list();
+  }
+
+  async ensureLoaded() {
+    if (!this.templates) await this.load();
+  }
+
+  async get(channel) {
+    await this.ensureLoaded();
+    return this.templates.get(channel) || DEFAULT_TEMPLATES[channel];
+  }
+
+  async list() {
+    await this.ensureLoaded();
+    return Object.fromEntries(TEMPLATE_CHANNELS.map(channel => [channel, {
+      ...(this.templates.get(channel) || DEFAULT_TEMPLATES[channel]),
+      edited: this.templates.has(channel)
+    }]));
+  }
+
+  async save(channel, input) {
+    if (!TEMPLATE_CHANNELS.includes(channel)) throw new Error(`Unknown template channel "${channel}"`);
+    const template = validateTemplate(input);
+    await this.ensureLoaded();
+    this.templates.set(channel, template);
+    await this.persist();
+    return template;
+  }
+
+  // Back to the built-in template
+  async reset(channel) {
+    if (!TEMPLATE_CHANNELS.includes(channel)) throw new Error(`Unknown template channel "${channel}"`);
+    await this.ensureLoaded();
+    this.templates.delete(channel);
+    await this.persist();
+    return DEFAULT_TEMPLATES[channel];
+  }
+
+  async render(channel, token, options) {
+    return renderAlert(await this.get(channel), token, options);
+  }
+
+  async persist() {
+    const db = await loadDb();
+    await db.setSetting('telegramTemplates', Object.fromEntries(this.templates));
+  }
+}
+
+export const telegramTemplates = new TelegramTemplateStore();
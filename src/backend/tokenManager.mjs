@@ -1,16 +1,50 @@
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import axios from 'axios';
 import logger from './logger.mjs';
 import * as db from './database/db-adapter.mjs';
-import * as dexscreener from './apis/dexscreener.mjs';
-import * as bitquery from './apis/bitquery.mjs';
-import * as dexpaprika from './apis/dexpaprika.mjs';
-import { dexscreenerLimiter } from './rateLimit.mjs';
-import mvpCalculator from './mvpCalculator_v3.mjs';
+import { providerRegistry } from './providers/index.mjs';
+import { clock } from './clock.mjs';
+import mvpCalculatorV3, { MVPCalculatorV3 } from './mvpCalculator_v3.mjs';
+import { MVPCalculatorLearned, loadLearnedModel } from './mvpCalculator_learned.mjs';
+import { MVPCalculator } from './mvpCalculator.mjs';
+import { MVPCalculatorImproved } from './mvpCalculator_improved.mjs';
+import { shadowScorer } from './shadowScoring.mjs';
 import { dataDumper } from './dataDumper.mjs';
+import { buildCandles } from './priceHistory.mjs';
+import { isPumpFunAddress, migratedVenue } from './bondingCurve.mjs';
+import { SubscriptionPlanner } from './subscriptionPlanner.mjs';
+import { checkTokenSafety } from './safety.mjs';
+import { capturedCall } from './replay/capture.mjs';
+import { scoringProfiles } from './scoringProfiles.mjs';
+import { phaseTracker } from './phaseTracker.mjs';
+import { alertEngine } from './alertRules.mjs';
+
+// MVP_CALCULATOR=learned scores with the model trained by scripts/train-mvp-model.mjs
+// (MVP_MODEL_FILE to pick one); v3 stays live if the model can't be loaded
+function createMvpCalculator() {
+  if (process.env.MVP_CALCULATOR !== 'learned') {
+    return { name: 'v3', calculator: mvpCalculatorV3 };
+  }
+  try {
+    const model = loadLearnedModel(process.env.MVP_MODEL_FILE || undefined);
+    logger.info(`MVP calculator: learned model ${logger.highlight(model.version)}`);
+    return { name: 'learned', calculator: new MVPCalculatorLearned(model) };
+  } catch (error) {
+    logger.warn(`MVP_CALCULATOR=learned ignored, scoring with v3: ${error.message}`);
+    return { name: 'v3', calculator: mvpCalculatorV3 };
+  }
+}
+
+const { name: mvpCalculatorName, calculator: mvpCalculator } = createMvpCalculator();
 
-class TokenManager {
+// Events (consumed by the live push hub):
+//   'tokensChanged'        - tracked token data changed; views need rebuilding
+//   'tokenAdded' (token)   - a new token was discovered
+//   'alert' (alert)        - a token's peak crossed an alert tier or 2x, it graduated,
+//                            or an alert rule with the 'live' channel fired
+class TokenManager extends EventEmitter {
   constructor() {
+    super();
     this.trackedTokens = new Map(); // contractAddress -> token object
 
     // Alert tiers (hardcoded)
@@ -24,23 +58,64 @@ class TokenManager {
     this.telegramService = null;
     this.telegramAutoAlert = true; // Default enabled
 
+    // Minimum pool liquidity (USD) for the top 10 and rules with liquidityGate; 0 disables.
+    // DEXTER_MIN_LIQUIDITY is the default until changed via POST /api/min-liquidity
+    this.minLiquidityUsd = parseFloat(process.env.DEXTER_MIN_LIQUIDITY ?? '5000') || 0;
+
     // Tracking windows
     this.monitoringWindow = 2 * 60 * 60 * 1000; // 2 hours for degen tokens
     this.holderMonitoringWindow = 48 * 60 * 60 * 1000; // 48 hours for holder tokens
     this.maxHolderTokens = 500; // Hard cap for holder tokens to prevent memory leaks
+    this.priceHistorySampleMs = 10000; // Persist at most one chart sample per token every 10s
+    this.priceHistoryPruneMs = 60000; // Cleanup runs every cycle; pruning history once a minute is enough
+    this.lastPriceHistoryPrune = 0;
 
     // Current view mode for filtering updates
     this.currentViewMode = 'all-time';
 
     // Intervals
     this.discoveryInterval = null;
+    this.startupTimer = null;
     this.topUpdateInterval = null;
     this.backgroundUpdateInterval = null;
     this.dexpaprikaBackgroundInterval = null;
+    this.tradeMetricsInterval = null;
 
     // DexPaprika SSE state
     this.sseConnectedTokens = new Set(); // Track which tokens have SSE
-    this.lastTop10Addresses = []; // Track last top 10 for rotation
+    this.lastSubscribedAddresses = []; // Last plan sent to the stream provider
+    // DEXTER_LIVE_POOL: tokens streamed live (top 10 + contenders), capped by provider capacity
+    this.subscriptionPlanner = new SubscriptionPlanner({
+      poolSize: parseInt(process.env.DEXTER_LIVE_POOL, 10) || 30,
+      rotatingSlots: parseInt(process.env.DEXTER_LIVE_ROTATING, 10) || 5
+    });
+
+    // Rug/honeypot checks (SAFETY_CHECKS=false to skip) - plain RPC, so run a few at a time
+    this.safetyChecksEnabled = process.env.SAFETY_CHECKS !== 'false';
+    this.safetyQueue = []; // addresses waiting for a check
+    this.safetyActive = 0;
+    this.safetyConcurrency = 2;
+    this.safetyRecheckMs = 5 * 60 * 1000; // Authorities are often revoked minutes after launch
+
+    // Shadow scoring (SHADOW_SCORING=false to skip): the other algorithms pick MVPs
+    // alongside the live one so /api/scoring/leaderboard can compare their outcomes
+    this.shadowScoringEnabled = process.env.SHADOW_SCORING !== 'false';
+    this.shadowScoringInterval = null;
+    this.profiledCalculators = [mvpCalculator]; // Follow the active scoring profile
+    if (this.shadowScoringEnabled) {
+      shadowScorer.register(mvpCalculatorName, mvpCalculator, { feedSnapshots: false });
+      if (mvpCalculatorName !== 'v3') {
+        const shadowV3 = new MVPCalculatorV3();
+        shadowScorer.register('v3', shadowV3);
+        this.profiledCalculators.push(shadowV3);
+      }
+      shadowScorer.register('improved', new MVPCalculatorImproved());
+      shadowScorer.register('v1', new MVPCalculator());
+    }
+
+    // Alert rules (see alertRules.mjs) are checked against every tracked token
+    this.alertRulesInterval = null;
+    this.registerAlertChannels();
 
     // Debounce for view mode changes (prevents rapid SSE re-subscription)
     this.viewModeDebounceTimer = null;
@@ -86,6 +161,19 @@ class TokenManager {
         tier2: tiers.tier2Multiplier,
         tier3: tiers.tier3Multiplier
       };
+      this.minLiquidityUsd = await db.getSetting('minLiquidityUsd', this.minLiquidityUsd);
+
+      // Scoring weights come from the active profile; switching or editing it rescores live
+      const profile = await scoringProfiles.load();
+      this.profiledCalculators.forEach(calculator => calculator.setProfile(profile));
+      scoringProfiles.on('activeChanged', (profile) => {
+        this.profiledCalculators.forEach(calculator => calculator.setProfile(profile));
+        logger.info(`Scoring profile: ${logger.highlight(profile.name)}`);
+        this.emit('tokensChanged');
+      });
+
+      const rules = await alertEngine.load();
+      logger.info(`Alert rules: ${logger.highlight(rules.filter(rule => rule.enabled).length)} enabled of ${rules.length}`);
       
       // Load tokens from database (last 2 hours)
       await this.loadTokensFromDatabase();
@@ -97,70 +185,110 @@ class TokenManager {
     }
   }
 
-  async checkAndSendTier3Alert(token) {
-    // Check if token just hit tier 3 for the first time
-    if (!this.telegramService || !this.telegramAutoAlert) return;
+  // Delivery for each alert rule channel. Handlers resolve to a status
+  // string that is logged with the firing.
+  registerAlertChannels() {
+    alertEngine.setChannel('live', (alert) => {
+      this.emit('alert', alert);
+      return 'sent';
+    });
 
-    // Skip holder tokens for auto alerts
-    if (token.source === 'holder' || token.source === 'ex-holder') return;
+    // The private/public channel call. A CA is called once whichever rule calls
+    // it, and is marked announced even while messaging is off so enabling
+    // Telegram later doesn't replay old calls.
+    alertEngine.setChannel('telegram', async (alert, token) => {
+      if (!this.telegramService || !this.telegramAutoAlert) return 'auto-alert off';
+      if (this.telegramService.isAnnounced(alert.address)) return 'already announced';
+      this.telegramService.markAsAnnounced(alert.address, true);
+
+      const result = await this.telegramService.sendTier3Alert(alert.address, await this.getTelegramAlertInfo(token));
+      if (result.queuedPrivate) {
+        logger.info(`📢 ${alert.rule} queued: ${alert.symbol || alert.name} @ ${alert.multiplier.toFixed(2)}x`);
+      }
+      return result.queuedPrivate ? 'queued' : (result.status || 'not queued');
+    });
 
-    // Check if token has hit tier 3
-    if (token.peakMultiplier >= this.alertTiers.tier3) {
-      // CRITICAL: Always mark as announced when hitting T3, even if messaging is disabled
-      // This prevents spam when user enables telegram later
-      if (!this.telegramService.isAnnounced(token.contractAddress)) {
-        this.telegramService.markAsAnnounced(token.contractAddress, true);
+    alertEngine.setChannel('bnb', async (alert) => {
+      if (!this.telegramService) return 'telegram unavailable';
+      if (!this.telegramService.isBNBAddress(alert.address)) return 'not a BNB address';
+      if (this.telegramService.isBNBPostedOn2x(alert.address)) return 'already posted';
 
-        // Only attempt to send if messaging is enabled
-        try {
-          const tokenInfo = {
-            name: token.name,
-            symbol: token.symbol,
-            multiplier: token.peakMultiplier
-          };
+      const result = await this.telegramService.postBNBOn2x(alert.address, {
+        name: alert.name,
+        symbol: alert.symbol,
+        multiplier: alert.multiplier
+      });
+      return result.posted ? 'queued' : (result.error || result.status);
+    });
+  }
 
-          const result = await this.telegramService.sendTier3Alert(token.contractAddress, tokenInfo);
+  // Whether a channel would deliver right now. Rules only fire through open
+  // channels, so a call skipped while auto-alert is off still goes out once it is back on
+  isAlertChannelOpen(channel) {
+    if (channel === 'telegram') return !!this.telegramService && this.telegramAutoAlert;
+    if (channel === 'bnb') return !!this.telegramService;
+    return true;
+  }
 
-          if (result.sentToPrivate) {
-            const name = token.symbol || token.name;
-            logger.info(`📢 Tier 3 alert sent: ${name} @ ${token.peakMultiplier.toFixed(2)}x`);
-          }
-        } catch (error) {
-          logger.error(`Failed to send Tier 3 alert for ${token.contractAddress}:`, error);
-        }
+  // Push tier and 2x crossings to live clients (independent of Telegram settings)
+  emitPeakAlerts(token, previousPeak) {
+    const thresholds = [
+      ['tier1', this.alertTiers.tier1],
+      ['tier2', this.alertTiers.tier2],
+      ['tier3', this.alertTiers.tier3],
+      ['2x', 2.0]
+    ];
+
+    for (const [type, threshold] of thresholds) {
+      if (previousPeak < threshold && token.peakMultiplier >= threshold) {
+        this.emit('alert', {
+          type,
+          address: token.contractAddress,
+          name: token.name,
+          symbol: token.symbol,
+          source: token.source,
+          multiplier: token.peakMultiplier,
+          currentMc: token.currentMc,
+          at: clock.now()
+        });
       }
     }
   }
 
-  async checkAndPostBNB2x(token, previousPeak) {
-    // Check if BNB token just hit 2x for the first time
-    if (!this.telegramService) return;
-
-    // Check if it's a BNB address
-    if (!this.telegramService.isBNBAddress(token.contractAddress)) return;
-
-    // Check if token just hit 2x (crossed from below 2.0 to 2.0 or above)
-    if (previousPeak < 2.0 && token.peakMultiplier >= 2.0) {
-      // Check if not already posted on 2x
-      if (!this.telegramService.isBNBPostedOn2x(token.contractAddress)) {
-        try {
-          const tokenInfo = {
-            name: token.name,
-            symbol: token.symbol,
-            multiplier: token.peakMultiplier
-          };
+  // Record that a pump.fun token left its bonding curve. `at` is null when the
+  // token was already migrated before we saw it - that is not news, so no alert.
+  markGraduated(token, venue, at) {
+    if (token.migrated) return;
+
+    token.migrated = true;
+    token.migratedTo = venue;
+    token.graduatedAt = at;
+    token.bondingCurveProgress = 100;
+    if (at === null) return;
+
+    const name = token.symbol || token.name;
+    logger.info(`🎓 ${name} graduated to ${venue}`);
+    this.emit('alert', {
+      type: 'graduated',
+      address: token.contractAddress,
+      name: token.name,
+      symbol: token.symbol,
+      source: token.source,
+      venue,
+      currentMc: token.currentMc,
+      at
+    });
 
-          await this.telegramService.postBNBOn2x(token.contractAddress, tokenInfo);
-        } catch (error) {
-          logger.error(`Failed to post BNB 2x for ${token.contractAddress}:`, error);
-        }
-      }
+    if (this.telegramService && this.telegramAutoAlert) {
+      this.telegramService.sendMessage(`🎓 ${name} graduated to ${venue}\n${token.contractAddress}`).catch(err => {
+        logger.error(`Failed to send graduation alert for ${token.contractAddress}`, err);
+      });
     }
   }
 
   async loadTokensFromDatabase() {
     try {
-      const cutoffTime = Date.now() - this.monitoringWindow;
+      const cutoffTime = clock.now() - this.monitoringWindow;
       const tokens = await db.getTokensByAge(2); // Last 2 hours
 
       let loadedCount = 0;
@@ -199,7 +327,7 @@ class TokenManager {
           volTenSecondsAgo: null,
           _tenSecondSnapshotAt: null,
           _needsRefresh: true, // Flag to indicate this token needs a fresh fetch
-          lastUpdated: tokenData.lastUpdated || Date.now(),
+          lastUpdated: tokenData.lastUpdated || clock.now(),
           // Restore source property for holder tokens (use 'degen' as default for old rows)
           source: tokenData.source || 'degen',
           holderRank: tokenData.holderRank || null,
@@ -232,13 +360,13 @@ class TokenManager {
       if (tokensToRefresh.length === 0) return;
 
       const addresses = tokensToRefresh.map(t => t.contractAddress);
-      logger.info(`Refreshing ${addresses.length} restored tokens from DexPaprika...`);
+      logger.info(`Refreshing ${addresses.length} restored tokens...`);
 
       // Fetch current data including totalSupply
-      const prices = await dexpaprika.getBatchPrices(addresses, 10);
+      const prices = await providerRegistry.getBatchQuotes(addresses);
 
       let refreshedCount = 0;
-      const now = Date.now();
+      const now = clock.now();
 
       for (const [addr, data] of Object.entries(prices)) {
         if (!data) continue;
@@ -255,6 +383,7 @@ class TokenManager {
         if (data.volume24h !== undefined) token.volume24h = data.volume24h;
         if (data.priceUsd) token.priceUsd = data.priceUsd;
         if (data.totalSupply) token.totalSupply = data.totalSupply;
+        this.applyLiquidity(token, data);
 
         // Set baseline for NET calculation (use DB value as "10 seconds ago")
         token.mcTenSecondsAgo = prevMc;
@@ -283,52 +412,111 @@ class TokenManager {
   async startTracking() {
     logger.startup('Starting token tracking system');
 
+    // Cycles return their work so a replay's virtual clock can wait for it
+    // before firing the next timer (see clock.mjs)
+
     // CYCLE 1: Discovery - Find new tokens (every 1 second, respects 60 req/min limit)
     await this.discoverNewTokens();
-    this.discoveryInterval = setInterval(() => {
-      this.discoverNewTokens();
-    }, 1000);
-
-    // Wait a moment then start updates
-    await new Promise(r => setTimeout(r, 500));
+    this.discoveryInterval = clock.setInterval(() => this.discoverNewTokens(), 1000);
+
+    // Start updates a moment later - on a timer rather than a sleep, so this
+    // resolves with everything scheduled and a replay can start its clock from there
+    this.startupTimer = clock.setTimeout(() => {
+      this.startupTimer = null;
+      this.startUpdateCycles();
+    }, 500);
+  }
 
-    // CYCLE 2: DexPaprika SSE for top 10 tokens (real-time ~1s updates)
+  startUpdateCycles() {
+    // CYCLE 2: DexPaprika SSE for top 10 tokens and contenders (real-time ~1s updates)
     this.setupDexPaprikaSSE();
 
-    // Update SSE subscriptions every 5 seconds (check if top 10 changed)
-    this.topUpdateInterval = setInterval(() => {
+    // Re-plan SSE subscriptions every 5 seconds (top 10 + rising contenders)
+    this.topUpdateInterval = clock.setInterval(() => {
       this.updateSSESubscriptions();
     }, 5000);
 
     // CYCLE 3: DexPaprika REST for background tokens (every 15 seconds)
-    // This updates all tokens NOT in the SSE top 10
-    this.dexpaprikaBackgroundInterval = setInterval(() => {
-      this.updateBackgroundTokensDexPaprika();
-      // Also update transaction metrics for SSE tokens (they don't get metrics from SSE)
-      this.updateSSETokenMetrics();
-      // Also refresh Unknown ticker tokens
-      this.refreshUnknownTickerTokens();
+    // This updates all tokens NOT streamed over SSE
+    this.dexpaprikaBackgroundInterval = clock.setInterval(() => {
+      const updates = [
+        this.updateBackgroundTokensDexPaprika(),
+        // Also update transaction metrics for SSE tokens (they don't get metrics from SSE)
+        this.updateSSETokenMetrics(),
+        // Also refresh Unknown ticker tokens
+        this.refreshUnknownTickerTokens()
+      ];
+      // Check restored tokens and re-check risky ones
+      this.refreshSafetyChecks();
+      return Promise.all(updates);
     }, 15000);
 
     // Initial background update after 2 seconds
-    setTimeout(() => {
-      this.updateBackgroundTokensDexPaprika();
-      this.updateSSETokenMetrics();
-      this.refreshUnknownTickerTokens();
+    clock.setTimeout(() => Promise.all([
+      this.updateBackgroundTokensDexPaprika(),
+      this.updateSSETokenMetrics(),
+      this.refreshUnknownTickerTokens()
+    ]), 2000);
+
+    // CYCLE 4: PumpPortal trade metrics for tokens it discovered (in-memory, no API calls)
+    // (bonding curve state comes from the same PumpPortal feed)
+    this.tradeMetricsInterval = clock.setInterval(() => Promise.all([
+      this.updateTradeMetrics(),
+      this.updateBondingCurves()
+    ]), 2000);
+
+    // CYCLE 5: Shadow scoring - every registered MVP algorithm picks from the same top 10
+    if (this.shadowScoringEnabled) {
+      this.shadowScoringInterval = clock.setInterval(() => {
+        this.runShadowScoring();
+      }, 5000);
+    }
+
+    // CYCLE 6: Alert rules over every tracked token
+    this.alertRulesInterval = clock.setInterval(() => {
+      this.runAlertRules();
     }, 2000);
   }
 
-  stopTracking() {
-    if (this.discoveryInterval) clearInterval(this.discoveryInterval);
-    if (this.topUpdateInterval) clearInterval(this.topUpdateInterval);
-    if (this.top3UpdateInterval) clearInterval(this.top3UpdateInterval);
-    if (this.next7UpdateInterval) clearInterval(this.next7UpdateInterval);
-    if (this.backgroundUpdateInterval) clearInterval(this.backgroundUpdateInterval);
-    if (this.restUpdateInterval) clearInterval(this.restUpdateInterval);
-    if (this.dexpaprikaBackgroundInterval) clearInterval(this.dexpaprikaBackgroundInterval);
+  runAlertRules() {
+    try {
+      alertEngine.evaluate(Array.from(this.trackedTokens.values()), {
+        tiers: this.alertTiers,
+        getScore: (token) => this.getScoreForToken(token, this.currentViewMode),
+        getPhase: (address) => phaseTracker.getPhase(address).phase,
+        passesLiquidityGate: (token) => this.passesLiquidityGate(token),
+        isChannelOpen: (channel) => this.isAlertChannelOpen(channel)
+      });
+    } catch (error) {
+      logger.error('Alert rule evaluation failed', error);
+    }
+  }
 
-    // Shutdown DexPaprika SSE connections
-    dexpaprika.shutdown();
+  runShadowScoring() {
+    try {
+      const top10 = this.getTop10(this.currentViewMode).filter(t => !t.riskExcluded);
+      shadowScorer.tick(top10, this.currentViewMode, (address) => this.trackedTokens.get(address));
+    } catch (error) {
+      logger.error('Shadow scoring failed', error);
+    }
+  }
+
+  stopTracking() {
+    if (this.discoveryInterval) clock.clearInterval(this.discoveryInterval);
+    if (this.startupTimer) clock.clearTimeout(this.startupTimer);
+    if (this.topUpdateInterval) clock.clearInterval(this.topUpdateInterval);
+    if (this.top3UpdateInterval) clock.clearInterval(this.top3UpdateInterval);
+    if (this.next7UpdateInterval) clock.clearInterval(this.next7UpdateInterval);
+    if (this.backgroundUpdateInterval) clock.clearInterval(this.backgroundUpdateInterval);
+    if (this.restUpdateInterval) clock.clearInterval(this.restUpdateInterval);
+    if (this.dexpaprikaBackgroundInterval) clock.clearInterval(this.dexpaprikaBackgroundInterval);
+    if (this.tradeMetricsInterval) clock.clearInterval(this.tradeMetricsInterval);
+    if (this.shadowScoringInterval) clock.clearInterval(this.shadowScoringInterval);
+    if (this.alertRulesInterval) clock.clearInterval(this.alertRulesInterval);
+
+    // Shutdown live price stream connections
+    providerRegistry.getStream()?.shutdown();
+    providerRegistry.get('pumpportal')?.shutdown?.();
 
     logger.info('Token tracking stopped');
   }
@@ -340,15 +528,19 @@ class TokenManager {
     logger.info('Setting up DexPaprika SSE for real-time top 10 updates');
 
     // Register callback for SSE price updates
-    dexpaprika.onPriceUpdate((address, price, timestamp) => {
+    const hasStream = providerRegistry.onStreamPrice((address, price, timestamp) => {
       this.handleSSEPriceUpdate(address, price, timestamp);
     });
+    if (!hasStream) {
+      logger.warn('No stream provider available - top 10 will use REST updates only');
+      return;
+    }
 
     // Initial subscription
     this.updateSSESubscriptions();
   }
 
-  // Update SSE subscriptions based on current top 10
+  // Update SSE subscriptions: current top 10 plus the contenders most likely to join it
   updateSSESubscriptions() {
     // Skip update if we're in a debounce period (recently changed view mode)
     if (this.viewModeDebounceTimer) {
@@ -356,20 +548,32 @@ class TokenManager {
     }
 
     try {
-      const top10 = this.getTop10(this.currentViewMode);
-      const newAddresses = top10.map(t => t.contractAddress);
+      const stream = providerRegistry.getStream();
+      if (!stream) return;
+
+      const now = clock.now();
+      const windowMs = this.getViewModeWindowMs(this.currentViewMode) ?? this.monitoringWindow;
+      const newAddresses = this.subscriptionPlanner.plan({
+        ranked: this.getRankedTokens(this.currentViewMode),
+        tokens: Array.from(this.trackedTokens.values()).filter(t => now - t.spottedAt <= windowMs),
+        capacity: stream.getCapacity?.() ?? 10,
+        scoreOf: (token) => this.getScoreForToken(token, this.currentViewMode).total,
+        now
+      });
 
-      // Check if top 10 actually changed
-      const changed = newAddresses.length !== this.lastTop10Addresses.length ||
-                      newAddresses.some((addr, i) => addr !== this.lastTop10Addresses[i]);
+      // Check if the plan actually changed
+      const changed = newAddresses.length !== this.lastSubscribedAddresses.length ||
+                      newAddresses.some((addr, i) => addr !== this.lastSubscribedAddresses[i]);
 
       if (changed) {
-        const result = dexpaprika.subscribeTop10(newAddresses);
+        const result = stream.subscribe(newAddresses);
         this.sseConnectedTokens = new Set(newAddresses);
-        this.lastTop10Addresses = newAddresses;
+        this.lastSubscribedAddresses = newAddresses;
 
         if (newAddresses.length > 0) {
-          logger.debug(`📡 SSE subscribed to ${result.connected} top tokens` +
+          const { pinned } = this.subscriptionPlanner.lastPlan;
+          logger.debug(`📡 SSE subscribed to ${result.connected} tokens ` +
+            `(${pinned} top, ${newAddresses.length - pinned} contenders)` +
             (result.queued > 0 ? ` (${result.queued} queued)` : ''));
         }
       }
@@ -383,7 +587,7 @@ class TokenManager {
     const token = this.trackedTokens.get(address);
     if (!token) return;
 
-    const now = Date.now();
+    const now = clock.now();
 
     // Snapshot "10 seconds ago" values for UI arrows
     // Initialize baseline if null (first update after restore)
@@ -404,8 +608,10 @@ class TokenManager {
 
     // Only calculate MC from price if we have verified supply from DexPaprika
     // Otherwise, rely on the MC from discovery/background REST updates
-    if (token.totalSupply && token.totalSupply > 0) {
-      const newMc = dexpaprika.calculateMarketCap(price, token.totalSupply);
+    // (so does an event arriving after the stream chain was changed or emptied)
+    const stream = providerRegistry.getStream();
+    if (stream && token.totalSupply && token.totalSupply > 0) {
+      const newMc = stream.calculateMarketCap(price, token.totalSupply);
 
       // Preserve previous value
       token.previousMc = token.currentMc;
@@ -418,13 +624,7 @@ class TokenManager {
         token.peakMultiplier = currentMultiplier;
         token.peakMc = token.currentMc;
 
-        // Check for tier 3 alert (only if crossing from below to above)
-        if (previousPeak < this.alertTiers.tier3 && currentMultiplier >= this.alertTiers.tier3) {
-          this.checkAndSendTier3Alert(token);
-        }
-
-        // Check for BNB 2x posting
-        this.checkAndPostBNB2x(token, previousPeak);
+        this.emitPeakAlerts(token, previousPeak);
       }
 
       // Check and record price path milestones (1.25x, 1.5x, 1.75x)
@@ -436,6 +636,9 @@ class TokenManager {
 
     // Record snapshot for MVP momentum tracking
     mvpCalculator.recordSnapshot(address, token.currentMc, token.volume24h);
+    shadowScorer.recordSnapshot(address, token.currentMc, token.volume24h);
+    phaseTracker.observe(token, now);
+    this.recordPriceHistory(token, now);
 
     // Save to database (debounced - only save every 5 seconds per token)
     if (!token._lastDbSave || now - token._lastDbSave >= 5000) {
@@ -444,15 +647,60 @@ class TokenManager {
         logger.error(`DB save failed for ${address}: ${err.message}`);
       });
     }
+
+    this.emit('tokensChanged');
   }
 
-  // Background update for tokens NOT in SSE top 10
+  // Persist a downsampled MC/volume/price point for charts
+  recordPriceHistory(token, now) {
+    if (!token.id || !token.currentMc) return;
+    if (token._lastHistoryAt && now - token._lastHistoryAt < this.priceHistorySampleMs) return;
+
+    token._lastHistoryAt = now;
+    db.addPriceHistory(token.id, token.currentMc, token.volume24h, token.priceUsd, now).catch(err => {
+      logger.error(`Price history save failed for ${token.contractAddress}: ${err.message}`);
+    });
+  }
+
+  // Chart candles for a tracked token, or null if it is not tracked
+  async getPriceHistory(address, { from, to, resolutionMs }) {
+    const token = this.trackedTokens.get(address);
+    if (!token) return null;
+
+    const rows = await db.getPriceHistoryRange(token.id, from, to);
+    return {
+      address,
+      symbol: token.symbol,
+      spottedAt: token.spottedAt,
+      spottedMc: token.spottedMc,
+      candles: buildCandles(rows, resolutionMs)
+    };
+  }
+
+  // Token state and MC history for the Telegram alert templates
+  async getTelegramAlertInfo(token) {
+    let history = [];
+    try {
+      history = await db.getPriceHistoryRange(token.id, token.spottedAt || 0, clock.now());
+    } catch (error) {
+      logger.warn(`Price history unavailable for ${token.contractAddress} alert chart: ${error.message}`);
+    }
+    return {
+      name: token.name,
+      symbol: token.symbol,
+      multiplier: token.peakMultiplier,
+      token,
+      history
+    };
+  }
+
+  // Background update for tokens NOT streamed over SSE
   // Also includes holder/ex-holder tokens regardless of time window
   async updateBackgroundTokensDexPaprika() {
     try {
       // Get all tokens from monitoring window (same as main window)
       const windowMs = this.monitoringWindow; // 2 hours for background tracking
-      const now = Date.now();
+      const now = clock.now();
 
       const backgroundTokens = Array.from(this.trackedTokens.values())
         .filter(t => {
@@ -466,10 +714,10 @@ class TokenManager {
       if (backgroundTokens.length === 0) return;
 
       const addresses = backgroundTokens.map(t => t.contractAddress);
-      logger.info(`🔄 DexPaprika background update: ${addresses.length} tokens`);
+      logger.info(`🔄 Background update: ${addresses.length} tokens`);
 
-      // Fetch in batches (10 concurrent requests)
-      const prices = await dexpaprika.getBatchPrices(addresses, 10);
+      // Quotes fall back through the provider chain per address
+      const prices = await providerRegistry.getBatchQuotes(addresses);
 
       let updatedCount = 0;
       for (const [addr, data] of Object.entries(prices)) {
@@ -506,24 +754,36 @@ class TokenManager {
         token.previousMc = token.currentMc;
         token.previousVolume24h = token.volume24h;
 
-        // Sanity check: reject unrealistic data from DexPaprika
+        // Sanity check: reject unrealistic provider data
         // Volume > 1000x MC is clearly wrong data
         if (data.volume24h && data.marketCap && data.volume24h > data.marketCap * 1000) {
-          logger.warn(`Rejecting bad DexPaprika data for ${addr.slice(0,8)}...: Vol ${data.volume24h} > 1000x MC ${data.marketCap}`);
+          logger.warn(`Rejecting bad ${data.source} data for ${addr.slice(0,8)}...: Vol ${data.volume24h} > 1000x MC ${data.marketCap}`);
           continue;
         }
 
-        // Update with DexPaprika data
+        // Update with provider data
         if (data.marketCap) token.currentMc = data.marketCap;
         if (data.volume24h !== undefined) token.volume24h = data.volume24h;
         if (data.priceUsd) token.priceUsd = data.priceUsd;
         if (data.totalSupply) token.totalSupply = data.totalSupply; // Store for SSE MC calc
+        this.applyLiquidity(token, data);
+        if (data.pairAddress) {
+          token.pairAddress = data.pairAddress; // Pool for LP safety checks
+          token.dexId = data.dexId;
+        }
         token.lastUpdated = now;
 
+        // A pump.fun token quoted from an AMM pool has left its curve (only
+        // news if we saw it on the curve first)
+        const venue = isPumpFunAddress(addr) && migratedVenue(data.dexId);
+        if (venue) this.markGraduated(token, venue, token.bondingCurveProgress != null ? now : null);
+
         // NEW: Store transaction metrics for MVP scoring
-        if (data.transactionMetrics) {
+        // (a REST snapshot never replaces fresher per-trade metrics)
+        if (data.transactionMetrics && !this.hasFreshTradeMetrics(token, now)) {
             token.transactionMetrics = data.transactionMetrics;
             token.lastMetricsUpdate = now;
+            token.metricsSource = 'rest';
         }
 
         // Holder tokens: initialize spottedMc if it was 0 (added without initial data)
@@ -550,13 +810,7 @@ class TokenManager {
           token.peakMultiplier = currentMultiplier;
           token.peakMc = token.currentMc;
 
-          // Check for tier 3 alert (only if crossing from below to above)
-          if (previousPeak < this.alertTiers.tier3 && currentMultiplier >= this.alertTiers.tier3) {
-            this.checkAndSendTier3Alert(token);
-          }
-
-          // Check for BNB 2x posting
-          this.checkAndPostBNB2x(token, previousPeak);
+          this.emitPeakAlerts(token, previousPeak);
         }
 
         // Check and record price path milestones (1.25x, 1.5x, 1.75x)
@@ -577,8 +831,7 @@ class TokenManager {
         // Fetch missing logo for holder tokens (retry mechanism, rate limited)
         if (isHolderToken && !token.logoUrl && !token._logoFetchAttempted) {
           try {
-            await dexscreenerLimiter.acquire();
-            const tokenData = await dexscreener.getTokenByAddress(addr);
+            const tokenData = await providerRegistry.getMetadata(addr, { prefer: 'dexscreener', lane: 'holder' });
             if (tokenData && tokenData.logoUrl) {
               token.logoUrl = tokenData.logoUrl;
               logger.info(`🖼️ Fetched missing logo for holder token: ${token.symbol || addr.slice(0, 8)}`);
@@ -593,28 +846,167 @@ class TokenManager {
 
         // Record snapshot for MVP momentum tracking
         mvpCalculator.recordSnapshot(addr, token.currentMc, token.volume24h);
+        shadowScorer.recordSnapshot(addr, token.currentMc, token.volume24h);
+        phaseTracker.observe(token, now);
 
         // Save to database
         await db.insertOrUpdateToken(token);
+        this.recordPriceHistory(token, now);
         updatedCount++;
       }
 
       if (updatedCount > 0) {
-        logger.info(`📊 Updated ${updatedCount}/${addresses.length} background tokens via DexPaprika`);
+        logger.info(`📊 Updated ${updatedCount}/${addresses.length} background tokens`);
+        this.emit('tokensChanged');
       }
 
       // Cleanup old tokens
       await this.cleanupOldTokens();
     } catch (error) {
-      logger.error('DexPaprika background update failed', error);
+      logger.error('Background update failed', error);
+    }
+  }
+
+  hasFreshTradeMetrics(token, now) {
+    return token.metricsSource === 'trades' && now - token.lastMetricsUpdate < 15000;
+  }
+
+  // Per-trade metrics for tokens found on PumpPortal, which has watched their
+  // trades since launch. Never falls back to REST providers.
+  async updateTradeMetrics() {
+    try {
+      const addresses = Array.from(this.trackedTokens.values())
+        .filter(t => t.discoveredBy === 'pumpportal')
+        .map(t => t.contractAddress);
+
+      if (addresses.length === 0) return;
+
+      const metrics = await providerRegistry.getTransactionMetrics(addresses, { prefer: 'pumpportal', fallback: false });
+      const now = clock.now();
+
+      for (const [addr, data] of Object.entries(metrics)) {
+        const token = this.trackedTokens.get(addr);
+        if (!data || !token) continue;
+
+        token.transactionMetrics = data.transactionMetrics;
+        token.lastMetricsUpdate = now;
+        token.metricsSource = 'trades';
+      }
+    } catch (error) {
+      logger.error('Trade metrics update failed', error);
     }
   }
 
-  // Update transaction metrics for SSE-connected tokens (top 10)
+  // Curve progress, virtual reserves and graduation for pump.fun tokens
+  async updateBondingCurves() {
+    try {
+      const addresses = Array.from(this.trackedTokens.values())
+        .filter(t => !t.migrated && (t.discoveredBy === 'pumpportal' || isPumpFunAddress(t.contractAddress)))
+        .map(t => t.contractAddress);
+
+      if (addresses.length === 0) return;
+
+      const curves = await providerRegistry.getBondingCurves(addresses);
+      let changed = false;
+
+      for (const [addr, curve] of Object.entries(curves)) {
+        const token = this.trackedTokens.get(addr);
+        if (!curve || !token) continue;
+
+        if (curve.migrated) {
+          // Migrations older than our first sighting happened before we tracked it
+          const at = curve.migratedAt && curve.migratedAt >= token.spottedAt ? curve.migratedAt : null;
+          this.markGraduated(token, curve.migratedTo, at);
+          changed = true;
+          continue;
+        }
+
+        if (curve.progress !== null && curve.progress !== token.bondingCurveProgress) {
+          token.bondingCurveProgress = curve.progress;
+          token.virtualSolReserves = curve.virtualSolReserves;
+          token.virtualTokenReserves = curve.virtualTokenReserves;
+          changed = true;
+        }
+      }
+
+      if (changed) this.emit('tokensChanged');
+    } catch (error) {
+      logger.error('Bonding curve update failed', error);
+    }
+  }
+
+  // ============ Safety checks ============
+
+  queueSafetyCheck(token) {
+    const addr = token.contractAddress;
+    if (!this.safetyChecksEnabled || addr.startsWith('0x')) return; // Solana only
+    if (this.safetyQueue.includes(addr)) return;
+
+    this.safetyQueue.push(addr);
+    this.drainSafetyQueue();
+  }
+
+  drainSafetyQueue() {
+    while (this.safetyActive < this.safetyConcurrency && this.safetyQueue.length > 0) {
+      const token = this.trackedTokens.get(this.safetyQueue.shift());
+      if (!token) continue;
+
+      this.safetyActive++;
+      this.runSafetyCheck(token).finally(() => {
+        this.safetyActive--;
+        this.drainSafetyQueue();
+      });
+    }
+  }
+
+  async runSafetyCheck(token) {
+    const addr = token.contractAddress;
+    token.safetyCheckedAt = clock.now(); // Also keeps refreshSafetyChecks from re-queueing it mid-check
+    try {
+      const { riskFlags, riskScore, riskExcluded } = await capturedCall('safety', 'checkTokenSafety', [addr], () => checkTokenSafety(token));
+      const wasExcluded = token.riskExcluded;
+      token.riskFlags = riskFlags;
+      token.riskScore = riskScore;
+      token.riskExcluded = riskExcluded;
+
+      if (riskExcluded && !wasExcluded) {
+        const reasons = [
+          riskFlags.mintAuthority === 'active' && 'mint authority',
+          riskFlags.freezeAuthority === 'active' && 'freeze authority',
+          riskFlags.lp === 'unburned' && 'LP not burned'
+        ].filter(Boolean);
+        logger.warn(`⚠️ ${token.symbol || addr.slice(0, 8)} flagged risky (score ${riskScore}${reasons.length ? `: ${reasons.join(', ')}` : ''}) - excluded from MVP`);
+      }
+      this.emit('tokensChanged');
+    } catch (error) {
+      // Mint unreadable (RPC down or rate limited) - retried once the recheck interval passes
+      logger.debug(`Safety check failed for ${addr.slice(0, 8)}...: ${error.message}`);
+    }
+  }
+
+  // Unchecked tokens (restored from the database, or failed checks) and risky
+  // ones whose authorities or LP may since have been revoked / burned
+  refreshSafetyChecks() {
+    if (!this.safetyChecksEnabled) return;
+    const now = clock.now();
+
+    for (const token of this.trackedTokens.values()) {
+      const checkedAt = token.safetyCheckedAt || 0;
+      const flags = token.riskFlags;
+      const due = now - checkedAt > this.safetyRecheckMs;
+      const leftCurve = flags?.lp === 'curve' && token.migrated;
+
+      if ((!flags && due) || leftCurve || (flags && token.riskScore > 0 && due)) {
+        this.queueSafetyCheck(token);
+      }
+    }
+  }
+
+  // Update transaction metrics for SSE-connected tokens (top 10 + contenders)
   // SSE provides real-time price but NOT transaction metrics, so we fetch those via REST
   async updateSSETokenMetrics() {
     try {
-      const now = Date.now();
+      const now = clock.now();
 
       // Get all SSE-connected tokens that need transaction metrics update
       const sseTokens = Array.from(this.trackedTokens.values())
@@ -629,20 +1021,21 @@ class TokenManager {
       const addresses = sseTokens.map(t => t.contractAddress);
       logger.info(`📊 Updating transaction metrics for ${addresses.length} SSE tokens`);
 
-      // Fetch in batches (10 concurrent requests)
-      const prices = await dexpaprika.getBatchPrices(addresses, 10);
+      const metrics = await providerRegistry.getTransactionMetrics(addresses, { lane: 'top10' });
 
       let updatedCount = 0;
-      for (const [addr, data] of Object.entries(prices)) {
+      for (const [addr, data] of Object.entries(metrics)) {
         if (!data) continue;
 
         const token = this.trackedTokens.get(addr);
         if (!token) continue;
 
         // ONLY update transaction metrics - price/volume come from SSE
-        if (data.transactionMetrics) {
+        // (and never over fresher per-trade metrics)
+        if (data.transactionMetrics && !this.hasFreshTradeMetrics(token, now)) {
           token.transactionMetrics = data.transactionMetrics;
           token.lastMetricsUpdate = now;
+          token.metricsSource = 'rest';
           updatedCount++;
         }
 
@@ -650,6 +1043,9 @@ class TokenManager {
         if (data.totalSupply && !token.totalSupply) {
           token.totalSupply = data.totalSupply;
         }
+
+        // SSE tokens skip the REST quote cycle, so liquidity rides along here
+        this.applyLiquidity(token, data);
       }
 
       if (updatedCount > 0) {
@@ -663,7 +1059,7 @@ class TokenManager {
   // CYCLE: Refresh Unknown ticker tokens - Periodically re-query tokens with Unknown symbols
   async refreshUnknownTickerTokens() {
     try {
-      const now = Date.now();
+      const now = clock.now();
 
       // Find tokens with Unknown/UNKNOWN symbols that haven't been refreshed recently
       const unknownTokens = Array.from(this.trackedTokens.values())
@@ -676,12 +1072,12 @@ class TokenManager {
       if (unknownTokens.length === 0) return;
 
       const addresses = unknownTokens.map(t => t.contractAddress);
-      logger.info(`🔄 Refreshing ${addresses.length} Unknown ticker tokens from DexPaprika...`);
+      logger.info(`🔄 Refreshing ${addresses.length} Unknown ticker tokens...`);
 
-      // Fetch token data from DexPaprika (has better name/symbol data)
+      // Metadata chain leads with DexPaprika (has better name/symbol data)
       const tokenDataPromises = addresses.map(async (addr) => {
         try {
-          const data = await dexpaprika.getTokenData(addr);
+          const data = await providerRegistry.getMetadata(addr);
           return { address: addr, data };
         } catch (error) {
           return { address: addr, data: null, error: error.message };
@@ -725,18 +1121,17 @@ class TokenManager {
     }
   }
 
-  // CYCLE 1: Discovery - Get new tokens from profiles API
+  // CYCLE 1: Discovery - Get new tokens from the discovery providers
   async discoverNewTokens() {
     try {
-      await dexscreenerLimiter.acquire();
-      const newTokens = await dexscreener.getLatestTokenProfiles();
+      const newTokens = await providerRegistry.discover();
 
       if (!newTokens || newTokens.length === 0) {
         return;
       }
 
       // Filter to only NEW tokens (not already tracked and not recently failed)
-      const now = Date.now();
+      const now = clock.now();
       const RETRY_FAILED_AFTER = 5 * 60 * 1000; // Retry failed tokens after 5 minutes
 
       const tokensToAdd = newTokens.filter(t => {
@@ -757,113 +1152,58 @@ class TokenManager {
 
       logger.info(`🔍 Found ${tokensToAdd.length} new token${tokensToAdd.length > 1 ? 's' : ''} to discover`);
 
-      // Batch fetch initial market caps (use the same batchFetchAndUpdate logic)
-      const addresses = tokensToAdd.map(t => t.contractAddress);
-      const batchSize = 30;
-      
-      for (let i = 0; i < addresses.length; i += batchSize) {
-        const batch = addresses.slice(i, i + batchSize);
-        const batchTokenData = tokensToAdd.filter(t => batch.includes(t.contractAddress));
-        
-        await dexscreenerLimiter.acquire();
-        
-        try {
-          const response = await axios.get(
-            `https://api.dexscreener.com/latest/dex/tokens/${batch.join(',')}`,
-            {
-              headers: { 'User-Agent': 'Project-Dexter/1.0' },
-              timeout: 10000
-            }
-          );
-
-          if (!response.data?.pairs) continue;
+      // Group by discovering provider so each batch is quoted by its source first
+      const byProvider = new Map();
+      for (const tokenData of tokensToAdd) {
+        if (!byProvider.has(tokenData.provider)) byProvider.set(tokenData.provider, []);
+        byProvider.get(tokenData.provider).push(tokenData);
+      }
 
-          // Group pairs by address
-          const pairsByAddress = {};
-          for (const pair of response.data.pairs) {
-            const addr = pair.baseToken?.address;
-            if (!addr) continue;
-            if (!pairsByAddress[addr]) pairsByAddress[addr] = [];
-            pairsByAddress[addr].push(pair);
-          }
+      for (const [providerName, candidates] of byProvider) {
+        try {
+          const addresses = candidates.map(t => t.contractAddress);
+          const quotes = await providerRegistry.getBatchQuotes(addresses, { prefer: providerName, lane: 'discovery' });
 
-          // For each new token, pick best pair and create token object
-          for (const tokenData of batchTokenData) {
+          for (const tokenData of candidates) {
             const addr = tokenData.contractAddress;
-            const pairs = pairsByAddress[addr];
-            
-            if (!pairs || pairs.length === 0) {
+            const quote = quotes[addr];
+
+            if (!quote) {
               // Track this failure to avoid discovery spam
-              this.failedDiscoveryTokens.set(addr, { failedAt: Date.now(), reason: 'no_pairs' });
+              this.failedDiscoveryTokens.set(addr, { failedAt: clock.now(), reason: 'no_pairs' });
               continue;
             }
 
-            // Pick best pair using intelligent ranking (liquidity > market cap > price data)
-            const bestPair = pairs.sort((a, b) => {
-              const liqA = a.liquidity?.usd || 0;
-              const liqB = b.liquidity?.usd || 0;
-              const mcA = a.marketCap || a.fdv || 0;
-              const mcB = b.marketCap || b.fdv || 0;
-              
-              // Rank by: liquidity presence > liquidity amount > market cap presence > market cap amount
-              const rankA = [
-                liqA > 0 ? 1 : 0,
-                liqA,
-                mcA > 0 ? 1 : 0,
-                mcA
-              ];
-              const rankB = [
-                liqB > 0 ? 1 : 0,
-                liqB,
-                mcB > 0 ? 1 : 0,
-                mcB
-              ];
-              
-              for (let i = 0; i < rankA.length; i++) {
-                if (rankB[i] !== rankA[i]) return rankB[i] - rankA[i];
-              }
-              return 0;
-            })[0];
-
-            const mc = bestPair.marketCap || bestPair.fdv;
+            const mc = quote.marketCap;
             if (!mc || mc === 0) {
               // Track this failure to avoid discovery spam
-              this.failedDiscoveryTokens.set(addr, { failedAt: Date.now(), reason: 'no_mc' });
+              this.failedDiscoveryTokens.set(addr, { failedAt: clock.now(), reason: 'no_mc' });
               continue;
             }
 
             // Guard: never overwrite spottedAt for existing tokens
-            let spottedAt = Date.now();
+            let spottedAt = clock.now();
             if (this.trackedTokens.has(addr)) {
               const existing = this.trackedTokens.get(addr);
               if (existing.spottedAt && existing.spottedAt < spottedAt) {
                 spottedAt = existing.spottedAt;
               }
             }
-            const token = {
-              id: uuidv4(),
-              contractAddress: addr,
-              name: bestPair.baseToken?.name || tokenData.name || 'Unknown',
-              symbol: bestPair.baseToken?.symbol || tokenData.symbol,
-              chainShort: 'Solana',
-              logoUrl: bestPair.info?.imageUrl || tokenData.logoUrl || null,
-              spottedAt: spottedAt,
-              spottedMc: mc,
-              currentMc: mc,
-              previousMc: null,
-              peakMc: mc,
-              peakMultiplier: 1.0,
-              volume24h: bestPair.volume?.h24 || 0,
-              previousVolume24h: null,
-              mcTenSecondsAgo: mc,
-              volTenSecondsAgo: bestPair.volume?.h24 || 0,
-              _tenSecondSnapshotAt: Date.now(),
-              lastUpdated: Date.now(),
-              source: 'degen'
-            };
+            const token = this.createTokenFromQuote(addr, quote, {
+              fallback: tokenData,
+              spottedAt,
+              source: 'degen',
+              discoveredBy: providerName
+            });
+            // Launch wallet and curve account (PumpPortal launches) for the safety checks
+            if (tokenData.creator) token.creator = tokenData.creator;
+            if (tokenData.bondingCurveKey) token.bondingCurveKey = tokenData.bondingCurveKey;
 
             this.trackedTokens.set(addr, token);
             await db.insertOrUpdateToken(token);
+            this.emit('tokenAdded', token);
+            this.emit('tokensChanged');
+            this.queueSafetyCheck(token);
 
             // Post BNB contracts to BNB channel on discovery
             if (this.telegramService && this.telegramService.isBNBAddress(addr)) {
@@ -876,7 +1216,7 @@ class TokenManager {
             }
           }
         } catch (err) {
-          logger.error(`Batch discovery failed for ${batch.length} tokens:`, err?.response?.data || err?.message || err);
+          logger.error(`Batch discovery failed for ${candidates.length} tokens from ${providerName}:`, err?.message || err);
         }
       }
 
@@ -888,6 +1228,87 @@ class TokenManager {
   }
 
 
+  // New tracked token from a provider quote with a market cap. `fallback`
+  // fills in name/symbol/logo the quote lacks.
+  createTokenFromQuote(addr, quote, { fallback = {}, spottedAt, source, discoveredBy }) {
+    const mc = quote.marketCap;
+    const token = {
+      id: uuidv4(),
+      contractAddress: addr,
+      name: quote.name || fallback.name || 'Unknown',
+      symbol: quote.symbol || fallback.symbol,
+      chainShort: 'Solana',
+      logoUrl: quote.logoUrl || fallback.logoUrl || null,
+      spottedAt: spottedAt,
+      spottedMc: mc,
+      currentMc: mc,
+      previousMc: null,
+      peakMc: mc,
+      peakMultiplier: 1.0,
+      volume24h: quote.volume24h || 0,
+      previousVolume24h: null,
+      mcTenSecondsAgo: mc,
+      volTenSecondsAgo: quote.volume24h || 0,
+      _tenSecondSnapshotAt: clock.now(),
+      lastUpdated: clock.now(),
+      source,
+      discoveredBy
+    };
+    if (quote.totalSupply) token.totalSupply = quote.totalSupply;
+    this.applyLiquidity(token, quote);
+    if (quote.pairAddress) {
+      token.pairAddress = quote.pairAddress;
+      token.dexId = quote.dexId;
+    }
+
+    // Already on an AMM when found: migrated, but not a graduation we witnessed
+    const venue = isPumpFunAddress(addr) && migratedVenue(quote.dexId);
+    if (venue) this.markGraduated(token, venue, null);
+    return token;
+  }
+
+  // A CA called in a watched Telegram channel (see callWatcher.mjs). Already
+  // tracked tokens keep their source and only get the first call noted on them.
+  // Resolves to the token, or null if it is blacklisted or has no market cap.
+  async addCalledToken(contractAddress, { channelId, channelName, calledAt }) {
+    const noteCall = (token) => {
+      if (token.firstCallAt) return;
+      token.callChannelId = channelId;
+      token.callChannel = channelName || channelId;
+      token.firstCallAt = calledAt;
+      token.callMc = token.currentMc;
+    };
+
+    const existing = this.trackedTokens.get(contractAddress);
+    if (existing) {
+      noteCall(existing);
+      return existing;
+    }
+    if (await db.isBlacklisted(contractAddress)) return null;
+
+    const quotes = await providerRegistry.getBatchQuotes([contractAddress], { prefer: 'dexscreener', lane: 'discovery' });
+    const quote = quotes[contractAddress];
+    if (!quote?.marketCap) {
+      logger.warn(`Called token ${contractAddress.slice(0, 8)}... has no market data - skipped`);
+      return null;
+    }
+
+    const token = this.createTokenFromQuote(contractAddress, quote, {
+      spottedAt: calledAt,
+      source: 'telegram-call',
+      discoveredBy: 'telegram'
+    });
+    noteCall(token);
+
+    this.trackedTokens.set(contractAddress, token);
+    await db.insertOrUpdateToken(token);
+    this.emit('tokenAdded', token);
+    this.emit('tokensChanged');
+    this.queueSafetyCheck(token);
+    logger.success(`Added called token: ${token.symbol || token.name} from ${token.callChannel}`);
+    return token;
+  }
+
   // CYCLE 2: Update tokens that hit Tier 2 (1.25x+) AND have MC >= 8K using Bitquery (max 3 tokens, every 4s) - DISABLED
   // async updateTop3Bitquery() {
   //   try {
@@ -923,7 +1344,7 @@ class TokenManager {
     try {
       // Get all tracked tokens filtered by current view mode
       const windowMs = this.getViewModeWindowMs();
-      const now = Date.now();
+      const now = clock.now();
 
       const allTokens = Array.from(this.trackedTokens.values())
         .filter(t => {
@@ -1056,44 +1477,26 @@ class TokenManager {
   //   }
   // }
 
-  // Helper: OLD DexScreener batch update (kept for initial discovery)
+  // Helper: Batch quote and update (used by the full-refresh cycle)
   async batchFetchAndUpdate(addresses) {
     try {
       if (addresses.length === 0) return;
 
-      await dexscreenerLimiter.acquire();
-
-      const response = await axios.get(
-        `https://api.dexscreener.com/latest/dex/tokens/${addresses.join(',')}`,
-        {
-          headers: { 'User-Agent': 'Project-Dexter/1.0' },
-          timeout: 10000
-        }
-      );
+      const quotes = await providerRegistry.getBatchQuotes(addresses);
 
-      if (!response.data?.pairs) {
-        logger.warn(`No pairs returned for batch of ${addresses.length} tokens`);
+      const quotedCount = Object.values(quotes).filter(Boolean).length;
+      if (quotedCount === 0) {
+        logger.warn(`No quotes returned for batch of ${addresses.length} tokens`);
         return;
       }
 
-      // Group pairs by contract address
-      const pairsByAddress = {};
-      for (const pair of response.data.pairs) {
-        const addr = pair.baseToken?.address;
-        if (!addr) continue;
-        
-        if (!pairsByAddress[addr]) {
-          pairsByAddress[addr] = [];
-        }
-        pairsByAddress[addr].push(pair);
-      }
+      for (const [addr, quote] of Object.entries(quotes)) {
+        if (!quote) continue;
 
-      // Update each token with its best pair
-      for (const addr of Object.keys(pairsByAddress)) {
         const token = this.trackedTokens.get(addr);
         if (!token) continue;
 
-        const now = Date.now();
+        const now = clock.now();
         // Snapshot "10 seconds ago" values for UI arrows
         // Initialize baseline if null (first update after restore)
         if (token._tenSecondSnapshotAt === null) {
@@ -1106,46 +1509,13 @@ class TokenManager {
           token.volTenSecondsAgo = token.volume24h || 0;
         }
 
-        // Pick best pair using intelligent ranking (liquidity > market cap > price data)
-        const pairs = pairsByAddress[addr].sort((a, b) => {
-          const liqA = a.liquidity?.usd || 0;
-          const liqB = b.liquidity?.usd || 0;
-          const mcA = a.marketCap || a.fdv || 0;
-          const mcB = b.marketCap || b.fdv || 0;
-          
-          // Rank by: liquidity presence > liquidity amount > market cap presence > market cap amount
-          const rankA = [
-            liqA > 0 ? 1 : 0,
-            liqA,
-            mcA > 0 ? 1 : 0,
-            mcA
-          ];
-          const rankB = [
-            liqB > 0 ? 1 : 0,
-            liqB,
-            mcB > 0 ? 1 : 0,
-            mcB
-          ];
-          
-          for (let i = 0; i < rankA.length; i++) {
-            if (rankB[i] !== rankA[i]) return rankB[i] - rankA[i];
-          }
-          return 0;
-        });
-
-        const bestPair = pairs[0];
-        
-        // Update market cap and volume
-        const newMc = bestPair.marketCap || bestPair.fdv;
-        const newVol = bestPair.volume?.h24 || 0;
-        
         // Preserve previous values for DB/UI
         token.previousMc = token.currentMc;
         token.previousVolume24h = token.volume24h;
 
-        if (newMc) token.currentMc = newMc;
-        if (newVol !== undefined) token.volume24h = newVol;
-        token.lastUpdated = Date.now();
+        if (quote.marketCap) token.currentMc = quote.marketCap;
+        if (quote.volume24h !== undefined) token.volume24h = quote.volume24h;
+        token.lastUpdated = clock.now();
 
         // Recalculate peak multiplier
         const currentMultiplier = token.currentMc / token.spottedMc;
@@ -1162,8 +1532,8 @@ class TokenManager {
     }
   }
 
-  // Helper: Get top 10 tokens (peakMultiplier >= 1.1x, sorted by peak multiplier)
-  getTop10(viewMode = 'all-time') {
+  // Helper: Get all ranked tokens (peakMultiplier >= 1.1x, sorted by peak multiplier)
+  getRankedTokens(viewMode = 'all-time') {
     // Determine time window in ms
     let windowMs = null;
     switch (viewMode) {
@@ -1173,20 +1543,40 @@ class TokenManager {
       case '2h': windowMs = 2 * 60 * 60 * 1000; break;
       case 'all-time': default: windowMs = null; break;
     }
-    const now = Date.now();
+    const now = clock.now();
     return Array.from(this.trackedTokens.values())
       .filter(t => {
         const passesTier = t.peakMultiplier >= this.alertTiers.tier1;
         const passesTime = windowMs ? (now - t.spottedAt <= windowMs) : true;
         return passesTier && passesTime;
       })
-      .sort((a, b) => b.peakMultiplier - a.peakMultiplier)
+      .sort((a, b) => b.peakMultiplier - a.peakMultiplier);
+  }
+
+  // Helper: Get top 10 tokens (thin pools below the liquidity minimum are left out)
+  getTop10(viewMode = 'all-time') {
+    return this.getRankedTokens(viewMode)
+      .filter(t => this.passesLiquidityGate(t))
       .slice(0, 10);
   }
 
+  // Liquidity from a quote. Providers report 0 when they have no pool data,
+  // so only a positive reading replaces what we already know
+  applyLiquidity(token, data) {
+    if (data.liquidity > 0) token.liquidity = data.liquidity;
+    if (data.pools > 0) token.pools = data.pools;
+  }
+
+  // Tokens without a liquidity reading yet pass; the gate only drops known-thin pools
+  passesLiquidityGate(token) {
+    if (!this.minLiquidityUsd || !(token.liquidity > 0)) return true;
+    return token.liquidity >= this.minLiquidityUsd;
+  }
+
   // Get MVP coin from top 10 based on momentum scoring
   getMVP(viewMode = 'all-time') {
-    const top10 = this.getTop10(viewMode);
+    // Tokens that can still mint or freeze (or score too risky) are never MVP
+    const top10 = this.getTop10(viewMode).filter(t => !t.riskExcluded);
     const mvp = mvpCalculator.getMVP(top10, viewMode);
 
     // Track MVP changes to calculate mvpSince
@@ -1196,7 +1586,7 @@ class TokenManager {
     if (currentMVPAddress !== previousMVPAddress) {
       // MVP changed, update tracking
       this.currentMVP[viewMode] = currentMVPAddress;
-      this.mvpSince[viewMode] = currentMVPAddress ? Date.now() : null;
+      this.mvpSince[viewMode] = currentMVPAddress ? clock.now() : null;
     }
 
     // Add mvpSince to the result
@@ -1212,17 +1602,34 @@ class TokenManager {
     return mvpCalculator.calculateMVPScore(token, viewMode);
   }
 
+  // { phase, phaseSince, timeInPhaseMs } - see phaseTracker.mjs
+  getPhase(address) {
+    return phaseTracker.getPhase(address);
+  }
+
+  getPhaseTransitions(address) {
+    return phaseTracker.getTransitions(address);
+  }
+
   // Helper: Get all tokens for "Check Tokens" view
   getAllTokens() {
     return Array.from(this.trackedTokens.values())
       .sort((a, b) => b.peakMultiplier - a.peakMultiplier);
   }
 
+  // Stop tracking a token and keep it out of discovery
+  async blacklistToken(contractAddress, name) {
+    await db.addToBlacklist(contractAddress, name);
+    this.trackedTokens.delete(contractAddress);
+    logger.warn(`Blacklisted: ${name} (${contractAddress})`);
+    this.emit('tokensChanged');
+  }
+
   // Helper: Clean up tokens older than monitoring window
   async cleanupOldTokens() {
     try {
-      const cutoffTime = Date.now() - this.monitoringWindow;
-      const holderCutoffTime = Date.now() - this.holderMonitoringWindow;
+      const cutoffTime = clock.now() - this.monitoringWindow;
+      const holderCutoffTime = clock.now() - this.holderMonitoringWindow;
       const keysToDelete = [];
 
       // Separate holder and degen tokens for different handling
@@ -1270,6 +1677,7 @@ class TokenManager {
       keysToDelete.forEach(addr => this.trackedTokens.delete(addr));
 
       if (keysToDelete.length > 0) {
+        this.emit('tokensChanged');
         const degenCount = keysToDelete.filter(addr => {
           const token = this.trackedTokens.get(addr);
           return token && token.source !== 'holder' && token.source !== 'ex-holder';
@@ -1279,9 +1687,26 @@ class TokenManager {
 
       // Clean up MVP calculator buffers for tokens no longer tracked
       mvpCalculator.cleanupStaleBuffers(Array.from(this.trackedTokens.keys()));
+      shadowScorer.cleanupStaleBuffers(Array.from(this.trackedTokens.keys()));
+      phaseTracker.cleanupStaleBuffers(Array.from(this.trackedTokens.keys()));
+
+      // Price history follows the same windows: degen history expires after 2 hours,
+      // holder/ex-holder history is kept for 48 hours
+      if (clock.now() - this.lastPriceHistoryPrune >= this.priceHistoryPruneMs) {
+        this.lastPriceHistoryPrune = clock.now();
+        const holderIds = [];
+        for (const token of this.trackedTokens.values()) {
+          if (token.source === 'holder' || token.source === 'ex-holder') holderIds.push(token.id);
+        }
+        const prunedRecent = await db.prunePriceHistory(cutoffTime, holderIds);
+        const prunedHolder = await db.prunePriceHistory(holderCutoffTime);
+        if (prunedRecent + prunedHolder > 0) {
+          logger.database(`Pruned ${prunedRecent + prunedHolder} price history samples`);
+        }
+      }
 
       // Clean up failed discovery tokens (remove entries older than 1 hour)
-      const failedCutoffTime = Date.now() - (60 * 60 * 1000);
+      const failedCutoffTime = clock.now() - (60 * 60 * 1000);
       let failedCleanupCount = 0;
       for (const [addr, data] of this.failedDiscoveryTokens.entries()) {
         if (data.failedAt < failedCutoffTime) {
@@ -1324,9 +1749,24 @@ class TokenManager {
     }
   }
 
-  setDataSource(source) {
-    this.currentDataSource = 'dexscreener';
-    logger.info(`Data source: ${logger.highlight('dexscreener')}`);
+  // Reorder market-data providers. `source` is a provider name or a priority
+  // list; without a capability it is promoted across every chain it supports.
+  setDataSource(source, capability = null) {
+    const order = Array.isArray(source) ? source : [source];
+
+    if (capability) {
+      providerRegistry.setChain(capability, order);
+    } else {
+      providerRegistry.setSourceOrder(order);
+    }
+
+    this.currentDataSource = order[0];
+    logger.info(`Data source: ${logger.highlight(order.join(' → '))}${capability ? ` (${capability})` : ''}`);
+    return providerRegistry.getStatus();
+  }
+
+  getDataSources() {
+    return providerRegistry.getStatus();
   }
 
   async setAlertTiers(tier1, tier2, tier3) {
@@ -1340,6 +1780,18 @@ class TokenManager {
     }
   }
 
+  async setMinLiquidity(usd) {
+    try {
+      this.minLiquidityUsd = usd;
+      await db.setSetting('minLiquidityUsd', usd);
+      logger.success(`Minimum liquidity set to ${logger.highlight(usd > 0 ? '$' + usd : 'off')}`);
+      this.emit('tokensChanged');
+    } catch (error) {
+      logger.error('Failed to update minimum liquidity', error);
+      throw error;
+    }
+  }
+
   setViewMode(viewMode) {
     const validModes = ['5m', '30m', '1h', '2h', 'all-time'];
     if (!validModes.includes(viewMode)) {
@@ -1354,11 +1806,11 @@ class TokenManager {
 
       // Clear existing debounce timer
       if (this.viewModeDebounceTimer) {
-        clearTimeout(this.viewModeDebounceTimer);
+        clock.clearTimeout(this.viewModeDebounceTimer);
       }
 
       // Debounce SSE update to prevent rapid re-subscription when switching modes
-      this.viewModeDebounceTimer = setTimeout(() => {
+      this.viewModeDebounceTimer = clock.setTimeout(() => {
         logger.debug('View mode debounce elapsed, updating SSE subscriptions');
         this.viewModeDebounceTimer = null; // Clear timer so updates can proceed
         this.updateSSESubscriptions();
@@ -1387,7 +1839,7 @@ class TokenManager {
       // Check if already tracking
       if (this.trackedTokens.has(contractAddress)) {
         const existing = this.trackedTokens.get(contractAddress);
-        const now = Date.now();
+        const now = clock.now();
         existing.source = 'holder';
         existing.holderRank = rank;
 
@@ -1406,15 +1858,15 @@ class TokenManager {
         return existing;
       }
 
-      const now = Date.now();
+      const now = clock.now();
 
-      // Fetch token data from DexScreener (rate limited)
-      await dexscreenerLimiter.acquire();
-      const tokenData = await dexscreener.getTokenByAddress(contractAddress);
+      // Quote from DexScreener first (has logos), falling back through the chain
+      const quotes = await providerRegistry.getBatchQuotes([contractAddress], { prefer: 'dexscreener', lane: 'holder' });
+      const quote = quotes[contractAddress];
 
-      // Even if DexScreener fails, create a basic entry - holder coins always show
-      if (!tokenData) {
-        logger.warn(`DexScreener has no data for holder token #${rank}: ${contractAddress.slice(0, 8)}... - creating basic entry`);
+      // Even if every provider fails, create a basic entry - holder coins always show
+      if (!quote) {
+        logger.warn(`No provider has data for holder token #${rank}: ${contractAddress.slice(0, 8)}... - creating basic entry`);
 
         const token = {
           id: uuidv4(),
@@ -1453,34 +1905,26 @@ class TokenManager {
         return token;
       }
 
-      // Find best pair for market cap
-      const pairs = tokenData.pairs || [];
-      const bestPair = pairs.sort((a, b) => {
-        const mcA = a.marketCap || a.fdv || 0;
-        const mcB = b.marketCap || b.fdv || 0;
-        return mcB - mcA;
-      })[0];
-
-      // Even if no pairs, create entry with available data
-      const mc = bestPair?.marketCap || bestPair?.fdv || 0;
+      // Even without a market cap, create entry with available data
+      const mc = quote.marketCap || 0;
 
       const token = {
         id: uuidv4(),
         contractAddress,
-        name: bestPair?.baseToken?.name || tokenData.name || 'Unknown',
-        symbol: bestPair?.baseToken?.symbol || tokenData.symbol || contractAddress.slice(0, 6).toUpperCase(),
-        chainShort: bestPair?.chainId || 'solana',
-        logoUrl: bestPair?.info?.imageUrl || tokenData.logoUrl || null,
+        name: quote.name || 'Unknown',
+        symbol: quote.symbol || contractAddress.slice(0, 6).toUpperCase(),
+        chainShort: 'solana',
+        logoUrl: quote.logoUrl || null,
         spottedAt: now,
         spottedMc: mc,
         currentMc: mc,
         previousMc: null,
         peakMc: mc,
         peakMultiplier: 1.0,
-        volume24h: bestPair?.volume?.h24 || 0,
+        volume24h: quote.volume24h || 0,
         previousVolume24h: null,
         mcTenSecondsAgo: mc,
-        volTenSecondsAgo: bestPair?.volume?.h24 || 0,
+        volTenSecondsAgo: quote.volume24h || 0,
         _tenSecondSnapshotAt: now,
         mcTenMinutesAgo: mc,
         _tenMinuteSnapshotAt: now,
@@ -1513,7 +1957,7 @@ class TokenManager {
       logger.error(`Failed to add holder token ${contractAddress.slice(0, 8)}...`, error);
 
       // Even on error, create a minimal entry so it shows up
-      const now = Date.now();
+      const now = clock.now();
       const token = {
         id: uuidv4(),
         contractAddress,
@@ -1647,13 +2091,13 @@ class TokenManager {
 
   async shutdown() {
     this.stopTracking();
-    dexpaprika.shutdown();
     await db.closeDatabase();
   }
 
-  // Get DexPaprika SSE stats for monitoring
+  // Get live stream stats for monitoring
   getSSEStats() {
-    return dexpaprika.getSSEStats();
+    const stream = providerRegistry.getStream()?.getStats() || null;
+    return stream && { ...stream, planner: this.subscriptionPlanner.getStats() };
   }
 }
 
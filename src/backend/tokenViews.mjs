@@ -0,0 +1,202 @@
+/**
+ * Token list views
+ *
+ * Response shapes for the degen top 10 and the holder list. Shared by the
+ * polling routes (GET /api/tokens/top, /holder) and the live push hub so both
+ * transports always send identical token objects.
+ */
+
+// Decimal places for each component's raw value (weighted values get 2)
+const RAW_DECIMALS = {
+  buyPressure: 3,
+  netBuyVolume: 2,
+  txnsVelocity: null, // A count, sent as is
+  priceMomentum: 2,
+  sseMomentum: 3,
+  liquidity: 3
+};
+const DEFAULT_RAW_DECIMALS = 4;
+
+const round = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+function formatComponents(components) {
+  const formatted = {};
+  for (const [name, { raw, weighted, weight, frames }] of Object.entries(components)) {
+    const decimals = name in RAW_DECIMALS ? RAW_DECIMALS[name] : DEFAULT_RAW_DECIMALS;
+    formatted[name] = {
+      raw: decimals === null ? raw : round(raw, decimals),
+      weighted: round(weighted, 2),
+      weight
+    };
+    // Per-window moves (%) behind timeframeMomentum
+    if (frames) {
+      formatted[name].frames = Object.fromEntries(Object.entries(frames).map(([label, pct]) => [label, round(pct, 2)]));
+    }
+  }
+  return formatted;
+}
+
+const roundBand = ({ lower, upper }) => ({ lower: round(lower, 2), upper: round(upper, 2) });
+
+export function buildTopView(tokenManager, viewMode = 'all-time') {
+  const top10 = tokenManager.getTop10(viewMode);
+  const mvpData = tokenManager.getMVP(viewMode);
+
+  const responseData = {
+    top10: top10.map((token, index) => {
+      let netPercent = 0;
+      if (token.mcTenSecondsAgo !== null && token.mcTenSecondsAgo > 0) {
+        netPercent = ((token.currentMc - token.mcTenSecondsAgo) / token.mcTenSecondsAgo) * 100;
+      }
+
+      const isMVP = mvpData && token.contractAddress === mvpData.address;
+
+      // Calculate score components for each token
+      const scoreData = tokenManager.getScoreForToken(token, viewMode);
+
+      return {
+        ...token,
+        rank: index + 1,
+        name: token.symbol && token.symbol !== 'UNKNOWN' ? token.symbol : token.name,
+        multiplier: (token.peakMultiplier).toFixed(2) + 'x',
+        currentMultiplier: (token.currentMc / token.spottedMc).toFixed(2) + 'x',
+        netPercent: parseFloat(netPercent.toFixed(2)),
+        bondingCurveProgress: token.bondingCurveProgress != null ? parseFloat(token.bondingCurveProgress.toFixed(1)) : null,
+        migrated: !!token.migrated,
+        isMVP: isMVP,
+        score: scoreData ? parseFloat(scoreData.total.toFixed(2)) : null,
+        confidence: scoreData?.confidence != null ? parseFloat(scoreData.confidence.toFixed(2)) : null,
+        scoreBand: scoreData?.band ? roundBand(scoreData.band) : null,
+        components: scoreData ? formatComponents(scoreData.components) : null,
+        metricsFresh: scoreData ? scoreData.metricsFresh : false,
+        // Only set when the learned calculator is live
+        probability: scoreData?.probability ?? null,
+        ...tokenManager.getPhase(token.contractAddress)
+      };
+    }),
+    mvp: mvpData ? {
+      address: mvpData.address,
+      name: mvpData.token.symbol || mvpData.token.name,
+      fullName: mvpData.token.name,
+      score: parseFloat(mvpData.score.toFixed(2)),
+      health: parseFloat((mvpData.health * 100).toFixed(1)),
+      confidence: mvpData.confidence != null ? parseFloat(mvpData.confidence.toFixed(2)) : null,
+      scoreBand: mvpData.band ? roundBand(mvpData.band) : null,
+      components: formatComponents(mvpData.components),
+      acceleration: mvpData.acceleration ? {
+        mc: parseFloat((mvpData.acceleration.mcAcceleration * 100).toFixed(2)),
+        volume: parseFloat((mvpData.acceleration.volumeAcceleration * 100).toFixed(2))
+      } : null,
+      currentMc: mvpData.token.currentMc,
+      spottedMc: mvpData.token.spottedMc,
+      peakMc: mvpData.token.peakMc,
+      peakMultiplier: mvpData.token.peakMultiplier,
+      volume24h: mvpData.token.volume24h,
+      liquidity: mvpData.token.liquidity || 0,
+      logoUrl: mvpData.token.logoUrl,
+      contractAddress: mvpData.token.contractAddress,
+      hasData: mvpData.hasData,
+      dataPoints: mvpData.dataPoints,
+      metricsFresh: mvpData.metricsFresh,
+      mvpSince: mvpData.mvpSince,
+      probability: mvpData.probability ?? null,
+      contributions: mvpData.contributions || null,
+      model: mvpData.model || null
+    } : null,
+    monitoringCount: tokenManager.trackedTokens.size,
+    tierInfo: tokenManager.alertTiers,
+    minLiquidityUsd: tokenManager.minLiquidityUsd,
+    viewMode: viewMode
+  };
+
+  return responseData;
+}
+
+export function buildHolderView(tokenManager, logger) {
+  const holderTokens = tokenManager.getHolderTokens();
+
+  let holderMVP = null;
+
+  // Only compute MVP if we have holder tokens
+  if (holderTokens.length > 0) {
+    try {
+      holderMVP = tokenManager.getHolderMVP();
+    } catch (mvpError) {
+      logger.error('Failed to compute holder MVP, continuing without it', mvpError);
+      // Continue without MVP - tokens should still be displayed
+    }
+  }
+
+  const responseData = {
+    tokens: holderTokens.map((token) => {
+      const holderSpottedMc = token.holderSpottedMc || token.spottedMc || 1;
+      const holderPeakMult = token.holderPeakMultiplier || token.peakMultiplier || 1.0;
+      const currentMultiplier = holderSpottedMc > 0 ? token.currentMc / holderSpottedMc : 1.0;
+      const isHolderMVP = holderMVP && token.contractAddress === holderMVP.contractAddress;
+
+      let netPercent = 0;
+      if (token.mcTenMinutesAgo !== undefined && token.mcTenMinutesAgo !== null && token.mcTenMinutesAgo > 0) {
+        netPercent = ((token.currentMc - token.mcTenMinutesAgo) / token.mcTenMinutesAgo) * 100;
+      }
+
+      // Calculate holder score for this token
+      const scoreData = tokenManager.getScoreForHolderToken(token);
+
+      return {
+        ...token,
+        rank: token.holderRank,
+        name: token.symbol && token.symbol !== 'UNKNOWN' ? token.symbol : token.name,
+        spottedMc: holderSpottedMc,
+        peakMultiplier: holderPeakMult,
+        multiplier: currentMultiplier.toFixed(2) + 'x',
+        currentMultiplier: currentMultiplier.toFixed(2) + 'x',
+        peakMultiplierFormatted: holderPeakMult.toFixed(2) + 'x',
+        netPercent: parseFloat(netPercent.toFixed(2)),
+        isMVP: isHolderMVP,
+        score: parseFloat(scoreData.total.toFixed(2)),
+        ...tokenManager.getPhase(token.contractAddress)
+      };
+    }),
+    mvp: holderMVP ? {
+      address: holderMVP.address,
+      name: holderMVP.name,
+      fullName: holderMVP.fullName,
+      score: parseFloat(holderMVP.score.toFixed(2)),
+      health: parseFloat(holderMVP.health.toFixed(1)),
+      components: {
+        multiplier: {
+          raw: parseFloat(holderMVP.components.multiplier.raw.toFixed(2)),
+          score: parseFloat(holderMVP.components.multiplier.score.toFixed(1)),
+          weight: holderMVP.components.multiplier.weight
+        },
+        consistency: {
+          raw: parseFloat(holderMVP.components.consistency.raw.toFixed(2)),
+          score: parseFloat(holderMVP.components.consistency.score.toFixed(1)),
+          weight: holderMVP.components.consistency.weight
+        },
+        volume: {
+          raw: holderMVP.components.volume.raw,
+          score: parseFloat(holderMVP.components.volume.score.toFixed(1)),
+          weight: holderMVP.components.volume.weight
+        },
+        rank: {
+          raw: holderMVP.components.rank.raw,
+          score: parseFloat(holderMVP.components.rank.score.toFixed(1)),
+          weight: holderMVP.components.rank.weight
+        }
+      },
+      currentMc: holderMVP.currentMc,
+      spottedMc: holderMVP.spottedMc,
+      peakMc: holderMVP.peakMc,
+      volume24h: holderMVP.volume24h,
+      logoUrl: holderMVP.logoUrl,
+      contractAddress: holderMVP.contractAddress,
+      holderRank: holderMVP.holderRank,
+      multiplier: parseFloat(holderMVP.multiplier.toFixed(2))
+    } : null,
+    holderCount: holderTokens.length,
+    mode: 'holder'
+  };
+
+  return responseData;
+}
@@ -20,6 +20,11 @@ let degenTokenAddresses = new Set();
 let holderTokenAddresses = new Set();
 let announcedTokenAddresses = new Set();
 
+// Live stream state (/api/stream) - polling only runs while this is down
+let tokenStream = null;
+let streamConnected = false;
+let streamState = null; // { tokens: Map(address -> token), order, meta, mvp }
+
 // Notification terminal state
 let terminalMessages = [];
 const MAX_TERMINAL_MESSAGES = 10;
@@ -39,6 +44,23 @@ let milestone5AlertedTokens = new Set();
 let milestone10AlertedTokens = new Set();
 let milestone15AlertedTokens = new Set();
 
+// Price history sparklines - address -> { fetchedAt, svg }
+let sparklineCache = new Map();
+const SPARKLINE_REFRESH_MS = 30000;
+const SPARKLINE_WINDOW_MS = 30 * 60 * 1000;
+
+// Scores below this confidence (0-1) are dimmed in the top 10
+const LOW_CONFIDENCE = 0.4;
+
+// Terminal wording for the market phases the backend reports per token
+const PHASE_MESSAGES = {
+  quiet: { label: 'quiet', type: 'info' },
+  accumulation: { label: 'accumulating', type: 'info' },
+  breakout: { label: 'breaking out', type: 'success' },
+  fomo: { label: 'in a FOMO blow-off', type: 'alert' },
+  cooling: { label: 'cooling off', type: 'warning' }
+};
+
 class DexterApp {
   constructor() {
     this.tokenContainer = document.getElementById('token-list');
@@ -93,7 +115,6 @@ class DexterApp {
     // Initialize body data-mode attribute for color theming
     document.body.setAttribute('data-mode', currentMode);
 
-    this.initializeDexScreener();
     this.initializeBackendViewMode();
     this.startPolling();
   }
@@ -575,6 +596,7 @@ class DexterApp {
           volume: token.volume || 0,
           spotted: token.spotted,
           peakScore: token.score || 0,
+          phase: token.phase,
           notified: true,
           stabilizing: true  // Skip dip alerts until we have multiple data points
         };
@@ -701,6 +723,13 @@ class DexterApp {
         }
       }
 
+      // Market phase change (accumulation, breakout, FOMO, cooling)
+      if (token.phase && prevData.phase && token.phase !== prevData.phase) {
+        const phase = PHASE_MESSAGES[token.phase] || { label: token.phase, type: 'info' };
+        const was = PHASE_MESSAGES[prevData.phase]?.label || prevData.phase;
+        this.addTerminalMessage(`${tokenName} now ${phase.label} (was ${was})`, phase.type, tokenData);
+      }
+
       // Update previous data
       previousTokenData[tokenKey] = {
         score: token.score,
@@ -708,6 +737,7 @@ class DexterApp {
         spotted: token.spotted,
         rank: currentRank,
         peakScore: prevData.peakScore,
+        phase: token.phase,
         notified: true,
         stabilizing: false  // No longer stabilizing after first real update
       };
@@ -960,6 +990,7 @@ class DexterApp {
           console.warn('Failed to update backend mode:', error);
         }
 
+        this.connectStream();
         this.fetchTokens();
       });
     });
@@ -983,6 +1014,7 @@ class DexterApp {
           console.warn('Failed to update backend view mode:', error);
         }
 
+        this.connectStream();
         this.fetchTokens();
       });
     });
@@ -1069,7 +1101,8 @@ class DexterApp {
           correspondingTab.classList.add('active');
         }
 
-        // Fetch tokens with new view mode
+        // Resubscribe and fetch tokens with new view mode
+        this.connectStream();
         this.fetchTokens();
       });
     });
@@ -1351,18 +1384,6 @@ class DexterApp {
     }
   }
 
-  async initializeDexScreener() {
-    try {
-      await fetch(`${API_BASE}/data-source`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ source: 'dexscreener' })
-      });
-    } catch (error) {
-      console.error('Failed to set DexScreener:', error);
-    }
-  }
-
   async initializeBackendViewMode() {
     try {
       await fetch(`${API_BASE}/view-mode`, {
@@ -1395,8 +1416,9 @@ class DexterApp {
     await this.fetchTokens();
     await this.fetchAnnouncedTokens();
     await this.fetchTokenCounts();
+    this.connectStream();
     setInterval(() => {
-      this.fetchTokens();
+      if (!streamConnected) this.fetchTokens();
     }, 1000);
 
     setInterval(() => {
@@ -1416,6 +1438,9 @@ class DexterApp {
     }, 1000);
     this.updateClock(); // Initial update
     this.setupChannelModal();
+    this.setupScoringModal();
+    this.setupDeliveryModal();
+    this.setupChartModal();
   }
 
   updateClock() {
@@ -1505,6 +1530,267 @@ class DexterApp {
     }
   }
 
+  setupScoringModal() {
+    const openBtn = document.getElementById('scoring-profiles-btn');
+    const overlay = document.getElementById('scoring-modal-overlay');
+    if (!openBtn || !overlay) return;
+
+    const close = () => overlay.classList.remove('visible');
+
+    openBtn.addEventListener('click', async () => {
+      overlay.classList.add('visible');
+      await this.loadScoringProfiles();
+    });
+    document.getElementById('close-scoring-modal')?.addEventListener('click', close);
+    document.getElementById('cancel-scoring-btn')?.addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    document.getElementById('scoring-profile-select')?.addEventListener('change', (e) => {
+      const profile = this.scoringProfiles?.profiles.find(p => p.name === e.target.value);
+      if (profile) this.renderScoringProfile(profile);
+    });
+
+    document.getElementById('scoring-weights')?.addEventListener('input', () => this.updateScoringSums());
+    document.getElementById('save-scoring-btn')?.addEventListener('click', () => this.saveScoringProfile());
+
+    document.getElementById('activate-scoring-btn')?.addEventListener('click', async () => {
+      const name = document.getElementById('scoring-profile-select')?.value;
+      if (!name) return;
+      if (!await this.scoringRequest(`/scoring/profiles/${encodeURIComponent(name)}/activate`, 'POST')) return;
+      await this.loadScoringProfiles(name);
+      this.setScoringStatus(`Active profile: ${name}`);
+    });
+
+    document.getElementById('delete-scoring-btn')?.addEventListener('click', async () => {
+      const name = document.getElementById('scoring-profile-select')?.value;
+      if (!name || !confirm(`Delete scoring profile "${name}"?`)) return;
+      if (!await this.scoringRequest(`/scoring/profiles/${encodeURIComponent(name)}`, 'DELETE')) return;
+      await this.loadScoringProfiles();
+      this.setScoringStatus(`Deleted ${name}`);
+    });
+  }
+
+  // Fetch profiles and show `selectName` (default: the active one)
+  async loadScoringProfiles(selectName = null) {
+    try {
+      const response = await fetch(`${API_BASE}/scoring/profiles`);
+      this.scoringProfiles = await response.json();
+    } catch (error) {
+      console.error('Failed to load scoring profiles:', error);
+      this.setScoringStatus('Failed to load scoring profiles', true);
+      return;
+    }
+
+    const { profiles, active } = this.scoringProfiles;
+    const selected = profiles.find(p => p.name === selectName) || profiles.find(p => p.name === active) || profiles[0];
+
+    const select = document.getElementById('scoring-profile-select');
+    if (select) {
+      select.innerHTML = profiles.map(p => `
+        <option value="${p.name}" ${p.name === selected.name ? 'selected' : ''}>${p.name}${p.active ? ' (active)' : ''}${p.builtIn ? ' [built-in]' : ''}</option>
+      `).join('');
+    }
+    this.renderScoringProfile(selected);
+  }
+
+  renderScoringProfile(profile) {
+    const { components, viewModes } = this.scoringProfiles;
+
+    // Built-in profiles are read-only, so offer a name to clone them under
+    document.getElementById('scoring-profile-name').value = profile.builtIn ? `${profile.name}-copy` : profile.name;
+    document.getElementById('scoring-freshness').value = Math.round(profile.metricsFreshnessMs / 1000);
+    document.getElementById('scoring-health').value = profile.healthThreshold;
+    document.getElementById('scoring-rank-by').value = profile.rankBy || 'score';
+
+    const rows = components.map(component => `
+      <tr>
+        <th>${component}</th>
+        ${viewModes.map(mode => `
+          <td><input type="number" class="channel-url-input" min="0" max="1" step="0.05"
+            data-mode="${mode}" data-component="${component}" value="${profile.weights[mode][component]}"></td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    const container = document.getElementById('scoring-weights');
+    container.innerHTML = `
+      <table>
+        <thead><tr><th></th>${viewModes.map(mode => `<th>${mode}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+        <tfoot><tr><td></td>${viewModes.map(mode => `<td data-sum="${mode}"></td>`).join('')}</tr></tfoot>
+      </table>
+    `;
+
+    this.updateScoringSums();
+    this.setScoringStatus('');
+  }
+
+  // Show each column's total so it's obvious when weights stop summing to 1
+  updateScoringSums() {
+    const container = document.getElementById('scoring-weights');
+    for (const mode of this.scoringProfiles?.viewModes || []) {
+      const sum = [...container.querySelectorAll(`input[data-mode="${mode}"]`)]
+        .reduce((total, input) => total + (parseFloat(input.value) || 0), 0);
+      container.querySelector(`[data-sum="${mode}"]`).textContent = `Σ ${sum.toFixed(2)}`;
+    }
+  }
+
+  async saveScoringProfile() {
+    const weights = {};
+    document.querySelectorAll('#scoring-weights input').forEach(input => {
+      const { mode, component } = input.dataset;
+      weights[mode] = weights[mode] || {};
+      weights[mode][component] = parseFloat(input.value);
+    });
+
+    const name = document.getElementById('scoring-profile-name').value.trim();
+    const result = await this.scoringRequest('/scoring/profiles', 'POST', {
+      name,
+      weights,
+      metricsFreshnessMs: parseFloat(document.getElementById('scoring-freshness').value) * 1000,
+      healthThreshold: parseFloat(document.getElementById('scoring-health').value),
+      rankBy: document.getElementById('scoring-rank-by').value
+    });
+
+    if (result) {
+      await this.loadScoringProfiles(name);
+      this.setScoringStatus(result.active === name ? `Saved ${name} (active, applied)` : `Saved ${name} - activate it to use it`);
+    }
+  }
+
+  // JSON request against the scoring API; shows the error in the modal and returns null on failure
+  async scoringRequest(path, method, body = null) {
+    try {
+      const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      return data;
+    } catch (error) {
+      console.error(`Scoring request ${method} ${path} failed:`, error);
+      this.setScoringStatus(error.message, true);
+      return null;
+    }
+  }
+
+  setScoringStatus(message, isError = false) {
+    const status = document.getElementById('scoring-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
+  setupDeliveryModal() {
+    const openBtn = document.getElementById('delivery-log-btn');
+    const overlay = document.getElementById('delivery-modal-overlay');
+    if (!openBtn || !overlay) return;
+
+    // Refresh while open so queued messages can be seen going out
+    let refreshTimer = null;
+    const close = () => {
+      overlay.classList.remove('visible');
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+    };
+
+    openBtn.addEventListener('click', async () => {
+      overlay.classList.add('visible');
+      await this.loadDeliveryLog();
+      if (!refreshTimer) refreshTimer = setInterval(() => this.loadDeliveryLog(), 5000);
+    });
+    document.getElementById('close-delivery-modal')?.addEventListener('click', close);
+    document.getElementById('cancel-delivery-btn')?.addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    // Retry and delete need DEXTER_ADMIN_TOKEN; remembered on this machine
+    const tokenInput = document.getElementById('delivery-admin-token');
+    if (tokenInput) {
+      tokenInput.value = localStorage.getItem('dexterAdminToken') || '';
+      tokenInput.addEventListener('change', () => localStorage.setItem('dexterAdminToken', tokenInput.value.trim()));
+    }
+
+    document.getElementById('delivery-status-filter')?.addEventListener('change', () => this.loadDeliveryLog());
+    document.getElementById('refresh-delivery-btn')?.addEventListener('click', () => this.loadDeliveryLog());
+
+    document.getElementById('delivery-log')?.addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button) return;
+      const { action, id } = button.dataset;
+      if (action === 'delete' && !confirm(`Delete message #${id}?`)) return;
+
+      try {
+        const response = await fetch(`${API_BASE}/telegram/outbox/${id}${action === 'retry' ? '/retry' : ''}`, {
+          method: action === 'retry' ? 'POST' : 'DELETE',
+          headers: { 'X-Admin-Token': localStorage.getItem('dexterAdminToken') || '' }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        await this.loadDeliveryLog();
+        this.setDeliveryStatus(action === 'retry' ? `Message #${id} queued again` : `Deleted message #${id}`);
+      } catch (error) {
+        console.error(`Outbox ${action} failed:`, error);
+        this.setDeliveryStatus(error.message, true);
+      }
+    });
+  }
+
+  async loadDeliveryLog() {
+    const status = document.getElementById('delivery-status-filter')?.value || '';
+    let data;
+    try {
+      const response = await fetch(`${API_BASE}/telegram/outbox?limit=200${status ? `&status=${status}` : ''}`);
+      data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    } catch (error) {
+      console.error('Failed to load delivery log:', error);
+      this.setDeliveryStatus('Failed to load delivery log', true);
+      return;
+    }
+
+    const escape = (value) => String(value ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    const container = document.getElementById('delivery-log');
+    if (data.messages.length === 0) {
+      container.innerHTML = '<div class="delivery-empty">No messages</div>';
+    } else {
+      const rows = data.messages.map(m => `
+        <tr>
+          <td>${new Date(m.sentAt || m.createdAt).toLocaleTimeString()}</td>
+          <td title="${escape(m.channelId)}">${escape(m.channelName)}</td>
+          <td>${escape(m.kind)}</td>
+          <td class="delivery-text" title="${escape(m.text)}">${escape(m.text.split('\n')[0])}</td>
+          <td><span class="delivery-badge ${m.status}">${m.status}</span></td>
+          <td>${m.attempts}</td>
+          <td class="delivery-error" title="${escape(m.lastError)}">${escape(m.lastError)}</td>
+          <td class="delivery-actions">
+            ${m.status !== 'sent' ? `<button class="modal-btn" data-action="retry" data-id="${m.id}">RETRY</button>` : ''}
+            <button class="modal-btn danger-btn" data-action="delete" data-id="${m.id}">×</button>
+          </td>
+        </tr>
+      `).join('');
+      container.innerHTML = `
+        <table>
+          <thead><tr><th>time</th><th>channel</th><th>kind</th><th>message</th><th>status</th><th>tries</th><th>error</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+    this.setDeliveryStatus(`${data.queued} queued`);
+  }
+
+  setDeliveryStatus(message, isError = false) {
+    const status = document.getElementById('delivery-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+
   async fetchTokens() {
     try {
       // Handle radar mode - fetch and render radar data
@@ -1521,8 +1807,16 @@ class DexterApp {
       const response = await fetch(endpoint);
       if (!response.ok) throw new Error('Failed to fetch tokens');
 
-      const data = await response.json();
+      this.applyTokenData(await response.json());
+    } catch (error) {
+      console.error('Fetch error:', error);
+      this.showError('Failed to load tokens');
+    }
+  }
 
+  // Render a /tokens/top or /tokens/holder payload, whether polled or rebuilt from the stream
+  applyTokenData(data) {
+    try {
       // Handle different response formats
       const tokenArray = currentMode === 'holder' ? data.tokens : data.top10;
 
@@ -1619,11 +1913,86 @@ class DexterApp {
         lastRenderedMVP = newMVPData;
       }
     } catch (error) {
-      console.error('Fetch error:', error);
+      console.error('Render error:', error);
       this.showError('Failed to load tokens');
     }
   }
 
+  // (Re)subscribe to the push stream for the current mode and view
+  connectStream() {
+    if (tokenStream) tokenStream.close();
+    tokenStream = null;
+    streamConnected = false;
+    streamState = null;
+
+    // Radar combines both lists on its own timer
+    if (currentMode === 'radar' || !window.EventSource) return;
+
+    const mode = currentMode;
+    const query = mode === 'holder' ? 'mode=holder' : `mode=degen&viewMode=${currentViewMode}`;
+    const source = new EventSource(`${API_BASE}/stream?${query}`);
+    const tokenKey = mode === 'holder' ? 'tokens' : 'top10';
+    tokenStream = source;
+
+    const render = () => {
+      const tokens = streamState.order.map(address => streamState.tokens.get(address)).filter(Boolean);
+      this.applyTokenData({ ...streamState.meta, [tokenKey]: tokens, mvp: streamState.mvp });
+    };
+
+    source.addEventListener('snapshot', (event) => {
+      const { list, [tokenKey]: tokens = [], mvp = null, ...meta } = JSON.parse(event.data);
+      streamState = {
+        tokens: new Map(tokens.map(token => [token.contractAddress, token])),
+        order: tokens.map(token => token.contractAddress),
+        meta,
+        mvp
+      };
+      streamConnected = true;
+      render();
+    });
+
+    source.addEventListener('tokens', (event) => {
+      if (!streamState) return;
+      const delta = JSON.parse(event.data);
+      for (const address of delta.removed) streamState.tokens.delete(address);
+      for (const patch of delta.upsert) {
+        const existing = streamState.tokens.get(patch.contractAddress);
+        streamState.tokens.set(patch.contractAddress, existing ? { ...existing, ...patch } : patch);
+      }
+      streamState.order = delta.order;
+      streamState.meta = delta.meta;
+      render();
+    });
+
+    source.addEventListener('mvp', (event) => {
+      if (!streamState) return;
+      streamState.mvp = JSON.parse(event.data).mvp;
+      render();
+    });
+
+    source.addEventListener('arrival', (event) => {
+      const token = JSON.parse(event.data);
+      this.addTerminalMessage(`New token spotted: ${token.symbol || token.name} at ${this.formatCurrency(token.spottedMc)}`, 'info');
+    });
+
+    source.addEventListener('alert', (event) => {
+      const alert = JSON.parse(event.data);
+      if (alert.type === '2x') {
+        this.addTerminalMessage(`${alert.symbol || alert.name} hit 2x from spotted!`, 'success');
+      } else if (alert.type === 'graduated') {
+        const venue = alert.venue === 'raydium' ? 'Raydium' : 'PumpSwap';
+        this.addTerminalMessage(`🎓 ${alert.symbol || alert.name} graduated to ${venue}`, 'alert');
+      } else if (alert.type === 'rule') {
+        this.addTerminalMessage(`🔔 ${alert.symbol || alert.name}: ${alert.rule}`, 'alert');
+      }
+    });
+
+    // EventSource retries by itself; the 1s poll covers the gap until the next snapshot
+    source.onerror = () => {
+      streamConnected = false;
+    };
+  }
+
   updateTimeDisplay() {
     // Update time values in-place without triggering full re-render
     const rows = this.tokenContainer.querySelectorAll('.token-row');
@@ -1742,22 +2111,202 @@ class DexterApp {
 
     if (hasAddedOrRemoved || existingRows.length === 0) {
       this.fullRenderTokens(sortedTokens);
-      return;
+    } else {
+      // Tokens are the same, just check if we need to reorder
+      const needsReorder = Array.from(existingRows).some((row, index) => {
+        return sortedTokens[index].contractAddress !== row.getAttribute('data-address');
+      });
+
+      if (needsReorder) {
+        this.reorderAndUpdateTokens(sortedTokens);
+      } else {
+        // Same order, just update values in place
+        this.updateTokensInPlace(sortedTokens);
+      }
     }
 
-    // Tokens are the same, just check if we need to reorder
-    const needsReorder = Array.from(existingRows).some((row, index) => {
-      return sortedTokens[index].contractAddress !== row.getAttribute('data-address');
+    this.refreshSparklines(sortedTokens);
+  }
+
+  // ============ Price History Charts ============
+
+  // Fetch stale sparklines one at a time so a full top 10 refresh never bursts the API
+  async refreshSparklines(tokens) {
+    if (this.sparklineFetchInProgress) return;
+    this.sparklineFetchInProgress = true;
+
+    try {
+      const now = Date.now();
+      for (const token of tokens) {
+        const address = token.contractAddress;
+        const cached = sparklineCache.get(address);
+        if (cached && now - cached.fetchedAt < SPARKLINE_REFRESH_MS) continue;
+
+        try {
+          const response = await fetch(`${API_BASE}/tokens/${address}/history?resolution=1m&from=${now - SPARKLINE_WINDOW_MS}`);
+          if (!response.ok) {
+            sparklineCache.set(address, { fetchedAt: now, svg: '' });
+            continue;
+          }
+          const data = await response.json();
+          sparklineCache.set(address, { fetchedAt: now, svg: this.buildSparklineSvg(data.candles || []) });
+        } catch (error) {
+          console.error(`Sparkline fetch failed for ${address}:`, error);
+          sparklineCache.set(address, { fetchedAt: now, svg: '' });
+        }
+
+        const el = this.tokenContainer.querySelector(`.token-sparkline[data-address="${address}"]`);
+        if (el) el.innerHTML = sparklineCache.get(address).svg;
+      }
+
+      // Forget tokens that left the list
+      const visible = new Set(tokens.map(t => t.contractAddress));
+      for (const address of sparklineCache.keys()) {
+        if (!visible.has(address)) sparklineCache.delete(address);
+      }
+    } finally {
+      this.sparklineFetchInProgress = false;
+    }
+  }
+
+  buildSparklineSvg(candles, width = 60, height = 18) {
+    if (candles.length < 2) return '';
+
+    const closes = candles.map(c => c.close);
+    const min = Math.min(...closes);
+    const max = Math.max(...closes);
+    const range = max - min || 1;
+
+    const points = closes.map((value, i) => {
+      const x = (i / (closes.length - 1)) * width;
+      const y = height - 1 - ((value - min) / range) * (height - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    const color = closes[closes.length - 1] >= closes[0] ? '#4ade80' : '#f87171';
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.2" /></svg>`;
+  }
+
+  setupChartListeners() {
+    const targets = this.tokenContainer.querySelectorAll('.chart-btn, .token-sparkline');
+    targets.forEach(el => {
+      el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const row = el.closest('.token-row');
+        const address = el.getAttribute('data-address');
+        const name = row?.querySelector('.chart-btn')?.getAttribute('data-name') || address;
+        this.openChartModal(address, name);
+      });
     });
+  }
 
-    if (needsReorder) {
-      this.reorderAndUpdateTokens(sortedTokens);
-    } else {
-      // Same order, just update values in place
-      this.updateTokensInPlace(sortedTokens);
+  setupChartModal() {
+    const overlay = document.getElementById('chart-modal-overlay');
+    if (!overlay) return;
+
+    const close = () => {
+      overlay.classList.remove('visible');
+      this.chartAddress = null;
+    };
+
+    document.getElementById('close-chart-modal')?.addEventListener('click', close);
+    document.getElementById('close-chart-btn')?.addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) close();
+    });
+
+    overlay.querySelectorAll('.chart-resolution-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        overlay.querySelectorAll('.chart-resolution-btn').forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        if (this.chartAddress) this.loadChart(this.chartAddress, btn.getAttribute('data-resolution'));
+      });
+    });
+  }
+
+  openChartModal(address, name) {
+    const overlay = document.getElementById('chart-modal-overlay');
+    if (!overlay) return;
+
+    this.chartAddress = address;
+    document.getElementById('chart-modal-name').textContent = name;
+    overlay.classList.add('visible');
+
+    const active = overlay.querySelector('.chart-resolution-btn.active');
+    this.loadChart(address, active ? active.getAttribute('data-resolution') : '1m');
+  }
+
+  async loadChart(address, resolution) {
+    const container = document.getElementById('chart-container');
+    if (!container) return;
+    container.innerHTML = '<div class="chart-empty">Loading...</div>';
+
+    try {
+      const response = await fetch(`${API_BASE}/tokens/${address}/history?resolution=${resolution}`);
+      const data = await response.json();
+      if (address !== this.chartAddress) return; // Modal moved on to another token
+
+      if (!response.ok) {
+        container.innerHTML = `<div class="chart-empty">${data.error || 'History unavailable'}</div>`;
+        return;
+      }
+      this.renderCandleChart(container, data);
+    } catch (error) {
+      console.error('Chart load failed:', error);
+      container.innerHTML = '<div class="chart-empty">History unavailable</div>';
     }
   }
 
+  renderCandleChart(container, data) {
+    const candles = data.candles || [];
+    if (candles.length === 0) {
+      container.innerHTML = '<div class="chart-empty">No history recorded yet</div>';
+      return;
+    }
+
+    const width = 640;
+    const height = 260;
+    const padLeft = 56;
+    const padRight = 8;
+    const padY = 12;
+
+    const highs = candles.map(c => c.high);
+    const lows = candles.map(c => c.low);
+    const max = Math.max(...highs, data.spottedMc || 0);
+    const min = Math.min(...lows, data.spottedMc || Infinity);
+    const range = max - min || 1;
+
+    const y = (value) => padY + (1 - (value - min) / range) * (height - padY * 2);
+    const slot = (width - padLeft - padRight) / candles.length;
+    const bodyWidth = Math.max(1, slot * 0.6);
+
+    const bars = candles.map((c, i) => {
+      const x = padLeft + i * slot + slot / 2;
+      const color = c.close >= c.open ? '#4ade80' : '#f87171';
+      const top = y(Math.max(c.open, c.close));
+      const bodyHeight = Math.max(1, y(Math.min(c.open, c.close)) - top);
+      return `<line x1="${x}" x2="${x}" y1="${y(c.high)}" y2="${y(c.low)}" stroke="${color}" stroke-width="1" />` +
+        `<rect x="${x - bodyWidth / 2}" y="${top}" width="${bodyWidth}" height="${bodyHeight}" fill="${color}">` +
+        `<title>${new Date(c.time).toLocaleTimeString()}  O ${this.formatCurrency(c.open)}  H ${this.formatCurrency(c.high)}  L ${this.formatCurrency(c.low)}  C ${this.formatCurrency(c.close)}</title></rect>`;
+    }).join('');
+
+    const spottedLine = data.spottedMc
+      ? `<line x1="${padLeft}" x2="${width - padRight}" y1="${y(data.spottedMc)}" y2="${y(data.spottedMc)}" class="chart-spotted-line" />`
+      : '';
+
+    const labels = [max, (max + min) / 2, min].map(value =>
+      `<text x="${padLeft - 6}" y="${y(value) + 3}" class="chart-axis-label" text-anchor="end">${this.formatCurrency(value)}</text>`
+    ).join('');
+
+    const first = new Date(candles[0].time).toLocaleTimeString();
+    const last = new Date(candles[candles.length - 1].time).toLocaleTimeString();
+
+    container.innerHTML = `
+      <svg class="chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${labels}${spottedLine}${bars}</svg>
+      <div class="chart-footer"><span>${first}</span><span>${candles.length} candles · ${data.resolution}</span><span>${last}</span></div>
+    `;
+  }
+
   fullRenderTokens(sortedTokens) {
     const html = sortedTokens.map((token, index) => {
       token.rank = index + 1;
@@ -1815,16 +2364,25 @@ class DexterApp {
             <div class="token-icon" data-copy-ca="true">${iconHtml}</div>
             <div class="token-info">
               <div class="token-name" data-copy-ca="true">${token.name}${telegramIndicator}</div>
-              <div class="token-address token-address-subtle" data-copy-ca="true" title="${token.contractAddress} | ${chainShort.toUpperCase()}">${caDisplay}</div>
+              <div class="token-address token-address-subtle" data-copy-ca="true" title="${token.contractAddress} | ${chainShort.toUpperCase()}">${caDisplay}<span class="token-curve">${this.getCurveBadge(token)}</span><span class="token-risk">${this.getRiskBadges(token)}</span></div>
             </div>
+            <div class="token-sparkline" data-address="${token.contractAddress}" title="Open chart">${sparklineCache.get(token.contractAddress)?.svg || ''}</div>
           </div>
           <div class="token-cell spotted">${spottedMc}</div>
           <div class="token-cell current">${currentMc}${mcArrows}</div>
           <div class="token-cell volume">${volume}${volArrows}</div>
           <div class="token-cell net ${netClass}">${netDisplay}</div>
-          <div class="token-cell score">${token.score != null ? token.score.toFixed(1) : 'N/A'}</div>
+          <div class="token-cell score${this.isLowConfidence(token) ? ' low-confidence' : ''}" title="${this.formatScoreBand(token)}">${token.score != null ? token.score.toFixed(1) : 'N/A'}</div>
           <div class="token-cell time">${timeAgo}</div>
           <div class="token-cell peak">${multiplier}</div>
+          <div class="token-actions">
+            <button class="token-action-btn chart-btn" data-address="${token.contractAddress}" data-name="${token.name}" title="Open chart">
+              <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="3 17 9 11 13 15 21 7"></polyline>
+                <polyline points="15 7 21 7 21 13"></polyline>
+              </svg>
+            </button>
+          </div>
           <div class="token-actions">
             <button class="token-action-btn blacklist-btn" data-address="${token.contractAddress}" data-name="${token.name}" title="Blacklist token">
               <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -1852,6 +2410,7 @@ class DexterApp {
     this.setupCardClickListeners();
     this.setupBlacklistListeners();
     this.setupTelegramListeners();
+    this.setupChartListeners();
   }
 
   updateTokensInPlace(sortedTokens) {
@@ -1943,6 +2502,11 @@ class DexterApp {
       // Update score
       const scoreDisplay = token.score != null ? token.score.toFixed(1) : 'N/A';
       updateIfChanged('.token-cell.score', scoreDisplay);
+      const scoreCell = row.querySelector('.token-cell.score');
+      if (scoreCell) {
+        scoreCell.title = this.formatScoreBand(token);
+        scoreCell.classList.toggle('low-confidence', this.isLowConfidence(token));
+      }
 
       // Only update time if it changed significantly (to avoid constant updates)
       if (!prevData.lastTimeUpdate || Date.now() - prevData.lastTimeUpdate > 1000) {
@@ -1951,6 +2515,8 @@ class DexterApp {
       }
 
       updateIfChanged('.token-cell.peak', token.multiplier);
+      updateIfChanged('.token-curve', this.getCurveBadge(token), true);
+      updateIfChanged('.token-risk', this.getRiskBadges(token), true);
 
       // Store previous data
       previousTokenData[token.contractAddress] = {
@@ -2074,6 +2640,8 @@ class DexterApp {
     }
 
     updateIfChanged('.token-cell.peak', token.multiplier);
+    updateIfChanged('.token-curve', this.getCurveBadge(token), true);
+    updateIfChanged('.token-risk', this.getRiskBadges(token), true);
 
     // Store previous data
     previousTokenData[token.contractAddress] = {
@@ -2155,6 +2723,7 @@ class DexterApp {
         scoreEl.textContent = newScore;
       }
     }
+    updateEl(this.mvpContainer.querySelector('.mvp-score-band'), this.formatScoreBand(mvp));
 
     // Update inline stats below score (new hero stats grid)
     const heroStatValues = this.mvpContainer.querySelectorAll('.mvp-hero-stat-value');
@@ -2329,6 +2898,7 @@ class DexterApp {
               <div class="mvp-hero-score">
                 <span class="mvp-score">${mvp.score.toFixed(1)}</span>
                 <span class="mvp-hero-label">MOMENTUM</span>
+                <span class="mvp-score-band">${this.formatScoreBand(mvp)}</span>
               </div>
             </div>
             <div class="mvp-hero-header">
@@ -2557,6 +3127,7 @@ class DexterApp {
         // Ignore clicks on buttons or copy elements (handled separately)
         if (e.target.closest('.blacklist-btn')) return;
         if (e.target.closest('.telegram-btn')) return;
+        if (e.target.closest('.chart-btn') || e.target.closest('.token-sparkline')) return;
         if (e.target.closest('[data-copy-ca="true"]')) return;
 
         const address = card.getAttribute('data-address');
@@ -2768,6 +3339,9 @@ class DexterApp {
           setStatus('Already connected! You can close this window.', 'success');
           step1.classList.add('hidden');
           setTimeout(() => newWindow.close(), 2000);
+        } else if (data.status === 'not_configured') {
+          setStatus(data.error, 'error');
+          requestBtn.disabled = true;
         }
       });
 
@@ -2894,6 +3468,17 @@ class DexterApp {
     return `${Math.floor(secondsAgo / 3600)}h ago`;
   }
 
+  // "72% · 48.1–60.3": confidence and score band, empty for scores without one
+  formatScoreBand(scored) {
+    if (scored.confidence == null || !scored.scoreBand) return '';
+    const { lower, upper } = scored.scoreBand;
+    return `${Math.round(scored.confidence * 100)}% · ${lower.toFixed(1)}–${upper.toFixed(1)}`;
+  }
+
+  isLowConfidence(scored) {
+    return scored.confidence != null && scored.confidence < LOW_CONFIDENCE;
+  }
+
   getTimeAsMVP(timestamp) {
     if (!timestamp) return '—';
     const secondsAgo = Math.floor((Date.now() - timestamp) / 1000);
@@ -2974,6 +3559,44 @@ class DexterApp {
     return `${address.substring(0, startLength)}...${address.substring(address.length - endLength)}`;
   }
 
+  // Helper: pump.fun bonding curve progress bar, or a badge once graduated
+  getCurveBadge(token) {
+    if (token.migrated) {
+      const venue = token.migratedTo === 'raydium' ? 'Raydium' : 'PumpSwap';
+      const when = token.graduatedAt ? ` ${this.getTimeAgo(token.graduatedAt)}` : '';
+      return `<span class="curve-badge graduated" title="Graduated to ${venue}${when}">🎓 ${venue}</span>`;
+    }
+    if (token.bondingCurveProgress == null) return '';
+
+    const progress = token.bondingCurveProgress;
+    const hot = progress >= 80 ? ' hot' : '';
+    return `<span class="curve-badge" title="Bonding curve ${progress.toFixed(1)}% complete">` +
+      `<span class="curve-bar"><span class="curve-fill${hot}" style="width: ${progress.toFixed(0)}%"></span></span>${progress.toFixed(0)}%</span>`;
+  }
+
+  // Helper: Rug/honeypot flags from the backend safety check (nothing until it has run)
+  getRiskBadges(token) {
+    const flags = token.riskFlags;
+    if (!flags) return '';
+
+    const badges = [];
+    if (flags.mintAuthority === 'active') badges.push(['danger', 'MINT', 'Mint authority not revoked - supply can be inflated']);
+    if (flags.freezeAuthority === 'active') badges.push(['danger', 'FREEZE', 'Freeze authority not revoked - possible honeypot']);
+    if (flags.lp === 'unburned') {
+      const burned = flags.lpBurnedPct != null ? ` (${flags.lpBurnedPct.toFixed(0)}% burned)` : '';
+      badges.push(['warn', 'LP', `Liquidity not burned${burned} - can be pulled`]);
+    }
+    if (flags.top10HolderPct >= 30) badges.push(['warn', `TOP10 ${flags.top10HolderPct.toFixed(0)}%`, 'Share held by the 10 largest wallets']);
+    if (flags.devSharePct >= 10) badges.push(['warn', `DEV ${flags.devSharePct.toFixed(0)}%`, 'Share still held by the launch wallet']);
+
+    if (badges.length === 0) {
+      return `<span class="risk-badge safe" title="Safety checks passed (risk ${token.riskScore})">🛡</span>`;
+    }
+    return badges.map(([level, label, title]) =>
+      `<span class="risk-badge ${level}" title="${title} | risk ${token.riskScore}${token.riskExcluded ? ', excluded from MVP' : ''}">${label}</span>`
+    ).join('');
+  }
+
   // Helper: Get chain icon SVG
   getChainIcon(chainShort) {
     const isBnb = chainShort === 'bsc' || chainShort === 'bnb';
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the alert rule engine
+ * Runs against an in-memory store so no database is opened
+ */
+
+import { AlertEngine, DEFAULT_RULES, alertEngine, matchRule, validateRule } from '../src/backend/alertRules.mjs';
+import { tokenManager } from '../src/backend/tokenManager.mjs';
+import express from 'express';
+import { createAlertRoutes } from '../src/backend/routes/alertRoutes.mjs';
+import { createAdminAuth } from '../src/backend/adminAuth.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+
+// The alert functions of db-adapter, kept in arrays
+function memoryStore() {
+  const store = {
+    rules: [],
+    history: [],
+    settings: {},
+    nextId: 1,
+    getSetting: async (key, fallback) => store.settings[key] ?? fallback,
+    setSetting: async (key, value) => { store.settings[key] = value; },
+    getAlertRules: async () => [...store.rules],
+    saveAlertRule: async (rule) => {
+      const saved = { ...rule, id: rule.id ?? store.nextId++ };
+      store.rules = [...store.rules.filter(r => r.id !== saved.id), saved];
+      return saved;
+    },
+    deleteAlertRule: async (id) => store.rules.length !== (store.rules = store.rules.filter(r => r.id !== id)).length,
+    addAlertHistory: async (entry) => { store.history.push(entry); },
+    getAlertHistory: async ({ since = null } = {}) =>
+      store.history.filter(e => since === null || e.triggeredAt >= since).reverse()
+  };
+  return store;
+}
+
+function token(address, overrides = {}) {
+  return {
+    id: `id-${address}`,
+    contractAddress: address,
+    symbol: address.toUpperCase(),
+    source: 'degen',
+    spottedAt: START - 10 * MINUTE,
+    currentMc: 50000,
+    peakMultiplier: 1.5,
+    liquidity: 20000,
+    ...overrides
+  };
+}
+
+const context = {
+  tiers: { tier1: 1.1, tier2: 1.2, tier3: 1.3 },
+  getScore: (t) => ({ total: t.score ?? 0, components: { buyPressure: { raw: t.buyPressure ?? 0.5 } } }),
+  getPhase: (address) => (address === 'hot' ? 'breakout' : 'quiet'),
+  passesLiquidityGate: (t) => !(t.liquidity < 5000)
+};
+
+// Test 1: Validation
+function testValidation() {
+  console.log('Test 1: Validation');
+
+  const rule = validateRule({ name: ' Runner ', conditions: { multiplier: { min: 'tier3' }, marketCap: { max: '100000' } } });
+  console.assert(rule.name === 'Runner' && rule.enabled && rule.dedupeMs === null, 'Defaults should be filled in');
+  console.assert(rule.conditions.marketCap.max === 100000 && rule.conditions.multiplier.min === 'tier3', 'Bounds should be numbers or tier names');
+  console.assert(rule.channels.join() === 'live', 'Rules should default to the live channel');
+
+  const rejects = (input) => {
+    try {
+      validateRule(input);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  console.assert(rejects({ name: 'x', conditions: {} }), 'Rules need a condition');
+  console.assert(rejects({ name: 'x', conditions: { marketCap: { min: 'tier3' } } }), 'Only multiplier bounds may name a tier');
+  console.assert(rejects({ name: 'x', conditions: { score: { min: 50, max: 10 } } }), 'min above max should be refused');
+  console.assert(rejects({ name: 'x', conditions: { phases: ['moon'] } }), 'Unknown phases should be refused');
+  console.assert(rejects({ name: 'x', conditions: { score: { min: 1 } }, channels: ['email'] }), 'Unknown channels should be refused');
+  console.assert(DEFAULT_RULES.every(r => !rejects(r)), 'Default rules should validate');
+
+  console.log('✓ Test 1 passed: Validation\n');
+}
+
+// Test 2: Matching
+function testMatching() {
+  console.log('Test 2: Matching');
+
+  const ctx = { ...context, now: START, score: context.getScore };
+  const rule = validateRule({
+    name: 'Breakout with buyers',
+    conditions: { phases: ['breakout'], buyPressure: { min: 0.6 }, ageMinutes: { max: 30 } }
+  });
+
+  const values = matchRule(rule, token('hot', { buyPressure: 0.7 }), ctx);
+  console.assert(values?.phase === 'breakout' && values.ageMinutes === 10, 'Matching token should report the values it was judged on');
+  console.assert(matchRule(rule, token('hot', { buyPressure: 0.5 }), ctx) === null, 'Weak buying should not match');
+  console.assert(matchRule(rule, token('cold', { buyPressure: 0.7 }), ctx) === null, 'Wrong phase should not match');
+
+  const [tier3, bnb] = DEFAULT_RULES.map(validateRule);
+  console.assert(matchRule(tier3, token('a', { peakMultiplier: 1.31 }), ctx) !== null, 'Tier 3 rule should follow the current tier');
+  console.assert(matchRule(tier3, token('a', { peakMultiplier: 1.31, liquidity: 1000 }), ctx) === null, 'Thin pools should fail the liquidity gate');
+  console.assert(matchRule(tier3, token('a', { peakMultiplier: 1.31, source: 'holder' }), ctx) === null, 'Holder tokens are not called');
+  console.assert(matchRule(bnb, token('a', { peakMultiplier: 2.5 }), ctx) === null, 'Solana tokens are not BNB');
+  console.assert(matchRule(bnb, token(`0x${'ab'.repeat(20)}`, { peakMultiplier: 2.5 }), ctx) !== null, 'BNB 2x should match');
+
+  console.log('✓ Test 2 passed: Matching\n');
+}
+
+// Test 3: Cooldown, dedupe, delivery and history
+async function testEngine() {
+  console.log('Test 3: Engine');
+
+  const store = memoryStore();
+  const engine = new AlertEngine({ store });
+  const sent = [];
+  engine.setChannel('live', async (alert) => { sent.push(alert.address); return 'sent'; });
+  engine.setChannel('telegram', async () => { throw new Error('offline'); });
+
+  const rules = await engine.load(START);
+  console.assert(rules.length === DEFAULT_RULES.length && store.settings.alertRulesSeeded, 'First load should seed the default rules');
+
+  await engine.remove(rules[0].id);
+  await engine.remove(rules[1].id);
+  await engine.load(START);
+  console.assert(engine.list().length === 0, 'Deleted defaults should not come back');
+
+  const rule = await engine.save({
+    name: 'Over 2x',
+    conditions: { multiplier: { min: 2 } },
+    cooldownMs: MINUTE,
+    dedupeMs: 10 * MINUTE,
+    channels: ['live', 'telegram']
+  });
+
+  const tokens = [token('a', { peakMultiplier: 2.1 }), token('b', { peakMultiplier: 3 }), token('c')];
+  const first = engine.evaluate(tokens, context, START);
+  console.assert(first.length === 1 && first[0].address === 'a', 'Cooldown should allow one firing per rule');
+  console.assert(engine.evaluate(tokens, context, START + 30000).length === 0, 'Nothing should fire inside the cooldown');
+
+  const second = engine.evaluate(tokens, context, START + MINUTE);
+  console.assert(second.length === 1 && second[0].address === 'b', `Dedupe should skip "a", got ${second[0]?.address}`);
+  console.assert(engine.evaluate(tokens, context, START + 11 * MINUTE)[0]?.address === 'a', 'Dedupe window should expire');
+
+  await new Promise(resolve => setTimeout(resolve, 0));
+  console.assert(sent.join() === 'a,b,a', `Live channel should get every firing, got ${sent.join()}`);
+  const [entry] = store.history;
+  console.assert(entry.ruleId === rule.id && entry.tokenId === 'id-a' && entry.details.multiplier === 2.1, 'Firing should be logged with its rule and values');
+  console.assert(entry.channels.live === 'sent' && entry.channels.telegram === 'failed: offline', 'Each channel result should be logged');
+
+  // A restart reads recent firings back, so dedupe survives it
+  const restarted = new AlertEngine({ store });
+  await restarted.load(START + 11.5 * MINUTE);
+  console.assert(restarted.evaluate(tokens, context, START + 11.5 * MINUTE).length === 0, 'Reloaded engine should keep the cooldown');
+  const afterCooldown = restarted.evaluate(tokens, context, START + 12 * MINUTE);
+  console.assert(afterCooldown[0]?.address === 'b', `Reloaded engine should keep dedupe for "a", got ${afterCooldown[0]?.address}`);
+
+  console.log('✓ Test 3 passed: Engine\n');
+}
+
+// Test 4: A tier 3 crossing while auto-alert is off is called once it is back on
+async function testAutoAlertOff() {
+  console.log('Test 4: Tier 3 call with auto-alert off');
+
+  alertEngine.store = memoryStore();
+  await alertEngine.load();
+
+  const called = [];
+  tokenManager.setTelegramService({
+    isAnnounced: (address) => called.includes(address),
+    markAsAnnounced: () => {},
+    sendTier3Alert: async (address) => { called.push(address); return { queuedPrivate: true }; },
+    isBNBAddress: () => false
+  });
+  tokenManager.alertTiers = context.tiers;
+  tokenManager.getTelegramAlertInfo = async (t) => ({ symbol: t.symbol, multiplier: t.peakMultiplier });
+  tokenManager.trackedTokens.clear();
+  tokenManager.trackedTokens.set('runner', token('runner', { peakMultiplier: 1.4 }));
+
+  tokenManager.setTelegramAutoAlert(false);
+  tokenManager.runAlertRules();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  console.assert(called.length === 0 && alertEngine.store.history.length === 0, 'Nothing should be called or logged while auto-alert is off');
+
+  tokenManager.setTelegramAutoAlert(true);
+  tokenManager.runAlertRules();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  console.assert(called.join() === 'runner', `The crossing should be called once auto-alert is back on, got ${called.join()}`);
+
+  tokenManager.runAlertRules();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  console.assert(called.length === 1, 'The call should still be made only once');
+
+  console.log('✓ Test 4 passed: Tier 3 call with auto-alert off\n');
+}
+
+// Test 5: Changing rules needs the admin token, reading them doesn't
+async function testRoutesNeedAdmin() {
+  console.log('Test 5: Rule routes need the admin token');
+
+  const engine = new AlertEngine({ store: memoryStore() });
+  await engine.load(START);
+  const [tier3] = engine.list();
+  const logger = { info: () => {}, warn: () => {}, error: () => {}, highlight: (text) => text };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/alerts', createAlertRoutes({ alertEngine: engine, logger, requireAdmin: createAdminAuth({ logger, token: 's3cret' }) }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/alerts/rules`;
+  const send = (method, path, headers = {}) => fetch(base + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: method === 'DELETE' ? undefined : JSON.stringify({ name: 'Everything', conditions: { marketCap: { min: 0 } }, channels: ['telegram'] })
+  });
+
+  try {
+    console.assert((await send('POST', '')).status === 401, 'Creating a rule without the token should be rejected');
+    console.assert((await send('PUT', `/${tier3.id}`, { Authorization: 'Bearer nope' })).status === 401, 'Replacing a rule with a wrong token should be rejected');
+    console.assert((await send('DELETE', `/${tier3.id}`)).status === 401, 'Deleting a rule without the token should be rejected');
+    console.assert(engine.list().length === DEFAULT_RULES.length && engine.get(tier3.id).name === 'Tier 3 call', 'Rejected requests should change nothing');
+
+    console.assert((await fetch(base)).status === 200, 'Listing rules should stay open');
+    console.assert((await send('POST', '', { Authorization: 'Bearer s3cret' })).status === 200, 'The admin token should allow changes');
+    console.assert(engine.list().length === DEFAULT_RULES.length + 1, 'The authorised rule should be saved');
+  } finally {
+    server.close();
+  }
+
+  console.log('✓ Test 5 passed: Rule routes need the admin token\n');
+}
+
+// Run all tests
+console.log('Running Alert Rules Tests...\n');
+console.log('====================================\n');
+
+testValidation();
+testMatching();
+await testEngine();
+await testAutoAlertOff();
+await testRoutesNeedAdmin();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
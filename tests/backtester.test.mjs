@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the MVP backtester
+ * Runs against synthetic snapshots so results don't depend on the logs on disk
+ */
+
+import { MVPCalculatorV3 } from '../src/backend/mvpCalculator_v3.mjs';
+import {
+  parseMultiplier,
+  toCalculatorToken,
+  buildOutcomes,
+  runBacktest
+} from '../src/backend/backtester.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+
+function logEntry(address, { currentMc, spottedMc = 10000, multiplier = '1.00x', buyPressure = 0.5, txns = 20, netBuyVolume = 0 }) {
+  return {
+    address,
+    symbol: address.toUpperCase(),
+    currentMc,
+    spottedMc,
+    multiplier,
+    volume24h: 5000,
+    metricsFresh: true,
+    components: {
+      buyPressure: { raw: buyPressure },
+      netBuyVolume: { raw: netBuyVolume },
+      txnsVelocity: { raw: txns },
+      priceMomentum: { raw: 0 },
+      sseMomentum: { raw: 0 }
+    }
+  };
+}
+
+// Token "run" is bought hard and doubles from spotted; "flat" just drifts
+function buildSnapshots() {
+  const snapshots = [];
+  for (let i = 0; i < 20; i++) {
+    const time = START + i * 60000;
+    const runMc = 12000 + i * 600;
+    snapshots.push({
+      time,
+      viewMode: 'all-time',
+      tokens: [
+        toCalculatorToken(logEntry('run', {
+          currentMc: runMc,
+          multiplier: `${(runMc / 10000).toFixed(2)}x`,
+          buyPressure: 0.8,
+          netBuyVolume: 4000
+        }), time),
+        toCalculatorToken(logEntry('flat', {
+          currentMc: 11000,
+          multiplier: '1.10x',
+          buyPressure: 0.4,
+          netBuyVolume: -500
+        }), time)
+      ]
+    });
+  }
+  return snapshots;
+}
+
+// Test 1: Multiplier parsing
+function testParseMultiplier() {
+  console.log('Test 1: Multiplier parsing');
+
+  console.assert(parseMultiplier('4.80x') === 4.8, 'Should parse "4.80x"');
+  console.assert(parseMultiplier(2.5) === 2.5, 'Should pass numbers through');
+  console.assert(parseMultiplier('n/a') === null, 'Should return null for garbage');
+
+  console.log('✓ Test 1 passed: Multiplier parsing\n');
+}
+
+// Test 2: Reconstructed metrics score the same raw values that were logged
+function testTokenReconstruction() {
+  console.log('Test 2: Token reconstruction');
+
+  const time = START;
+  const token = toCalculatorToken(logEntry('abc', {
+    currentMc: 30000,
+    multiplier: '4.00x',
+    buyPressure: 0.75,
+    txns: 40,
+    netBuyVolume: -1200
+  }), time);
+
+  console.assert(token.peakMc === 40000, `peakMc should be 40000, got ${token.peakMc}`);
+  console.assert(token.lastMetricsUpdate === time, 'Fresh metrics should be stamped with the snapshot time');
+
+  const metrics = new MVPCalculatorV3().getTransactionMetrics(token);
+  console.assert(metrics.buyPressure === 0.75, `Buy pressure should round-trip, got ${metrics.buyPressure}`);
+  console.assert(metrics.txns === 40, `Txns should round-trip, got ${metrics.txns}`);
+  console.assert(metrics.netBuyVolume === -1200, `Net buy volume should round-trip, got ${metrics.netBuyVolume}`);
+
+  console.log('✓ Test 2 passed: Token reconstruction\n');
+}
+
+// Test 3: Picking the runner before it hits 2x counts for precision and recall
+function testPrecisionRecall() {
+  console.log('Test 3: Precision and recall');
+
+  const snapshots = buildSnapshots();
+  const outcomes = buildOutcomes(snapshots, new Map(), 2);
+
+  // 12000 + i*600 >= 20000 first at i = 14
+  console.assert(outcomes.hitAt.get('run') === START + 14 * 60000, 'Runner should hit 2x at minute 14');
+  console.assert(!outcomes.hitAt.has('flat'), 'Flat token should never hit 2x');
+
+  const result = runBacktest(MVPCalculatorV3, snapshots, outcomes, { horizonMs: 10 * 60000 });
+
+  console.assert(result.picks[0].address === 'run', `First pick should be the runner, got ${result.picks[0].address}`);
+  console.assert(result.precision === 1, `Precision should be 1, got ${result.precision}`);
+  console.assert(result.recall === 1, `Recall should be 1, got ${result.recall}`);
+  console.assert(result.avgForwardReturn > 0, 'Forward return should be positive for a steady climb');
+  console.assert(result.avgTimeToPeakMs === 10 * 60000, `Peak should be at the horizon, got ${result.avgTimeToPeakMs}`);
+
+  console.log('✓ Test 3 passed: Precision and recall\n');
+}
+
+// Test 4: runners.json timestamps take precedence when earlier than the logs
+function testRunnerTimestamps() {
+  console.log('Test 4: runners.json timestamps');
+
+  const snapshots = buildSnapshots();
+  const twox = START + 13 * 60000 + 30000;
+  const outcomes = buildOutcomes(snapshots, new Map([['run', twox], ['unseen', START]]), 2);
+
+  console.assert(outcomes.hitAt.get('run') === twox, 'Earlier runners.json timestamp should win');
+  console.assert(!outcomes.hitAt.has('unseen'), 'Runners never seen in the logs should be ignored');
+
+  console.log('✓ Test 4 passed: runners.json timestamps\n');
+}
+
+// Run all tests
+console.log('Running MVP Backtester Tests...\n');
+console.log('====================================\n');
+
+testParseMultiplier();
+testTokenReconstruction();
+testPrecisionRecall();
+testRunnerTimestamps();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for pump.fun bonding curve progress
+ * Covers the curve helpers at their edges, the PumpPortal client feeding them
+ * trade frames, and TokenManager applying the results, with the provider
+ * registry's getBondingCurves replaced so no network is used
+ */
+
+import {
+  curveProgress,
+  migratedVenue,
+  isPumpFunAddress,
+  INITIAL_VIRTUAL_TOKEN_RESERVES,
+  INITIAL_REAL_TOKEN_RESERVES
+} from '../src/backend/bondingCurve.mjs';
+import { pumpPortal } from '../src/backend/apis/pumpportal.mjs';
+import { tokenManager } from '../src/backend/tokenManager.mjs';
+import { providerRegistry } from '../src/backend/providers/index.mjs';
+
+// Virtual reserves left once every sellable token is bought
+const FINAL_VIRTUAL_TOKEN_RESERVES = INITIAL_VIRTUAL_TOKEN_RESERVES - INITIAL_REAL_TOKEN_RESERVES;
+const CA = 'BondingCurveTestTokenpump';
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+// Test 1: Progress at the ends of the curve and beyond them
+function testProgressEdges() {
+  console.log('Test 1: Progress at the curve edges');
+
+  console.assert(curveProgress(INITIAL_VIRTUAL_TOKEN_RESERVES) === 0, 'Fresh curve should be 0%');
+  console.assert(curveProgress(FINAL_VIRTUAL_TOKEN_RESERVES) === 100, 'Sold-out curve should be 100%');
+  console.assert(close(curveProgress(FINAL_VIRTUAL_TOKEN_RESERVES + INITIAL_REAL_TOKEN_RESERVES / 2), 50), 'Half sold should be 50%');
+  console.assert(close(curveProgress(INITIAL_VIRTUAL_TOKEN_RESERVES - 7931), 0.001), 'One 100-thousandth sold should be 0.001%');
+  console.assert(curveProgress(FINAL_VIRTUAL_TOKEN_RESERVES + 1) < 100, 'One token left should not round up to 100%');
+
+  console.assert(curveProgress(INITIAL_VIRTUAL_TOKEN_RESERVES + 1e6) === 0, 'Reserves above the start should clamp to 0%');
+  console.assert(curveProgress(FINAL_VIRTUAL_TOKEN_RESERVES - 1e6) === 100, 'Reserves below the offset should clamp to 100%');
+  console.assert(curveProgress(1) === 100, 'Tiny reserves should clamp to 100%');
+  console.assert(curveProgress(String(INITIAL_VIRTUAL_TOKEN_RESERVES)) === 0, 'Numeric strings should be read as numbers');
+
+  for (const unknown of [0, -1, null, undefined, NaN, Infinity, '', 'abc', {}]) {
+    console.assert(curveProgress(unknown) === null, `Reserves ${String(unknown)} should give unknown progress`);
+  }
+
+  console.log('✓ Test 1 passed: Progress at the curve edges\n');
+}
+
+// Test 2: Venue names and pump.fun addresses
+function testVenues() {
+  console.log('Test 2: Migration venues');
+
+  console.assert(migratedVenue('pumpswap') === 'pumpswap' && migratedVenue('pump-amm') === 'pumpswap', 'PumpSwap aliases should normalise');
+  console.assert(migratedVenue('raydium') === 'raydium', 'Raydium should count as migrated');
+  for (const venue of ['pump', 'bonk', '', null, undefined, 'constructor', 'toString', '__proto__']) {
+    console.assert(migratedVenue(venue) === null, `"${String(venue)}" should not count as migrated`);
+  }
+
+  console.assert(isPumpFunAddress(CA), 'Addresses ending in "pump" are pump.fun mints');
+  console.assert(!isPumpFunAddress('So11111111111111111111111111111111111111112'), 'Other mints are not');
+  console.assert(!isPumpFunAddress('pumpAddress') && !isPumpFunAddress(null) && !isPumpFunAddress(42), 'Non-matching values are not');
+
+  console.log('✓ Test 2 passed: Migration venues\n');
+}
+
+// Test 3: The PumpPortal client follows reserves from trade frames
+function testPumpPortalFrames() {
+  console.log('Test 3: PumpPortal trade frames');
+
+  const mint = 'FramesTestTokenpump';
+  pumpPortal.handleMessage({ txType: 'create', mint, name: 'Frames', symbol: 'FRM', vTokensInBondingCurve: INITIAL_VIRTUAL_TOKEN_RESERVES, vSolInBondingCurve: 30 });
+  console.assert(pumpPortal.getBondingCurve(mint).progress === 0, 'A launch should start at 0%');
+
+  pumpPortal.handleMessage({ txType: 'buy', mint, solAmount: 80, vTokensInBondingCurve: FINAL_VIRTUAL_TOKEN_RESERVES, vSolInBondingCurve: 115 });
+  let curve = pumpPortal.getBondingCurve(mint);
+  console.assert(curve.progress === 100 && !curve.migrated, 'A sold-out curve is 100% but not migrated yet');
+
+  pumpPortal.handleMessage({ txType: 'sell', mint, solAmount: 1, vTokensInBondingCurve: 0 });
+  console.assert(pumpPortal.getBondingCurve(mint).progress === 100, 'Frames without reserves should keep the last known progress');
+
+  pumpPortal.handleMessage({ txType: 'buy', mint, solAmount: 1, pool: 'pump-amm', vTokensInBondingCurve: 5e8 });
+  curve = pumpPortal.getBondingCurve(mint);
+  console.assert(curve.migrated && curve.migratedTo === 'pumpswap' && curve.progress === 100, 'An AMM trade should mark the mint migrated');
+  console.assert(curve.virtualTokenReserves === FINAL_VIRTUAL_TOKEN_RESERVES, 'AMM trades should not overwrite curve reserves');
+
+  pumpPortal.handleMessage({ txType: 'migrate', mint: 'UnwatchedTestTokenpump', pool: 'raydium' });
+  curve = pumpPortal.getBondingCurve('UnwatchedTestTokenpump');
+  console.assert(curve.progress === 100 && curve.migratedTo === 'raydium' && curve.virtualTokenReserves === null, 'Migrations of unwatched mints are still reported');
+  console.assert(pumpPortal.getBondingCurve('NeverSeenTestTokenpump') === null, 'Unknown mints should have no curve');
+
+  console.log('✓ Test 3 passed: PumpPortal trade frames\n');
+}
+
+// Test 4: TokenManager applies progress and graduation from the registry
+async function testTokenManager() {
+  console.log('Test 4: TokenManager curve updates');
+
+  const spottedAt = Date.parse('2026-01-21T10:00:00.000Z');
+  const token = { contractAddress: CA, symbol: 'BCT', discoveredBy: 'pumpportal', spottedAt, bondingCurveProgress: null, migrated: false };
+  tokenManager.trackedTokens.clear();
+  tokenManager.trackedTokens.set(CA, token);
+
+  const alerts = [];
+  tokenManager.on('alert', alert => alerts.push(alert));
+  let curves = {};
+  providerRegistry.getBondingCurves = async () => curves;
+
+  curves = { [CA]: { progress: 0, virtualTokenReserves: INITIAL_VIRTUAL_TOKEN_RESERVES, migrated: false } };
+  await tokenManager.updateBondingCurves();
+  console.assert(token.bondingCurveProgress === 0, '0% should be stored, not treated as missing');
+
+  curves = { [CA]: { progress: null, migrated: false } };
+  await tokenManager.updateBondingCurves();
+  console.assert(token.bondingCurveProgress === 0, 'Unknown progress should not overwrite the last value');
+
+  curves = { [CA]: { progress: 100, virtualTokenReserves: FINAL_VIRTUAL_TOKEN_RESERVES, migrated: false } };
+  await tokenManager.updateBondingCurves();
+  console.assert(token.bondingCurveProgress === 100 && !token.migrated && alerts.length === 0, '100% alone is not a graduation');
+
+  curves = { [CA]: { progress: 100, migrated: true, migratedTo: 'pumpswap', migratedAt: spottedAt - 1 } };
+  await tokenManager.updateBondingCurves();
+  console.assert(token.migrated && token.graduatedAt === null && alerts.length === 0, 'Migrations before we spotted the token should not alert');
+
+  const fresh = { contractAddress: 'FreshTestTokenpump', symbol: 'FRS', spottedAt, bondingCurveProgress: 99.9, migrated: false };
+  tokenManager.trackedTokens.set(fresh.contractAddress, fresh);
+  curves = { [fresh.contractAddress]: { progress: 100, migrated: true, migratedTo: 'raydium', migratedAt: spottedAt } };
+  await tokenManager.updateBondingCurves();
+  console.assert(fresh.graduatedAt === spottedAt && fresh.bondingCurveProgress === 100, 'A migration at the spotted time should count');
+  console.assert(alerts.length === 1 && alerts[0].type === 'graduated' && alerts[0].address === fresh.contractAddress, 'Graduation should alert once');
+
+  console.log('✓ Test 4 passed: TokenManager curve updates\n');
+}
+
+// Run all tests
+console.log('Running Bonding Curve Tests...\n');
+console.log('====================================\n');
+
+testProgressEdges();
+testVenues();
+testPumpPortalFrames();
+await testTokenManager();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
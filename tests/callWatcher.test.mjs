@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the Telegram call watcher
+ * Uses an in-memory store and a stand-in TokenManager, no Telegram session
+ */
+
+import { CallWatcher, buildLeaderboard, parseChannelRef } from '../src/backend/callWatcher.mjs';
+import { extractCAsFromMessage } from '../src/backend/contractAddresses.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+const CA_A = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const CA_B = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const CA_BNB = `0x${'ab'.repeat(20)}`;
+
+// The settings and telegramCalls functions of db-adapter
+function memoryStore() {
+  const store = {
+    settings: {},
+    calls: [],
+    getSetting: async (key, fallback) => store.settings[key] ?? fallback,
+    setSetting: async (key, value) => { store.settings[key] = JSON.parse(JSON.stringify(value)); },
+    addTelegramCall: async (call) => {
+      if (store.calls.some(c => c.channelId === call.channelId && c.contractAddress === call.contractAddress)) return false;
+      store.calls.push({ ...call });
+      return true;
+    },
+    updateTelegramCallPeaks: async (peaks) => {
+      for (const peak of peaks) {
+        const call = store.calls.find(c => c.channelId === peak.channelId && c.contractAddress === peak.contractAddress);
+        if (call && !(call.peakMc >= peak.peakMc)) call.peakMc = peak.peakMc;
+      }
+      return true;
+    },
+    getTelegramCalls: async ({ since = null } = {}) =>
+      store.calls.filter(c => since === null || c.calledAt >= since).map(c => ({ ...c }))
+  };
+  return store;
+}
+
+// Quotes every CA at 10K except the ones listed as unknown
+function tokenManager(unknown = []) {
+  const manager = {
+    trackedTokens: new Map(),
+    added: [],
+    addCalledToken: async (address, call) => {
+      if (unknown.includes(address)) return null;
+      let token = manager.trackedTokens.get(address);
+      if (!token) {
+        token = { contractAddress: address, symbol: address.slice(0, 4), currentMc: 10000, source: 'telegram-call' };
+        manager.trackedTokens.set(address, token);
+        manager.added.push(address);
+      }
+      if (!token.firstCallAt) Object.assign(token, { callChannel: call.channelName, firstCallAt: call.calledAt, callMc: token.currentMc });
+      return token;
+    }
+  };
+  return manager;
+}
+
+// Test 1: Channel references and CA extraction
+function testParsing() {
+  console.log('Test 1: Parsing');
+
+  console.assert(parseChannelRef('-1002244051860') === '-1002244051860', 'Marked ids should be kept');
+  console.assert(parseChannelRef('https://t.me/c/2244051860/7') === '-1002244051860', 't.me/c links should become marked ids');
+  console.assert(parseChannelRef('https://web.telegram.org/a/#-1003318418308') === '-1003318418308', 'Web client links should give the id');
+  console.assert(parseChannelRef('@Degen_Calls') === '@degen_calls' && parseChannelRef('t.me/Degen_Calls') === '@degen_calls', 'Usernames should be normalised');
+  let refused = false;
+  try {
+    parseChannelRef('not a channel');
+  } catch {
+    refused = true;
+  }
+  console.assert(refused, 'Free text should be refused');
+
+  const entities = [{ className: 'MessageEntityTextUrl', url: `https://dexscreener.com/solana/${CA_B}` }];
+  const cas = extractCAsFromMessage(`🚀 ${CA_A}\nalso ${CA_BNB} and again ${CA_A}`, entities);
+  console.assert(cas.join() === [CA_B, CA_A, CA_BNB].join(), `Links first, then text CAs once each, got ${cas.join()}`);
+
+  console.log('✓ Test 1 passed: Parsing\n');
+}
+
+// Test 2: Watched channels and recording calls
+async function testCalls() {
+  console.log('Test 2: Calls');
+
+  const store = memoryStore();
+  const manager = tokenManager([CA_BNB]);
+  const watcher = new CallWatcher({ store });
+  watcher.setTokenManager(manager);
+
+  const alpha = await watcher.addChannel({ channel: '-1001', name: 'Alpha' });
+  await watcher.addChannel({ channel: '@betacalls' });
+  console.assert(store.settings.callChannels.length === 2 && alpha.enabled, 'Channels should be saved enabled');
+
+  const ignored = await watcher.handleMessage({ chatId: '-1009', text: CA_A }, START);
+  console.assert(ignored.length === 0 && manager.added.length === 0, 'Unwatched chats should be ignored');
+
+  const calls = await watcher.handleMessage({ chatId: '-1001', text: `${CA_A} ${CA_BNB}`, messageId: 5 }, START);
+  console.assert(calls.length === 1 && calls[0].callMc === 10000 && calls[0].messageId === 5, 'CAs with market data should be recorded as calls');
+  console.assert(manager.trackedTokens.get(CA_A).callChannel === 'Alpha', 'The token should carry its caller');
+
+  const repeat = await watcher.handleMessage({ chatId: '-1001', text: CA_A }, START + MINUTE);
+  console.assert(repeat.length === 0, 'A channel calling the same CA again is not a new call');
+
+  manager.trackedTokens.get(CA_A).currentMc = 15000;
+  const byUsername = await watcher.handleMessage({ chatId: '-1002', username: 'BetaCalls', text: CA_A }, START + 2 * MINUTE);
+  console.assert(byUsername[0]?.callMc === 15000, 'Another channel can call the same CA at its own MC');
+  console.assert(manager.trackedTokens.get(CA_A).firstCallAt === START, 'The token keeps its first call');
+
+  await watcher.updateChannel('-1001', { enabled: false });
+  console.assert((await watcher.handleMessage({ chatId: '-1001', text: CA_B }, START)).length === 0, 'Disabled channels should be ignored');
+  console.assert(store.calls.length === 2, 'Calls should be stored');
+
+  console.log('✓ Test 2 passed: Calls\n');
+}
+
+// Test 3: Peaks and leaderboard
+async function testLeaderboard() {
+  console.log('Test 3: Leaderboard');
+
+  const store = memoryStore();
+  const manager = tokenManager();
+  const watcher = new CallWatcher({ store });
+  watcher.setTokenManager(manager);
+  await watcher.addChannel({ channel: '-1001', name: 'Alpha' });
+  await watcher.addChannel({ channel: '-1002', name: 'Beta' });
+
+  await watcher.handleMessage({ chatId: '-1001', text: `${CA_A} ${CA_B}` }, START);
+  await watcher.handleMessage({ chatId: '-1002', text: CA_A }, START + MINUTE);
+
+  manager.trackedTokens.get(CA_A).currentMc = 25000;
+  const raised = await watcher.updatePeaks(manager.trackedTokens, START + 5 * MINUTE);
+  console.assert(raised.length === 2 && store.calls.every(c => c.contractAddress !== CA_A || c.peakMc === 25000), 'Peaks should be raised and stored');
+  manager.trackedTokens.get(CA_A).currentMc = 12000;
+  await watcher.updatePeaks(manager.trackedTokens, START + 6 * MINUTE);
+  console.assert(store.calls[0].peakMc === 25000, 'A falling MC should not lower the peak');
+
+  const board = watcher.leaderboard();
+  console.assert(board.map(row => row.channelName).join() === 'Beta,Alpha', 'Better hit rate should rank first');
+  const alpha = board[1];
+  console.assert(alpha.calls === 2 && alpha.hits === 1 && alpha.hitRate === 0.5 && alpha.avgPeakMultiplier === 1.75, 'Alpha hit one of two calls');
+  console.assert(alpha.bestCall.contractAddress === CA_A && alpha.bestCall.peakMultiplier === 2.5, 'Best call should be the biggest peak');
+  console.assert(buildLeaderboard(store.calls, { hitMultiplier: 3 }).every(row => row.hits === 0), 'Hit threshold should be configurable');
+
+  // A restart reads the calls back and re-tags reloaded tokens
+  const restarted = new CallWatcher({ store });
+  await restarted.load(START + 10 * MINUTE);
+  const reloaded = new Map([[CA_B, { contractAddress: CA_B, currentMc: 9000 }]]);
+  await restarted.updatePeaks(reloaded, START + 10 * MINUTE);
+  console.assert(reloaded.get(CA_B).callChannel === 'Alpha' && reloaded.get(CA_B).callMc === 10000, 'Reloaded tokens should get their call back');
+  console.assert(restarted.leaderboard().length === 2, 'Leaderboard should survive a restart');
+
+  console.log('✓ Test 3 passed: Leaderboard\n');
+}
+
+// Run all tests
+console.log('Running Call Watcher Tests...\n');
+console.log('====================================\n');
+
+testParsing();
+await testCalls();
+await testLeaderboard();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
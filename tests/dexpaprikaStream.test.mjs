@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for DexPaprika SSE reconnects
+ * Runs the real SSE manager with https requests, Date.now and the timer
+ * functions replaced, so streams are dropped and backoffs waited out by hand
+ */
+
+import https from 'https';
+import { EventEmitter } from 'events';
+import { sseManager } from '../src/backend/apis/dexpaprika.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const CA = 'StreamTestTokenpump';
+const OTHER = 'OtherStreamTestTokenpump';
+
+// ---- Fake time: timers only fire when the test says so ----
+let now = START;
+const realNow = Date.now;
+const realTimers = { setTimeout, clearTimeout, setInterval, clearInterval };
+let timers = [];
+Date.now = () => now;
+function addTimer(fn, ms, repeat) {
+  const timer = { fn, ms, at: now + ms, repeat };
+  timers.push(timer);
+  return timer;
+}
+globalThis.setTimeout = (fn, ms) => addTimer(fn, ms, false);
+globalThis.setInterval = (fn, ms) => addTimer(fn, ms, true);
+globalThis.clearTimeout = globalThis.clearInterval = (timer) => {
+  timers = timers.filter(t => t !== timer);
+};
+const pendingReconnects = () => timers.filter(t => !t.repeat); // Health checks run as intervals, called directly below
+
+// Move time forward and fire the one-shot timers that came due
+function advance(ms) {
+  now += ms;
+  for (const timer of pendingReconnects().filter(t => t.at <= now)) {
+    timers = timers.filter(t => t !== timer);
+    timer.fn();
+  }
+}
+
+// ---- Fake https: every stream request waits for the test to answer it ----
+const requests = [];
+https.get = (url, onResponse) => {
+  const request = new EventEmitter();
+  request.url = url;
+  request.destroyed = false;
+  request.destroy = () => { request.destroyed = true; };
+  request.respond = (statusCode) => {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    res.resume = () => {};
+    onResponse(res);
+    return res;
+  };
+  requests.push(request);
+  return request;
+};
+const lastRequest = () => requests[requests.length - 1];
+
+sseManager.addressesPerStream = 1;
+sseManager.connectionDelay = 0;
+sseManager.disconnectAll();
+
+function stream(address = CA) {
+  return sseManager.streams.get(address);
+}
+
+// Test 1: Each consecutive drop doubles the wait before reconnecting
+function testBackoffDoubles() {
+  console.log('Test 1: Exponential reconnect backoff');
+
+  sseManager.updateSubscriptions([CA]);
+  console.assert(requests.length === 1 && lastRequest().url.includes(`address=${CA}`), 'Subscribing should open one stream');
+
+  const delays = [];
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    lastRequest().respond(503);
+    const [timer] = pendingReconnects();
+    delays.push(timer?.ms);
+    console.assert(stream().state === 'reconnecting', `Drop ${attempt} should leave the stream reconnecting`);
+    console.assert(sseManager.connect([CA]) === false, `Drop ${attempt}: connecting inside the backoff should be refused`);
+
+    const before = requests.length;
+    advance(timer.ms - 1);
+    console.assert(requests.length === before, `Drop ${attempt}: nothing should reconnect before the backoff ends`);
+    advance(1);
+    console.assert(requests.length === before + 1, `Drop ${attempt}: the stream should reconnect once the backoff ends`);
+  }
+
+  console.assert(delays.join() === '2000,4000,8000,16000', `Backoff should double from 2s, got ${delays.join()}`);
+  console.assert(sseManager.reconnects === 4, 'Every reconnect should be counted');
+  console.assert(sseManager.getStats().tokens[0].failures === 4 && sseManager.getStats().tokens[0].lastError === 'HTTP 503',
+    'Stats should show the failure count and last error');
+
+  console.log('✓ Test 1 passed: Exponential reconnect backoff\n');
+}
+
+// Test 2: Too many failures hand the token to REST, and SSE is retried later
+function testFallback() {
+  console.log('Test 2: REST fallback after repeated failures');
+
+  lastRequest().emit('error', new Error('socket hang up'));
+  console.assert(stream().state === 'fallback', 'The fifth failure should fall back to REST');
+  console.assert(pendingReconnects().length === 0, 'A fallback stream should not schedule a reconnect');
+  console.assert(sseManager.getStats().restFallback.join() === CA, 'The token should be polled over REST');
+
+  const before = requests.length;
+  advance(4 * 60 * 1000);
+  sseManager._checkHealth();
+  console.assert(requests.length === before, 'SSE should not be retried before the fallback period ends');
+
+  advance(60 * 1000 + 1);
+  sseManager._checkHealth();
+  console.assert(requests.length === before + 1 && stream().state === 'connecting', 'SSE should be retried after the fallback period');
+
+  lastRequest().respond(429);
+  console.assert(pendingReconnects()[0]?.ms === 2000, 'The retried stream should start its backoff from scratch');
+  advance(2000);
+
+  console.log('✓ Test 2 passed: REST fallback after repeated failures\n');
+}
+
+// Test 3: A live stream resets the backoff, and a quiet or closed one reconnects
+function testRecovery() {
+  console.log('Test 3: Recovery and stale streams');
+
+  const res = lastRequest().respond(200);
+  console.assert(stream().state === 'live' && !sseManager.failedConnections.has(CA), 'A 200 should clear the failure history');
+
+  res.emit('data', Buffer.from(`data: {"a":"${CA}","p":"0.0001","t_p":${now}}\n`));
+  console.assert(sseManager.getPrice(CA)?.price === 0.0001, 'Streamed prices should be recorded');
+
+  advance(60 * 1000);
+  sseManager._checkHealth();
+  console.assert(stream().state === 'live', 'A stream is not stale until it has been quiet for over a minute');
+  advance(1);
+  sseManager._checkHealth();
+  console.assert(stream().state === 'reconnecting' && pendingReconnects()[0]?.ms === 2000, 'A quiet stream should reconnect with the first backoff');
+  console.assert(requests[requests.length - 1].destroyed, 'The quiet request should be torn down');
+
+  // Late events from the torn-down response must not count as another failure
+  res.emit('close');
+  console.assert(sseManager.failedConnections.get(CA).failures === 1, 'Events from a replaced request should be ignored');
+
+  advance(2000);
+  lastRequest().respond(200).emit('close');
+  console.assert(pendingReconnects()[0]?.ms === 2000, 'A stream closed after connecting should start the backoff again');
+
+  console.log('✓ Test 3 passed: Recovery and stale streams\n');
+}
+
+// Test 4: Streams for tokens that left the plan are closed, not reconnected
+function testUnplanned() {
+  console.log('Test 4: Unplanned streams');
+
+  sseManager.updateSubscriptions([OTHER]);
+  console.assert(!stream(CA) && pendingReconnects().length === 0, 'Replanning should cancel the pending reconnect');
+  console.assert(!sseManager.failedConnections.has(CA), 'Replanning should forget the old failures');
+
+  const request = lastRequest();
+  sseManager.wanted = new Set();
+  request.respond(500);
+  console.assert(!stream(OTHER) && pendingReconnects().length === 0, 'Drops of tokens no longer wanted should just disconnect');
+
+  console.log('✓ Test 4 passed: Unplanned streams\n');
+}
+
+// Run all tests
+console.log('Running DexPaprika Stream Tests...\n');
+console.log('====================================\n');
+
+testBackoffDoubles();
+testFallback();
+testRecovery();
+testUnplanned();
+
+sseManager.disconnectAll();
+Date.now = realNow;
+Object.assign(globalThis, realTimers);
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
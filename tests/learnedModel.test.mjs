@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the learned MVP model and calculator
+ * Runs against synthetic records so results don't depend on the logs on disk
+ */
+
+import {
+  FEATURES,
+  MODEL_FORMAT_VERSION,
+  buildTrainingSet,
+  evaluateModel,
+  trainLogistic,
+  validateModel
+} from '../src/backend/learnedModel.mjs';
+import { MVPCalculatorLearned } from '../src/backend/mvpCalculator_learned.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+
+function entry(address, currentMc, buyPressure) {
+  return {
+    address,
+    symbol: address.toUpperCase(),
+    currentMc,
+    spottedMc: 10000,
+    multiplier: `${(currentMc / 10000).toFixed(2)}x`,
+    metricsFresh: true,
+    spottedAt: START,
+    components: {
+      buyPressure: { raw: buyPressure },
+      txnsVelocity: { raw: 40 }
+    }
+  };
+}
+
+// "run" is bought hard and doubles at minute 10, "flat" is sold and drifts;
+// the log runs for 40 minutes
+function buildRecords() {
+  const records = [];
+  for (let i = 0; i <= 40; i++) {
+    records.push({
+      time: START + i * MINUTE,
+      viewMode: 'all-time',
+      session: 'run-a',
+      entries: [
+        entry('run', i < 10 ? 10000 + i * 500 : 20000, 0.8),
+        entry('flat', 10000, 0.3)
+      ]
+    });
+  }
+  return records;
+}
+
+// Test 1: Labels, censoring and sampling
+function testTrainingSet() {
+  console.log('Test 1: Training set');
+
+  const samples = buildTrainingSet(buildRecords(), new Map(), { horizonMs: 15 * MINUTE, sampleMs: 0 });
+  const run = samples.filter(s => s.address === 'run');
+  const flat = samples.filter(s => s.address === 'flat');
+
+  console.assert(run.length === 10 && run.every(s => s.y === 1), `Rows before the 2x should be positive, got ${run.length}`);
+  console.assert(flat.length === 26 && flat.every(s => s.y === 0), `Rows with a full 15m window should be negative, got ${flat.length}`);
+
+  const sampled = buildTrainingSet(buildRecords(), new Map(), { horizonMs: 15 * MINUTE, sampleMs: 5 * MINUTE });
+  console.assert(sampled.filter(s => s.address === 'flat').length === 6, 'Sampling should keep one row per token every 5 minutes');
+
+  // runners.json can record a 2x the logs never showed
+  const runners = new Map([['flat', START + 30 * MINUTE]]);
+  const withRunner = buildTrainingSet(buildRecords(), runners, { horizonMs: 15 * MINUTE, sampleMs: 0 });
+  console.assert(withRunner.filter(s => s.address === 'flat' && s.y === 1).length === 15, 'runners.json 2x should label the 15 rows before it');
+
+  console.log('✓ Test 1 passed: Training set\n');
+}
+
+// Test 2: Training and evaluation
+function testTraining() {
+  console.log('Test 2: Training');
+
+  const samples = buildTrainingSet(buildRecords(), new Map(), { horizonMs: 15 * MINUTE, sampleMs: 0 });
+  const model = { formatVersion: MODEL_FORMAT_VERSION, version: 'test', ...trainLogistic(samples, { iterations: 300 }) };
+  const metrics = evaluateModel(model, samples);
+
+  console.assert(model.features.length === FEATURES.length, 'Model should carry every feature');
+  console.assert(metrics.auc === 1, `Separable data should rank perfectly, got ${metrics.auc}`);
+  console.assert(model.features.find(f => f.name === 'buyPressure').weight > 0, 'Buy pressure should push the probability up');
+  console.assert(validateModel(model) === model, 'Trained model should validate');
+
+  let rejected = false;
+  try {
+    validateModel({ ...model, formatVersion: MODEL_FORMAT_VERSION + 1 });
+  } catch {
+    rejected = true;
+  }
+  console.assert(rejected, 'Models from another format version should be refused');
+
+  console.log('✓ Test 2 passed: Training\n');
+  return model;
+}
+
+// Test 3: Calculator scores with the model
+function testCalculator(model) {
+  console.log('Test 3: Learned calculator');
+
+  const calculator = new MVPCalculatorLearned(model);
+  const token = (address, buys, sells) => ({
+    contractAddress: address,
+    symbol: address,
+    currentMc: 12000,
+    spottedMc: 10000,
+    peakMc: 12000,
+    spottedAt: Date.now() - MINUTE,
+    volume24h: 1000,
+    transactionMetrics: { '5m': { buys, sells, txns: buys + sells, buy_usd: 0, sell_usd: 0, price_change: 0 } },
+    lastMetricsUpdate: Date.now()
+  });
+
+  const scoreData = calculator.calculateMVPScore(token('hot', 32, 8), 'all-time');
+  console.assert(scoreData.probability > 0 && scoreData.probability < 1, 'Score should carry a probability');
+  console.assert(Math.abs(scoreData.total - scoreData.probability * 100) < 1e-9, 'Total should be the probability in points');
+  console.assert(scoreData.components.buyPressure.raw === 0.8, 'v3 components should still be reported');
+  console.assert(Object.keys(scoreData.contributions).length === FEATURES.length, 'Every feature should report a contribution');
+
+  const mvp = calculator.getMVP([token('cold', 12, 28), token('hot', 32, 8)], 'all-time');
+  console.assert(mvp.address === 'hot' && mvp.model === 'test', `Buying token should be MVP, got ${mvp?.address}`);
+
+  console.log('✓ Test 3 passed: Learned calculator\n');
+}
+
+// Run all tests
+console.log('Running Learned Model Tests...\n');
+console.log('====================================\n');
+
+testTrainingSet();
+const model = testTraining();
+testCalculator(model);
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the live push hub
+ * Runs the real hub against a stand-in TokenManager and fake responses, with
+ * the clock's timers captured so flushes and heartbeats are fired by hand
+ */
+
+import { EventEmitter } from 'events';
+import { liveHub } from '../src/backend/liveHub.mjs';
+import { clock } from '../src/backend/clock.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+
+// Timers the hub starts through the clock, fired manually below
+const timers = [];
+clock.setInterval = (fn, ms) => {
+  const timer = { fn, ms };
+  timers.push(timer);
+  return timer;
+};
+const fire = (ms) => timers.filter(t => t.ms === ms).forEach(t => t.fn());
+
+function token(address, currentMc, extra = {}) {
+  return {
+    contractAddress: address,
+    symbol: address.slice(0, 3).toUpperCase(),
+    name: address,
+    spottedMc: 10000,
+    currentMc,
+    peakMultiplier: currentMc / 10000,
+    mcTenSecondsAgo: null,
+    _lastDbSave: clock.now(),
+    ...extra
+  };
+}
+
+function tokenManager() {
+  const manager = new EventEmitter();
+  manager.top = [token('aaapump', 30000), token('bbbpump', 20000)];
+  manager.builds = 0;
+  manager.trackedTokens = new Map();
+  manager.alertTiers = { tier1: 1.5, tier2: 2, tier3: 3 };
+  manager.minLiquidityUsd = 0;
+  manager.getTop10 = () => {
+    manager.builds++;
+    return manager.top;
+  };
+  manager.getMVP = () => null;
+  manager.getScoreForToken = () => null;
+  manager.getPhase = () => ({});
+  return manager;
+}
+
+// Response that parses what the hub writes back into events
+function fakeResponse() {
+  const res = {
+    status: null,
+    chunks: [],
+    ended: false,
+    writeHead: (status) => { res.status = status; },
+    write: (chunk) => { res.chunks.push(chunk); },
+    end: () => { res.ended = true; },
+    events: () => res.chunks
+      .filter(c => c.startsWith('event: '))
+      .map(c => {
+        const [, event, data] = c.match(/^event: (\w+)\ndata: (.*)\n\n$/s);
+        return { event, data: JSON.parse(data) };
+      }),
+    take: () => {
+      const events = res.events();
+      res.chunks = [];
+      return events;
+    }
+  };
+  return res;
+}
+
+const manager = tokenManager();
+liveHub.attach({ tokenManager: manager, logger: console });
+clock.setManualTime(START);
+
+// Test 1: A new client gets the full view as a snapshot
+function testSnapshot() {
+  console.log('Test 1: Snapshot on connect');
+
+  const res = fakeResponse();
+  const id = liveHub.addClient(res, { mode: 'degen', viewMode: '5m' });
+  console.assert(res.status === 200 && res.chunks[0] === 'retry: 3000\n\n', 'Stream should open with a retry hint');
+
+  const [snapshot, ...rest] = res.take();
+  console.assert(snapshot.event === 'snapshot' && rest.length === 0, 'Only a snapshot should be sent on connect');
+  console.assert(snapshot.data.list === 'degen:5m' && snapshot.data.viewMode === '5m', 'Snapshot should name its list');
+  console.assert(snapshot.data.top10.map(t => t.contractAddress).join() === 'aaapump,bbbpump', 'Snapshot should hold the top 10 in order');
+  console.assert(snapshot.data.top10[0].multiplier === '3.00x' && snapshot.data.top10[0].rank === 1, 'Tokens should have the view fields');
+  console.assert(!('_lastDbSave' in snapshot.data.top10[0]), 'Server bookkeeping fields should not be sent');
+  console.assert(timers.map(t => t.ms).sort((a, b) => a - b).join() === '1000,15000',
+    'Flush and heartbeat timers should both run on the clock');
+
+  liveHub.removeClient(id);
+  console.assert(liveHub.flushTimer === null && liveHub.heartbeatTimer === null, 'Last client leaving should stop the timers');
+  timers.length = 0;
+
+  console.log('✓ Test 1 passed: Snapshot on connect\n');
+}
+
+// Test 2: Flushes send only what changed since the previous view
+function testDelta() {
+  console.log('Test 2: Deltas');
+
+  const res = fakeResponse();
+  const id = liveHub.addClient(res, { viewMode: '5m' });
+  res.take();
+
+  manager.top = [token('bbbpump', 40000, { _lastDbSave: 1 }), token('aaapump', 30000), token('cccpump', 12000)];
+  manager.emit('tokensChanged');
+  clock.setManualTime(START + 1000);
+  fire(1000);
+
+  const events = res.take();
+  console.assert(events.length === 1 && events[0].event === 'tokens', `Expected one tokens event, got ${events.map(e => e.event).join()}`);
+  const delta = events[0].data;
+  console.assert(JSON.stringify(delta.order) === '["bbbpump","aaapump","cccpump"]', 'Delta should carry the new order');
+  console.assert(JSON.stringify(delta.removed) === '[]', 'Nothing was removed');
+
+  const byAddress = Object.fromEntries(delta.upsert.map(t => [t.contractAddress, t]));
+  console.assert(JSON.stringify(byAddress.bbbpump) === JSON.stringify({
+    contractAddress: 'bbbpump',
+    currentMc: 40000,
+    peakMultiplier: 4,
+    rank: 1,
+    multiplier: '4.00x',
+    currentMultiplier: '4.00x'
+  }), `Changed token should only carry the changed fields, got ${JSON.stringify(byAddress.bbbpump)}`);
+  console.assert(JSON.stringify(byAddress.aaapump) === '{"contractAddress":"aaapump","rank":2}', 'A moved token should only carry its rank');
+  console.assert(byAddress.cccpump.name === 'CCC' && byAddress.cccpump.rank === 3, 'A new token should be sent in full');
+
+  manager.top = [token('bbbpump', 40000)];
+  manager.emit('tokensChanged');
+  fire(1000);
+  const [removal] = res.take();
+  console.assert(JSON.stringify(removal.data.removed) === '["aaapump","cccpump"]' && removal.data.upsert.length === 0,
+    'Dropped tokens should be listed as removed');
+
+  liveHub.removeClient(id);
+  timers.length = 0;
+
+  console.log('✓ Test 2 passed: Deltas\n');
+}
+
+// Test 3: Nothing is sent while idle, views are rebuilt once per list per flush
+function testIdleAndSharing() {
+  console.log('Test 3: Idle flushes and shared views');
+
+  const first = fakeResponse();
+  const second = fakeResponse();
+  const holder = fakeResponse();
+  manager.getHolderTokens = () => [];
+  liveHub.addClient(first, { viewMode: '1h' });
+  liveHub.addClient(second, { viewMode: '1h' });
+  liveHub.addClient(holder, { mode: 'holder' });
+  [first, second, holder].forEach(res => res.take());
+
+  const builds = manager.builds;
+  clock.setManualTime(START + 2000);
+  fire(1000);
+  console.assert(manager.builds === builds, 'A clean hub should not rebuild before the idle limit');
+
+  clock.setManualTime(START + 2000 + 5000);
+  fire(1000);
+  console.assert(manager.builds === builds + 1, 'Idle rebuild should build the shared list once');
+  console.assert(first.take().length === 0 && second.take().length === 0, 'An unchanged rebuild should send nothing');
+
+  manager.top = [token('bbbpump', 50000)];
+  manager.emit('tokensChanged');
+  fire(1000);
+  const [a] = first.take();
+  const [b] = second.take();
+  console.assert(manager.builds === builds + 2, 'One build should serve every client on the list');
+  console.assert(JSON.stringify(a) === JSON.stringify(b) && a.data.upsert[0].currentMc === 50000, 'Clients on one list should get the same delta');
+  console.assert(holder.take().length === 0, 'Other lists should not get the degen delta');
+
+  fire(15000);
+  console.assert([first, second, holder].every(res => res.chunks.join() === ': heartbeat\n\n'), 'Heartbeat should reach every client');
+
+  manager.emit('tokenAdded', token('dddpump', 11000, { spottedAt: START }));
+  const arrivals = [first, second, holder].map(res => res.take()[0]);
+  console.assert(arrivals.every(e => e.event === 'arrival' && e.data.address === 'dddpump' && !('currentMc' in e.data)),
+    'Arrivals should be broadcast to every list');
+
+  liveHub.shutdown();
+  console.assert(first.ended && holder.ended && liveHub.getStats().clients === 0, 'Shutdown should close every stream');
+
+  console.log('✓ Test 3 passed: Idle flushes and shared views\n');
+}
+
+// Run all tests
+console.log('Running Live Hub Tests...\n');
+console.log('====================================\n');
+
+testSnapshot();
+testDelta();
+testIdleAndSharing();
+
+clock.setManualTime(null);
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -5,6 +5,7 @@
  */
 
 import { MVPCalculatorV3 } from '../src/backend/mvpCalculator_v3.mjs';
+import { DEFAULT_PROFILE, SCORE_COMPONENTS, validateProfile } from '../src/backend/scoringProfiles.mjs';
 
 const calculator = new MVPCalculatorV3();
 
@@ -279,9 +280,9 @@ function testScoreComponents() {
 
   const result = calculator.calculateMVPScore(mockToken, 'all-time');
 
-  // Check all 5 components exist
-  const expectedComponents = ['buyPressure', 'netBuyVolume', 'txnsVelocity', 'priceMomentum', 'sseMomentum'];
-  for (const component of expectedComponents) {
+  // Check every profile component exists
+  console.assert(SCORE_COMPONENTS.length === 11, `Expected 11 components, got ${SCORE_COMPONENTS.length}`);
+  for (const component of SCORE_COMPONENTS) {
     console.assert(
       result.components[component] !== undefined,
       `Component ${component} should exist`
@@ -306,6 +307,172 @@ function testScoreComponents() {
   console.log('✓ Test 7 passed: All score components present\n');
 }
 
+// Test 8: Thin pools lose to deep ones with the same trading activity
+function testLiquidity() {
+  console.log('Test 8: Liquidity/MC ratio');
+
+  const makeToken = (contractAddress, liquidity) => ({
+    contractAddress,
+    transactionMetrics: {
+      '5m': { buys: 90, sells: 10, txns: 100, buy_usd: 2000, sell_usd: 100, price_change: 5 }
+    },
+    lastMetricsUpdate: Date.now(),
+    currentMc: 50000,
+    peakMc: 50000,
+    liquidity
+  });
+
+  const thin = calculator.calculateMVPScore(makeToken('test8-thin', 300), 'all-time');
+  const deep = calculator.calculateMVPScore(makeToken('test8-deep', 12500), 'all-time');
+  const unknown = calculator.calculateMVPScore(makeToken('test8-unknown', 0), 'all-time');
+
+  console.assert(thin.components.liquidity.raw === 0.006, `Ratio should be 0.006, got ${thin.components.liquidity.raw}`);
+  console.assert(thin.components.liquidity.weighted < 0, 'Thin pool should be penalised');
+  console.assert(deep.components.liquidity.weighted > 0, 'Deep pool should earn a bonus');
+  console.assert(unknown.components.liquidity.weighted === 0, 'Unknown liquidity should score neutral');
+  console.assert(thin.total < unknown.total && unknown.total < deep.total, 'Score should order thin < unknown < deep');
+  console.assert(calculator.calculateLiquidityScore(0.5) === 10, 'Ratio bonus should be capped at 10');
+
+  console.log('✓ Test 8 passed: Liquidity/MC ratio\n');
+}
+
+// Test 9: Scoring profiles swap weights and thresholds at runtime
+function testScoringProfile() {
+  console.log('Test 9: Scoring profiles');
+
+  const profileCalculator = new MVPCalculatorV3();
+  console.assert(profileCalculator.getWeightsForViewMode('2h') === DEFAULT_PROFILE.weights['2h'], '2h should have its own weights');
+  console.assert(profileCalculator.getWeightsForViewMode('bogus') === DEFAULT_PROFILE.weights['all-time'], 'Unknown view modes should use all-time');
+
+  // Only what differs from the default needs to be sent
+  const profile = validateProfile({
+    name: 'velocity-only',
+    weights: { '5m': { buyPressure: 0, netBuyVolume: 0, txnsVelocity: 1, priceMomentum: 0, sseMomentum: 0, liquidity: 0 } },
+    metricsFreshnessMs: 60000
+  });
+  console.assert(profile.weights['1h'].buyPressure === DEFAULT_PROFILE.weights['1h'].buyPressure, 'Missing view modes should come from the default');
+  console.assert(profile.healthThreshold === 0.8, 'Missing health threshold should come from the default');
+
+  profileCalculator.setProfile(profile);
+  const result = profileCalculator.calculateMVPScore({
+    contractAddress: 'test9',
+    transactionMetrics: { '5m': { buys: 30, sells: 20, buy_usd: 500, sell_usd: 100, price_change: 4 } },
+    lastMetricsUpdate: Date.now() - 45000,
+    currentMc: 10000,
+    peakMc: 10000
+  }, '5m');
+  console.assert(result.metricsFresh, '45s-old metrics should be fresh under a 60s window');
+  console.assert(result.total === 5, `Only txns velocity should count (50 txns -> 5), got ${result.total}`);
+
+  let threw = false;
+  try {
+    validateProfile({ name: 'bad', weights: { '1h': { buyPressure: 2 } } });
+  } catch {
+    threw = true;
+  }
+  console.assert(threw, 'Weights above 1 should be rejected');
+
+  console.log('✓ Test 9 passed: Scoring profiles\n');
+}
+
+// Test 10: Confidence bands and ranking by the lower bound
+function testConfidence() {
+  console.log('Test 10: Confidence bands');
+
+  const bandCalculator = new MVPCalculatorV3();
+  const now = Date.now();
+  const mcHistory = (points) => points.map(([ago, value]) => ({ timestamp: now - ago * 1000, value }));
+
+  // 20s of smooth SSE ticks and just-fetched metrics vs. two ticks and 25s-old metrics
+  bandCalculator.buffers.set('steady', {
+    mcHistory: mcHistory(Array.from({ length: 20 }, (_, i) => [19 - i, 10000 * 1.005 ** i])),
+    volumeHistory: []
+  });
+  bandCalculator.buffers.set('thin', { mcHistory: mcHistory([[2, 10000], [1, 11000]]), volumeHistory: [] });
+
+  const token = (address, buys, sells, netUsd, priceChange, metricsAgo) => ({
+    contractAddress: address,
+    transactionMetrics: { '5m': { buys, sells, buy_usd: netUsd, sell_usd: 0, price_change: priceChange } },
+    lastMetricsUpdate: now - metricsAgo,
+    currentMc: 11000,
+    peakMc: 11000
+  });
+  const steady = token('steady', 60, 40, 500, 5, 0);
+  const thin = token('thin', 90, 10, 5000, 20, 25000);
+
+  const steadyScore = bandCalculator.calculateMVPScore(steady, 'all-time');
+  const thinScore = bandCalculator.calculateMVPScore(thin, 'all-time');
+  console.assert(steadyScore.confidence > 0.9, `Dense fresh data should be trusted, got ${steadyScore.confidence}`);
+  console.assert(thinScore.confidence < 0.2, `Two ticks and aging metrics should not be, got ${thinScore.confidence}`);
+  console.assert(thinScore.band.lower < thinScore.total && thinScore.band.upper > thinScore.total, 'Band should straddle the score');
+  console.assert(thinScore.total > steadyScore.total, 'Thin token should have the higher raw score');
+
+  const disagreeing = bandCalculator.calculateMVPScore(token('steady', 60, 40, 500, -5, 0), 'all-time');
+  console.assert(disagreeing.confidence < steadyScore.confidence * 0.7, 'REST/SSE disagreement should cut confidence');
+
+  console.assert(bandCalculator.getMVP([steady, thin], 'all-time').address === 'thin', 'By score the thin token should win');
+  console.assert(bandCalculator.getMVP([steady, thin], 'all-time', { rankBy: 'lower' }).address === 'steady', 'By lower bound the steady token should win');
+
+  console.log('✓ Test 10 passed: Confidence bands\n');
+}
+
+// Test 11: Multi-timeframe momentum and SSE shape signals
+function testSignals() {
+  console.log('Test 11: Multi-timeframe signals');
+
+  const signalCalculator = new MVPCalculatorV3();
+  const now = Date.now();
+  const buffer = (values, volumes = values.map(() => 0)) => ({
+    mcHistory: values.map((value, i) => ({ timestamp: now - (values.length - 1 - i) * 1000, value })),
+    volumeHistory: volumes.map((value, i) => ({ timestamp: now - (values.length - 1 - i) * 1000, value }))
+  });
+
+  // Steady climb in uneven steps, volume arriving with each step
+  const steps = Array.from({ length: 19 }, (_, i) => (i % 2 ? 200 : 100));
+  const climb = steps.reduce((values, step) => [...values, values[values.length - 1] + step], [10000]);
+  const volume = steps.reduce((values, step) => [...values, values[values.length - 1] + step * 3], [5000]);
+  signalCalculator.buffers.set('climb', buffer(climb, volume));
+
+  // Accelerating: MC grows with the cube of time
+  signalCalculator.buffers.set('accel', buffer(Array.from({ length: 20 }, (_, t) => 10000 + t ** 3)));
+
+  // Choppy: alternating 5% swings, as many down as up
+  signalCalculator.buffers.set('chop', buffer(Array.from({ length: 21 }, (_, i) => (i % 2 ? 10500 : 10000))));
+
+  const token = (address) => ({
+    contractAddress: address,
+    transactionMetrics: {
+      '5m': { buys: 10, sells: 10, price_change: 5 },
+      '15m': { buys: 20, sells: 20, price_change: 12 },
+      '1h': { buys: 40, sells: 40, price_change: 30 }
+    },
+    lastMetricsUpdate: now,
+    currentMc: 12000,
+    peakMc: 12000
+  });
+
+  const climbScore = signalCalculator.calculateMVPScore(token('climb'), 'all-time');
+  const { frames } = climbScore.components.timeframeMomentum;
+  console.assert(['1s', '3s', '5s', '10s', '5m', '15m', '1h'].every(label => label in frames), `All frames should be reported, got ${Object.keys(frames)}`);
+  console.assert(climbScore.components.timeframeMomentum.raw > 0, 'Rising frames should give positive momentum');
+  console.assert(climbScore.components.trendConsistency.raw === 1, 'Every tick up should be fully consistent');
+  console.assert(Math.abs(climbScore.components.volumeMcCorrelation.raw - 1) < 1e-9, 'Volume moving with MC should correlate fully');
+
+  console.assert(signalCalculator.getJerk('accel') > 0, 'Accelerating MC should have positive jerk');
+  console.assert(signalCalculator.getTrendConsistency('chop') === 0, 'Alternating ticks should have no trend');
+
+  // New signals are unweighted by default but count once a profile weights them
+  const choppy = signalCalculator.calculateMVPScore(token('chop'), 'all-time');
+  console.assert(choppy.components.volatility.raw > 0.04 && choppy.components.volatility.weighted === 0, 'Volatility should be reported but unweighted');
+  signalCalculator.setProfile(validateProfile({
+    name: 'calm',
+    weights: { 'all-time': Object.fromEntries(SCORE_COMPONENTS.map(name => [name, name === 'volatility' ? 1 : 0])) }
+  }));
+  console.assert(signalCalculator.calculateMVPScore(token('chop'), 'all-time').total < -5, 'A volatility weight should penalise the choppy token');
+
+  console.log('✓ Test 11 passed: Multi-timeframe signals\n');
+}
+
 // Run all tests
 console.log('Running MVP Calculator V3 Tests...\n');
 console.log('====================================\n');
@@ -317,12 +484,16 @@ testViewModeWeights();
 testStaleMetrics();
 testZeroTransactions();
 testScoreComponents();
+testLiquidity();
+testScoringProfile();
+testConfidence();
+testSignals();
 
 console.log('====================================\n');
 console.log('✅ All tests passed!');
 console.log('\nUS-002 Acceptance Criteria Met:');
 console.log('   ✓ mvpCalculator_v3.mjs file created and extends MVPCalculatorImproved');
-console.log('   ✓ calculateMVPScore() combines 5 components with correct weights');
+console.log('   ✓ calculateMVPScore() combines 11 components with correct weights');
 console.log('   ✓ All helper methods implemented (buy pressure, net volume, txns, price)');
 console.log('   ✓ Falls back to SSE-only scoring when REST metrics missing/stale');
 console.log('   ✓ Performance target met: <10ms per token');
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the per-token phase tracker
+ * Drives the tracker with explicit timestamps instead of the wall clock
+ */
+
+import { PhaseTracker, classifyPhase } from '../src/backend/phaseTracker.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const SECOND = 1000;
+
+function token(currentMc, volume24h, metrics = null, lastMetricsUpdate = null) {
+  return {
+    contractAddress: 'pump',
+    symbol: 'PUMP',
+    currentMc,
+    volume24h,
+    transactionMetrics: metrics,
+    lastMetricsUpdate
+  };
+}
+
+// 5m and 1h windows in the providers' transactionMetrics shape
+function metrics({ volume5m, volume1h, priceChange, buys = 30, sells = 20 }) {
+  return {
+    '5m': { buys, sells, txns: buys + sells, buy_usd: volume5m * 0.6, sell_usd: volume5m * 0.4, price_change: priceChange },
+    '1h': { buys: 0, sells: 0, txns: 0, buy_usd: volume1h * 0.5, sell_usd: volume1h * 0.5, price_change: 0 }
+  };
+}
+
+// Test 1: Classification rules
+function testClassify() {
+  console.log('Test 1: Classification');
+
+  const flat = { pricePct: 1, burstPct: 0, volumeRatio: 2, buyShare: 0.6 };
+  console.assert(classifyPhase(flat) === 'accumulation', 'Flat price on heavy buying should be accumulation');
+  console.assert(classifyPhase({ ...flat, buyShare: 0.3 }) === 'quiet', 'Heavy selling is not accumulation');
+  console.assert(classifyPhase({ ...flat, pricePct: 12, volumeRatio: 2.5 }) === 'breakout', 'Price and volume together should be a breakout');
+  console.assert(classifyPhase({ ...flat, pricePct: 12, volumeRatio: 1 }) === 'quiet', 'A price move without volume is not a breakout');
+  console.assert(classifyPhase({ ...flat, burstPct: 20, volumeRatio: 4 }) === 'fomo', 'A burst on extreme volume should be FOMO');
+  console.assert(classifyPhase({ ...flat, pricePct: -20 }, 'fomo') === 'cooling', 'A drop after FOMO should be cooling');
+  console.assert(classifyPhase({ ...flat, pricePct: -20 }, 'quiet') === 'quiet', 'A drop with no run before it is not cooling');
+  console.assert(classifyPhase({ pricePct: null, burstPct: null, volumeRatio: null, buyShare: null }) === 'quiet', 'No data should be quiet');
+
+  console.log('✓ Test 1 passed: Classification\n');
+}
+
+// Test 2: Transitions from REST metrics need confirming
+function testTransitions() {
+  console.log('Test 2: Transitions');
+
+  const tracker = new PhaseTracker({ confirmMs: 10 * SECOND });
+  const accumulating = metrics({ volume5m: 2000, volume1h: 12000, priceChange: 2 });
+
+  console.assert(tracker.observe(token(10000, 5000, accumulating, START), START) === null, 'A new phase should not switch on the first tick');
+  console.assert(tracker.getPhase('pump', START).phase === 'quiet', 'Phase should still be quiet');
+
+  const change = tracker.observe(token(10000, 5000, accumulating, START), START + 10 * SECOND);
+  console.assert(change?.from === 'quiet' && change.to === 'accumulation', `Held phase should switch, got ${change?.to}`);
+
+  const phase = tracker.getPhase('pump', START + 25 * SECOND);
+  console.assert(phase.phaseSince === START + 10 * SECOND && phase.timeInPhaseMs === 15 * SECOND, 'Time in phase should count from the switch');
+
+  // Metrics older than 2 minutes are ignored: back to quiet once that holds
+  tracker.observe(token(10000, 5000, accumulating, START), START + 200 * SECOND);
+  tracker.observe(token(10000, 5000, accumulating, START), START + 210 * SECOND);
+  const transitions = tracker.getTransitions('pump');
+  console.assert(transitions.length === 2 && transitions[1].to === 'quiet' && transitions[1].at === START + 210 * SECOND, 'Transitions should be recorded with timestamps');
+
+  tracker.cleanupStaleBuffers([]);
+  console.assert(tracker.getPhase('pump').phaseSince === null, 'Untracked tokens should be forgotten');
+
+  console.log('✓ Test 2 passed: Transitions\n');
+}
+
+// Test 3: SSE ticks alone drive breakout, FOMO and cooling
+function testTicks() {
+  console.log('Test 3: SSE ticks');
+
+  const tracker = new PhaseTracker({ confirmMs: 10 * SECOND });
+  let t = START;
+  let mc = 10000;
+  let volume = 1000;
+  const tick = () => tracker.observe(token(mc, volume), t);
+
+  // Two quiet minutes: flat price, steady trickle of volume
+  for (let i = 0; i < 120; i += 5, t += 5 * SECOND) {
+    volume += 10;
+    tick();
+  }
+  console.assert(tracker.getPhase('pump', t).phase === 'quiet', 'Steady trading should be quiet');
+
+  // Price +6% in a minute on 3x the volume flow
+  for (let i = 0; i < 60; i += 5, t += 5 * SECOND) {
+    mc *= 1.005;
+    volume += 100;
+    tick();
+  }
+  console.assert(tracker.getPhase('pump', t).phase === 'breakout', `Price and volume burst should be a breakout, got ${tracker.getPhase('pump', t).phase}`);
+
+  // +20% a minute on extreme volume
+  for (let i = 0; i < 60; i += 5, t += 5 * SECOND) {
+    mc *= 1.016;
+    volume += 1000;
+    tick();
+  }
+  console.assert(tracker.getPhase('pump', t).phase === 'fomo', `Blow-off should be FOMO, got ${tracker.getPhase('pump', t).phase}`);
+
+  // Dump below where the run started
+  for (let i = 0; i < 60; i += 5, t += 5 * SECOND) {
+    mc *= 0.95;
+    volume += 10;
+    tick();
+  }
+  console.assert(tracker.getPhase('pump', t).phase === 'cooling', `Dump after FOMO should be cooling, got ${tracker.getPhase('pump', t).phase}`);
+  console.assert(tracker.getTransitions('pump').map(tr => tr.to).join(',') === 'breakout,fomo,cooling', 'Each phase should be recorded once');
+
+  console.log('✓ Test 3 passed: SSE ticks\n');
+}
+
+// Run all tests
+console.log('Running Phase Tracker Tests...\n');
+console.log('====================================\n');
+
+testClassify();
+testTransitions();
+testTicks();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
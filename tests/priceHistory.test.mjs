@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for price history candles
+ * Runs TokenManager.getPriceHistory and the /history route with the database
+ * adapter swapped for an in-memory stub, so no database is opened
+ */
+
+import { register } from 'node:module';
+import express from 'express';
+import { RESOLUTIONS, DEFAULT_RESOLUTION, parseResolution, buildCandles } from '../src/backend/priceHistory.mjs';
+import { createTokenRoutes } from '../src/backend/routes/tokenRoutes.mjs';
+import { clock } from '../src/backend/clock.mjs';
+
+// Resolve db-adapter.mjs to a stub that forwards to globalThis.stubDb
+const stubDb = 'data:text/javascript,' + encodeURIComponent(
+  'export const getPriceHistoryRange = (...args) => globalThis.stubDb.getPriceHistoryRange(...args);'
+);
+register('data:text/javascript,' + encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (specifier.endsWith('/db-adapter.mjs')) return { url: ${JSON.stringify(stubDb)}, shortCircuit: true };
+    return next(specifier, context);
+  }
+`));
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const CA = 'PriceHistoryTestTokenpump';
+
+const ranges = [];
+let storedRows = [];
+globalThis.stubDb = {
+  getPriceHistoryRange: async (tokenId, from, to) => {
+    ranges.push({ tokenId, from, to });
+    return storedRows.filter(r => r.timestamp >= from && r.timestamp <= to);
+  }
+};
+const { tokenManager } = await import('../src/backend/tokenManager.mjs');
+
+function sample(offsetMs, marketCap, extra = {}) {
+  return { timestamp: START + offsetMs, marketCap, volume: null, price: null, ...extra };
+}
+
+// Test 1: Resolution keys map to milliseconds, anything else is rejected
+function testParseResolution() {
+  console.log('Test 1: Resolution parsing');
+
+  console.assert(parseResolution('15s') === 15000, '15s should be 15000ms');
+  console.assert(parseResolution('5m') === 300000, '5m should be 300000ms');
+  console.assert(parseResolution('1h') === 3600000, '1h should be 3600000ms');
+  console.assert(parseResolution() === RESOLUTIONS[DEFAULT_RESOLUTION], 'No value should use the default resolution');
+  for (const invalid of ['2m', '60000', '', '1H', 'constructor', 'toString']) {
+    console.assert(parseResolution(invalid) === null, `"${invalid}" should be rejected`);
+  }
+
+  console.log('✓ Test 1 passed: Resolution parsing\n');
+}
+
+// Test 2: Samples are bucketed on resolution boundaries into OHLC candles
+function testBucketing() {
+  console.log('Test 2: Candle bucketing');
+
+  const rows = [
+    sample(0, 10000, { volume: 100, price: 0.00001 }),
+    sample(20000, 14000),
+    sample(40000, 9000, { volume: 250 }),
+    sample(59999, 12000),
+    sample(60000, 12500, { price: 0.0000125 }),
+    sample(185000, 20000)
+  ];
+  const candles = buildCandles(rows, RESOLUTIONS['1m']);
+
+  console.assert(candles.length === 3, `Expected 3 candles, got ${candles.length}`);
+  const [first, second, third] = candles;
+  console.assert(first.time === START && first.open === 10000 && first.high === 14000 && first.low === 9000 && first.close === 12000,
+    `First candle OHLC wrong: ${JSON.stringify(first)}`);
+  console.assert(first.samples === 4, 'First candle should hold 4 samples');
+  console.assert(first.volume === 250 && first.price === 0.00001, 'Volume/price should be the last non-null values in the bucket');
+  console.assert(second.time === START + 60000 && second.open === 12500 && second.close === 12500 && second.samples === 1,
+    'A sample on the boundary should open the next candle');
+  console.assert(second.volume === null && second.price === 0.0000125, 'Volume/price should not carry over between candles');
+  console.assert(third.time === START + 180000, 'Empty buckets should be skipped, not filled');
+
+  const fine = buildCandles(rows, RESOLUTIONS['15s']);
+  console.assert(fine.map(c => c.time - START).join() === '0,15000,30000,45000,60000,180000',
+    `15s buckets wrong: ${fine.map(c => c.time - START).join()}`);
+
+  console.log('✓ Test 2 passed: Candle bucketing\n');
+}
+
+// Test 3: Samples without a market cap are ignored
+function testMissingMarketCap() {
+  console.log('Test 3: Samples without market cap');
+
+  const candles = buildCandles([
+    sample(0, null, { volume: 5 }),
+    sample(1000, 10000),
+    sample(2000, undefined, { price: 1 }),
+    sample(70000, null)
+  ], RESOLUTIONS['1m']);
+
+  console.assert(candles.length === 1, 'Buckets with no market cap should produce no candle');
+  console.assert(candles[0].samples === 1 && candles[0].volume === null && candles[0].price === null,
+    'Skipped samples should not contribute volume/price');
+  console.assert(buildCandles([], RESOLUTIONS['1m']).length === 0, 'No samples should give no candles');
+
+  console.log('✓ Test 3 passed: Samples without market cap\n');
+}
+
+// Test 4: getPriceHistory reads the requested range for a tracked token only
+async function testGetPriceHistory() {
+  console.log('Test 4: getPriceHistory');
+
+  tokenManager.trackedTokens.clear();
+  tokenManager.trackedTokens.set(CA, { id: 7, contractAddress: CA, symbol: 'PHT', spottedAt: START, spottedMc: 10000 });
+  storedRows = [sample(0, 10000), sample(30000, 11000), sample(300000, 30000)];
+  ranges.length = 0;
+
+  const history = await tokenManager.getPriceHistory(CA, { from: START, to: START + 60000, resolutionMs: RESOLUTIONS['5m'] });
+  console.assert(ranges.length === 1 && ranges[0].tokenId === 7 && ranges[0].from === START && ranges[0].to === START + 60000,
+    `Wrong range requested: ${JSON.stringify(ranges)}`);
+  console.assert(history.symbol === 'PHT' && history.spottedMc === 10000, 'History should carry the token details');
+  console.assert(history.candles.length === 1 && history.candles[0].close === 11000, 'Samples outside the range should not be bucketed');
+
+  ranges.length = 0;
+  console.assert(await tokenManager.getPriceHistory('UnknownTokenpump', { from: 0, to: START, resolutionMs: 60000 }) === null,
+    'Untracked tokens should return null');
+  console.assert(ranges.length === 0, 'Untracked tokens should not query the database');
+
+  console.log('✓ Test 4 passed: getPriceHistory\n');
+}
+
+// Test 5: The history route validates its query and defaults "to" to the clock
+async function testHistoryRoute() {
+  console.log('Test 5: History route');
+
+  const app = express();
+  app.use('/api/tokens', createTokenRoutes({ tokenManager, logger: console, dataCollector: null }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/tokens/${CA}/history`;
+
+  try {
+    // Replay/backtest time, far from the wall clock
+    clock.setManualTime(START + 120000);
+    ranges.length = 0;
+    let res = await fetch(`${base}?resolution=1m`);
+    const body = await res.json();
+    console.assert(res.status === 200, `Expected 200, got ${res.status}`);
+    console.assert(body.to === START + 120000 && ranges[0]?.to === START + 120000, `"to" should default to clock time, got ${body.to}`);
+    console.assert(body.from === 0 && body.resolution === '1m' && body.candles.length === 1, 'Default range should stop at clock time');
+
+    res = await fetch(`${base}?resolution=2m`);
+    console.assert(res.status === 400, 'Unknown resolution should be rejected');
+    res = await fetch(`${base}?from=${START + 10}&to=${START}`);
+    console.assert(res.status === 400, 'from after to should be rejected');
+    res = await fetch(`${base}?from=abc`);
+    console.assert(res.status === 400, 'Non-numeric from should be rejected');
+    res = await fetch(`http://127.0.0.1:${server.address().port}/api/tokens/UnknownTokenpump/history`);
+    console.assert(res.status === 404, 'Untracked token should be 404');
+  } finally {
+    clock.setManualTime(null);
+    server.close();
+  }
+
+  console.log('✓ Test 5 passed: History route\n');
+}
+
+// Run all tests
+console.log('Running Price History Tests...\n');
+console.log('====================================\n');
+
+testParseResolution();
+testBucketing();
+testMissingMarketCap();
+await testGetPriceHistory();
+await testHistoryRoute();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the market-data provider registry
+ * Uses stand-in providers under the real provider names, so the default
+ * chains apply and no vendor API is called
+ */
+
+import { ProviderRegistry, DEFAULT_CHAINS } from '../src/backend/providers/providerRegistry.mjs';
+
+// Provider answering from a fixed table; records which addresses it was asked for
+function fakeProvider(name, capabilities, data = {}, options = {}) {
+  const provider = {
+    name,
+    capabilities,
+    calls: [],
+    available: options.available ?? true,
+    isAvailable: () => provider.available,
+    async getBatchQuotes(addresses) {
+      provider.calls.push(addresses);
+      if (options.fail) throw new Error(`${name} is down`);
+      if (options.empty) return options.empty();
+      return Object.fromEntries(addresses.map(addr => [addr, data[addr] ?? null]));
+    },
+    async getTransactionMetrics(addresses) {
+      return provider.getBatchQuotes(addresses);
+    },
+    async getMetadata(address) {
+      provider.calls.push(address);
+      if (options.fail) throw new Error(`${name} is down`);
+      return data[address] ?? null;
+    },
+    async discover() {
+      provider.calls.push('discover');
+      if (options.fail) throw new Error(`${name} is down`);
+      return Object.values(data);
+    }
+  };
+  return provider;
+}
+
+function registryWith(...providers) {
+  const registry = new ProviderRegistry();
+  for (const provider of providers) registry.register(provider);
+  return registry;
+}
+
+// Test 1: Quotes walk the chain in priority order, per address
+async function testFallbackOrder() {
+  console.log('Test 1: Fallback order');
+
+  const paprika = fakeProvider('dexpaprika', ['quotes'], { aaa: { marketCap: 1 } });
+  const screener = fakeProvider('dexscreener', ['quotes'], { aaa: { marketCap: 2 }, bbb: { marketCap: 3 } });
+  const portal = fakeProvider('pumpportal', ['quotes'], { ccc: { marketCap: 4 } });
+  const registry = registryWith(portal, screener, paprika);
+
+  console.assert(registry.getChain('quotes').map(p => p.name).join() === DEFAULT_CHAINS.quotes.join(),
+    'Chain should follow DEFAULT_CHAINS, not registration order');
+
+  const quotes = await registry.getBatchQuotes(['aaa', 'bbb', 'ccc']);
+  console.assert(quotes.aaa.marketCap === 1 && quotes.aaa.source === 'dexpaprika', 'First provider should win when it has data');
+  console.assert(quotes.bbb.marketCap === 3 && quotes.bbb.source === 'dexscreener', 'Second provider should fill what the first missed');
+  console.assert(quotes.ccc.source === 'pumpportal', 'Last provider should fill the rest');
+  console.assert(paprika.calls[0].join() === 'aaa,bbb,ccc', 'First provider should get every address');
+  console.assert(screener.calls[0].join() === 'bbb,ccc', 'Next provider should only get the unresolved addresses');
+  console.assert(portal.calls[0].join() === 'ccc', 'Last provider should only get what is still missing');
+
+  const preferred = await registry.getBatchQuotes(['aaa'], { prefer: 'dexscreener' });
+  console.assert(preferred.aaa.source === 'dexscreener', '`prefer` should move a provider to the front');
+  console.assert(registry.getChain('quotes')[0].name === 'dexpaprika', '`prefer` should only apply to that call');
+
+  registry.setSourceOrder(['pumpportal']);
+  console.assert(registry.chains.quotes.join() === 'pumpportal,dexpaprika,dexscreener', 'setSourceOrder should promote and keep fallbacks');
+  console.assert(registry.chains.metadata.join() === DEFAULT_CHAINS.metadata.join(), 'Chains the provider does not support are untouched');
+  registry.resetChains();
+  console.assert(registry.chains.quotes.join() === DEFAULT_CHAINS.quotes.join(), 'resetChains should restore the defaults');
+
+  console.log('✓ Test 1 passed: Fallback order\n');
+}
+
+// Test 2: A failing or unavailable provider hands over to the next one
+async function testProviderFailure() {
+  console.log('Test 2: Provider failure');
+
+  const paprika = fakeProvider('dexpaprika', ['quotes', 'metadata', 'transactionMetrics'], {}, { fail: true });
+  const screener = fakeProvider('dexscreener', ['quotes', 'metadata'], { aaa: { marketCap: 2, name: 'Alpha' } });
+  const birdeye = fakeProvider('birdeye', ['metadata'], { aaa: { name: 'Unused' } }, { available: false });
+  const portal = fakeProvider('pumpportal', ['transactionMetrics'], { aaa: { transactionMetrics: { buys5m: 3 } } });
+  const registry = registryWith(paprika, screener, birdeye, portal);
+
+  const quotes = await registry.getBatchQuotes(['aaa']);
+  console.assert(quotes.aaa.source === 'dexscreener', 'A throwing provider should fall through to the next');
+
+  const metadata = await registry.getMetadata('aaa');
+  console.assert(metadata.name === 'Alpha' && metadata.source === 'dexscreener', 'Metadata should fall through a failure');
+
+  screener.available = false;
+  console.assert(!registry.getChain('quotes').includes(screener), 'Unavailable providers should be left out of the chain');
+  console.assert(await registry.getMetadata('aaa') === null, 'Metadata should be null when every available provider fails');
+  console.assert(birdeye.calls.length === 0, 'An unavailable provider should never be called');
+
+  const local = await registry.getTransactionMetrics(['aaa'], { prefer: 'dexpaprika', fallback: false });
+  console.assert(local.aaa === null && portal.calls.length === 0, '`fallback: false` should not spill over to other providers');
+  const metrics = await registry.getTransactionMetrics(['aaa'], { prefer: 'dexpaprika' });
+  console.assert(metrics.aaa.transactionMetrics.buys5m === 3, 'With fallback the next provider should answer');
+
+  const discoverer = fakeProvider('dexscreener', ['discover'], {}, { fail: true });
+  const stream = fakeProvider('pumpportal', ['discover'], { x: { contractAddress: 'xxx', symbol: 'X' } });
+  const found = await registryWith(discoverer, stream).discover();
+  console.assert(found.length === 1 && found[0].provider === 'pumpportal', 'Discovery should survive a failing provider');
+
+  console.log('✓ Test 2 passed: Provider failure\n');
+}
+
+// Test 3: Empty responses count as "no data", never as a result
+async function testEmptyResults() {
+  console.log('Test 3: Empty results');
+
+  const empties = [() => ({}), () => null, () => undefined, () => ({ aaa: null, bbb: undefined })];
+  for (const empty of empties) {
+    const paprika = fakeProvider('dexpaprika', ['quotes'], {}, { empty });
+    const screener = fakeProvider('dexscreener', ['quotes'], { aaa: { marketCap: 2 } });
+    const quotes = await registryWith(paprika, screener).getBatchQuotes(['aaa', 'bbb']);
+    console.assert(quotes.aaa?.source === 'dexscreener', `Empty response ${JSON.stringify(empty())} should fall through`);
+    console.assert(quotes.bbb === null, 'Addresses nobody has should stay null');
+  }
+
+  const registry = registryWith(fakeProvider('dexpaprika', ['quotes']));
+  const quotes = await registry.getBatchQuotes(['aaa']);
+  console.assert(Object.keys(quotes).join() === 'aaa' && quotes.aaa === null, 'Every requested address should be in the result');
+  console.assert(Object.keys(await registry.getBatchQuotes([])).length === 0, 'No addresses should give an empty result');
+  console.assert((await new ProviderRegistry().getBatchQuotes(['aaa'])).aaa === null, 'An empty chain should resolve to null');
+  console.assert(await new ProviderRegistry().getMetadata('aaa') === null, 'Metadata with no providers should be null');
+  console.assert((await new ProviderRegistry().discover()).length === 0, 'Discovery with no providers should be empty');
+
+  console.log('✓ Test 3 passed: Empty results\n');
+}
+
+// Test 4: A price without a market cap doesn't stop the chain
+async function testPriceOnlyQuotes() {
+  console.log('Test 4: Price-only quotes');
+
+  const jupiter = fakeProvider('jupiter', ['quotes'], { aaa: { priceUsd: 0.001 }, bbb: { priceUsd: 0.002 } });
+  const paprika = fakeProvider('dexpaprika', ['quotes'], { aaa: { priceUsd: 0.0011, marketCap: 1100000 } });
+  const registry = registryWith(jupiter, paprika);
+  registry.setChain('quotes', ['jupiter', 'dexpaprika']);
+
+  const quotes = await registry.getBatchQuotes(['aaa', 'bbb']);
+  console.assert(paprika.calls[0]?.join() === 'aaa,bbb', 'Tokens Jupiter only priced should be asked of the next provider');
+  console.assert(quotes.aaa.source === 'dexpaprika' && quotes.aaa.marketCap === 1100000, 'The full quote should win over the price');
+  console.assert(quotes.bbb.source === 'jupiter' && quotes.bbb.priceUsd === 0.002, 'A price is still better than nothing');
+
+  console.log('✓ Test 4 passed: Price-only quotes\n');
+}
+
+// Test 5: Chain changes are validated against registered providers and capabilities
+function testChainValidation() {
+  console.log('Test 5: Chain validation');
+
+  const registry = registryWith(fakeProvider('dexpaprika', ['quotes']), fakeProvider('dexscreener', ['quotes', 'discover']));
+  const rejects = (fn, pattern) => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      return pattern.test(error.message);
+    }
+  };
+
+  console.assert(rejects(() => registry.setChain('quotes', []), /At least one/), 'Empty chain should be rejected');
+  console.assert(rejects(() => registry.setChain('quotes', ['nope']), /Unknown provider/), 'Unknown provider should be rejected');
+  console.assert(rejects(() => registry.setChain('prices', ['dexpaprika']), /Unknown capability/), 'Unknown capability should be rejected');
+  console.assert(rejects(() => registry.setChain('discover', ['dexpaprika']), /do not support/), 'Unsupported capability should be rejected');
+  console.assert(rejects(() => registry.register({ name: 'x' }), /capabilities/), 'Providers need a capabilities array');
+
+  registry.setChain('quotes', ['dexscreener', 'dexpaprika', 'dexscreener']);
+  console.assert(registry.chains.quotes.join() === 'dexscreener,dexpaprika', 'setChain should drop duplicates');
+
+  console.log('✓ Test 5 passed: Chain validation\n');
+}
+
+// Run all tests
+console.log('Running Provider Registry Tests...\n');
+console.log('====================================\n');
+
+await testFallbackOrder();
+await testProviderFailure();
+await testEmptyResults();
+await testPriceOnlyQuotes();
+testChainValidation();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the adaptive rate limiter
+ * Uses a private limiter instance so the shared API limiters aren't touched
+ */
+
+import { dexscreenerLimiter, withLane, parseRetryAfter } from '../src/backend/rateLimit.mjs';
+
+const RateLimiter = dexscreenerLimiter.constructor;
+
+// Test 1: Retry-After parsing
+function testParseRetryAfter() {
+  console.log('Test 1: Retry-After parsing');
+
+  const now = Date.parse('2026-01-21T10:00:00.000Z');
+  console.assert(parseRetryAfter('5', now) === 5000, 'Should parse delta-seconds');
+  console.assert(parseRetryAfter('Wed, 21 Jan 2026 10:00:30 GMT', now) === 30000, 'Should parse an HTTP date');
+  console.assert(parseRetryAfter(undefined, now) === null, 'Missing header should be null');
+  console.assert(parseRetryAfter('soon', now) === null, 'Garbage should be null');
+
+  console.log('✓ Test 1 passed: Retry-After parsing\n');
+}
+
+// Test 2: Waiting callers are served by lane priority, not arrival order
+async function testLanePriority() {
+  console.log('Test 2: Lane priority');
+
+  const limiter = new RateLimiter('test', 1, 200);
+  await limiter.acquire('top10'); // Fill the window
+
+  const order = [];
+  const waits = [
+    withLane('discovery', () => limiter.acquire().then(() => order.push('discovery'))),
+    limiter.acquire('background').then(() => order.push('background')),
+    limiter.acquire('top10').then(() => order.push('top10'))
+  ];
+
+  const stats = limiter.getStats();
+  console.assert(stats.lanes.discovery.queued === 1, `Discovery should be queued, got ${stats.lanes.discovery.queued}`);
+
+  await Promise.all(waits);
+  console.assert(order.join() === 'top10,background,discovery', `Should drain by priority, got ${order.join()}`);
+  console.assert(limiter.getStats().lanes.discovery.maxWaitMs >= 400, 'Discovery should have waited two windows');
+
+  console.log('✓ Test 2 passed: Lane priority\n');
+}
+
+// Test 3: 429s halve the budget and pause; a calm window steps it back up
+function testFeedback() {
+  console.log('Test 3: 429 / 5xx feedback');
+
+  const limiter = new RateLimiter('test', 60, 60000);
+  limiter.recordResponse(429, '3');
+  let stats = limiter.getStats();
+  console.assert(stats.currentLimit === 30, `429 should halve the budget, got ${stats.currentLimit}`);
+  console.assert(stats.pausedForMs > 2000 && stats.pausedForMs <= 3000, `Should pause for Retry-After, got ${stats.pausedForMs}`);
+
+  limiter.recordResponse(503);
+  console.assert(limiter.getStats().currentLimit === 24, '5xx should trim the budget by a fifth');
+
+  for (let i = 0; i < 10; i++) limiter.recordResponse(429);
+  console.assert(limiter.getStats().currentLimit === 12, 'Budget should bottom out at a fifth of the limit');
+
+  limiter.recordResponse(200);
+  console.assert(limiter.getStats().currentLimit === 12, 'Success right after a 429 should not raise the budget');
+
+  limiter.lastPenaltyAt -= 60000;
+  limiter.recordResponse(200);
+  limiter.recordResponse(200);
+  console.assert(limiter.getStats().currentLimit === 13, 'A calm window should raise the budget by one');
+
+  console.log('✓ Test 3 passed: 429 / 5xx feedback\n');
+}
+
+// Run all tests
+console.log('Running Rate Limiter Tests...\n');
+console.log('====================================\n');
+
+testParseRetryAfter();
+await testLanePriority();
+testFeedback();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
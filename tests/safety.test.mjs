@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the rug/honeypot safety checks
+ * A local HTTP server stands in for the Solana RPC (SOLANA_RPC_URL)
+ */
+
+import http from 'http';
+import { checkTokenSafety, scoreRisk } from '../src/backend/safety.mjs';
+
+const MINT_A = 'CleanMint1111111111111111111111111111111pump';
+const MINT_B = 'RiskyMint111111111111111111111111111111111';
+const CURVE = 'CurveVault111111111111111111111111111111111';
+const DEV = 'DevWallet1111111111111111111111111111111111';
+const POOL = 'PumpSwapPool1111111111111111111111111111111';
+const LP_MINT = '11111111111111111111111111111111'; // All-zero key, easy to lay out
+
+// PumpSwap pool account: LP mint at 107, LP supply at creation at 203
+function pumpSwapPool(lpReserve) {
+  const data = Buffer.alloc(243);
+  data.writeBigUInt64LE(BigInt(lpReserve), 203);
+  return data.toString('base64');
+}
+
+const mintAccount = (mintAuthority, freezeAuthority) => ({
+  value: { data: { parsed: { type: 'mint', info: { mintAuthority, freezeAuthority, supply: '1000000000000000', decimals: 6 } } } }
+});
+
+// 1B supply: [owner, uiAmount] per holder
+const HOLDERS = {
+  [MINT_A]: [[CURVE, 700_000_000], [DEV, 20_000_000], ['w1', 10_000_000], ['w2', 5_000_000]],
+  [MINT_B]: [[POOL, 300_000_000], ['w1', 250_000_000], ['w2', 200_000_000], ['w3', 150_000_000]],
+  [LP_MINT]: [['someone', 900]]
+};
+
+function handle({ method, params }) {
+  const [address] = params;
+  switch (method) {
+    case 'getAccountInfo':
+      if (address === MINT_A) return mintAccount(null, null);
+      if (address === MINT_B) return mintAccount('SomeAuthority', null);
+      if (address === POOL) return { value: { data: [pumpSwapPool(1000), 'base64'] } };
+      return { value: null };
+    case 'getTokenSupply':
+      return { value: { amount: '900', decimals: 6, uiAmount: 0.0009 } };
+    case 'getTokenLargestAccounts':
+      return { value: (HOLDERS[address] || []).map(([owner, uiAmount]) => ({ address: `acct:${owner}`, amount: String(uiAmount), uiAmount })) };
+    case 'getMultipleAccounts':
+      return { value: address.map(acct => ({ data: { parsed: { info: { owner: acct.slice('acct:'.length) } } } })) };
+    case 'getTokenAccountsByOwner':
+      return { value: [{ account: { data: { parsed: { info: { tokenAmount: { uiAmount: 20_000_000 } } } } } }] };
+    default:
+      return null;
+  }
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, result: handle(request) }));
+  });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.SOLANA_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+
+// Test 1: Risk score roll-up
+function testScoreRisk() {
+  console.log('Test 1: Risk score');
+
+  console.assert(scoreRisk({}) === 0, 'Unknown flags should add nothing');
+  console.assert(scoreRisk({ mintAuthority: 'active', freezeAuthority: 'active', lp: 'unburned' }) === 80, 'Authorities + LP should score 80');
+  console.assert(scoreRisk({ top10HolderPct: 35, devSharePct: 12 }) === 17.5, 'Moderate concentration and dev share score half weight');
+
+  console.log('✓ Test 1 passed: Risk score\n');
+}
+
+// Test 2: A clean pump.fun launch still on its curve
+async function testCleanCurveToken() {
+  console.log('Test 2: Clean curve token');
+
+  const result = await checkTokenSafety({ contractAddress: MINT_A, bondingCurveKey: CURVE, creator: DEV });
+  const { riskFlags } = result;
+
+  console.assert(riskFlags.mintAuthority === 'revoked' && riskFlags.freezeAuthority === 'revoked', 'Authorities should be revoked');
+  console.assert(riskFlags.lp === 'curve', `LP should be "curve", got ${riskFlags.lp}`);
+  console.assert(riskFlags.top10HolderPct === 3.5, `Curve vault should be left out of the top 10, got ${riskFlags.top10HolderPct}`);
+  console.assert(riskFlags.devSharePct === 2, `Dev share should be 2%, got ${riskFlags.devSharePct}`);
+  console.assert(result.riskScore === 0 && !result.riskExcluded, 'Clean token should score 0');
+
+  console.log('✓ Test 2 passed: Clean curve token\n');
+}
+
+// Test 3: Mintable token with unburned LP and whale holders
+async function testRiskyPoolToken() {
+  console.log('Test 3: Risky pool token');
+
+  const result = await checkTokenSafety({ contractAddress: MINT_B, pairAddress: POOL, dexId: 'pumpswap' });
+  const { riskFlags } = result;
+
+  console.assert(riskFlags.mintAuthority === 'active', 'Mint authority should be active');
+  console.assert(riskFlags.lp === 'unburned' && riskFlags.lpBurnedPct === 10, `LP should be 10% burned, got ${riskFlags.lpBurnedPct}`);
+  console.assert(riskFlags.top10HolderPct === 60, `Pool vault should be left out, got ${riskFlags.top10HolderPct}`);
+  console.assert(riskFlags.devSharePct === null, 'Unknown creator should leave dev share null');
+  console.assert(result.riskScore === 65, `Score should be 65, got ${result.riskScore}`);
+  console.assert(result.riskExcluded, 'Active mint authority should exclude the token');
+
+  console.log('✓ Test 3 passed: Risky pool token\n');
+}
+
+// Run all tests
+console.log('Running Safety Check Tests...\n');
+console.log('====================================\n');
+
+try {
+  testScoreRisk();
+  await testCleanCurveToken();
+  await testRiskyPoolToken();
+} finally {
+  server.close();
+}
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for session record/replay
+ * Covers the stepped virtual clock, recording of service calls and frames,
+ * exact replay of nulls and errors, and the whole pipeline replayed twice from
+ * the same fixture - each run in a child process of this file, since the
+ * pipeline's modules are singletons - with the results compared
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { clock } from '../src/backend/clock.mjs';
+import { ProviderRegistry } from '../src/backend/providers/providerRegistry.mjs';
+import { sessionRecorder } from '../src/backend/replay/sessionRecorder.mjs';
+import { sessionReplayer } from '../src/backend/replay/sessionReplayer.mjs';
+import { capturedCall, captureFrame, isReplaying } from '../src/backend/replay/capture.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const ALPHA = 'AlphaReplayTestToken';
+const BETA = 'BetaReplayTestTokenpump';
+const X = 'XReplayTestToken';
+const RESULT_PREFIX = 'REPLAY_RESULT ';
+
+// ---- Fixture: one minute of a recorded session ----
+function fixtureEntries() {
+  const at = (ms, entry) => ({ t: START + ms, ...entry });
+  const provider = (ms, name, method, args, outcome) => at(ms, { type: 'provider', provider: name, method, args, ...outcome });
+  const call = (ms, service, method, args, outcome) => at(ms, { type: 'call', service, method, args, ...outcome });
+  const frame = (ms, message) => at(ms, { type: 'frame', source: 'pumpportal', frame: message });
+  const sse = (ms, address, price) => at(ms, { type: 'sse', provider: 'dexpaprika', address, price, timestamp: START + ms });
+
+  return [
+    {
+      type: 'session',
+      version: 2,
+      startedAt: START,
+      providers: [
+        { name: 'dexscreener', capabilities: ['discover', 'quotes', 'metadata'] },
+        { name: 'dexpaprika', capabilities: ['quotes', 'metadata', 'transactionMetrics', 'stream'] },
+        { name: 'pumpportal', capabilities: ['discover', 'quotes', 'transactionMetrics', 'bondingCurve'] }
+      ],
+      chains: {
+        discover: ['dexscreener', 'pumpportal'],
+        quotes: ['dexpaprika', 'dexscreener', 'pumpportal'],
+        metadata: ['dexpaprika', 'dexscreener'],
+        transactionMetrics: ['pumpportal', 'dexpaprika'],
+        bondingCurve: ['pumpportal'],
+        stream: ['dexpaprika']
+      }
+    },
+    // The pipeline: Alpha found by DexScreener, Beta launched on PumpPortal
+    provider(0, 'dexscreener', 'discover', [], { result: [{ contractAddress: ALPHA, name: 'Alpha', symbol: 'ALPHA' }] }),
+    provider(0, 'dexscreener', 'getBatchQuotes', [[ALPHA]], {
+      result: { [ALPHA]: { priceUsd: 0.00005, marketCap: 50000, volume24h: 1000, liquidity: 20000, totalSupply: 1e9, name: 'Alpha', symbol: 'ALPHA' } }
+    }),
+    call(0, 'dexpaprika', 'getTokenData', ['So11111111111111111111111111111111111111112'], { result: { priceUsd: 200 } }),
+    call(0, 'safety', 'checkTokenSafety', [ALPHA], {
+      result: { riskFlags: { mintAuthority: 'revoked', freezeAuthority: 'revoked', lp: 'burned' }, riskScore: 10, riskExcluded: false }
+    }),
+    frame(1500, { txType: 'create', mint: BETA, name: 'Beta', symbol: 'BETA', solAmount: 1, marketCapSol: 300, vTokensInBondingCurve: 1e9, vSolInBondingCurve: 31 }),
+    call(2000, 'safety', 'checkTokenSafety', [BETA], { error: 'RPC timeout' }),
+    frame(5000, { txType: 'buy', mint: BETA, solAmount: 2, marketCapSol: 350, vTokensInBondingCurve: 9e8, vSolInBondingCurve: 35 }),
+    sse(6000, ALPHA, 0.0001),
+    sse(8000, ALPHA, 0.00008),
+    provider(31000, 'dexscreener', 'discover', [], { error: 'HTTP 429' }),
+    sse(60000, ALPHA, 0.00009),
+
+    // Exact replay: X is only ever asked for by the tests below
+    provider(2000, 'dexpaprika', 'getBatchQuotes', [[X]], { result: { [X]: { priceUsd: 0.000001, marketCap: 1000 } } }),
+    provider(2000, 'dexpaprika', 'getMetadata', [X], { error: 'HTTP 500' }),
+    provider(2000, 'dexscreener', 'getMetadata', [X], { result: { name: 'Ex', symbol: 'X' } }),
+    provider(17000, 'dexpaprika', 'getBatchQuotes', [[X]], { result: null }),
+    provider(17000, 'dexscreener', 'getBatchQuotes', [[X]], { result: { [X]: { priceUsd: 0.0000011, marketCap: 1100 } } }),
+    provider(32000, 'dexpaprika', 'getBatchQuotes', [[X]], { error: 'HTTP 500' }),
+    provider(32000, 'dexscreener', 'getBatchQuotes', [[X]], { result: { [X]: { priceUsd: 0.0000012, marketCap: 1200 } } }),
+    call(2000, 'safety', 'checkTokenSafety', [X], { error: 'RPC timeout' }),
+    call(17000, 'safety', 'checkTokenSafety', [X], { result: { riskScore: 5 } }),
+    at(40000, { type: 'frame', source: 'test', frame: { n: 1 } }),
+    at(41000, { type: 'frame', source: 'test', frame: { n: 2 } })
+  ];
+}
+
+function writeFixture(dir) {
+  const file = path.join(dir, 'session.jsonl');
+  // A truncated last line, as a crash mid-write leaves it
+  fs.writeFileSync(file, fixtureEntries().map(entry => JSON.stringify(entry)).join('\n') + '\n{"t":');
+  return file;
+}
+
+// ---- Child process: replay the fixture through the real pipeline ----
+async function runReplayChild(file) {
+  const { providerRegistry } = await import('../src/backend/providers/index.mjs');
+  const { tokenManager } = await import('../src/backend/tokenManager.mjs');
+  const { pumpPortal } = await import('../src/backend/apis/pumpportal.mjs');
+
+  await sessionReplayer.load(file);
+  sessionReplayer.install(providerRegistry);
+  await tokenManager.initialize();
+  await tokenManager.startTracking();
+  await sessionReplayer.runToEnd();
+  tokenManager.stopTracking();
+
+  const tokens = Array.from(tokenManager.trackedTokens.values())
+    .sort((a, b) => a.contractAddress.localeCompare(b.contractAddress))
+    .map(token => ({
+      contractAddress: token.contractAddress,
+      discoveredBy: token.discoveredBy,
+      spottedAt: token.spottedAt,
+      spottedMc: token.spottedMc,
+      currentMc: token.currentMc,
+      peakMc: token.peakMc,
+      lastUpdated: token.lastUpdated,
+      bondingCurveProgress: token.bondingCurveProgress ?? null,
+      riskScore: token.riskScore ?? null,
+      safetyCheckedAt: token.safetyCheckedAt ?? null
+    }));
+  const { replaying, filePath, ...stats } = sessionReplayer.getStats();
+
+  console.log(RESULT_PREFIX + JSON.stringify({ tokens, stats, pumpPortalMessages: pumpPortal.getStats().messages }));
+  process.exit(0);
+}
+
+function replayInChild(file) {
+  const child = spawnSync(process.execPath, [fileURLToPath(import.meta.url), '--replay-child', file], {
+    env: { ...process.env, DEXTER_REPLAY: file, DATABASE_URL: '' },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  const line = child.stdout.split('\n').find(l => l.startsWith(RESULT_PREFIX));
+  console.assert(child.status === 0 && line, `Replay child should finish, exit ${child.status}: ${child.stderr.slice(-500)}`);
+  return line ? line.slice(RESULT_PREFIX.length) : null;
+}
+
+// Test 1: Virtual timers fire one at a time, in time order, each at its own time
+async function testSteppedClock() {
+  console.log('Test 1: Stepped virtual clock');
+
+  clock.startVirtual(START);
+  const fired = [];
+  const tick = clock.setInterval(async () => {
+    fired.push(`tick@${clock.now() - START}`);
+    await new Promise(resolve => setImmediate(resolve));
+    fired.push('tick done');
+  }, 1000);
+  clock.setTimeout(() => fired.push(`once@${clock.now() - START}`), 1000);
+  clock.setTimeout(() => fired.push(`late@${clock.now() - START}`), 1500);
+  const cancelled = clock.setTimeout(() => fired.push('cancelled'), 1200);
+  clock.clearTimeout(cancelled);
+
+  await clock.advanceTo(START + 999);
+  console.assert(fired.length === 0 && clock.now() === START + 999, 'Nothing should fire before it is due');
+
+  await clock.advanceTo(START + 2000);
+  const expected = 'tick@1000,tick done,once@1000,late@1500,tick@2000,tick done';
+  console.assert(fired.join() === expected, `Timers should fire in order and wait for each other, got ${fired.join()}`);
+
+  clock.clearInterval(tick);
+  await clock.advanceTo(START + 5000);
+  console.assert(fired.length === 6 && clock.now() === START + 5000, 'A cleared interval should not fire again');
+
+  console.log('✓ Test 1 passed: Stepped virtual clock\n');
+}
+
+// Test 2: Service calls and frames are recorded with their exact outcome
+async function testRecording(dir) {
+  console.log('Test 2: Recording calls and frames');
+
+  const file = path.join(dir, 'recorded.jsonl');
+  sessionRecorder.start(file, null);
+
+  const result = await capturedCall('safety', 'checkTokenSafety', ['Y'], async (addr) => ({ address: addr, riskScore: 3 }));
+  console.assert(result.address === 'Y', 'Live calls should be made with their arguments');
+  let error = null;
+  await capturedCall('telegram', 'getHolderMessage', [], async () => { throw new Error('not connected'); }).catch(e => { error = e; });
+  console.assert(error?.message === 'not connected', 'Live errors should still reach the caller');
+  await capturedCall('dexpaprika', 'getTokenData', ['Y'], async () => undefined);
+  captureFrame('pumpportal', { txType: 'create', mint: 'Y' });
+
+  const stream = sessionRecorder.stream;
+  sessionRecorder.stop();
+  await once(stream, 'finish');
+
+  const [header, ...entries] = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  console.assert(header.type === 'session' && header.version === 2, 'The header should carry the format version');
+  console.assert(entries[0].type === 'call' && entries[0].result.riskScore === 3 && entries[0].args[0] === 'Y', 'Results should be recorded');
+  console.assert(entries[1].error === 'not connected' && !('result' in entries[1]), 'Errors should be recorded as such');
+  console.assert('result' in entries[2] && entries[2].result === null, 'Empty results should be recorded as null');
+  console.assert(entries[3].type === 'frame' && entries[3].source === 'pumpportal' && entries[3].frame.mint === 'Y', 'Frames should be recorded');
+
+  console.log('✓ Test 2 passed: Recording calls and frames\n');
+}
+
+// Test 3: Provider calls answer with exactly what was recorded, nulls and errors included
+async function testExactProviderReplay(file) {
+  console.log('Test 3: Exact provider replay');
+
+  for (const timer of clock.timers.keys()) clock.timers.delete(timer);
+  const registry = new ProviderRegistry();
+  await sessionReplayer.load(file);
+  sessionReplayer.install(registry);
+  console.assert(isReplaying() && clock.now() === START, 'Installing should start virtual time at the recording');
+  console.assert(!registry.get('pumpportal'), 'Frame-fed providers should not get a stand-in');
+
+  await sessionReplayer.advanceTo(START + 2000);
+  let quotes = await registry.getBatchQuotes([X]);
+  console.assert(quotes[X]?.source === 'dexpaprika' && quotes[X].marketCap === 1000, 'The first recorded quote should be served');
+  const metadata = await registry.getMetadata(X);
+  console.assert(metadata?.source === 'dexscreener' && metadata.name === 'Ex', 'A recorded error should fail over like it did live');
+
+  await sessionReplayer.advanceTo(START + 17000);
+  quotes = await registry.getBatchQuotes([X]);
+  console.assert(quotes[X]?.source === 'dexscreener' && quotes[X].marketCap === 1100,
+    `A recorded null should not be filled from an older answer, got ${JSON.stringify(quotes[X])}`);
+
+  await sessionReplayer.advanceTo(START + 32000);
+  quotes = await registry.getBatchQuotes([X]);
+  console.assert(quotes[X]?.source === 'dexscreener' && quotes[X].marketCap === 1200, 'A recorded error should fail over like it did live');
+
+  const missed = sessionReplayer.callsMissed;
+  await sessionReplayer.advanceTo(START + 33000);
+  quotes = await registry.getBatchQuotes([X]);
+  console.assert(sessionReplayer.callsMissed === missed + 2, 'Calls the recording has no answer for should be counted');
+  console.assert(quotes[X]?.source === 'dexscreener' && quotes[X].marketCap === 1200, 'Missed calls should get the latest answer, nulls included');
+
+  console.log('✓ Test 3 passed: Exact provider replay\n');
+}
+
+// Test 4: Service calls replay in order, and frames arrive between timers
+async function testCallsAndFrames() {
+  console.log('Test 4: Replayed calls and frames');
+
+  const calls = [];
+  for (let i = 0; i < 3; i++) {
+    calls.push(await capturedCall('safety', 'checkTokenSafety', [X], () => { throw new Error('called out during replay'); })
+      .then(result => result.riskScore, error => error.message));
+  }
+  console.assert(calls.join() === 'RPC timeout,5,5', `Calls should replay in order and then repeat the latest, got ${calls.join()}`);
+
+  const seen = [];
+  sessionReplayer.onFrames('test', (frame) => seen.push(`frame ${frame.n}@${clock.now() - START}`));
+  clock.setTimeout(() => seen.push(`timer@${clock.now() - START}`), 40500 - 33000);
+  await sessionReplayer.advanceTo(START + 40000);
+  console.assert(seen.join() === 'frame 1@40000', 'Frames should arrive when the clock reaches them');
+  await sessionReplayer.advanceTo(START + 60000);
+  console.assert(seen.join() === 'frame 1@40000,timer@40500,frame 2@41000', `Frames and timers should interleave in time order, got ${seen.join()}`);
+  console.assert(sessionReplayer.getStats().finished, 'The replay should finish at the last entry');
+
+  console.log('✓ Test 4 passed: Replayed calls and frames\n');
+}
+
+// Test 5: The same recording replays to the same result every time
+function testDeterministicPipeline(file) {
+  console.log('Test 5: Pipeline replayed twice');
+
+  const first = replayInChild(file);
+  const second = replayInChild(file);
+  console.assert(first && first === second, `Two replays should end in the same state:\n${first}\n${second}`);
+
+  const { tokens, stats, pumpPortalMessages } = JSON.parse(first);
+  const alpha = tokens.find(t => t.contractAddress === ALPHA);
+  const beta = tokens.find(t => t.contractAddress === BETA);
+  console.assert(tokens.length === 2 && alpha && beta, `Both recorded tokens should be tracked, got ${tokens.map(t => t.contractAddress).join()}`);
+  console.assert(alpha.spottedAt === START && alpha.spottedMc === 50000 && alpha.peakMc === 100000, 'Alpha should follow its recorded quote and stream');
+  console.assert(alpha.riskScore === 10, 'The recorded safety check should be applied');
+  console.assert(beta.discoveredBy === 'pumpportal' && beta.spottedAt === START + 2000 && beta.riskScore === null,
+    'Beta should be found from replayed frames, and its failed safety check should fail again');
+  console.assert(pumpPortalMessages === 2 && stats.framesDelivered === 2 && stats.streamEventsEmitted === 3, 'Every frame and stream event should be delivered');
+
+  console.log('✓ Test 5 passed: Pipeline replayed twice\n');
+}
+
+if (process.argv[2] === '--replay-child') {
+  await runReplayChild(process.argv[3]);
+} else {
+  // Run all tests
+  console.log('Running Session Replay Tests...\n');
+  console.log('====================================\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dexter-replay-'));
+  try {
+    const fixture = writeFixture(dir);
+    await testSteppedClock();
+    await testRecording(dir);
+    await testExactProviderReplay(fixture);
+    await testCallsAndFrames();
+    testDeterministicPipeline(fixture);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('====================================\n');
+  console.log('✅ All tests passed!');
+}
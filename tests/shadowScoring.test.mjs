@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for shadow scoring
+ * Stub calculators pick a fixed token; the clock is passed in explicitly
+ */
+
+import { ShadowScorer } from '../src/backend/shadowScoring.mjs';
+
+const token = (address, currentMc) => ({ contractAddress: address, symbol: address, currentMc });
+
+// Always picks whatever `choice.address` names
+function stubCalculator(choice) {
+  return {
+    getMVP(tokens) {
+      const picked = tokens.find(t => t.contractAddress === choice.address);
+      return picked ? { address: picked.contractAddress, token: picked, score: 1 } : null;
+    },
+    recordSnapshot() {},
+    cleanupStaleBuffers() {}
+  };
+}
+
+// Test 1: Picks open on MVP changes and resolve at each horizon
+function testPicksAndOutcomes() {
+  console.log('Test 1: Picks and outcomes');
+
+  const scorer = new ShadowScorer();
+  const choiceA = { address: 'AAA' };
+  const choiceB = { address: 'BBB' };
+  scorer.register('alpha', stubCalculator(choiceA));
+  scorer.register('beta', stubCalculator(choiceB));
+
+  const tracked = new Map([['AAA', token('AAA', 10000)], ['BBB', token('BBB', 20000)]]);
+  const get = address => tracked.get(address);
+  const t0 = 1_000_000;
+
+  scorer.tick([...tracked.values()], 'all-time', get, t0);
+  scorer.tick([...tracked.values()], 'all-time', get, t0 + 5000);
+  console.assert(scorer.picks.length === 2, `Unchanged MVPs shouldn't open new picks, got ${scorer.picks.length}`);
+
+  // One minute on: AAA doubled, BBB halved
+  tracked.get('AAA').currentMc = 20000;
+  tracked.get('BBB').currentMc = 10000;
+  scorer.tick([...tracked.values()], 'all-time', get, t0 + 60000);
+
+  // Five minutes on: BBB is no longer tracked
+  tracked.delete('BBB');
+  tracked.get('AAA').currentMc = 15000;
+  scorer.tick([...tracked.values()], 'all-time', get, t0 + 300000);
+
+  const board = scorer.getLeaderboard();
+  const [first, second] = board.algorithms;
+  console.assert(first.algorithm === 'alpha', `alpha should lead, got ${first.algorithm}`);
+  console.assert(first.horizons['1m'].avgMultiplier === 2, '1m outcome should be 2x');
+  console.assert(first.horizons['5m'].avgMultiplier === 1.5, '5m outcome should be 1.5x');
+  console.assert(first.horizons['15m'].pending === 1, '15m should still be pending');
+  console.assert(second.horizons['1m'].winRate === 0, 'beta lost at 1m');
+  console.assert(second.horizons['5m'].resolved === 0, 'An untracked token leaves no 5m outcome');
+
+  // alpha now wants a token that's gone, so it has no MVP
+  choiceA.address = 'BBB';
+  scorer.tick([...tracked.values()], 'all-time', get, t0 + 305000);
+  console.assert(scorer.getLeaderboard().algorithms.find(a => a.algorithm === 'alpha').current === null, 'No eligible token should clear the current pick');
+
+  console.log('✓ Test 1 passed: Picks and outcomes\n');
+}
+
+// Run all tests
+console.log('Running Shadow Scoring Tests...\n');
+console.log('====================================\n');
+
+testPicksAndOutcomes();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
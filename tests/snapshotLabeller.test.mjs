@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the scoring snapshot labeller
+ * Runs against synthetic records so results don't depend on the logs on disk
+ */
+
+import {
+  datasetColumns,
+  labelForward,
+  labelSession,
+  splitSessions,
+  toCsv
+} from '../src/backend/snapshotLabeller.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+
+function record(time, entries, session = null) {
+  return { time, viewMode: 'all-time', session, entries };
+}
+
+function entry(address, currentMc) {
+  return {
+    rank: 1,
+    address,
+    symbol: address === 'pump' ? 'PUMP, INC' : address.toUpperCase(),
+    score: 50,
+    components: { buyPressure: { raw: 0.6, weighted: 21 } },
+    currentMc,
+    spottedMc: 10000,
+    multiplier: '2.00x',
+    currentMultiplier: '1.00x',
+    metricsFresh: true,
+    spottedAt: START - MINUTE
+  };
+}
+
+// Test 1: Session splitting
+function testSplitSessions() {
+  console.log('Test 1: Session splitting');
+
+  const tagged = splitSessions([
+    record(START, [], 'run-a'),
+    record(START + MINUTE, [], 'run-b'),
+    record(START + 2 * MINUTE, [], 'run-b')
+  ]);
+  console.assert(tagged.length === 2 && tagged[1].records.length === 2, 'Session ids should split records');
+
+  const untagged = splitSessions([
+    record(START, []),
+    record(START + 5 * MINUTE, []),
+    record(START + 30 * MINUTE, [])
+  ], 10 * MINUTE);
+  console.assert(untagged.length === 2, `A 25 minute gap should start a new session, got ${untagged.length}`);
+  console.assert(untagged[1].id === new Date(START + 30 * MINUTE).toISOString(), 'Session id should be its first record time');
+
+  console.log('✓ Test 1 passed: Session splitting\n');
+}
+
+// Test 2: Forward labels from a timeline
+function testForwardLabels() {
+  console.log('Test 2: Forward labels');
+
+  // Dips to 8k, peaks at 20k, then sits at 15k; observed every minute for 20 minutes
+  const mcAt = (i) => i === 2 ? 8000 : i === 4 ? 20000 : i < 4 ? 10000 : 15000;
+  const timeline = Array.from({ length: 21 }, (_, i) => ({ t: START + i * MINUTE, mc: mcAt(i) }));
+
+  const labels = labelForward(timeline, START, 10000);
+  console.assert(labels.mc1m === 10000 && labels.return1m === 0, '1m should see the flat start');
+  console.assert(labels.mc5m === 15000 && Math.abs(labels.return5m - 0.5) < 1e-9, `5m return should be +50%, got ${labels.return5m}`);
+  console.assert(labels.maxGain5m === 1 && Math.abs(labels.maxDrawdown5m + 0.2) < 1e-9, 'Window extremes should be +100% / -20%');
+  console.assert(labels.mc15m === 15000, '15m should be labelled');
+  console.assert(labels.mc60m === null && labels.maxGain60m === null, 'Windows the timeline does not cover should stay null');
+
+  // Token drops out of the top 10 after 3 minutes: no 5m label from a partial view
+  const partial = labelForward(timeline.slice(0, 4), START, 10000);
+  console.assert(partial.mc5m === null && partial.maxDrawdown5m === null, 'Partially observed windows should stay null');
+
+  console.log('✓ Test 2 passed: Forward labels\n');
+}
+
+// Test 3: Flat rows and CSV output
+function testRows() {
+  console.log('Test 3: Dataset rows');
+
+  const [session] = splitSessions(Array.from({ length: 7 }, (_, i) =>
+    record(START + i * MINUTE, [entry('pump', 10000 + i * 1000)], 'run-a')));
+  const rows = labelSession(session, { sampleMs: 2 * MINUTE });
+
+  console.assert(rows.length === 4, `Sampling every 2 minutes should keep 4 of 7 rows, got ${rows.length}`);
+  console.assert(rows[0].buyPressureWeighted === 21 && rows[0].sseMomentumRaw === null, 'Components should be flattened');
+  console.assert(rows[0].peakMultiplier === 2 && rows[0].ageMs === MINUTE, 'Logged strings should become numbers');
+  console.assert(Math.abs(rows[0].return5m - 0.5) < 1e-9, `First row should be labelled from every snapshot, got ${rows[0].return5m}`);
+
+  const csv = toCsv(rows).trim().split('\n');
+  console.assert(csv[0] === datasetColumns().join(','), 'CSV header should list every column');
+  console.assert(csv.length === 5 && csv[1].includes('"PUMP, INC"'), 'Values with commas should be quoted');
+
+  console.log('✓ Test 3 passed: Dataset rows\n');
+}
+
+// Run all tests
+console.log('Running Snapshot Labeller Tests...\n');
+console.log('====================================\n');
+
+testSplitSessions();
+testForwardLabels();
+testRows();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
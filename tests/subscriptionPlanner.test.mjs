@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the live stream subscription planner
+ * Plans are built from synthetic views, so no provider or TokenManager is needed
+ */
+
+import { SubscriptionPlanner } from '../src/backend/subscriptionPlanner.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+
+// Tokens r0..r{count-1} in rank order, all spotted long enough ago that recency is 0
+function rankedTokens(count, prefix = 'r') {
+  return Array.from({ length: count }, (_, i) => ({ contractAddress: `${prefix}${i}`, spottedAt: START - 60 * MINUTE }));
+}
+
+function plan(planner, { ranked, tokens = ranked, capacity = 30, scores = {}, now = START }) {
+  return planner.plan({ ranked, tokens, capacity, scoreOf: (t) => scores[t.contractAddress] ?? 0, now });
+}
+
+const unique = (list) => new Set(list).size === list.length;
+
+// Test 1: The top 10 always come first, trimmed when the cap is below 10
+function testPinned() {
+  console.log('Test 1: Pinned top 10');
+
+  const ranked = rankedTokens(25);
+  const full = plan(new SubscriptionPlanner({ rotatingSlots: 0 }), { ranked, scores: { r0: 0, r24: 99 } });
+  console.assert(full.slice(0, 10).join() === ranked.slice(0, 10).map(t => t.contractAddress).join(), 'Top 10 should lead in rank order whatever their score');
+
+  const small = new SubscriptionPlanner();
+  const capped = plan(small, { ranked, capacity: 4 });
+  console.assert(capped.join() === 'r0,r1,r2,r3', `A cap under 10 should keep only the highest ranked, got ${capped.join()}`);
+  console.assert(small.lastPlan.pinned === 4 && small.lastPlan.fixed === 0 && small.lastPlan.rotating.length === 0, 'No contender slots should be left');
+
+  console.assert(plan(new SubscriptionPlanner(), { ranked, capacity: 0 }).length === 0, 'No capacity should stream nothing');
+  console.assert(plan(new SubscriptionPlanner(), { ranked: [], tokens: [] }).length === 0, 'No tokens should stream nothing');
+
+  console.log('✓ Test 1 passed: Pinned top 10\n');
+}
+
+// Test 2: Under the cap every contender is streamed and nothing rotates
+function testUnderCap() {
+  console.log('Test 2: Under the cap');
+
+  const ranked = rankedTokens(14);
+  const unranked = rankedTokens(3, 'u');
+  const planner = new SubscriptionPlanner({ rotatingSlots: 5 });
+  const addresses = plan(planner, { ranked, tokens: [...ranked, ...unranked], capacity: 30 });
+
+  console.assert(addresses.length === 17 && unique(addresses), `Every token should fit once, got ${addresses.length}`);
+  console.assert(planner.lastPlan.rotating.length === 0 && planner.lastPlan.fixed === 7, 'Nothing should rotate when everything fits');
+  console.assert(addresses.slice(10, 14).join() === 'r10,r11,r12,r13', 'Ranked contenders should come before unranked ones');
+
+  console.log('✓ Test 2 passed: Under the cap\n');
+}
+
+// Test 3: Over the cap the plan fills exactly the cap, best contenders first
+function testOverCap() {
+  console.log('Test 3: Over the cap');
+
+  const ranked = rankedTokens(40);
+  const fresh = { contractAddress: 'fresh', spottedAt: START - 1000 };
+  const tokens = [...ranked, fresh];
+  const scores = { r39: 100, r38: 50, r10: 10 };
+
+  for (const [poolSize, capacity, expected] of [[30, 50, 30], [30, 20, 20], [12, 50, 12], [30, 11, 11]]) {
+    const planner = new SubscriptionPlanner({ poolSize, rotatingSlots: 0 });
+    const addresses = plan(planner, { ranked, tokens, capacity, scores });
+    console.assert(addresses.length === expected && unique(addresses),
+      `pool ${poolSize} / capacity ${capacity} should plan ${expected} unique tokens, got ${addresses.length}`);
+  }
+
+  const planner = new SubscriptionPlanner({ rotatingSlots: 0 });
+  const addresses = plan(planner, { ranked, tokens, capacity: 14, scores });
+  // r10: rank 1.0 + score 0.1 -> 0.44; r39: score 1.0 -> 0.4; r11: rank 0.95 -> 0.38; r12 -> 0.36; r38 and fresh -> 0.2
+  console.assert(addresses.slice(10).join() === 'r10,r39,r11,r12', `Contenders should be ordered by priority, got ${addresses.slice(10).join()}`);
+  console.assert(!addresses.includes('r30'), 'Ranks past the horizon with no score should lose their slot');
+
+  console.log('✓ Test 3 passed: Over the cap\n');
+}
+
+// Test 4: Rotating slots cycle through the bench behind the fixed picks
+function testRotation() {
+  console.log('Test 4: Rotation');
+
+  const ranked = rankedTokens(30);
+  const planner = new SubscriptionPlanner({ poolSize: 14, rotatingSlots: 2, rotationMs: 30000 });
+
+  const first = plan(planner, { ranked, now: START });
+  console.assert(first.length === 14 && unique(first), 'Rotation should not change the plan size');
+  console.assert(first.slice(10, 12).join() === 'r10,r11', 'Fixed slots should hold the best contenders');
+  console.assert(planner.lastPlan.rotating.join() === 'r12,r13', `Rotation should start at the head of the bench, got ${planner.lastPlan.rotating.join()}`);
+
+  plan(planner, { ranked, now: START + 29999 });
+  console.assert(planner.lastPlan.rotating.join() === 'r12,r13', 'The rotation should hold until rotationMs has passed');
+
+  const seen = [];
+  for (let i = 1; i <= 4; i++) {
+    plan(planner, { ranked, now: START + i * 30000 });
+    seen.push(planner.lastPlan.rotating.join());
+  }
+  // The bench is 2 slots x depth 4 = r12..r19
+  console.assert(seen.join('|') === 'r14,r15|r16,r17|r18,r19|r12,r13', `Rotation should walk the bench and wrap, got ${seen.join('|')}`);
+  console.assert(!seen.join().includes('r20'), 'Rotation should not reach past the bench');
+
+  const tight = new SubscriptionPlanner({ poolSize: 12, rotatingSlots: 5 });
+  plan(tight, { ranked, now: START });
+  console.assert(tight.lastPlan.fixed === 0 && tight.lastPlan.rotating.length === 2, 'Rotating slots should be limited to the open slots');
+
+  console.log('✓ Test 4 passed: Rotation\n');
+}
+
+// Test 5: Contenders already holding a fixed slot keep it on a near tie
+function testSticky() {
+  console.log('Test 5: Sticky slots');
+
+  const ranked = rankedTokens(10);
+  const a = { contractAddress: 'a', spottedAt: START - 60 * MINUTE };
+  const b = { contractAddress: 'b', spottedAt: START - 60 * MINUTE };
+  const planner = new SubscriptionPlanner({ poolSize: 11, rotatingSlots: 0 });
+
+  let addresses = plan(planner, { ranked, tokens: [...ranked, a, b], scores: { a: 100, b: 90 } });
+  console.assert(addresses[10] === 'a', 'The stronger contender should win the slot first');
+
+  addresses = plan(planner, { ranked, tokens: [...ranked, a, b], scores: { a: 95, b: 100 } });
+  console.assert(addresses[10] === 'a', 'A near tie should not move the stream');
+
+  addresses = plan(planner, { ranked, tokens: [...ranked, a, b], scores: { a: 50, b: 100 } });
+  console.assert(addresses[10] === 'b', 'A clear lead should take the slot');
+
+  console.log('✓ Test 5 passed: Sticky slots\n');
+}
+
+// Run all tests
+console.log('Running Subscription Planner Tests...\n');
+console.log('====================================\n');
+
+testPinned();
+testUnderCap();
+testOverCap();
+testRotation();
+testSticky();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the Telegram command interface
+ * Runs against a stand-in TokenManager and TelegramService, no Telegram session.
+ * Blacklisting goes through the real TokenManager.blacklistToken with the
+ * database adapter swapped for an in-memory stub.
+ */
+
+import { register } from 'node:module';
+import { TelegramCommands, parseCommand, parseUserIds } from '../src/backend/telegramCommands.mjs';
+
+const ADMIN = '1001';
+
+// Resolve db-adapter.mjs to a stub that forwards to globalThis.stubDb
+const stubDb = 'data:text/javascript,' + encodeURIComponent(
+  'export const addToBlacklist = (...args) => globalThis.stubDb.addToBlacklist(...args);'
+);
+register('data:text/javascript,' + encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (specifier.endsWith('/db-adapter.mjs')) return { url: ${JSON.stringify(stubDb)}, shortCircuit: true };
+    return next(specifier, context);
+  }
+`));
+
+const blacklisted = [];
+globalThis.stubDb = { addToBlacklist: async (address, name) => { blacklisted.push({ address, name }); } };
+const { tokenManager: realTokenManager } = await import('../src/backend/tokenManager.mjs');
+const { blacklistToken } = Object.getPrototypeOf(realTokenManager);
+
+function tokenManager() {
+  const tokens = [
+    { contractAddress: 'aaapump', symbol: 'AAA', name: 'Alpha', spottedMc: 10000, currentMc: 42000, peakMultiplier: 4.5, spottedAt: Date.now() - 300000 },
+    { contractAddress: 'bbbpump', symbol: 'B<B', name: 'Beta', spottedMc: 10000, currentMc: 15000, peakMultiplier: 1.6, spottedAt: Date.now() - 600000 }
+  ];
+  const manager = {
+    trackedTokens: new Map(tokens.map(t => [t.contractAddress, t])),
+    currentViewMode: 'all-time',
+    alertTiers: { tier1: 1.1, tier2: 1.2, tier3: 1.3 },
+    telegramAutoAlert: true,
+    windows: [],
+    getTop10: (viewMode) => {
+      manager.windows.push(viewMode);
+      return [...manager.trackedTokens.values()];
+    },
+    getMVP: () => ({ address: 'aaapump', token: tokens[0], score: 12.345, mvpSince: null }),
+    getPhase: (address) => ({ phase: address === 'aaapump' ? 'breakout' : 'quiet' }),
+    getScoreForToken: () => ({ total: 7.5 }),
+    setAlertTiers: async (tier1, tier2, tier3) => { manager.alertTiers = { tier1, tier2, tier3 }; },
+    events: [],
+    emit: (event) => { manager.events.push(event); },
+    blacklistToken: (address, name) => blacklistToken.call(manager, address, name)
+  };
+  return manager;
+}
+
+function telegramService() {
+  const service = {
+    messaging: true,
+    setTelegramMessaging: (enabled) => { service.messaging = enabled; },
+    getStatus: () => ({
+      telegramMessagingEnabled: service.messaging,
+      publicChannelEnabled: false,
+      outbox: { queued: 1 }
+    })
+  };
+  return service;
+}
+
+function memoryStore() {
+  const settings = {};
+  return {
+    settings,
+    getSetting: async (key, fallback) => settings[key] ?? fallback,
+    setSetting: async (key, value) => { settings[key] = value; }
+  };
+}
+
+// Test 1: Parsing
+function testParsing() {
+  console.log('Test 1: Parsing');
+
+  const parsed = parseCommand('  /Tiers@DexterBot 1.1  1.2 1.3 ');
+  console.assert(parsed.command === 'tiers' && parsed.args.join() === '1.1,1.2,1.3', 'Bot suffix and extra spaces should be dropped');
+  console.assert(parseCommand('/status').args.length === 0, 'Commands without arguments should parse');
+  console.assert(parseCommand('gm /top') === null && parseCommand('') === null, 'Plain messages are not commands');
+
+  console.assert(parseUserIds(' 12, 34,12 ').join() === '12,34', 'User IDs should be trimmed and deduplicated');
+  let refused = false;
+  try {
+    parseUserIds(['12', '@someone']);
+  } catch {
+    refused = true;
+  }
+  console.assert(refused, 'Usernames should be refused');
+
+  console.log('✓ Test 1 passed: Parsing\n');
+}
+
+// Test 2: Allowlist
+async function testAllowlist() {
+  console.log('Test 2: Allowlist');
+
+  const store = memoryStore();
+  const commands = new TelegramCommands({ tokenManager: tokenManager(), telegramService: telegramService(), store });
+  console.assert(await commands.handle('/status', ADMIN) === null, 'Nobody is allowed until the allowlist is set');
+
+  await commands.setAllowedUsers([ADMIN]);
+  console.assert(store.settings.telegramCommandUsers.join() === ADMIN, 'Allowlist should be saved');
+  console.assert((await commands.handle('/status', ADMIN)).includes('Tracking 2 tokens'), 'Allowed users should get a reply');
+  console.assert(await commands.handle('/status', '2002') === null, 'Other users should be ignored');
+  console.assert(await commands.handle('hello', ADMIN) === null, 'Non-commands should be ignored');
+
+  const reloaded = new TelegramCommands({ tokenManager: tokenManager(), telegramService: telegramService(), store });
+  console.assert(await reloaded.isAllowed(ADMIN), 'Saved allowlist should be loaded on first use');
+
+  console.log('✓ Test 2 passed: Allowlist\n');
+}
+
+// Test 3: Commands
+async function testCommands() {
+  console.log('Test 3: Commands');
+
+  const manager = tokenManager();
+  const service = telegramService();
+  const commands = new TelegramCommands({ tokenManager: manager, telegramService: service, store: memoryStore() });
+  await commands.setAllowedUsers([ADMIN]);
+  const run = (text) => commands.handle(text, ADMIN);
+
+  const top = await run('/top 1h');
+  console.assert(manager.windows.at(-1) === '1h', 'Window argument should pick the view mode');
+  console.assert(top.includes('1. <b>AAA</b> 4.50x · $42.0K · breakout ⭐') && top.includes('<b>B&lt;B</b>'), `Top list should be formatted and escaped, got ${top}`);
+  await run('/top all');
+  console.assert(manager.windows.at(-1) === 'all-time', '"all" should mean all-time');
+  console.assert((await run('/top 3d')).includes('Unknown window'), 'Bad windows should be explained');
+
+  console.assert((await run('/mvp')).includes('Score 12.35'), 'MVP should show its score');
+  const token = await run('/token aaapump');
+  console.assert(token.includes('<code>aaapump</code>') && token.includes('now 4.20x') && token.includes('Score 7.50'), `Token card should come from tracker state, got ${token}`);
+  console.assert((await run('/token nope')).startsWith('Not tracking'), 'Untracked tokens should be reported');
+
+  console.assert((await run('/tiers 1.3 1.2 1.1')) === 'Tiers must be in ascending order', 'Descending tiers should be refused');
+  console.assert((await run('/tiers 1.5 2')).startsWith('Usage'), 'Three tiers are needed');
+  await run('/tiers 1.5 2 3');
+  console.assert(manager.alertTiers.tier3 === 3, 'Tiers should be set');
+
+  await run('/mute');
+  console.assert(service.messaging === false, '/mute should pause messaging');
+  await run('/mute off');
+  console.assert(service.messaging === true, '/mute off should resume it');
+
+  const reply = await run('/blacklist bbbpump');
+  console.assert(reply.startsWith('🚫 Blacklisted <b>B&lt;B</b>'), `/blacklist should confirm, got ${reply}`);
+  console.assert(blacklisted.length === 1 && blacklisted[0].address === 'bbbpump' && blacklisted[0].name === 'B<B', 'The token should be stored in the blacklist');
+  console.assert(!manager.trackedTokens.has('bbbpump') && manager.events.includes('tokensChanged'), '/blacklist should drop the token and notify listeners');
+  console.assert((await run('/moon')).startsWith('Unknown command'), 'Unknown commands should point at /help');
+
+  console.log('✓ Test 3 passed: Commands\n');
+}
+
+// Run all tests
+console.log('Running Telegram Command Tests...\n');
+console.log('====================================\n');
+
+testParsing();
+await testAllowlist();
+await testCommands();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
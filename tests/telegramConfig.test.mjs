@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the Telegram config store and the admin token check
+ * Uses an in-memory settings store and a fake environment
+ */
+
+import { TelegramConfig, validateConfig, encryptValue, decryptValue } from '../src/backend/telegramConfig.mjs';
+import { createAdminAuth } from '../src/backend/adminAuth.mjs';
+
+const API_HASH = '0123456789abcdef0123456789abcdef';
+const KEY = 'correct horse battery staple';
+
+function memoryStore() {
+  const settings = {};
+  return {
+    settings,
+    getSetting: async (key, fallback) => settings[key] ?? fallback,
+    setSetting: async (key, value) => { settings[key] = JSON.parse(JSON.stringify(value)); }
+  };
+}
+
+// Test 1: Validation and encryption
+function testValidation() {
+  console.log('Test 1: Validation');
+
+  const config = validateConfig({ apiId: '123456', apiHash: API_HASH.toUpperCase(), phone: '+44 7700 900123', bnbChannelId: -1003461856903, holderMessageId: '' });
+  console.assert(config.apiId === 123456 && config.apiHash === API_HASH, 'API ID should be a number and the hash lower case');
+  console.assert(config.phone === '+447700900123' && config.bnbChannelId === '-1003461856903', 'Phone and channel IDs should be normalised');
+  console.assert(config.holderMessageId === null, 'Empty values should clear a field');
+
+  let message = '';
+  try {
+    validateConfig({ apiId: 'abc', privateChannelId: '12345', botToken: 'x' });
+  } catch (error) {
+    message = error.message;
+  }
+  console.assert(message.includes('botToken') && message.includes('apiId') && message.includes('privateChannelId'), `All problems should be reported, got "${message}"`);
+
+  const sealed = encryptValue(API_HASH, KEY);
+  console.assert(!sealed.includes(API_HASH) && decryptValue(sealed, KEY) === API_HASH, 'Values should round-trip through encryption');
+  let refused = false;
+  try {
+    decryptValue(sealed, 'wrong key');
+  } catch {
+    refused = true;
+  }
+  console.assert(refused, 'A wrong key should not decrypt');
+
+  console.log('✓ Test 1 passed: Validation\n');
+}
+
+// Test 2: Settings over environment, secrets encrypted at rest
+async function testStore() {
+  console.log('Test 2: Store');
+
+  const store = memoryStore();
+  const env = { TELEGRAM_API_ID: '111', TELEGRAM_PRIVATE_CHANNEL_ID: '-1001111111111', TELEGRAM_BNB_CHANNEL_ID: 'oops', DEXTER_CONFIG_KEY: KEY };
+  const config = new TelegramConfig({ settingKey: 'telegramConfig-local', store, env });
+  await config.load();
+  console.assert(config.get('apiId') === 111 && config.get('privateChannelId') === '-1001111111111', 'Environment values should be used');
+  console.assert(config.get('bnbChannelId') === null && config.get('apiHash') === null, 'Invalid or missing values should be unset');
+
+  const changed = await config.save({ apiId: 222, apiHash: API_HASH, privateChannelId: '-1001111111111' });
+  console.assert(changed.join() === 'apiId,apiHash', `Only fields whose value moved are changed, got ${changed}`);
+  const saved = store.settings['telegramConfig-local'];
+  console.assert(saved.apiId === 222 && saved.apiHash.startsWith('enc:v1:') && !JSON.stringify(saved).includes(API_HASH), 'The API hash should be stored encrypted');
+  console.assert(config.describe().apiHash.value === null && config.describe().apiHash.set, 'Secrets should not be shown');
+  console.assert(config.describe().apiId.source === 'settings' && config.describe().privateChannelId.source === 'settings', 'Sources should be reported');
+
+  const reloaded = new TelegramConfig({ settingKey: 'telegramConfig-local', store, env });
+  await reloaded.load();
+  console.assert(reloaded.get('apiHash') === API_HASH && reloaded.get('apiId') === 222, 'Saved values should load back');
+
+  const otherKey = new TelegramConfig({ settingKey: 'telegramConfig-local', store, env: { ...env, DEXTER_CONFIG_KEY: 'other' } });
+  await otherKey.load();
+  console.assert(otherKey.get('apiHash') === null && otherKey.get('apiId') === 222, 'Undecryptable secrets should be ignored');
+
+  // Saving other fields without the right key must not erase the stored secret
+  const ciphertext = store.settings['telegramConfig-local'].apiHash;
+  await otherKey.save({ privateChannelId: '-1002222222222' });
+  const withoutKey = new TelegramConfig({ settingKey: 'telegramConfig-local', store, env: { TELEGRAM_API_ID: '111' } });
+  await withoutKey.load();
+  await withoutKey.save({ phone: '+447700900123' });
+  console.assert(store.settings['telegramConfig-local'].apiHash === ciphertext, 'Unreadable secrets should be written back unchanged');
+  console.assert(store.settings['telegramConfig-local'].privateChannelId === '-1002222222222', 'The other fields should still be saved');
+  const restored = new TelegramConfig({ settingKey: 'telegramConfig-local', store, env });
+  await restored.load();
+  console.assert(restored.get('apiHash') === API_HASH, 'The right key should still read the secret');
+  await otherKey.save({ apiHash: null });
+  console.assert(!('apiHash' in store.settings['telegramConfig-local']), 'Clearing an unreadable secret should remove it');
+
+  const noKey = new TelegramConfig({ settingKey: 'telegramConfig-railway', store, env: {} });
+  let refused = false;
+  try {
+    await noKey.save({ apiHash: API_HASH });
+  } catch {
+    refused = true;
+  }
+  console.assert(refused && !store.settings['telegramConfig-railway'], 'Secrets should not be saved without a key');
+  await noKey.save({ phone: '+447700900123' });
+  console.assert(store.settings['telegramConfig-railway'].phone === '+447700900123', 'Each deployment should have its own entry');
+
+  await config.save({ apiId: null });
+  console.assert(config.get('apiId') === 111, 'Clearing a field should fall back to the environment');
+
+  console.log('✓ Test 2 passed: Store\n');
+}
+
+// Test 3: Admin token
+function testAdminAuth() {
+  console.log('Test 3: Admin auth');
+
+  const call = (middleware, headers) => {
+    const result = { status: 200, next: false };
+    const req = { method: 'GET', originalUrl: '/api/telegram/config', ip: '127.0.0.1', get: (name) => headers[name.toLowerCase()] };
+    const res = { status: (code) => { result.status = code; return res; }, json: (body) => { result.body = body; return res; } };
+    middleware(req, res, () => { result.next = true; });
+    return result;
+  };
+  const logger = { warn: () => {} };
+
+  const closed = createAdminAuth({ logger, token: '' });
+  console.assert(call(closed, { authorization: 'Bearer anything' }).status === 503, 'Routes should be closed without a configured token');
+
+  const auth = createAdminAuth({ logger, token: 's3cret' });
+  console.assert(call(auth, {}).status === 401, 'Missing tokens should be rejected');
+  console.assert(call(auth, { authorization: 'Bearer nope' }).status === 401, 'Wrong tokens should be rejected');
+  console.assert(call(auth, { authorization: 'Bearer s3cret' }).next, 'Bearer token should pass');
+  console.assert(call(auth, { 'x-admin-token': 's3cret' }).next, 'X-Admin-Token should pass');
+
+  console.log('✓ Test 3 passed: Admin auth\n');
+}
+
+// Run all tests
+console.log('Running Telegram Config Tests...\n');
+console.log('====================================\n');
+
+testValidation();
+await testStore();
+testAdminAuth();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
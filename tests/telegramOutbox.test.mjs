@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for the Telegram outbox: rate limits, quiet hours, priority,
+ * FLOOD_WAIT backoff and dead letters
+ * Uses an in-memory store and a fake send; times are passed in explicitly
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TelegramOutbox, MAX_ATTEMPTS, floodWaitSeconds, quietUntil, validateChannelSettings } from '../src/backend/telegramOutbox.mjs';
+
+const PRIVATE = '-1001111111111';
+const PUBLIC = 'dexter_calls';
+const T0 = Date.UTC(2026, 0, 15, 12, 0);
+const MINUTE = 60000;
+
+function memoryStore() {
+  const settings = {};
+  const messages = new Map();
+  let nextId = 1;
+  const copy = (message) => JSON.parse(JSON.stringify(message));
+  return {
+    settings,
+    messages,
+    getSetting: async (key, fallback) => settings[key] ?? fallback,
+    setSetting: async (key, value) => { settings[key] = copy(value); },
+    addOutboxMessage: async (message) => {
+      const id = nextId++;
+      messages.set(id, copy({ ...message, id }));
+      return id;
+    },
+    updateOutboxMessage: async (message) => { messages.set(message.id, copy(message)); },
+    getOutboxMessages: async ({ status = null, id = null, limit = 100 } = {}) => [...messages.values()]
+      .filter(m => (!status || m.status === status) && (id === null || m.id === id))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(copy),
+    deleteOutboxMessage: async (id) => messages.delete(id),
+    pruneOutbox: async () => 0
+  };
+}
+
+// Records sends; `fail` decides per call whether to throw
+function fakeSend(fail = () => null) {
+  const sent = [];
+  const send = async (channelId, text, options) => {
+    const error = fail(channelId, text);
+    if (error) throw error;
+    sent.push({ channelId, text, options });
+  };
+  return { sent, send };
+}
+
+// Test 1: Quiet hours and settings validation
+function testQuietHours() {
+  console.log('Test 1: Quiet hours');
+
+  const overnight = { start: '22:00', end: '07:00', timezone: 'UTC' };
+  const at = (hours, minutes = 0) => Date.UTC(2026, 0, 15, hours, minutes);
+  console.assert(quietUntil(overnight, at(23, 30)) === Date.UTC(2026, 0, 16, 7, 0), 'Quiet hours should run past midnight');
+  console.assert(quietUntil(overnight, at(6, 59)) === at(7, 0), 'Quiet hours should end at their end time');
+  console.assert(quietUntil(overnight, at(7, 0)) === null && quietUntil(overnight, at(12)) === null, 'Outside quiet hours nothing is held');
+  console.assert(quietUntil(null, at(23)) === null, 'No quiet hours means no hold');
+
+  // 09:00-17:00 in New York is 14:00-22:00 UTC in January
+  const newYork = { start: '09:00', end: '17:00', timezone: 'America/New_York' };
+  console.assert(quietUntil(newYork, at(15)) === at(22) && quietUntil(newYork, at(13)) === null, 'Quiet hours should follow their timezone');
+
+  const settings = validateChannelSettings({ maxSends: '5', windowMinutes: 10, quietHours: { start: '01:00', end: '06:00' } });
+  console.assert(settings.maxSends === 5 && settings.windowMinutes === 10 && settings.quietHours.timezone === 'UTC', 'Settings should be normalised');
+  console.assert(validateChannelSettings({ quietHours: null }).quietHours === null, 'null should turn quiet hours off');
+
+  const invalid = [
+    { maxSends: 0 },
+    { windowMinutes: -1 },
+    { quietHours: { start: '25:00', end: '06:00' } },
+    { quietHours: { start: '06:00', end: '06:00' } },
+    { quietHours: { start: '01:00', end: '06:00', timezone: 'Mars/Olympus' } }
+  ];
+  for (const input of invalid) {
+    let refused = false;
+    try {
+      validateChannelSettings(input);
+    } catch {
+      refused = true;
+    }
+    console.assert(refused, `Should refuse ${JSON.stringify(input)}`);
+  }
+
+  console.assert(floodWaitSeconds({ seconds: 42 }) === 42, 'FloodWaitError seconds should be read');
+  console.assert(floodWaitSeconds(new Error('A wait of 17 seconds is required (caused by messages.SendMessage)')) === 17, 'The wait should be read from the message');
+  console.assert(floodWaitSeconds(new Error('CHAT_WRITE_FORBIDDEN')) === null, 'Other errors are not FLOOD_WAITs');
+
+  console.log('✓ Test 1 passed: Quiet hours\n');
+}
+
+// Test 2: Priority order, per-channel rate limits and quiet hours
+async function testRateLimits() {
+  console.log('Test 2: Rate limits and priority');
+
+  const store = memoryStore();
+  const { sent, send } = fakeSend();
+  const outbox = new TelegramOutbox({ send, store });
+
+  for (let i = 1; i <= 5; i++) {
+    await outbox.enqueue({ channelId: PUBLIC, kind: 'public', text: `public ${i}` }, T0 + i);
+  }
+  await outbox.enqueue({ channelId: PRIVATE, channelName: 'private', kind: 'private', text: 'private 1' }, T0 + 10);
+  await outbox.enqueue({ channelId: PRIVATE, channelName: 'private', kind: 'manual', text: 'manual 1' }, T0 + 20);
+
+  const attempts = await outbox.process(T0 + 100);
+  console.assert(attempts === 5, `Expected 5 sends, got ${attempts}`);
+  console.assert(sent.map(s => s.text).join() === 'manual 1,private 1,public 1,public 2,public 3', `Higher priority first, then oldest, got ${sent.map(s => s.text)}`);
+  console.assert(outbox.summary().queued === 2, 'Public messages over the limit should stay queued');
+  console.assert(store.messages.get(1).status === 'sent' && store.messages.get(1).sentAt === T0 + 100, 'Sends should be stored');
+
+  // A restarted outbox picks up the queue and counts the stored sends against the limit
+  const restarted = new TelegramOutbox({ send, store });
+  await restarted.process(T0 + 4 * MINUTE);
+  console.assert(sent.length === 5 && restarted.summary().queued === 2, 'Nothing should go out while the window is full');
+  await restarted.process(T0 + 5 * MINUTE + 100);
+  console.assert(sent.length === 7 && restarted.summary().queued === 0, 'The rest should go out once the window has room');
+
+  // Custom limits and quiet hours per channel
+  await restarted.setChannelSettings(PUBLIC, { maxSends: 10, quietHours: { start: '12:00', end: '13:00' } });
+  console.assert(store.settings.telegramOutboxChannels[PUBLIC].maxSends === 10, 'Channel settings should be stored');
+  await restarted.enqueue({ channelId: PUBLIC, kind: 'public', text: 'after quiet hours' }, T0 + 6 * MINUTE);
+  await restarted.process(T0 + 6 * MINUTE);
+  console.assert(sent.length === 7, 'Quiet hours should hold messages');
+  const [channel] = await restarted.describeChannels([{ channelId: PUBLIC, name: PUBLIC, kind: 'public' }], T0 + 6 * MINUTE);
+  console.assert(channel.custom && channel.queued === 1 && channel.quietUntil === T0 + 60 * MINUTE, 'Channel state should be described');
+
+  console.assert(await restarted.resetChannelSettings(PUBLIC) && !(await restarted.resetChannelSettings(PUBLIC)), 'Reset should only report channels with settings');
+  await restarted.process(T0 + 11 * MINUTE);
+  console.assert(sent.length === 8 && sent[7].text === 'after quiet hours', 'Messages should go out after quiet hours are lifted');
+
+  // Nothing is attempted while Telegram can't send
+  let connected = false;
+  const offline = new TelegramOutbox({ send, store, canSend: () => connected });
+  await offline.enqueue({ channelId: PRIVATE, kind: 'manual', text: 'offline' }, T0 + 12 * MINUTE);
+  console.assert(await offline.process(T0 + 12 * MINUTE) === 0, 'Messages should wait while disconnected');
+  connected = true;
+  console.assert(await offline.process(T0 + 12 * MINUTE) === 1 && sent[8].text === 'offline', 'Messages should go out once connected');
+
+  console.log('✓ Test 2 passed: Rate limits and priority\n');
+}
+
+// Test 3: FLOOD_WAIT backoff, dead letters, expiry and retry
+async function testFailures() {
+  console.log('Test 3: Retries and dead letters');
+
+  const store = memoryStore();
+  let floodWait = true;
+  const { sent, send } = fakeSend((channelId, text) => {
+    if (text === 'forbidden') return new Error('CHAT_WRITE_FORBIDDEN');
+    if (text === 'flaky') return new Error('Connection reset');
+    if (floodWait) return Object.assign(new Error('A wait of 30 seconds is required'), { seconds: 30 });
+    return null;
+  });
+  const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dexter-outbox-'));
+  const outbox = new TelegramOutbox({ send, store, imageDir });
+
+  const alert = await outbox.enqueue({ channelId: PRIVATE, kind: 'manual', text: 'alert', options: { parseMode: 'html', image: Buffer.from('png') } }, T0);
+  const { imageFile } = store.messages.get(alert.id).options;
+  console.assert(imageFile && !('image' in store.messages.get(alert.id).options), 'Rows should only name the image file');
+  console.assert(fs.readFileSync(path.join(imageDir, imageFile), 'utf8') === 'png', 'The image should be written to its file');
+  await outbox.process(T0);
+  const waiting = store.messages.get(alert.id);
+  console.assert(waiting.status === 'queued' && waiting.attempts === 1 && waiting.nextAttemptAt === T0 + 30000, 'A FLOOD_WAIT should hold the message for the wait');
+  console.assert(waiting.lastError.includes('wait of 30'), 'The error should be recorded');
+
+  await outbox.enqueue({ channelId: PRIVATE, kind: 'manual', text: 'second' }, T0 + 1000);
+  console.assert(await outbox.process(T0 + 20000) === 0, 'The whole channel should be held during a FLOOD_WAIT');
+
+  floodWait = false;
+  await outbox.process(T0 + 30000);
+  console.assert(sent.map(s => s.text).join() === 'alert,second', 'Both should go out after the wait');
+  console.assert(Buffer.isBuffer(sent[0].options.image) && sent[0].options.image.toString() === 'png', 'Images should survive the queue');
+  console.assert(!fs.existsSync(path.join(imageDir, imageFile)), 'Images should be deleted once sent');
+
+  const forbidden = await outbox.enqueue({ channelId: PUBLIC, kind: 'public', text: 'forbidden', options: { image: Buffer.from('chart') } }, T0 + 40000);
+  await outbox.process(T0 + 40000);
+  console.assert(store.messages.get(forbidden.id).status === 'dead' && store.messages.get(forbidden.id).attempts === 1, 'Permanent errors should go straight to dead letters');
+
+  const flaky = await outbox.enqueue({ channelId: 'other_channel', kind: 'manual', text: 'flaky' }, T0 + 50000);
+  let now = T0 + 50000;
+  const delays = [];
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    await outbox.process(now);
+    const stored = store.messages.get(flaky.id);
+    if (stored.status === 'dead') break;
+    delays.push(stored.nextAttemptAt - now);
+    now = stored.nextAttemptAt;
+  }
+  console.assert(delays.join() === '10000,20000,40000,80000', `Backoff should double, got ${delays}`);
+  console.assert(store.messages.get(flaky.id).status === 'dead' && store.messages.get(flaky.id).attempts === MAX_ATTEMPTS, 'Messages should die after the last attempt');
+
+  const stale = await outbox.enqueue({ channelId: PUBLIC, kind: 'public', text: 'stale' }, now);
+  await outbox.setChannelSettings(PUBLIC, { quietHours: { start: '00:00', end: '23:59' } });
+  await outbox.process(now + 11 * MINUTE);
+  console.assert(store.messages.get(stale.id).status === 'dead' && store.messages.get(stale.id).lastError.startsWith('Expired'), 'Alerts should expire rather than go out late');
+
+  const dead = await outbox.list({ status: 'dead' });
+  console.assert(dead.length === 3 && dead.every(m => m.options === undefined), 'Dead letters should be listed without their options');
+  const withImage = (await outbox.list({ status: 'sent' })).find(m => m.id === alert.id);
+  console.assert(withImage.hasImage && withImage.parseMode === 'html', 'The log should flag images and the parse mode');
+
+  await outbox.resetChannelSettings(PUBLIC);
+  const retried = await outbox.retry(stale.id, now + 12 * MINUTE);
+  console.assert(retried.status === 'queued' && retried.attempts === 0 && retried.expiresAt === null, 'Retry should requeue with fresh attempts');
+  await outbox.process(now + 12 * MINUTE);
+  console.assert(store.messages.get(stale.id).status === 'sent', 'Retried messages should be delivered');
+
+  let refused = false;
+  try {
+    await outbox.retry(alert.id);
+  } catch {
+    refused = true;
+  }
+  console.assert(refused, 'Sent messages should not be retried');
+  console.assert(await outbox.retry(999) === null, 'Unknown messages should not be found');
+  console.assert(fs.readdirSync(imageDir).length === 1, 'Dead messages should keep their image for a retry');
+  console.assert(await outbox.remove(forbidden.id) && !store.messages.has(forbidden.id), 'Messages should be deletable');
+  console.assert(fs.readdirSync(imageDir).length === 0, 'Deleting a message should delete its image');
+
+  const old = await outbox.enqueue({ channelId: PUBLIC, kind: 'public', text: 'old chart', options: { image: Buffer.from('old') } }, now);
+  outbox.pruneImages(Date.now() + 1000);
+  console.assert(fs.readdirSync(imageDir).length === 1, 'Images of queued messages should not be pruned');
+  await outbox.remove(old.id);
+
+  // After the database is rebuilt (a purge) the queue is read again
+  store.messages.set(99, { ...store.messages.get(flaky.id), id: 99, status: 'queued', attempts: 0, nextAttemptAt: now });
+  await outbox.reload();
+  console.assert(outbox.summary().queued === 1 && outbox.queue[0].id === 99, 'Reload should pick up the stored queue');
+
+  fs.rmSync(imageDir, { recursive: true, force: true });
+  console.log('✓ Test 3 passed: Retries and dead letters\n');
+}
+
+// Run all tests
+console.log('Running Telegram Outbox Tests...\n');
+console.log('====================================\n');
+
+testQuietHours();
+await testRateLimits();
+await testFailures();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
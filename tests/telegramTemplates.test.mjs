@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for Telegram alert templates
+ * Rendering is pure, so no Telegram session or database is needed
+ */
+
+import zlib from 'zlib';
+import { DEFAULT_TEMPLATES, mcPath, renderAlert, renderSparkline, renderTemplate, buildTokenCard, validateTemplate } from '../src/backend/telegramTemplates.mjs';
+
+const START = Date.parse('2026-01-21T10:00:00.000Z');
+const MINUTE = 60000;
+
+const token = {
+  contractAddress: 'So1Test111111111111111111111111111111111pump',
+  symbol: 'CAT<3',
+  name: 'Cat & Dog',
+  spottedAt: START - 75 * MINUTE,
+  spottedMc: 20000,
+  currentMc: 53000,
+  peakMc: 61000,
+  peakMultiplier: 3.05,
+  liquidity: 18400,
+  transactionMetrics: { '5m': { buys: 40, sells: 20, buy_usd: 6400, sell_usd: 3600 } }
+};
+
+// Test 1: Token card and placeholder rendering
+function testRender() {
+  console.log('Test 1: Rendering');
+
+  const card = buildTokenCard(token, START);
+  console.assert(card.multiplier === '2.65x' && card.peakMultiplier === '3.05x', `Multipliers should be formatted, got ${card.multiplier}`);
+  console.assert(card.spottedMc === '$20.0K' && card.currentMc === '$53.0K' && card.liquidity === '$18.4K', 'USD values should be formatted');
+  console.assert(card.age === '1h 15m' && card.buyPressure === '64%', `Age and buy pressure should be derived, got ${card.age} / ${card.buyPressure}`);
+  console.assert(card.pumpfun.endsWith(token.contractAddress) && card.dexscreener.includes('/solana/'), 'Solana pump tokens should link to pump.fun');
+
+  const bnb = buildTokenCard({ ...token, contractAddress: `0x${'ab'.repeat(20)}`, transactionMetrics: null }, START);
+  console.assert(bnb.chain === 'bnb' && bnb.pumpfun === '' && bnb.birdeye.endsWith('chain=bsc'), 'BNB tokens should link to BSC pages only');
+  console.assert(bnb.buyPressure === 'n/a', 'Missing metrics should render as n/a');
+
+  const text = renderTemplate('<b>{symbol}</b> {multiplier} {unknown}\n{links}', card);
+  console.assert(text.startsWith('<b>CAT&lt;3</b> 2.65x {unknown}'), `Values should be HTML-escaped, got ${text}`);
+  console.assert(text.includes('<a href="https://pump.fun/coin/') && text.split(' | ').length === 3, 'Links should render as anchors');
+
+  console.log('✓ Test 1 passed: Rendering\n');
+}
+
+// Test 2: Validation
+function testValidation() {
+  console.log('Test 2: Validation');
+
+  const template = validateTemplate({ text: ' {symbol} {address} ', chart: true });
+  console.assert(template.text === '{symbol} {address}' && template.chart && !template.buttons, 'Defaults should be filled in');
+  console.assert(Object.values(DEFAULT_TEMPLATES).every(t => validateTemplate(t)), 'Default templates should validate');
+
+  const rejects = (input) => {
+    try {
+      validateTemplate(input);
+      return false;
+    } catch {
+      return true;
+    }
+  };
+  console.assert(rejects({ text: '   ' }), 'Empty text should be refused');
+  console.assert(rejects({ text: '{symbol} {price}' }), 'Unknown placeholders should be refused');
+  console.assert(rejects({ text: '{symbol}', buttons: 'yes' }), 'Flags must be boolean');
+
+  console.log('✓ Test 2 passed: Validation\n');
+}
+
+// Test 3: Sparkline PNG and the full alert
+function testAlert() {
+  console.log('Test 3: Alert with chart');
+
+  const history = [25000, 41000, 61000, 48000].map((marketCap, i) => ({ timestamp: START - (60 - i * 10) * MINUTE, marketCap }));
+  const points = mcPath(token, history);
+  console.assert(points.join() === '20000,25000,41000,61000,48000,53000', 'MC path should run from spotted to current');
+  console.assert(renderSparkline([1]) === null, 'One point is not a chart');
+
+  const png = renderSparkline(points, { width: 60, height: 20 });
+  console.assert(png.subarray(1, 4).toString() === 'PNG' && png.readUInt32BE(16) === 60 && png.readUInt32BE(20) === 20, 'Should be a 60x20 PNG');
+  const idatLength = png.readUInt32BE(33);
+  const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+  console.assert(raw.length === (60 * 3 + 1) * 20, 'Image data should hold every scanline');
+  // The peak (4th of 6 points) lands on column 35, at the top of the 4px padding
+  const peak = 4 * (60 * 3 + 1) + 1 + 35 * 3;
+  const [r, g] = raw.subarray(peak, peak + 3);
+  console.assert(g > 150 && r < 100, 'Rising chart should be drawn in green');
+
+  const alert = renderAlert(DEFAULT_TEMPLATES.private, token, { history, now: START });
+  console.assert(alert.parseMode === 'html' && alert.text.includes(`<code>${token.contractAddress}</code>`), 'Alert should be HTML with the CA');
+  console.assert(alert.buttons[0].map(b => b.text).join() === 'DexScreener,pump.fun,Birdeye', 'Alert should carry link buttons');
+  console.assert(Buffer.isBuffer(alert.image), 'Private alert should attach the chart');
+
+  const long = renderAlert({ text: `{address}\n${'x'.repeat(1100)}`, buttons: false, chart: true }, token, { history, now: START });
+  console.assert(long.image === null && long.buttons === null, 'Text too long for a caption should go without the chart');
+
+  console.log('✓ Test 3 passed: Alert with chart\n');
+}
+
+// Run all tests
+console.log('Running Telegram Template Tests...\n');
+console.log('====================================\n');
+
+testRender();
+testValidation();
+testAlert();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');
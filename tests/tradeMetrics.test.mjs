@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Unit tests for transaction metrics sources on tracked tokens
+ * Runs the real TokenManager update cycles with the provider registry's
+ * getTransactionMetrics replaced, so no network is used
+ */
+
+import { tokenManager } from '../src/backend/tokenManager.mjs';
+import { providerRegistry } from '../src/backend/providers/index.mjs';
+import { clock } from '../src/backend/clock.mjs';
+
+const CA = 'TradeMetricsTestTokenpump';
+
+const TRADES = { buys5m: 40, sells5m: 10, source: 'trades' };
+const REST = { buys5m: 4, sells5m: 1, source: 'rest' };
+
+function trackToken(overrides = {}) {
+  tokenManager.trackedTokens.clear();
+  tokenManager.sseConnectedTokens = new Set([CA]);
+  const token = {
+    contractAddress: CA,
+    symbol: 'TMT',
+    source: 'degen',
+    discoveredBy: 'pumpportal',
+    transactionMetrics: null,
+    lastMetricsUpdate: null,
+    metricsSource: null,
+    ...overrides
+  };
+  tokenManager.trackedTokens.set(CA, token);
+  return token;
+}
+
+// Test 1: REST results never replace per-trade metrics that arrived meanwhile
+async function testTradesWin() {
+  console.log('Test 1: Fresh trade metrics are kept');
+
+  const token = trackToken({ lastMetricsUpdate: clock.now() - 60000 });
+  providerRegistry.getTransactionMetrics = async (addresses, { prefer } = {}) => {
+    if (prefer === 'pumpportal') return { [CA]: { transactionMetrics: TRADES } };
+    // PumpPortal trades land while the REST request is in flight
+    await tokenManager.updateTradeMetrics();
+    return { [CA]: { transactionMetrics: REST, liquidity: 25000 } };
+  };
+
+  await tokenManager.updateSSETokenMetrics();
+  console.assert(token.transactionMetrics === TRADES && token.metricsSource === 'trades', `SSE refresh should keep trade metrics, got ${token.transactionMetrics?.source}`);
+  console.assert(token.liquidity === 25000, 'Liquidity should still be taken from REST');
+
+  console.log('✓ Test 1 passed: Fresh trade metrics are kept\n');
+}
+
+// Test 2: Stale trade metrics are refreshed from REST and marked as such
+async function testStaleTrades() {
+  console.log('Test 2: Stale trade metrics are replaced');
+
+  const token = trackToken({ transactionMetrics: TRADES, metricsSource: 'trades', lastMetricsUpdate: clock.now() - 60000 });
+  providerRegistry.getTransactionMetrics = async () => ({ [CA]: { transactionMetrics: REST } });
+
+  await tokenManager.updateSSETokenMetrics();
+  const now = clock.now();
+  console.assert(token.transactionMetrics === REST && token.metricsSource === 'rest', 'Stale trade metrics should be replaced by REST');
+  console.assert(!tokenManager.hasFreshTradeMetrics(token, now), 'REST metrics should not count as fresh trades');
+
+  token.lastMetricsUpdate = now - 60000;
+  await tokenManager.updateSSETokenMetrics();
+  console.assert(token.lastMetricsUpdate >= now, 'REST metrics should keep being refreshed');
+
+  console.log('✓ Test 2 passed: Stale trade metrics are replaced\n');
+}
+
+// Run all tests
+console.log('Running Trade Metrics Tests...\n');
+console.log('====================================\n');
+
+await testTradesWin();
+await testStaleTrades();
+
+console.log('====================================\n');
+console.log('✅ All tests passed!');